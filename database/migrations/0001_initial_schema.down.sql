@@ -0,0 +1,14 @@
+-- Revert 0001_initial_schema: drops every application table and its data
+
+DROP TABLE IF EXISTS audit_logs;
+DROP TABLE IF EXISTS user_preferences;
+DROP TABLE IF EXISTS refresh_tokens;
+DROP TABLE IF EXISTS users;
+DROP TABLE IF EXISTS unique_permits_yearly_bins;
+DROP TABLE IF EXISTS unique_permits_quarterly;
+DROP TABLE IF EXISTS unique_permits_monthly;
+DROP TABLE IF EXISTS department_activity_weekday;
+DROP TABLE IF EXISTS department_activity;
+DROP TABLE IF EXISTS unique_permits_yearly;
+
+DROP FUNCTION IF EXISTS update_updated_at_column();
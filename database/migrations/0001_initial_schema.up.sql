@@ -1,11 +1,6 @@
--- Dashboard Database Schema
--- This file contains all the table definitions for the dashboard application
-
--- Create database if it doesn't exist
--- CREATE DATABASE dashboard_db;
-
--- Connect to the database
--- \c dashboard_db;
+-- 0001_initial_schema: the tables previously created from database/schema.sql
+-- Written to be safe on databases that were set up from that file, so existing
+-- installs can adopt migrations by running `migrate up` once.
 
 -- Enable UUID extension
 CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
@@ -85,12 +80,22 @@ CREATE TABLE IF NOT EXISTS users (
     username VARCHAR(50) UNIQUE NOT NULL,
     email VARCHAR(255) UNIQUE NOT NULL,
     password_hash VARCHAR(255) NOT NULL,
-    role VARCHAR(20) DEFAULT 'user',
+    role VARCHAR(20) DEFAULT 'viewer', -- admin, analyst or viewer (legacy 'user' is treated as viewer)
     is_active BOOLEAN DEFAULT true,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Refresh tokens issued at login (stored as SHA-256 hashes)
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+    id SERIAL PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    revoked_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- User preferences table
 CREATE TABLE IF NOT EXISTS user_preferences (
     id SERIAL PRIMARY KEY,
@@ -108,7 +113,7 @@ CREATE TABLE IF NOT EXISTS audit_logs (
     user_id UUID REFERENCES users(id),
     action VARCHAR(100) NOT NULL,
     table_name VARCHAR(50),
-    record_id INTEGER,
+    record_id VARCHAR(100), -- primary key of the changed row; users have UUID ids
     old_values JSONB,
     new_values JSONB,
     ip_address INET,
@@ -124,8 +129,10 @@ CREATE INDEX IF NOT EXISTS idx_department_activity_weekday_department ON departm
 CREATE INDEX IF NOT EXISTS idx_unique_permits_monthly_year ON unique_permits_monthly(year);
 CREATE INDEX IF NOT EXISTS idx_unique_permits_quarterly_year ON unique_permits_quarterly(year);
 CREATE INDEX IF NOT EXISTS idx_unique_permits_yearly_bins_year ON unique_permits_yearly_bins(year);
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user_id ON refresh_tokens(user_id);
 CREATE INDEX IF NOT EXISTS idx_audit_logs_user_id ON audit_logs(user_id);
 CREATE INDEX IF NOT EXISTS idx_audit_logs_created_at ON audit_logs(created_at);
+CREATE INDEX IF NOT EXISTS idx_audit_logs_action ON audit_logs(action);
 
 -- Create function to update updated_at timestamp
 CREATE OR REPLACE FUNCTION update_updated_at_column()
@@ -136,12 +143,24 @@ BEGIN
 END;
 $$ language 'plpgsql';
 
+-- Bring databases created by older versions of schema.sql up to date
+ALTER TABLE users ALTER COLUMN role SET DEFAULT 'viewer';
+ALTER TABLE audit_logs ALTER COLUMN record_id TYPE VARCHAR(100);
+
 -- Create triggers to automatically update updated_at
+DROP TRIGGER IF EXISTS update_unique_permits_yearly_updated_at ON unique_permits_yearly;
 CREATE TRIGGER update_unique_permits_yearly_updated_at BEFORE UPDATE ON unique_permits_yearly FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+DROP TRIGGER IF EXISTS update_department_activity_updated_at ON department_activity;
 CREATE TRIGGER update_department_activity_updated_at BEFORE UPDATE ON department_activity FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+DROP TRIGGER IF EXISTS update_department_activity_weekday_updated_at ON department_activity_weekday;
 CREATE TRIGGER update_department_activity_weekday_updated_at BEFORE UPDATE ON department_activity_weekday FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+DROP TRIGGER IF EXISTS update_unique_permits_monthly_updated_at ON unique_permits_monthly;
 CREATE TRIGGER update_unique_permits_monthly_updated_at BEFORE UPDATE ON unique_permits_monthly FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+DROP TRIGGER IF EXISTS update_unique_permits_quarterly_updated_at ON unique_permits_quarterly;
 CREATE TRIGGER update_unique_permits_quarterly_updated_at BEFORE UPDATE ON unique_permits_quarterly FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+DROP TRIGGER IF EXISTS update_unique_permits_yearly_bins_updated_at ON unique_permits_yearly_bins;
 CREATE TRIGGER update_unique_permits_yearly_bins_updated_at BEFORE UPDATE ON unique_permits_yearly_bins FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+DROP TRIGGER IF EXISTS update_users_updated_at ON users;
 CREATE TRIGGER update_users_updated_at BEFORE UPDATE ON users FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
-CREATE TRIGGER update_user_preferences_updated_at BEFORE UPDATE ON user_preferences FOR EACH ROW EXECUTE FUNCTION update_updated_at_column(); 
\ No newline at end of file
+DROP TRIGGER IF EXISTS update_user_preferences_updated_at ON user_preferences;
+CREATE TRIGGER update_user_preferences_updated_at BEFORE UPDATE ON user_preferences FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
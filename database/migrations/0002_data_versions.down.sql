@@ -0,0 +1,3 @@
+-- Revert 0002_data_versions
+
+DROP TABLE IF EXISTS data_versions;
@@ -0,0 +1,18 @@
+-- 0002_data_versions: numbered versions of each dataset, written by every import and rollback
+
+CREATE TABLE IF NOT EXISTS data_versions (
+    id SERIAL PRIMARY KEY,
+    dataset VARCHAR(50) NOT NULL, -- import dataset name, e.g. 'monthly'
+    version INTEGER NOT NULL, -- 1, 2, 3... per dataset
+    table_name VARCHAR(50) NOT NULL,
+    action VARCHAR(20) NOT NULL, -- baseline, import or rollback
+    source VARCHAR(255), -- file or script the rows came from
+    row_count INTEGER NOT NULL, -- rows written by this version
+    restored_version INTEGER, -- for rollbacks, the version that was restored
+    snapshot JSONB NOT NULL, -- every row of the table as of this version
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(dataset, version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_data_versions_created_at ON data_versions(created_at);
@@ -0,0 +1,8 @@
+-- Revert 0003_permits
+
+DROP MATERIALIZED VIEW IF EXISTS permit_aggregates_yearly_bins;
+DROP MATERIALIZED VIEW IF EXISTS permit_aggregates_monthly;
+DROP MATERIALIZED VIEW IF EXISTS permit_aggregates_quarterly;
+DROP MATERIALIZED VIEW IF EXISTS permit_aggregates_yearly;
+DROP MATERIALIZED VIEW IF EXISTS unique_permits;
+DROP TABLE IF EXISTS permits;
@@ -0,0 +1,76 @@
+-- 0003_permits: individual permit records and the unique-permit aggregates computed from them
+
+CREATE TABLE IF NOT EXISTS permits (
+    id SERIAL PRIMARY KEY,
+    permit_number VARCHAR(50) NOT NULL,
+    application_date DATE NOT NULL,
+    issue_date DATE,
+    valuation NUMERIC(14, 2),
+    permit_type VARCHAR(100),
+    department VARCHAR(50),
+    source_file VARCHAR(255) NOT NULL, -- re-ingesting a file replaces its rows
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_permits_permit_number ON permits(permit_number);
+CREATE INDEX IF NOT EXISTS idx_permits_application_date ON permits(application_date);
+CREATE INDEX IF NOT EXISTS idx_permits_source_file ON permits(source_file);
+
+DROP TRIGGER IF EXISTS update_permits_updated_at ON permits;
+CREATE TRIGGER update_permits_updated_at BEFORE UPDATE ON permits FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- One row per permit number: a permit is counted once, in the period of its
+-- earliest application, at the highest valuation recorded for it
+CREATE MATERIALIZED VIEW IF NOT EXISTS unique_permits AS
+SELECT permit_number,
+       MIN(application_date) AS application_date,
+       MIN(issue_date) AS issue_date,
+       MAX(valuation) AS valuation
+FROM permits
+GROUP BY permit_number;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_unique_permits_permit_number ON unique_permits(permit_number);
+
+CREATE MATERIALIZED VIEW IF NOT EXISTS permit_aggregates_yearly AS
+SELECT EXTRACT(YEAR FROM application_date)::int AS fiscal_year,
+       COUNT(*)::int AS permit_count
+FROM unique_permits
+GROUP BY 1;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_permit_aggregates_yearly ON permit_aggregates_yearly(fiscal_year);
+
+CREATE MATERIALIZED VIEW IF NOT EXISTS permit_aggregates_quarterly AS
+SELECT EXTRACT(YEAR FROM application_date)::int AS year,
+       EXTRACT(QUARTER FROM application_date)::int::text AS quarter,
+       COUNT(*)::int AS permit_count
+FROM unique_permits
+GROUP BY 1, 2;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_permit_aggregates_quarterly ON permit_aggregates_quarterly(year, quarter);
+
+CREATE MATERIALIZED VIEW IF NOT EXISTS permit_aggregates_monthly AS
+SELECT EXTRACT(YEAR FROM application_date)::int AS year,
+       to_char(application_date, 'Mon') AS month,
+       COUNT(*)::int AS permit_count
+FROM unique_permits
+GROUP BY 1, 2;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_permit_aggregates_monthly ON permit_aggregates_monthly(year, month);
+
+-- Valuation ranges match the bins of unique_permits_yearly_bins; permits without a valuation are left out
+CREATE MATERIALIZED VIEW IF NOT EXISTS permit_aggregates_yearly_bins AS
+SELECT EXTRACT(YEAR FROM application_date)::int AS year,
+       CASE
+           WHEN valuation < 10000 THEN '0-10K'
+           WHEN valuation < 100000 THEN '10K-100K'
+           WHEN valuation < 1000000 THEN '100K-1M'
+           WHEN valuation < 10000000 THEN '1M-10M'
+           ELSE '>10M'
+       END AS bin_range,
+       COUNT(*)::int AS permit_count
+FROM unique_permits
+WHERE valuation IS NOT NULL
+GROUP BY 1, 2;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_permit_aggregates_yearly_bins ON permit_aggregates_yearly_bins(year, bin_range);
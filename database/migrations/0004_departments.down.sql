@@ -0,0 +1,3 @@
+-- Revert 0004_departments
+
+DROP TABLE IF EXISTS departments;
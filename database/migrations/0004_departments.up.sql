@@ -0,0 +1,29 @@
+-- 0004_departments: registry of the departments shown in the department activity reports
+
+CREATE TABLE IF NOT EXISTS departments (
+    id SERIAL PRIMARY KEY,
+    code VARCHAR(50) NOT NULL UNIQUE, -- value of the department column in department_activity(_weekday)
+    display_name VARCHAR(100) NOT NULL,
+    description TEXT,
+    colors JSONB NOT NULL DEFAULT '[]', -- chart palette, an array of CSS colors; the first is the main color
+    sort_order INTEGER NOT NULL DEFAULT 0, -- position in the navigation
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (jsonb_typeof(colors) = 'array')
+);
+
+DROP TRIGGER IF EXISTS update_departments_updated_at ON departments;
+CREATE TRIGGER update_departments_updated_at BEFORE UPDATE ON departments FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- The departments in the bundled data, with the palettes their reports have always used
+INSERT INTO departments (code, display_name, description, colors, sort_order) VALUES
+    ('PSC', 'PSC', 'Permit Service Center actions',
+     '["rgb(14, 50, 148)", "rgb(122, 125, 129)", "rgb(5, 100, 5)", "rgb(37, 44, 51)", "rgb(7, 104, 143)", "rgb(49, 136, 133)", "rgb(95, 158, 160)", "rgb(70, 130, 180)", "rgb(100, 149, 237)", "rgb(176, 224, 230)", "rgb(7, 75, 77)", "rgb(34, 88, 86)"]',
+     1),
+    ('LU', 'Land Use', 'Land use review actions',
+     '["rgb(75, 150, 125)", "rgb(122, 137, 156)", "rgb(95, 163, 95)", "rgb(92, 105, 117)", "rgb(101, 155, 177)", "rgb(72, 209, 204)", "rgb(95, 158, 160)", "rgb(70, 130, 180)", "rgb(100, 149, 237)", "rgb(125, 159, 163)", "rgb(0, 206, 209)", "rgb(32, 178, 170)"]',
+     2),
+    ('PLN Check', 'Plan Check', 'Plan check review actions',
+     '["rgb(168, 65, 27)", "rgb(167, 103, 26)", "rgb(175, 153, 28)", "rgb(93, 173, 12)", "rgb(42, 170, 106)", "rgb(0, 110, 146)", "rgba(39, 94, 150, 0.75)", "rgb(138, 43, 226)", "rgb(128, 15, 75)", "rgb(199, 21, 133)", "rgb(220, 20, 60)", "rgb(75, 0, 130)"]',
+     3)
+ON CONFLICT (code) DO NOTHING;
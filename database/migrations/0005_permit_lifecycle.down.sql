@@ -0,0 +1,3 @@
+-- Revert 0005_permit_lifecycle
+
+DROP TABLE IF EXISTS permit_events;
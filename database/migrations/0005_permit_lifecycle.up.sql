@@ -0,0 +1,20 @@
+-- 0005_permit_lifecycle: status events in each permit's lifecycle, from which the processing metrics are computed
+
+CREATE TABLE IF NOT EXISTS permit_events (
+    id SERIAL PRIMARY KEY,
+    permit_number VARCHAR(50) NOT NULL,
+    department VARCHAR(50) NOT NULL, -- department code, as in the departments registry
+    status VARCHAR(20) NOT NULL,
+    event_date DATE NOT NULL,
+    source_file VARCHAR(255) NOT NULL, -- re-ingesting a file replaces its rows
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (status IN ('submitted', 'in_review', 'revisions_requested', 'approved', 'issued'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_permit_events_permit_number ON permit_events(permit_number);
+CREATE INDEX IF NOT EXISTS idx_permit_events_event_date ON permit_events(event_date);
+CREATE INDEX IF NOT EXISTS idx_permit_events_source_file ON permit_events(source_file);
+
+DROP TRIGGER IF EXISTS update_permit_events_updated_at ON permit_events;
+CREATE TRIGGER update_permit_events_updated_at BEFORE UPDATE ON permit_events FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
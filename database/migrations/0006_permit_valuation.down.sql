@@ -0,0 +1,4 @@
+-- Revert 0006_permit_valuation
+
+DROP MATERIALIZED VIEW IF EXISTS permit_aggregates_yearly_valuation;
+DROP TABLE IF EXISTS unique_permits_yearly_valuation;
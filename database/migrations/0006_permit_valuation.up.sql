@@ -0,0 +1,26 @@
+-- 0006_permit_valuation: valuation totals and medians per year, imported or computed from permit records
+
+CREATE TABLE IF NOT EXISTS unique_permits_yearly_valuation (
+    id SERIAL PRIMARY KEY,
+    year INTEGER NOT NULL UNIQUE,
+    permit_count INTEGER NOT NULL, -- permits with a recorded valuation
+    total_valuation NUMERIC(16, 2) NOT NULL,
+    median_valuation NUMERIC(14, 2), -- unknown for pre-aggregated sources that only carry totals
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+DROP TRIGGER IF EXISTS update_unique_permits_yearly_valuation_updated_at ON unique_permits_yearly_valuation;
+CREATE TRIGGER update_unique_permits_yearly_valuation_updated_at BEFORE UPDATE ON unique_permits_yearly_valuation FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Same permits as permit_aggregates_yearly_bins: one valuation per permit, permits without one left out
+CREATE MATERIALIZED VIEW IF NOT EXISTS permit_aggregates_yearly_valuation AS
+SELECT EXTRACT(YEAR FROM application_date)::int AS year,
+       COUNT(*)::int AS permit_count,
+       SUM(valuation) AS total_valuation,
+       ROUND((PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY valuation))::numeric, 2) AS median_valuation
+FROM unique_permits
+WHERE valuation IS NOT NULL
+GROUP BY 1;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_permit_aggregates_yearly_valuation ON permit_aggregates_yearly_valuation(year);
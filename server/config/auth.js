@@ -0,0 +1,18 @@
+require("dotenv").config();
+const crypto = require("crypto");
+
+// Authentication configuration
+// Only explicit development and test environments may run without a JWT secret
+const allowsGeneratedSecret = ["development", "test"].includes(process.env.NODE_ENV);
+
+if (!process.env.JWT_SECRET && !allowsGeneratedSecret) {
+  throw new Error("JWT_SECRET must be set unless NODE_ENV is development or test");
+}
+
+module.exports = {
+  // Without JWT_SECRET a random secret is generated per process, so tokens end with a restart
+  jwtSecret: process.env.JWT_SECRET || crypto.randomBytes(32).toString("hex"),
+  accessTokenExpiresIn: process.env.JWT_EXPIRES_IN || "24h",
+  refreshTokenTtlDays: parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 7,
+  bcryptRounds: parseInt(process.env.BCRYPT_ROUNDS, 10) || 12
+};
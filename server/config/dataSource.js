@@ -0,0 +1,26 @@
+require("dotenv").config();
+const path = require("path");
+
+// Where dashboard data, logins and preferences are read from (see repositories/index.js)
+const DATA_SOURCES = ["postgres", "sqlite", "json"];
+
+const dataSource = (process.env.DATA_SOURCE || "postgres").trim().toLowerCase();
+if (!DATA_SOURCES.includes(dataSource)) {
+  throw new Error(`DATA_SOURCE must be one of ${DATA_SOURCES.join(", ")}, got "${process.env.DATA_SOURCE}"`);
+}
+
+module.exports = {
+  DATA_SOURCES,
+  dataSource,
+  // Database file for DATA_SOURCE=sqlite; created and filled from the bundled JSON when missing
+  sqlitePath: process.env.SQLITE_PATH || path.join(__dirname, "..", "data", "dashboard.sqlite"),
+  // Folder with the bundled exports (UniquePermitsAnalysisData/*.json and Departments.json)
+  jsonDataDir: process.env.JSON_DATA_DIR || path.join(__dirname, "..", "..", "public", "data"),
+  // Account created for DATA_SOURCE=sqlite or json when there are no users yet;
+  // without a password one is generated and printed to the terminal once
+  localAdmin: {
+    username: process.env.LOCAL_ADMIN_USERNAME || "admin",
+    email: process.env.LOCAL_ADMIN_EMAIL || "admin@localhost",
+    password: process.env.LOCAL_ADMIN_PASSWORD || null
+  }
+};
@@ -1,5 +1,9 @@
 const { Pool } = require("pg");
 require("dotenv").config();
+const logger = require("../utils/logger");
+
+// Queries slower than this are logged with their duration (DB_SLOW_QUERY_MS, default 500)
+const SLOW_QUERY_MS = Number(process.env.DB_SLOW_QUERY_MS) || 500;
 
 // Database connection configuration
 const pool = new Pool({
@@ -13,17 +17,159 @@ const pool = new Pool({
   connectionTimeoutMillis: 2000 // Return an error after 2 seconds if connection could not be established
 });
 
-// Test the connection
-pool.on("connect", () => {
-  console.log("Connected to PostgreSQL database");
+const queryStats = {
+  total: 0,
+  failed: 0,
+  slow: 0,
+  totalDurationMs: 0,
+  maxDurationMs: 0
+};
+
+// Query text on one line and cut short, so it can be logged without the parameters
+const summarize = text => (typeof text === "string" ? text.replace(/\s+/g, " ").trim().slice(0, 500) : undefined);
+
+const recordQuery = (text, started, error) => {
+  const durationMs = Math.round(Number(process.hrtime.bigint() - started) / 1e5) / 10;
+  queryStats.total += 1;
+  queryStats.totalDurationMs += durationMs;
+  queryStats.maxDurationMs = Math.max(queryStats.maxDurationMs, durationMs);
+  if (error) {
+    queryStats.failed += 1;
+  }
+  if (durationMs >= SLOW_QUERY_MS) {
+    queryStats.slow += 1;
+    logger.warn("Slow query", { durationMs, thresholdMs: SLOW_QUERY_MS, query: summarize(text), failed: Boolean(error) });
+  }
+};
+
+/*
+ * Time every query a pooled client runs, whether it comes through pool.query
+ * (which passes a callback) or from a client checked out for a transaction
+ * (which awaits the promise). Streaming queries (objects with submit) pass through.
+ */
+const instrumentClient = client => {
+  const originalQuery = client.query;
+  client.query = function instrumentedQuery(config, values, callback) {
+    if (config && typeof config.submit === "function") {
+      return originalQuery.apply(this, arguments);
+    }
+
+    const text = typeof config === "string" ? config : config && config.text;
+    const started = process.hrtime.bigint();
+    const done = typeof values === "function" ? values : callback;
+
+    if (typeof done === "function") {
+      const timed = (error, result) => {
+        recordQuery(text, started, error);
+        done(error, result);
+      };
+      return typeof values === "function"
+        ? originalQuery.call(this, config, timed)
+        : originalQuery.call(this, config, values, timed);
+    }
+
+    return originalQuery.apply(this, arguments).then(
+      result => {
+        recordQuery(text, started);
+        return result;
+      },
+      error => {
+        recordQuery(text, started, error);
+        throw error;
+      }
+    );
+  };
+};
+
+pool.on("connect", client => {
+  instrumentClient(client);
+  logger.debug("Connected to PostgreSQL database");
 });
 
+// Set when an idle client fails (e.g. the database restarted) until a query succeeds again
+const connection = {
+  lostAt: null,
+  reconnectAttempts: 0,
+  idleErrors: 0,
+  lastError: null
+};
+const RECONNECT_MAX_DELAY_MS = 30000;
+let reconnectTimer = null;
+let closing = false;
+
+/*
+ * Probe the database with growing delays (1s, 2s, 4s... up to 30s) until it
+ * answers. The pool itself recovers on its own, since it drops broken clients
+ * and opens new ones on demand; the probe logs when the database is back and
+ * keeps getPoolStats() accurate in the meantime.
+ */
+const scheduleReconnect = attempt => {
+  const delay = Math.min(1000 * 2 ** attempt, RECONNECT_MAX_DELAY_MS);
+  reconnectTimer = setTimeout(async () => {
+    reconnectTimer = null;
+    connection.reconnectAttempts = attempt + 1;
+    try {
+      await pool.query("SELECT 1");
+      logger.info("Database connection restored", {
+        attempts: connection.reconnectAttempts,
+        downForMs: Date.now() - connection.lostAt.getTime()
+      });
+      connection.lostAt = null;
+      connection.reconnectAttempts = 0;
+    } catch (error) {
+      if (closing) return;
+      logger.warn("Database still unreachable", { error, attempt: connection.reconnectAttempts });
+      scheduleReconnect(attempt + 1);
+    }
+  }, delay);
+  // Waiting to reconnect should not keep the process alive on its own
+  reconnectTimer.unref();
+};
+
+// An idle client lost its connection; pg has already removed it from the pool
 pool.on("error", (err) => {
-  console.error("Unexpected error on idle client", err);
-  process.exit(-1);
+  connection.idleErrors += 1;
+  connection.lastError = { message: err.message, at: new Date().toISOString() };
+  logger.error("Unexpected error on idle client", { error: err });
+  if (!closing && !connection.lostAt) {
+    connection.lostAt = new Date();
+    scheduleReconnect(0);
+  }
+});
+
+// Stop reconnecting and close every client once checked-out ones are released (graceful shutdown)
+const closePool = async () => {
+  closing = true;
+  clearTimeout(reconnectTimer);
+  await pool.end();
+};
+
+// Connection and query counters for /api/diagnostics
+const getPoolStats = () => ({
+  totalClients: pool.totalCount,
+  idleClients: pool.idleCount,
+  waitingRequests: pool.waitingCount,
+  maxClients: pool.options.max,
+  connection: {
+    lost: connection.lostAt !== null,
+    lostAt: connection.lostAt ? connection.lostAt.toISOString() : null,
+    reconnectAttempts: connection.reconnectAttempts,
+    idleErrors: connection.idleErrors,
+    lastError: connection.lastError
+  },
+  queries: {
+    total: queryStats.total,
+    failed: queryStats.failed,
+    slow: queryStats.slow,
+    slowThresholdMs: SLOW_QUERY_MS,
+    averageDurationMs: queryStats.total > 0 ? Math.round((queryStats.totalDurationMs / queryStats.total) * 10) / 10 : 0,
+    maxDurationMs: queryStats.maxDurationMs
+  }
 });
 
 module.exports = {
   query: (text, params) => pool.query(text, params),
-  pool
+  pool,
+  getPoolStats,
+  closePool
 };
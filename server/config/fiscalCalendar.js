@@ -0,0 +1,24 @@
+require("dotenv").config();
+
+// Fiscal calendar used to group monthly permit counts into fiscal years and quarters.
+// FISCAL_YEAR_START_MONTH is the first month of the fiscal year (1-12, 7 = July).
+// FISCAL_YEAR_LABEL names a fiscal year after the calendar year it "end"s in
+// (FY2025 = Jul 2024 - Jun 2025) or the one it "start"s in (FY2024 = Jul 2024 - Jun 2025).
+const YEAR_LABELS = ["end", "start"];
+
+const startMonth = process.env.FISCAL_YEAR_START_MONTH ? Number(process.env.FISCAL_YEAR_START_MONTH) : 7;
+const yearLabel = process.env.FISCAL_YEAR_LABEL || "end";
+
+// A wrong calendar silently shifts every fiscal figure, so refuse to start instead
+if (!Number.isInteger(startMonth) || startMonth < 1 || startMonth > 12) {
+  throw new Error(`FISCAL_YEAR_START_MONTH must be a month number from 1 to 12, got "${process.env.FISCAL_YEAR_START_MONTH}"`);
+}
+if (!YEAR_LABELS.includes(yearLabel)) {
+  throw new Error(`FISCAL_YEAR_LABEL must be one of ${YEAR_LABELS.join(", ")}, got "${yearLabel}"`);
+}
+
+module.exports = {
+  YEAR_LABELS,
+  startMonth,
+  yearLabel
+};
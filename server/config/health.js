@@ -0,0 +1,13 @@
+require("dotenv").config();
+
+// Readiness checks and graceful shutdown
+const readInt = (name, fallback) => parseInt(process.env[name], 10) || fallback;
+
+module.exports = {
+  // How long GET /api/health/ready waits for the database before reporting it down
+  checkTimeoutMs: readInt("HEALTH_CHECK_TIMEOUT_MS", 2000),
+  // Datasets whose latest row is older than this are reported as stale
+  dataMaxAgeDays: readInt("HEALTH_DATA_MAX_AGE_DAYS", 45),
+  // After SIGTERM, how long in-flight requests get before the process exits anyway
+  shutdownTimeoutMs: readInt("SHUTDOWN_TIMEOUT_MS", 10000)
+};
@@ -0,0 +1,23 @@
+require("dotenv").config();
+
+// Rate limiting configuration; every limit counts requests per RATE_LIMIT_WINDOW_MS
+const readInt = (name, fallback) => parseInt(process.env[name], 10) || fallback;
+
+// TRUST_PROXY is "true" or the number of proxy hops in front of the API, so req.ip
+// (and therefore the per-IP limit) uses the client address from X-Forwarded-For
+const readTrustProxy = () => {
+  const value = process.env.TRUST_PROXY;
+  if (!value || value === "false") return false;
+  if (value === "true") return true;
+  return parseInt(value, 10) || false;
+};
+
+module.exports = {
+  windowMs: readInt("RATE_LIMIT_WINDOW_MS", 15 * 60 * 1000),
+  maxRequestsPerIp: readInt("RATE_LIMIT_MAX_REQUESTS", 100),
+  maxRequestsPerUser: readInt("RATE_LIMIT_MAX_REQUESTS_PER_USER", 300),
+  // Failed logins and refreshes only; successful ones are not counted
+  maxAuthFailures: readInt("RATE_LIMIT_AUTH_MAX_REQUESTS", 10),
+  maxImports: readInt("RATE_LIMIT_IMPORT_MAX_REQUESTS", 20),
+  trustProxy: readTrustProxy()
+};
@@ -0,0 +1,39 @@
+// Role-based permission model shared by the route middleware and /api/auth/me
+
+const PERMISSIONS = {
+  DASHBOARDS_READ: "dashboards:read",
+  DATA_EXPORT: "data:export",
+  VIEWS_SAVE: "views:save",
+  DATA_IMPORT: "data:import",
+  USERS_MANAGE: "users:manage",
+  AUDIT_READ: "audit:read",
+  DIAGNOSTICS_READ: "diagnostics:read"
+};
+
+// Each role includes everything granted to the roles listed before it
+const ROLE_PERMISSIONS = {
+  viewer: [PERMISSIONS.DASHBOARDS_READ],
+  analyst: [PERMISSIONS.DASHBOARDS_READ, PERMISSIONS.DATA_EXPORT, PERMISSIONS.VIEWS_SAVE],
+  admin: Object.values(PERMISSIONS)
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Accounts created before roles existed carry the old 'user' default
+const LEGACY_ROLES = {
+  user: "viewer"
+};
+
+const normalizeRole = role => LEGACY_ROLES[role] || (ROLE_PERMISSIONS[role] ? role : "viewer");
+
+const permissionsForRole = role => ROLE_PERMISSIONS[normalizeRole(role)];
+
+const hasPermission = (role, permission) => permissionsForRole(role).includes(permission);
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  normalizeRole,
+  permissionsForRole,
+  hasPermission
+};
@@ -0,0 +1,232 @@
+const db = require("../config/database");
+const {
+  DATASETS,
+  ImportError,
+  parseUpload,
+  mapRecords,
+  assertImportable,
+  diffRows,
+  upsertRows,
+  rollbackDataset
+} = require("../services/import.service");
+const { listVersions } = require("../services/dataVersion.service");
+const {
+  PERMIT_RECORDS_NAME,
+  PERMIT_RECORDS,
+  mapPermitRecords,
+  ingestPermits
+} = require("../services/permitRecords.service");
+const {
+  PERMIT_EVENTS_NAME,
+  PERMIT_EVENTS,
+  mapPermitEvents,
+  ingestPermitEvents
+} = require("../services/permitLifecycle.service");
+const { QueryValidationError, readSingle } = require("../utils/queryParams");
+const { requestContext } = require("../services/audit.service");
+const logger = require("../utils/logger");
+
+const PREVIEW_ROWS = 20;
+const DIFF_ROWS = 200;
+
+// Keep the preview response small; counts always cover the whole diff
+const limitDiff = diff => ({
+  counts: {
+    inserts: diff.inserts.length,
+    updates: diff.updates.length,
+    unchanged: diff.unchanged,
+    missing: diff.missing.length
+  },
+  inserts: diff.inserts.slice(0, DIFF_ROWS),
+  updates: diff.updates.slice(0, DIFF_ROWS),
+  missing: diff.missing.slice(0, DIFF_ROWS)
+});
+
+// List the datasets that can be imported and the columns each one expects,
+// followed by raw permit records (which recompute the permit aggregates) and
+// permit lifecycle events, neither of which is versioned
+exports.getImportDatasets = (req, res) => {
+  const datasets = [
+    ...Object.entries(DATASETS),
+    [PERMIT_RECORDS_NAME, PERMIT_RECORDS],
+    [PERMIT_EVENTS_NAME, PERMIT_EVENTS]
+  ];
+  res.json(datasets.map(([name, dataset]) => ({
+    name,
+    label: dataset.label,
+    table: dataset.table,
+    versioned: Boolean(DATASETS[name]),
+    columns: dataset.fields.map(field => ({
+      column: field.column,
+      type: field.type,
+      aliases: field.aliases,
+      required: field.required !== false,
+      ...(field.enum && { allowedValues: field.enum }),
+      ...(field.min !== undefined && { min: field.min }),
+      ...(field.max !== undefined && { max: field.max })
+    }))
+  })));
+};
+
+/**
+ * Shared handling of an import upload: parse the file and map it with `map`,
+ * then with ?preview=true (a dry run) return the mapped rows and data-quality
+ * report without writing, or else write the rows with `ingest`. Uploads with
+ * blocking errors are never written, and ImportErrors become 400s.
+ *   dataset, table - what the upload is reported as
+ *   label          - e.g. "permit records", for the logged and returned errors
+ *   map(records)   - resolves to { rows, columnMapping, report }
+ *   diff(rows)     - optional; previews include its result against the current rows
+ *   ingest(client, rows, { columnMapping, report }) - writes the rows on a pooled
+ *                    client and resolves to the fields added to the response
+ */
+const handleImportUpload = async (req, res, { dataset, table, label, map, diff, ingest }) => {
+  try {
+    const { rows, columnMapping, report } = map(parseUpload(req.body));
+
+    if (req.query.preview === "true") {
+      return res.json({
+        dataset,
+        table,
+        rowCount: rows.length,
+        columnMapping,
+        report,
+        diff: diff && report.valid ? limitDiff(await diff(rows)) : null,
+        preview: rows.slice(0, PREVIEW_ROWS),
+        imported: false
+      });
+    }
+
+    assertImportable(report);
+
+    const client = await db.pool.connect();
+    let result;
+    try {
+      result = await ingest(client, rows, { columnMapping, report });
+    } finally {
+      client.release();
+    }
+
+    res.json({ dataset, table, columnMapping, report, imported: true, ...result });
+  } catch (error) {
+    if (error instanceof ImportError) {
+      return res.status(400).json({
+        error: error.message,
+        details: error.details,
+        ...(error.report && { report: error.report })
+      });
+    }
+    logger.error(`Error importing ${label}`, { error });
+    res.status(500).json({ error: `Failed to import ${label}` });
+  }
+};
+
+// Import an uploaded JSON/CSV/XLSX file into one dataset. Previews include a
+// diff against the table's current rows.
+exports.importDataset = (req, res) => {
+  const { dataset } = req.params;
+
+  return handleImportUpload(req, res, {
+    dataset,
+    table: DATASETS[dataset]?.table,
+    label: "dataset",
+    map: records => mapRecords(dataset, records),
+    diff: rows => diffRows(db, dataset, rows),
+    ingest: async (client, rows, { columnMapping, report }) => {
+      const { table, rowCount, version } = await upsertRows(client, dataset, rows, {
+        source: readSingle(req.query, "fileName") || null,
+        audit: { ...requestContext(req), newValues: { columnMapping, warningCount: report.warningCount } }
+      });
+      return { table, rowCount, version };
+    }
+  });
+};
+
+// Load individual permit records from a CSV/XLSX/JSON export and recompute the
+// unique-permit aggregates. Rows previously loaded from a file with the same name
+// are replaced.
+exports.importPermits = (req, res) => {
+  // The curated unique_permits_* tables are only overwritten when asked for explicitly
+  const replaceAggregates = req.query.replaceAggregates === "true";
+  const fileName = readSingle(req.query, "fileName") || "admin upload";
+
+  return handleImportUpload(req, res, {
+    dataset: PERMIT_RECORDS_NAME,
+    table: PERMIT_RECORDS.table,
+    label: "permit records",
+    map: mapPermitRecords,
+    ingest: async (client, rows, { columnMapping }) => {
+      const result = await ingestPermits(client, rows, {
+        sourceFile: fileName,
+        replaceAggregates,
+        audit: { ...requestContext(req), newValues: { columnMapping, file: fileName, replaceAggregates } }
+      });
+      return {
+        ...result,
+        aggregates: result.aggregates.map(aggregate => ({ ...aggregate, diff: limitDiff(aggregate.diff) }))
+      };
+    }
+  });
+};
+
+// Load permit lifecycle events (status changes) from a CSV/XLSX/JSON export.
+// Events previously loaded from a file with the same name are replaced.
+exports.importPermitEvents = (req, res) => {
+  const fileName = readSingle(req.query, "fileName") || "admin upload";
+
+  return handleImportUpload(req, res, {
+    dataset: PERMIT_EVENTS_NAME,
+    table: PERMIT_EVENTS.table,
+    label: "permit events",
+    map: mapPermitEvents,
+    ingest: (client, rows, { columnMapping }) => ingestPermitEvents(client, rows, {
+      sourceFile: fileName,
+      audit: { ...requestContext(req), newValues: { columnMapping, file: fileName } }
+    })
+  });
+};
+
+// List recorded data versions, newest first; ?dataset= limits the list to one dataset
+exports.getDataVersions = async (req, res) => {
+  try {
+    const dataset = readSingle(req.query, "dataset");
+    if (dataset && !DATASETS[dataset]) {
+      throw new QueryValidationError([`dataset must be one of ${Object.keys(DATASETS).join(", ")}`]);
+    }
+    res.json(await listVersions({ dataset }));
+  } catch (error) {
+    if (error instanceof QueryValidationError) {
+      return res.status(400).json({ error: error.message, details: error.details });
+    }
+    logger.error("Error fetching data versions", { error });
+    res.status(500).json({ error: "Failed to fetch data versions" });
+  }
+};
+
+// Restore a dataset to the rows it had at an earlier version
+exports.rollbackDataVersion = async (req, res) => {
+  const { dataset } = req.params;
+  const version = Number(req.params.version);
+
+  try {
+    if (!Number.isInteger(version) || version < 1) {
+      throw new ImportError("Invalid data version", ["version must be a positive whole number"]);
+    }
+
+    const client = await db.pool.connect();
+    let result;
+    try {
+      result = await rollbackDataset(client, dataset, version, { audit: requestContext(req) });
+    } finally {
+      client.release();
+    }
+
+    res.json({ dataset, ...result });
+  } catch (error) {
+    if (error instanceof ImportError) {
+      return res.status(400).json({ error: error.message, details: error.details });
+    }
+    logger.error("Error rolling back dataset", { error });
+    res.status(500).json({ error: "Failed to roll back dataset" });
+  }
+};
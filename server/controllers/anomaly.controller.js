@@ -0,0 +1,147 @@
+const repository = require("../repositories");
+const { DEFAULT_THRESHOLD, minObservations, detectAnomalies } = require("../utils/anomalyDetection");
+const { QueryValidationError, readList, readSingle } = require("../utils/queryParams");
+const { readCalendarView } = require("../utils/fiscalCalendar");
+const { PERMIT_SERIES } = require("../utils/permitSeries");
+const logger = require("../utils/logger");
+
+const MIN_THRESHOLD = 2;
+const MAX_THRESHOLD = 6;
+
+/*
+ * Series that can be checked: the seasonal permit series (one series each) and
+ * the yearly department activity (one series per department, no seasonality).
+ */
+const ANOMALY_SERIES = {
+  monthly: PERMIT_SERIES.monthly,
+  quarterly: PERMIT_SERIES.quarterly,
+  "department-activity": {
+    period: 1,
+    tables: ["department_activity"],
+    label: (period, calendar, row) => String(row.fiscal_year)
+  }
+};
+
+const isDepartmentSeries = name => name === "department-activity";
+
+// Tables behind an anomaly request, for conditionalGet
+exports.tablesForSeries = name => (ANOMALY_SERIES[name] || ANOMALY_SERIES.monthly).tables;
+
+const parseAnomalyQuery = query => {
+  const errors = [];
+  const seriesName = readSingle(query, "series") || "monthly";
+  const series = ANOMALY_SERIES[seriesName];
+  if (!series) {
+    errors.push(`series must be one of ${Object.keys(ANOMALY_SERIES).join(", ")}, got "${seriesName}"`);
+  }
+
+  // Department activity is stored by year only, so it has no fiscal view
+  let calendar = readCalendarView(query, errors);
+  const departments = readList(query, "departments");
+  if (isDepartmentSeries(seriesName)) {
+    if (readSingle(query, "calendar") !== undefined) {
+      errors.push("calendar does not apply to department-activity");
+    }
+    calendar = null;
+  } else if (departments !== undefined) {
+    errors.push(`departments only applies to department-activity, not ${seriesName}`);
+  }
+
+  const thresholdRaw = readSingle(query, "threshold");
+  let threshold = DEFAULT_THRESHOLD;
+  if (thresholdRaw !== undefined) {
+    threshold = Number(thresholdRaw);
+    if (!Number.isFinite(threshold) || threshold < MIN_THRESHOLD || threshold > MAX_THRESHOLD) {
+      errors.push(`threshold must be a number from ${MIN_THRESHOLD} to ${MAX_THRESHOLD}, got "${thresholdRaw}"`);
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new QueryValidationError(errors);
+  }
+  return { seriesName, series, calendar, departments, threshold };
+};
+
+// Rows split into one chronological series per department (a single group for permit series)
+const groupRows = (rows, period) => {
+  const groups = new Map();
+  rows.forEach(row => {
+    const key = row.department || null;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  });
+  groups.forEach(group => group.sort((a, b) => a.fiscal_year - b.fiscal_year || a.period - b.period));
+  return [...groups.entries()].map(([department, group]) => ({
+    department,
+    rows: group,
+    observations: group.map(row => ({ t: row.fiscal_year * period + row.period - 1, season: row.period - 1, value: row.value }))
+  }));
+};
+
+/*
+ * Flag observations that are far from the value expected from their trend
+ * and season. `threshold` is the robust z-score from which a point is an
+ * anomaly; severity rises one level per further standard deviation.
+ * Series too short to model are skipped with a warning.
+ */
+exports.getAnomalies = async (req, res) => {
+  try {
+    const { seriesName, series, calendar, departments, threshold } = parseAnomalyQuery(req.query);
+    const { period } = series;
+
+    const rows = isDepartmentSeries(seriesName)
+      ? (await repository.departments.activity({ departments }))
+        .map(row => ({ fiscal_year: row.year, period: 1, department: row.department, value: row.activity_count }))
+      : (await repository.permits.series(seriesName, calendar))
+        .map(row => ({ fiscal_year: row.fiscal_year, period: row.period, value: row.permit_count }));
+
+    const warnings = rows.length === 0 ? ["No observations to check"] : [];
+    const anomalies = [];
+    let checked = 0;
+
+    groupRows(rows, period).forEach(({ department, rows: seriesRows, observations }) => {
+      const needed = minObservations(period);
+      if (observations.length < needed) {
+        warnings.push(`${department ? `${department}: ` : ""}needs at least ${needed} periods of history, found ${observations.length}`);
+        return;
+      }
+      checked += observations.length;
+
+      detectAnomalies(observations, { period, threshold }).forEach((result, index) => {
+        if (!result.anomaly) return;
+        const row = seriesRows[index];
+        anomalies.push({
+          fiscal_year: row.fiscal_year,
+          period: row.period,
+          label: series.label(row.period, calendar, row),
+          department,
+          value: row.value,
+          expected: result.expected,
+          lower: result.lower,
+          upper: result.upper,
+          z_score: result.z_score,
+          severity: result.severity,
+          direction: result.direction
+        });
+      });
+    });
+
+    anomalies.sort((a, b) => a.fiscal_year - b.fiscal_year || a.period - b.period || (a.department || "").localeCompare(b.department || ""));
+
+    res.json({
+      series: seriesName,
+      calendar,
+      period,
+      threshold,
+      checked,
+      anomalies,
+      warnings
+    });
+  } catch (error) {
+    if (error instanceof QueryValidationError) {
+      return res.status(400).json({ error: error.message, details: error.details });
+    }
+    logger.error("Error detecting anomalies", { error });
+    res.status(500).json({ error: "Failed to detect anomalies" });
+  }
+};
@@ -0,0 +1,56 @@
+const { QueryValidationError } = require("../utils/queryParams");
+const { AUDIT_ACTIONS, requestContext, recordAudit, findAuditLogs } = require("../services/audit.service");
+const logger = require("../utils/logger");
+
+const MAX_TEXT_LENGTH = 200;
+
+// Search the audit log
+exports.getAuditLogs = async (req, res) => {
+  try {
+    res.json(await findAuditLogs(req.query));
+  } catch (error) {
+    if (error instanceof QueryValidationError) {
+      return res.status(400).json({ error: error.message, details: error.details });
+    }
+    logger.error("Error fetching audit logs", { error });
+    res.status(500).json({ error: "Failed to fetch audit logs" });
+  }
+};
+
+// List the actions that can appear in the audit log
+exports.getAuditActions = (req, res) => {
+  res.json(Object.values(AUDIT_ACTIONS));
+};
+
+// Record a client-side export (XLSX downloads are generated in the browser)
+exports.recordExport = async (req, res) => {
+  try {
+    const { source, title, fileName, rowCount } = req.body || {};
+    const errors = [];
+
+    [["source", source], ["title", title], ["fileName", fileName]].forEach(([name, value]) => {
+      if (value !== undefined && (typeof value !== "string" || value.length > MAX_TEXT_LENGTH)) {
+        errors.push(`${name} must be a string of at most ${MAX_TEXT_LENGTH} characters`);
+      }
+    });
+    if (typeof source !== "string" || source.length === 0) {
+      errors.push("source is required");
+    }
+    if (rowCount !== undefined && (!Number.isInteger(rowCount) || rowCount < 0)) {
+      errors.push("rowCount must be a non-negative whole number");
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ error: "Invalid export record", details: errors });
+    }
+
+    await recordAudit({
+      ...requestContext(req),
+      action: AUDIT_ACTIONS.DATA_EXPORT,
+      newValues: { source, title, fileName, rowCount }
+    });
+    res.status(204).end();
+  } catch (error) {
+    logger.error("Error recording export", { error });
+    res.status(500).json({ error: "Failed to record export" });
+  }
+};
@@ -0,0 +1,71 @@
+const authService = require("../services/auth.service");
+const logger = require("../utils/logger");
+
+// Log in with a username or email and password
+exports.login = async (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+    if (typeof username !== "string" || typeof password !== "string" || !username || !password) {
+      return res.status(400).json({ error: "username and password are required" });
+    }
+
+    const user = await authService.findUserByLogin(username.trim());
+    const isValid = user && user.is_active && await authService.verifyPassword(password, user.password_hash);
+    if (!isValid) {
+      return res.status(401).json({ error: "Invalid username or password" });
+    }
+
+    res.json(await authService.createSession(user));
+  } catch (error) {
+    logger.error("Error logging in", { error });
+    res.status(500).json({ error: "Failed to log in" });
+  }
+};
+
+// Exchange a refresh token for a new access/refresh token pair
+exports.refresh = async (req, res) => {
+  try {
+    const { refreshToken } = req.body || {};
+    if (typeof refreshToken !== "string" || !refreshToken) {
+      return res.status(400).json({ error: "refreshToken is required" });
+    }
+
+    const session = await authService.rotateRefreshToken(refreshToken);
+    if (!session) {
+      return res.status(401).json({ error: "Invalid or expired refresh token" });
+    }
+
+    res.json(session);
+  } catch (error) {
+    logger.error("Error refreshing token", { error });
+    res.status(500).json({ error: "Failed to refresh token" });
+  }
+};
+
+// Revoke the refresh token of the current session
+exports.logout = async (req, res) => {
+  try {
+    const { refreshToken } = req.body || {};
+    if (typeof refreshToken === "string" && refreshToken) {
+      await authService.revokeRefreshToken(refreshToken);
+    }
+    res.status(204).end();
+  } catch (error) {
+    logger.error("Error logging out", { error });
+    res.status(500).json({ error: "Failed to log out" });
+  }
+};
+
+// Get the logged-in user
+exports.me = async (req, res) => {
+  try {
+    const user = await authService.findUserById(req.user.id);
+    if (!user || !user.is_active) {
+      return res.status(401).json({ error: "User no longer exists or is inactive" });
+    }
+    res.json(authService.toPublicUser(user));
+  } catch (error) {
+    logger.error("Error fetching current user", { error });
+    res.status(500).json({ error: "Failed to fetch current user" });
+  }
+};
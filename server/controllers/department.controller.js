@@ -1,14 +1,22 @@
-const db = require("../config/database");
+const repository = require("../repositories");
+const logger = require("../utils/logger");
+
+// Get the department registry, in navigation order
+exports.getDepartments = async (req, res) => {
+  try {
+    res.json(await repository.departments.list());
+  } catch (error) {
+    logger.error("Error fetching departments", { error });
+    res.status(500).json({ error: "Failed to fetch departments" });
+  }
+};
 
 // Get all department activity
 exports.getDepartmentActivity = async (req, res) => {
   try {
-    const result = await db.query(
-      "SELECT * FROM department_activity ORDER BY year DESC, department"
-    );
-    res.json(result.rows);
+    res.json(await repository.departments.activity());
   } catch (error) {
-    console.error("Error fetching department activity:", error);
+    logger.error("Error fetching department activity", { error });
     res.status(500).json({ error: "Failed to fetch department activity" });
   }
 };
@@ -16,12 +24,9 @@ exports.getDepartmentActivity = async (req, res) => {
 // Get department activity by weekday
 exports.getDepartmentActivityWeekday = async (req, res) => {
   try {
-    const result = await db.query(
-      "SELECT * FROM department_activity_weekday ORDER BY year DESC, department"
-    );
-    res.json(result.rows);
+    res.json(await repository.departments.activityWeekday());
   } catch (error) {
-    console.error("Error fetching weekday activity:", error);
+    logger.error("Error fetching weekday activity", { error });
     res.status(500).json({ error: "Failed to fetch weekday activity" });
   }
 };
@@ -30,13 +35,9 @@ exports.getDepartmentActivityWeekday = async (req, res) => {
 exports.getActivityByDepartment = async (req, res) => {
   try {
     const { department } = req.params;
-    const result = await db.query(
-      "SELECT * FROM department_activity WHERE department = $1 ORDER BY year DESC",
-      [department]
-    );
-    res.json(result.rows);
+    res.json(await repository.departments.activityFor(department));
   } catch (error) {
-    console.error("Error fetching activity by department:", error);
+    logger.error("Error fetching activity by department", { error });
     res.status(500).json({ error: "Failed to fetch activity by department" });
   }
 };
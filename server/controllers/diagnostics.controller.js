@@ -0,0 +1,33 @@
+const { getPoolStats } = require("../config/database");
+const { dataSource } = require("../config/dataSource");
+const { getCacheStats } = require("../services/cache.service");
+const { getRequestStats } = require("../middleware/requestTracing");
+const logger = require("../utils/logger");
+
+const startedAt = new Date();
+
+// Process, database pool, query cache and request figures since startup, with the latest logged errors
+exports.getDiagnostics = (req, res) => {
+  try {
+    const memory = process.memoryUsage();
+    res.set("Cache-Control", "no-store");
+    res.json({
+      startedAt: startedAt.toISOString(),
+      uptimeSeconds: Math.round(process.uptime()),
+      nodeVersion: process.version,
+      dataSource,
+      memory: {
+        rssBytes: memory.rss,
+        heapUsedBytes: memory.heapUsed,
+        heapTotalBytes: memory.heapTotal
+      },
+      requests: getRequestStats(),
+      database: getPoolStats(),
+      cache: getCacheStats(),
+      recentErrors: logger.getRecentErrors()
+    });
+  } catch (error) {
+    logger.error("Error collecting diagnostics", { error });
+    res.status(500).json({ error: "Failed to collect diagnostics" });
+  }
+};
@@ -0,0 +1,142 @@
+const repository = require("../repositories");
+const { MODELS, backtest } = require("../utils/forecastModels");
+const { QueryValidationError, readList, readSingle } = require("../utils/queryParams");
+const { readCalendarView } = require("../utils/fiscalCalendar");
+const { PERMIT_SERIES } = require("../utils/permitSeries");
+const logger = require("../utils/logger");
+
+const MAX_SEASONS_AHEAD = 3;
+
+// Tables behind a forecast request, for conditionalGet
+exports.tablesForSeries = name => (PERMIT_SERIES[name] || PERMIT_SERIES.monthly).tables;
+
+const parseForecastQuery = query => {
+  const errors = [];
+  const seriesName = readSingle(query, "series") || "monthly";
+  const series = PERMIT_SERIES[seriesName];
+  if (!series) {
+    errors.push(`series must be one of ${Object.keys(PERMIT_SERIES).join(", ")}, got "${seriesName}"`);
+  }
+
+  const calendar = readCalendarView(query, errors);
+
+  const models = readList(query, "models") || Object.keys(MODELS);
+  const unknown = models.filter(model => !MODELS[model]);
+  if (models.length === 0) {
+    errors.push("models must contain at least one model");
+  } else if (unknown.length > 0) {
+    errors.push(`models must be within ${Object.keys(MODELS).join(", ")}, got ${unknown.join(", ")}`);
+  }
+
+  const horizonRaw = readSingle(query, "horizon");
+  let horizon;
+  if (horizonRaw !== undefined) {
+    horizon = Number(horizonRaw);
+    const max = series ? series.period * MAX_SEASONS_AHEAD : undefined;
+    if (!Number.isInteger(horizon) || horizon < 1 || (max && horizon > max)) {
+      errors.push(`horizon must be a whole number from 1 to ${max || "three seasons"}, got "${horizonRaw}"`);
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new QueryValidationError(errors);
+  }
+  return { seriesName, series, calendar, models, horizon };
+};
+
+// The latest unbroken run of periods; forecasts need evenly spaced observations
+const contiguousTail = (rows, period) => {
+  const sorted = [...rows].sort((a, b) => a.fiscal_year - b.fiscal_year || a.period - b.period);
+  const index = row => row.fiscal_year * period + row.period - 1;
+  let start = sorted.length - 1;
+  while (start > 0 && index(sorted[start]) - index(sorted[start - 1]) === 1) {
+    start--;
+  }
+  return sorted.slice(start);
+};
+
+// Period `steps` after the last observed one
+const periodAfter = (last, steps, period) => {
+  const offset = last.period - 1 + steps;
+  return { fiscal_year: last.fiscal_year + Math.floor(offset / period), period: (offset % period) + 1 };
+};
+
+// Observed plus forecast counts for each year the forecast reaches into
+const yearTotals = (history, forecast) => {
+  const years = [...new Set(forecast.map(point => point.fiscal_year))];
+  const sum = (points, year, field) => points
+    .filter(point => point.fiscal_year === year)
+    .reduce((total, point) => total + point[field], 0);
+
+  return years.map(year => {
+    const observed = sum(history, year, "permit_count");
+    const forecasted = Math.round(sum(forecast, year, "value"));
+    return { fiscal_year: year, observed, forecast: forecasted, total: observed + forecasted };
+  });
+};
+
+/*
+ * Forecast the monthly or quarterly unique permit counts with each requested
+ * model. The default horizon runs to the end of the next year in the chosen
+ * calendar view, so calendar=fiscal answers "how many permits next fiscal year".
+ * `recommended` is the model with the lowest backtest MASE.
+ */
+exports.getForecast = async (req, res) => {
+  try {
+    const { seriesName, series, calendar, models, horizon: requestedHorizon } = parseForecastQuery(req.query);
+    const { period } = series;
+
+    const rows = await repository.permits.series(seriesName, calendar);
+    const history = contiguousTail(rows, period);
+    const values = history.map(row => row.permit_count);
+    const last = history[history.length - 1];
+    const horizon = requestedHorizon || (last ? period - last.period + period : period);
+
+    const labelled = point => ({ ...point, label: series.label(point.period, calendar) });
+    const warnings = [];
+
+    const results = models
+      .filter(name => {
+        const minLength = MODELS[name].minLength(period);
+        if (values.length < minLength) {
+          warnings.push(`${name} needs at least ${minLength} consecutive periods of history, found ${values.length}`);
+          return false;
+        }
+        return true;
+      })
+      .map(name => {
+        const model = MODELS[name];
+        const { parameters, points } = model.forecast(values, period, horizon);
+        const forecast = points.map((point, index) => ({ ...labelled(periodAfter(last, index + 1, period)), ...point }));
+        return {
+          model: name,
+          parameters,
+          forecast,
+          totals: yearTotals(history, forecast),
+          backtest: backtest(model, values, period)
+        };
+      });
+
+    const scored = results.filter(result => result.backtest && result.backtest.mase !== null);
+    const recommended = scored.length > 0
+      ? scored.reduce((best, result) => (result.backtest.mase < best.backtest.mase ? result : best)).model
+      : (results[0] ? results[0].model : null);
+
+    res.json({
+      series: seriesName,
+      calendar,
+      period,
+      horizon,
+      history: history.map(row => ({ ...labelled({ fiscal_year: row.fiscal_year, period: row.period }), value: row.permit_count })),
+      models: results,
+      recommended,
+      warnings
+    });
+  } catch (error) {
+    if (error instanceof QueryValidationError) {
+      return res.status(400).json({ error: error.message, details: error.details });
+    }
+    logger.error("Error computing forecast", { error });
+    res.status(500).json({ error: "Failed to compute forecast" });
+  }
+};
@@ -0,0 +1,35 @@
+const { getReadiness } = require("../services/health.service");
+const logger = require("../utils/logger");
+
+// Probe responses must never come from a cache
+const noStore = res => res.set("Cache-Control", "no-store");
+
+// Liveness: the process is up and serving requests; checks nothing else, so a
+// database outage does not get the instance restarted
+exports.getLiveness = (req, res) => {
+  noStore(res);
+  res.json({
+    status: "OK",
+    message: "Dashboard API is running",
+    timestamp: new Date().toISOString(),
+    uptimeSeconds: Math.round(process.uptime())
+  });
+};
+
+// Readiness: 200 while the instance can serve traffic (ready or degraded), 503 otherwise
+exports.getReadiness = async (req, res) => {
+  noStore(res);
+  try {
+    const readiness = await getReadiness();
+    if (readiness.status === "unavailable") {
+      logger.warn("Readiness check failed", { checks: readiness.checks, reason: readiness.message });
+    }
+    res.status(readiness.status === "unavailable" ? 503 : 200).json({
+      ...readiness,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error("Error checking readiness", { error });
+    res.status(503).json({ status: "unavailable", message: "Failed to check readiness", checks: {}, timestamp: new Date().toISOString() });
+  }
+};
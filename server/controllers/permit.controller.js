@@ -1,53 +1,54 @@
-const db = require("../config/database");
+const repository = require("../repositories");
+const { readFilters, QueryValidationError } = require("../utils/queryParams");
+const { readCalendarView } = require("../utils/fiscalCalendar");
+const { PERMIT_DATASETS, permitDatasetFor } = require("../utils/permitDatasets");
+const logger = require("../utils/logger");
 
-// Get all yearly permits
-exports.getYearlyPermits = async (req, res) => {
-  try {
-    const result = await db.query(
-      "SELECT fiscal_year, permit_count FROM unique_permits_yearly ORDER BY fiscal_year DESC"
-    );
-    res.json(result.rows);
-  } catch (error) {
-    console.error("Error fetching yearly permits:", error);
-    res.status(500).json({ error: "Failed to fetch yearly permits" });
+// The calendar view requested for a dataset; datasets without fiscal views always use "calendar"
+const readView = (name, query) => {
+  if (!PERMIT_DATASETS[name].calendarViews) {
+    return "calendar";
   }
-};
 
-// Get monthly permits
-exports.getMonthlyPermits = async (req, res) => {
-  try {
-    const result = await db.query(
-      "SELECT year as fiscal_year, month, permit_count FROM unique_permits_monthly ORDER BY year DESC, month"
-    );
-    res.json(result.rows);
-  } catch (error) {
-    console.error("Error fetching monthly permits:", error);
-    res.status(500).json({ error: "Failed to fetch monthly permits" });
+  const errors = [];
+  const view = readCalendarView(query, errors);
+  if (errors.length > 0) {
+    throw new QueryValidationError(errors);
   }
+  return view;
 };
 
-// Get quarterly permits
-exports.getQuarterlyPermits = async (req, res) => {
+// Send the filtered, sorted rows of one of the permit datasets
+const sendPermitRows = async (req, res, name, errorMessage) => {
   try {
-    const result = await db.query(
-      "SELECT year as fiscal_year, quarter, permit_count FROM unique_permits_quarterly ORDER BY year DESC, quarter"
-    );
-    res.json(result.rows);
+    const view = readView(name, req.query);
+    const filters = readFilters(req.query, permitDatasetFor(name, view));
+    res.json(await repository.permits.list(name, view, filters));
   } catch (error) {
-    console.error("Error fetching quarterly permits:", error);
-    res.status(500).json({ error: "Failed to fetch quarterly permits" });
+    if (error instanceof QueryValidationError) {
+      return res.status(400).json({ error: error.message, details: error.details });
+    }
+    logger.error(`Error fetching ${errorMessage}`, { error });
+    res.status(500).json({ error: `Failed to fetch ${errorMessage}` });
   }
 };
 
+// Get all yearly permits
+exports.getYearlyPermits = (req, res) =>
+  sendPermitRows(req, res, "yearly", "yearly permits");
+
+// Get monthly permits
+exports.getMonthlyPermits = (req, res) =>
+  sendPermitRows(req, res, "monthly", "monthly permits");
+
+// Get quarterly permits
+exports.getQuarterlyPermits = (req, res) =>
+  sendPermitRows(req, res, "quarterly", "quarterly permits");
+
 // Get yearly bins
-exports.getYearlyBins = async (req, res) => {
-  try {
-    const result = await db.query(
-      "SELECT year, bin_range, permit_count FROM unique_permits_yearly_bins ORDER BY year DESC, bin_range"
-    );
-    res.json(result.rows);
-  } catch (error) {
-    console.error("Error fetching yearly bins:", error);
-    res.status(500).json({ error: "Failed to fetch yearly bins" });
-  }
-};
+exports.getYearlyBins = (req, res) =>
+  sendPermitRows(req, res, "yearlyBins", "yearly bins");
+
+// Get valuation totals, means and medians per year
+exports.getYearlyValuation = (req, res) =>
+  sendPermitRows(req, res, "yearlyValuation", "yearly valuation");
@@ -0,0 +1,51 @@
+const repository = require("../repositories");
+const logger = require("../utils/logger");
+
+const KEY_PATTERN = /^[A-Za-z0-9_.:-]{1,100}$/;
+const MAX_VALUE_LENGTH = 10000;
+const MAX_KEYS_PER_UPDATE = 50;
+
+// Get the logged-in user's preferences as { key: value }
+exports.getPreferences = async (req, res) => {
+  try {
+    res.json(await repository.preferences.get(req.user.id));
+  } catch (error) {
+    logger.error("Error fetching preferences", { error });
+    res.status(500).json({ error: "Failed to fetch preferences" });
+  }
+};
+
+// Merge { key: value } into the logged-in user's preferences; a null value removes the key.
+// Values are stored as the same strings the browser keeps in localStorage.
+exports.updatePreferences = async (req, res) => {
+  const body = req.body;
+  const errors = [];
+
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    errors.push("Send an object of preference keys to string values");
+  } else {
+    const entries = Object.entries(body);
+    if (entries.length === 0 || entries.length > MAX_KEYS_PER_UPDATE) {
+      errors.push(`Send between 1 and ${MAX_KEYS_PER_UPDATE} preferences`);
+    }
+    entries.forEach(([key, value]) => {
+      if (!KEY_PATTERN.test(key)) {
+        errors.push(`"${key}" is not a valid preference key`);
+      }
+      if (value !== null && (typeof value !== "string" || value.length > MAX_VALUE_LENGTH)) {
+        errors.push(`${key} must be null or a string of at most ${MAX_VALUE_LENGTH} characters`);
+      }
+    });
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({ error: "Invalid preferences", details: errors });
+  }
+
+  try {
+    res.json(await repository.preferences.update(req.user.id, body));
+  } catch (error) {
+    logger.error("Error updating preferences", { error });
+    res.status(500).json({ error: "Failed to update preferences" });
+  }
+};
@@ -0,0 +1,27 @@
+const repository = require("../repositories");
+const { parseAggregateRequest } = require("../utils/aggregateQuery");
+const { QueryValidationError } = require("../utils/queryParams");
+const logger = require("../utils/logger");
+
+// Run an ad-hoc aggregation over one of the whitelisted datasets
+exports.runQuery = async (req, res) => {
+  try {
+    const request = parseAggregateRequest(req.query);
+    const { dataset, measure, groupBy, calendar } = request;
+    const rows = await repository.permits.aggregate(request);
+
+    res.json({
+      dataset,
+      measure,
+      groupBy,
+      calendar,
+      rows
+    });
+  } catch (error) {
+    if (error instanceof QueryValidationError) {
+      return res.status(400).json({ error: error.message, details: error.details });
+    }
+    logger.error("Error running aggregate query", { error });
+    res.status(500).json({ error: "Failed to run aggregate query" });
+  }
+};
@@ -0,0 +1,166 @@
+const db = require("../config/database");
+const { ROLES } = require("../config/roles");
+const { hashPassword, toPublicUser } = require("../services/auth.service");
+const { AUDIT_ACTIONS, requestContext, recordAudit } = require("../services/audit.service");
+const logger = require("../utils/logger");
+
+const MIN_PASSWORD_LENGTH = 8;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const validateRole = (role, errors) => {
+  if (!ROLES.includes(role)) {
+    errors.push(`role must be one of ${ROLES.join(", ")}`);
+  }
+};
+
+const validatePassword = (password, errors) => {
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    errors.push(`password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+};
+
+const toUserResponse = user => ({
+  ...toPublicUser(user),
+  createdAt: user.created_at,
+  updatedAt: user.updated_at
+});
+
+// The audited fields of a user row; password hashes are never logged
+const toAuditValues = user => ({
+  username: user.username,
+  email: user.email,
+  role: user.role,
+  isActive: user.is_active
+});
+
+// Get all users
+exports.getUsers = async (req, res) => {
+  try {
+    const result = await db.query("SELECT * FROM users ORDER BY username");
+    res.json(result.rows.map(toUserResponse));
+  } catch (error) {
+    logger.error("Error fetching users", { error });
+    res.status(500).json({ error: "Failed to fetch users" });
+  }
+};
+
+// Create a user
+exports.createUser = async (req, res) => {
+  try {
+    const { username, email, password, role = "viewer" } = req.body || {};
+    const errors = [];
+
+    if (typeof username !== "string" || !/^[A-Za-z0-9_.-]{3,50}$/.test(username)) {
+      errors.push("username must be 3-50 letters, digits, '.', '_' or '-'");
+    }
+    if (typeof email !== "string" || !EMAIL_PATTERN.test(email)) {
+      errors.push("email must be a valid email address");
+    }
+    validatePassword(password, errors);
+    validateRole(role, errors);
+
+    if (errors.length > 0) {
+      return res.status(400).json({ error: "Invalid user", details: errors });
+    }
+
+    const result = await db.query(
+      `INSERT INTO users (username, email, password_hash, role)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [username, email, await hashPassword(password), role]
+    );
+    const created = result.rows[0];
+    await recordAudit({
+      ...requestContext(req),
+      action: AUDIT_ACTIONS.USER_CREATE,
+      tableName: "users",
+      recordId: created.id,
+      newValues: toAuditValues(created)
+    });
+
+    res.status(201).json(toUserResponse(created));
+  } catch (error) {
+    if (error.code === "23505") {
+      return res.status(409).json({ error: "A user with that username or email already exists" });
+    }
+    logger.error("Error creating user", { error });
+    res.status(500).json({ error: "Failed to create user" });
+  }
+};
+
+// Update a user's role, active flag or password
+exports.updateUser = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { role, isActive, password } = req.body || {};
+    const errors = [];
+    const updates = [];
+    const params = [];
+
+    if (role !== undefined) {
+      validateRole(role, errors);
+      params.push(role);
+      updates.push(`role = $${params.length}`);
+    }
+    if (isActive !== undefined) {
+      if (typeof isActive !== "boolean") {
+        errors.push("isActive must be a boolean");
+      }
+      params.push(isActive);
+      updates.push(`is_active = $${params.length}`);
+    }
+    if (password !== undefined) {
+      validatePassword(password, errors);
+      if (errors.length === 0) {
+        params.push(await hashPassword(password));
+        updates.push(`password_hash = $${params.length}`);
+      }
+    }
+
+    // Admins cannot lock themselves out
+    if (id === req.user.id && ((role !== undefined && role !== "admin") || isActive === false)) {
+      errors.push("You cannot remove your own admin role or deactivate yourself");
+    }
+    if (updates.length === 0 && errors.length === 0) {
+      errors.push("Nothing to update; send role, isActive or password");
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ error: "Invalid user update", details: errors });
+    }
+
+    const existing = await db.query("SELECT * FROM users WHERE id = $1", [id]);
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    params.push(id);
+    const result = await db.query(
+      `UPDATE users SET ${updates.join(", ")} WHERE id = $${params.length} RETURNING *`,
+      params
+    );
+    const updated = result.rows[0];
+
+    // Force a fresh login so the new role or status takes effect
+    await db.query(
+      "UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND revoked_at IS NULL",
+      [id]
+    );
+
+    await recordAudit({
+      ...requestContext(req),
+      action: AUDIT_ACTIONS.USER_UPDATE,
+      tableName: "users",
+      recordId: id,
+      oldValues: toAuditValues(existing.rows[0]),
+      newValues: { ...toAuditValues(updated), ...(password !== undefined && { passwordChanged: true }) }
+    });
+
+    res.json(toUserResponse(updated));
+  } catch (error) {
+    if (error.code === "22P02") {
+      return res.status(404).json({ error: "User not found" });
+    }
+    logger.error("Error updating user", { error });
+    res.status(500).json({ error: "Failed to update user" });
+  }
+};
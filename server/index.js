@@ -10,10 +10,37 @@ dotenv.config();
 const dashboardRoutes = require("./routes/dashboard.routes");
 const permitRoutes = require("./routes/permit.routes");
 const departmentRoutes = require("./routes/department.routes");
+const queryRoutes = require("./routes/query.routes");
+const forecastRoutes = require("./routes/forecast.routes");
+const anomalyRoutes = require("./routes/anomaly.routes");
+const adminRoutes = require("./routes/admin.routes");
+const authRoutes = require("./routes/auth.routes");
+const auditRoutes = require("./routes/audit.routes");
+const preferenceRoutes = require("./routes/preference.routes");
+const docsRoutes = require("./routes/docs.routes");
+const diagnosticsRoutes = require("./routes/diagnostics.routes");
+const healthRoutes = require("./routes/health.routes");
+const { authenticate, requirePermission } = require("./middleware/auth");
+const { requirePostgres } = require("./middleware/dataSource");
+const { PERMISSIONS } = require("./config/roles");
+const { ipLimiter, userLimiter } = require("./middleware/rateLimit");
+const rateLimitConfig = require("./config/rateLimit");
+const { traceRequests } = require("./middleware/requestTracing");
+const { ERROR_CODES } = require("./utils/errorCodes");
+const logger = require("./utils/logger");
+const repository = require("./repositories");
+const { markShuttingDown } = require("./services/health.service");
+const healthConfig = require("./config/health");
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Needed behind a proxy so req.ip is the client address used by the per-IP limit
+app.set("trust proxy", rateLimitConfig.trustProxy);
+
+// Request ids, timing and error codes first, so every response and log line has them
+app.use(traceRequests);
+
 // Middleware
 app.use(cors({
   origin: function(origin, callback) {
@@ -44,39 +71,118 @@ app.use(cors({
     if (!origin || allowedOrigins.includes(origin)) {
       callback(null, true);
     } else {
-      callback(new Error('Not allowed by CORS'));
+      const error = new Error('Not allowed by CORS');
+      error.status = 403;
+      error.expose = true;
+      error.type = 'cors.not.allowed';
+      callback(error);
     }
   },
-  credentials: true
+  credentials: true,
+  // Let the browser read the rate limit headers so the client can back off,
+  // and the request id so errors can be matched with the server logs
+  exposedHeaders: ["RateLimit-Limit", "RateLimit-Remaining", "RateLimit-Reset", "Retry-After", "X-Request-Id"]
 }));
-app.use(express.json());
+// Admin imports parse their own uploads with a larger limit (see routes/admin.routes.js),
+// so the default 100kb JSON limit must not reject them first
+const jsonBody = express.json();
+app.use((req, res, next) => (req.path.startsWith("/api/admin/import/") ? next() : jsonBody(req, res, next)));
 app.use(express.urlencoded({ extended: true }));
 
+// Rate limiting: per client IP here for anonymous requests, per user after authentication (see middleware/rateLimit.js)
+app.use("/api", ipLimiter);
+
 // Routes
-app.use("/api/dashboard", dashboardRoutes);
-app.use("/api/permits", permitRoutes);
-app.use("/api/departments", departmentRoutes);
-
-// Health check endpoint
-app.get("/api/health", (req, res) => {
-  res.json({ 
-    status: "OK", 
-    message: "Dashboard API is running",
-    timestamp: new Date().toISOString()
-  });
+app.use("/api", docsRoutes);
+app.use("/api/auth", authRoutes);
+
+// Everything below requires a logged-in user; admin routes check their own permissions
+// and, like the audit log, only work against Postgres
+const canReadDashboards = requirePermission(PERMISSIONS.DASHBOARDS_READ);
+app.use("/api/dashboard", authenticate, userLimiter, canReadDashboards, dashboardRoutes);
+app.use("/api/permits", authenticate, userLimiter, canReadDashboards, permitRoutes);
+app.use("/api/departments", authenticate, userLimiter, canReadDashboards, departmentRoutes);
+app.use("/api/query", authenticate, userLimiter, canReadDashboards, queryRoutes);
+app.use("/api/forecast", authenticate, userLimiter, canReadDashboards, forecastRoutes);
+app.use("/api/anomalies", authenticate, userLimiter, canReadDashboards, anomalyRoutes);
+app.use("/api/admin", authenticate, userLimiter, requirePostgres, adminRoutes);
+app.use("/api/audit", authenticate, userLimiter, requirePostgres, auditRoutes);
+app.use("/api/preferences", authenticate, userLimiter, preferenceRoutes);
+app.use("/api/diagnostics", authenticate, userLimiter, requirePermission(PERMISSIONS.DIAGNOSTICS_READ), diagnosticsRoutes);
+
+// Liveness and readiness probes, public and not rate limited
+app.use("/api/health", healthRoutes);
+
+// Unknown API routes
+app.use("/api", (req, res) => {
+  res.status(404).json({ error: `No route for ${req.method} ${req.baseUrl}${req.path}` });
 });
 
-// Error handling middleware
+// Client errors raised by middleware before a route runs, by error type
+const CLIENT_ERROR_CODES = {
+  "entity.parse.failed": ERROR_CODES.INVALID_JSON,
+  "entity.too.large": ERROR_CODES.PAYLOAD_TOO_LARGE,
+  "cors.not.allowed": ERROR_CODES.CORS_NOT_ALLOWED
+};
+
+// Error handling middleware: client errors (malformed JSON, oversized bodies,
+// CORS) keep their status and message; anything else is a 500 whose details
+// stay in the log, findable by the request id sent with the response
 app.use((err, req, res, next) => {
-  console.error(err.stack);
-  res.status(500).json({ 
-    error: "Something went wrong!",
-    message: err.message 
-  });
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  const status = err.status || err.statusCode || 500;
+  if (status < 500) {
+    logger.warn("Request rejected", { error: err, status });
+    return res.status(status).json({
+      error: err.expose ? err.message : "Bad request",
+      ...(CLIENT_ERROR_CODES[err.type] ? { code: CLIENT_ERROR_CODES[err.type] } : {})
+    });
+  }
+
+  logger.error("Unhandled error", { error: err, method: req.method, path: req.originalUrl.split("?")[0] });
+  res.status(500).json({ error: "Something went wrong" });
 });
 
 // Start server
-app.listen(PORT, () => {
-  console.log(`Server is running on port ${PORT}`);
-  console.log(`CORS enabled for: ${process.env.CORS_ORIGIN || "http://localhost:5180"}`);
+const server = app.listen(PORT, () => {
+  logger.info("Server is running", { port: Number(PORT), dataSource: repository.name, corsOrigin: process.env.CORS_ORIGIN || "http://localhost:5180" });
 });
+
+/*
+ * Graceful shutdown: readiness turns 503 so no new traffic is routed here,
+ * the server stops accepting connections and lets in-flight requests finish,
+ * then the data source is closed (the Postgres pool drained). After SHUTDOWN_TIMEOUT_MS the process
+ * exits regardless.
+ */
+let shuttingDown = false;
+const shutdown = signal => {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  markShuttingDown();
+  logger.info("Shutting down", { signal, timeoutMs: healthConfig.shutdownTimeoutMs });
+
+  const forceExit = setTimeout(() => {
+    logger.error("Shutdown timed out, exiting with requests still open", { timeoutMs: healthConfig.shutdownTimeoutMs });
+    process.exit(1);
+  }, healthConfig.shutdownTimeoutMs);
+  forceExit.unref();
+
+  server.close(async () => {
+    try {
+      await repository.close();
+      logger.info("Shutdown complete");
+      process.exit(0);
+    } catch (error) {
+      logger.error("Error closing the data source", { error });
+      process.exit(1);
+    }
+  });
+  // Keep-alive connections with no request in flight would otherwise hold the server open
+  server.closeIdleConnections();
+};
+
+process.on("SIGTERM", () => shutdown("SIGTERM"));
+process.on("SIGINT", () => shutdown("SIGINT"));
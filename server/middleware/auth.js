@@ -0,0 +1,61 @@
+const { verifyAccessToken } = require("../services/auth.service");
+const { hasPermission } = require("../config/roles");
+
+const sendUnauthorized = (res, message) => {
+  res.set("WWW-Authenticate", 'Bearer realm="api"');
+  res.status(401).json({ error: message });
+};
+
+// The token of an "Authorization: Bearer <token>" header, or null
+const readBearerToken = req => {
+  const [scheme, token] = (req.get("Authorization") || "").split(" ");
+  return scheme === "Bearer" && token ? token : null;
+};
+
+// Whether the request carries a valid, unexpired access token
+const hasValidAccessToken = req => {
+  const token = readBearerToken(req);
+  if (!token) {
+    return false;
+  }
+  try {
+    verifyAccessToken(token);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Require a valid "Authorization: Bearer <token>" header and expose the claims as req.user
+const authenticate = (req, res, next) => {
+  const token = readBearerToken(req);
+
+  if (!token) {
+    return sendUnauthorized(res, "Authentication required");
+  }
+
+  try {
+    const claims = verifyAccessToken(token);
+    req.user = { id: claims.sub, username: claims.username, role: claims.role };
+    next();
+  } catch (error) {
+    sendUnauthorized(res, error.name === "TokenExpiredError" ? "Token expired" : "Invalid token");
+  }
+};
+
+// Require the authenticated user's role to grant a permission (see config/roles.js)
+const requirePermission = permission => (req, res, next) => {
+  if (!req.user) {
+    return sendUnauthorized(res, "Authentication required");
+  }
+  if (!hasPermission(req.user.role, permission)) {
+    return res.status(403).json({ error: "You do not have permission to perform this action" });
+  }
+  next();
+};
+
+module.exports = {
+  authenticate,
+  hasValidAccessToken,
+  requirePermission
+};
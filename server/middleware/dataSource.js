@@ -0,0 +1,16 @@
+const repository = require("../repositories");
+
+/**
+ * Answer 501 on routes that write to Postgres directly (imports, data versions,
+ * user management, the audit log) when DATA_SOURCE selects another repository.
+ */
+const requirePostgres = (req, res, next) => {
+  if (repository.name === "postgres") {
+    return next();
+  }
+  res.status(501).json({ error: `Not available with DATA_SOURCE=${repository.name}; this feature needs Postgres` });
+};
+
+module.exports = {
+  requirePostgres
+};
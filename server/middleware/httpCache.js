@@ -0,0 +1,62 @@
+const crypto = require("crypto");
+const repository = require("../repositories");
+const fiscalCalendar = require("../config/fiscalCalendar");
+const logger = require("../utils/logger");
+
+/**
+ * Conditional GET support for data routes. Sets an ETag (request URL, the
+ * tables' row counts and latest updated_at, and the fiscal calendar settings,
+ * which change every calendar=fiscal answer) and Last-Modified, and answers 304
+ * when the client's If-None-Match / If-Modified-Since is still current, so the
+ * controller never runs.
+ *
+ * `tables` is an array of table names or a function of the request returning one;
+ * returning nothing skips caching (e.g. for a request that will fail validation).
+ */
+// Row counts and latest updated_at of the tables plus the fiscal calendar, as
+// { version, lastModified } where lastModified may be null
+const getDataVersion = async tables => {
+  const stats = await repository.tableStats(tables);
+
+  const lastModified = stats.reduce(
+    (latest, table) => (table.lastModified && (!latest || table.lastModified > latest) ? table.lastModified : latest),
+    null
+  );
+  const version = [
+    ...stats.map(table => `${table.table}:${table.rowCount}:${table.lastModified ? table.lastModified.getTime() : 0}`),
+    `fiscal:${fiscalCalendar.startMonth}:${fiscalCalendar.yearLabel}`
+  ].join("|");
+
+  return { version, lastModified };
+};
+
+const conditionalGet = tables => async (req, res, next) => {
+  const tableList = typeof tables === "function" ? tables(req) : tables;
+  if (!tableList || tableList.length === 0) {
+    return next();
+  }
+
+  try {
+    const { version, lastModified } = await getDataVersion(tableList);
+    const hash = crypto.createHash("sha1").update(`${req.originalUrl}|${version}`).digest("base64url");
+
+    // Revalidate on every use; "private" because responses require a login
+    res.set("Cache-Control", "private, no-cache");
+    res.set("ETag", `W/"${hash}"`);
+    if (lastModified) {
+      res.set("Last-Modified", lastModified.toUTCString());
+    }
+
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+  } catch (error) {
+    // Serve the response without validators rather than failing the request
+    logger.error("Error computing data version", { error });
+  }
+  next();
+};
+
+module.exports = {
+  conditionalGet
+};
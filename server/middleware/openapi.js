@@ -0,0 +1,100 @@
+const { spec, operations } = require("../openapi/spec");
+const { validateSchema } = require("../utils/schemaValidator");
+const { QueryValidationError, readList, readSingle } = require("../utils/queryParams");
+const logger = require("../utils/logger");
+
+// A response that breaks the contract is always logged; only under NODE_ENV=test
+// does it become a 500, so tests fail on drift while real clients still get the data
+const STRICT_RESPONSES = process.env.NODE_ENV === "test";
+
+// Query strings are text; convert to the parameter's declared type before validating
+const coerce = (raw, schema) => {
+  if (schema.type === "integer" && /^-?\d+$/.test(raw)) return Number(raw);
+  if (schema.type === "number" && raw.trim() !== "" && Number.isFinite(Number(raw))) return Number(raw);
+  if (schema.type === "boolean" && (raw === "true" || raw === "false")) return raw === "true";
+  return raw;
+};
+
+const readParameter = (parameter, req) => {
+  if (parameter.in === "path") {
+    const raw = req.params[parameter.name];
+    return raw === undefined ? undefined : coerce(raw, parameter.schema);
+  }
+  if (parameter.schema.type === "array") {
+    const list = readList(req.query, parameter.name);
+    return list === undefined ? undefined : list.map(item => coerce(item, parameter.schema.items));
+  }
+  const raw = readSingle(req.query, parameter.name);
+  return raw === undefined ? undefined : coerce(String(raw), parameter.schema);
+};
+
+const validateParameters = (operation, req) => {
+  const parameters = operation.parameters || [];
+  const queryNames = parameters.filter(parameter => parameter.in === "query").map(parameter => parameter.name);
+  const errors = [];
+
+  Object.keys(req.query).forEach(key => {
+    const name = key.endsWith("[]") ? key.slice(0, -2) : key;
+    if (!queryNames.includes(name)) {
+      errors.push(`Unsupported query parameter "${name}"`);
+    }
+  });
+
+  parameters.forEach(parameter => {
+    const value = readParameter(parameter, req);
+    if (value === undefined) {
+      if (parameter.required) {
+        errors.push(`${parameter.name} is required`);
+      }
+      return;
+    }
+    errors.push(...validateSchema(spec, parameter.schema, value, parameter.name));
+  });
+
+  return errors;
+};
+
+const responseSchema = (operation, status) => {
+  const response = operation.responses[status] || operation.responses.default;
+  return response && response.content ? response.content["application/json"].schema : undefined;
+};
+
+/**
+ * Validate a route against its operation in openapi/spec.js: parameters are
+ * checked before the controller runs (400 on failure), and JSON responses are
+ * checked against the schema for their status code.
+ */
+const validateOperation = operationId => {
+  const operation = operations[operationId];
+  if (!operation) {
+    throw new Error(`Unknown OpenAPI operation "${operationId}"`);
+  }
+
+  return (req, res, next) => {
+    const errors = validateParameters(operation, req);
+    if (errors.length > 0) {
+      const error = new QueryValidationError(errors);
+      return res.status(error.status).json({ error: error.message, details: error.details });
+    }
+
+    const sendJson = res.json.bind(res);
+    res.json = body => {
+      const schema = responseSchema(operation, res.statusCode);
+      const problems = schema ? validateSchema(spec, schema, body, "response") : [];
+      if (problems.length > 0) {
+        logger.error("Response does not match the OpenAPI document", { operationId, problems });
+        if (STRICT_RESPONSES) {
+          res.status(500);
+          return sendJson({ error: "Response does not match the API contract", details: problems });
+        }
+      }
+      return sendJson(body);
+    };
+
+    next();
+  };
+};
+
+module.exports = {
+  validateOperation
+};
@@ -0,0 +1,58 @@
+const { rateLimit } = require("express-rate-limit");
+const config = require("../config/rateLimit");
+const { hasValidAccessToken } = require("./auth");
+
+// 429 body shared by every limiter; RateLimit-* and Retry-After headers carry the details
+const sendTooManyRequests = (req, res, next, options) => {
+  const resetTime = req.rateLimit && req.rateLimit.resetTime;
+  const retryAfter = resetTime
+    ? Math.max(1, Math.ceil((resetTime.getTime() - Date.now()) / 1000))
+    : Math.ceil(options.windowMs / 1000);
+
+  res.status(options.statusCode).json({
+    error: "Too many requests, please try again later",
+    retryAfter
+  });
+};
+
+const createLimiter = options => rateLimit({
+  windowMs: config.windowMs,
+  standardHeaders: "draft-6",
+  legacyHeaders: false,
+  handler: sendTooManyRequests,
+  ...options
+});
+
+// Per client IP, for anonymous traffic (login, docs, requests without a valid token);
+// requests with a valid access token are limited per user instead, so users behind
+// one NAT or proxy do not share a limit. Health checks are never limited.
+const ipLimiter = createLimiter({
+  limit: config.maxRequestsPerIp,
+  skip: req => req.path.startsWith("/health") || hasValidAccessToken(req)
+});
+
+// Per logged-in user, so several users behind one proxy are not limited together;
+// must run after authenticate
+const userLimiter = createLimiter({
+  limit: config.maxRequestsPerUser,
+  keyGenerator: req => `user:${req.user.id}`
+});
+
+// Login and token refresh: only failed attempts count, to slow down password guessing
+const authLimiter = createLimiter({
+  limit: config.maxAuthFailures,
+  skipSuccessfulRequests: true
+});
+
+// Data imports are heavy, so each user gets far fewer of them
+const importLimiter = createLimiter({
+  limit: config.maxImports,
+  keyGenerator: req => `user:${req.user.id}`
+});
+
+module.exports = {
+  ipLimiter,
+  userLimiter,
+  authLimiter,
+  importLimiter
+};
@@ -0,0 +1,73 @@
+const { randomUUID } = require("crypto");
+const logger = require("../utils/logger");
+const { codeForResponse } = require("../utils/errorCodes");
+
+// Ids accepted from an incoming X-Request-Id (e.g. set by a proxy); anything else is replaced
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+const stats = {
+  total: 0,
+  byStatusClass: {},
+  totalDurationMs: 0,
+  maxDurationMs: 0
+};
+
+const round = value => Math.round(value * 10) / 10;
+
+/*
+ * Give every request an id, echo it in X-Request-Id and add it to everything
+ * logged while handling the request. Error bodies get the id and a `code`
+ * (see utils/errorCodes.js) whichever route or middleware sent them, and each
+ * request is logged with its status and duration when the response finishes.
+ */
+const traceRequests = (req, res, next) => {
+  const incoming = req.get("X-Request-Id");
+  const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : randomUUID();
+  req.id = requestId;
+  res.set("X-Request-Id", requestId);
+
+  const sendJson = res.json.bind(res);
+  res.json = body => {
+    if (res.statusCode >= 400 && body && typeof body.error === "string") {
+      return sendJson({ ...body, code: body.code || codeForResponse(res.statusCode, body), requestId });
+    }
+    return sendJson(body);
+  };
+
+  const started = process.hrtime.bigint();
+  res.on("finish", () => {
+    const durationMs = round(Number(process.hrtime.bigint() - started) / 1e6);
+    const statusClass = `${Math.floor(res.statusCode / 100)}xx`;
+    stats.total += 1;
+    stats.byStatusClass[statusClass] = (stats.byStatusClass[statusClass] || 0) + 1;
+    stats.totalDurationMs += durationMs;
+    stats.maxDurationMs = Math.max(stats.maxDurationMs, durationMs);
+
+    // Probes hit the health checks constantly, so they are only logged at debug level
+    const level = req.originalUrl.startsWith("/api/health") ? "debug" : (res.statusCode >= 400 ? "warn" : "info");
+    logger[level]("Request completed", {
+      requestId,
+      method: req.method,
+      path: req.originalUrl.split("?")[0],
+      status: res.statusCode,
+      durationMs,
+      userId: req.user ? req.user.id : undefined,
+      contentLength: res.get("Content-Length")
+    });
+  });
+
+  logger.runWithContext({ requestId }, next);
+};
+
+// Request counts and timings since the server started, for /api/diagnostics
+const getRequestStats = () => ({
+  total: stats.total,
+  byStatusClass: { ...stats.byStatusClass },
+  averageDurationMs: stats.total > 0 ? round(stats.totalDurationMs / stats.total) : 0,
+  maxDurationMs: stats.maxDurationMs
+});
+
+module.exports = {
+  traceRequests,
+  getRequestStats
+};
@@ -0,0 +1,792 @@
+const { MONTHS, QUARTERS } = require("../utils/queryParams");
+const { PERMIT_DATASETS } = require("../utils/permitDatasets");
+const { METRICS_DATASET } = require("../services/permitLifecycle.service");
+const { YEAR_LABELS } = require("../config/fiscalCalendar");
+const { CALENDAR_VIEWS } = require("../utils/fiscalCalendar");
+const { MODELS } = require("../utils/forecastModels");
+const { DEFAULT_THRESHOLD } = require("../utils/anomalyDetection");
+const { ERROR_CODES } = require("../utils/errorCodes");
+const { DATA_SOURCES } = require("../config/dataSource");
+const { DATASETS: AGGREGATE_DATASETS, DIMENSIONS, MEASURES, MAX_TEXT_FILTER_LENGTH } = require("../utils/aggregateQuery");
+
+/*
+ * OpenAPI 3.1 contract for the dashboard data routes. It is served at
+ * /api/openapi.json, used by middleware/openapi.js to validate requests and
+ * responses, and read by scripts/generate-api-client.js to generate the
+ * frontend's departmentAPI, permitAPI, dashboardAPI and queryAPI. Tags carry the name of
+ * the generated client object in "x-client"; operationIds become its methods.
+ */
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const nullable = schema => ({ anyOf: [schema, { type: "null" }] });
+const arrayOf = schema => ({ type: "array", items: schema });
+
+const year = { type: "integer", minimum: 1900, maximum: 2100 };
+const count = { type: "integer", minimum: 0 };
+
+// One readiness check (GET /health/ready); message explains a warn or fail
+const healthCheck = properties => ({
+  type: "object",
+  required: ["status"],
+  properties: {
+    status: { type: "string", enum: ["pass", "warn", "fail"] },
+    message: { type: "string" },
+    ...properties
+  }
+});
+
+const queryParam = (name, schema, description) => ({ name, in: "query", required: false, description, schema });
+const listParam = (name, items, description) => ({
+  name,
+  in: "query",
+  required: false,
+  description: `${description}. Send as repeated \`${name}[]\`, repeated \`${name}\` or comma separated.`,
+  style: "form",
+  explode: true,
+  schema: { type: "array", items, minItems: 1 }
+});
+
+const calendarParam = description => queryParam("calendar", { type: "string", enum: CALENDAR_VIEWS, default: "calendar" }, description);
+
+// Filter and sort parameters of routes that use utils/queryParams.readFilters
+const permitParameters = dataset => {
+  const parameters = [
+    queryParam("fromYear", year, "Inclusive lower bound on the year"),
+    queryParam("toYear", year, "Inclusive upper bound on the year"),
+    listParam("years", year, "Only these years")
+  ];
+  if (dataset.calendarViews) {
+    parameters.push(calendarParam(
+      "Calendar periods, or fiscal years, quarters and month order from GET /dashboard/calendar; year filters apply to the chosen years"
+    ));
+  }
+  if (dataset.quarterColumn) {
+    parameters.push(listParam("quarters", { type: "string", enum: QUARTERS }, "Only these quarters"));
+  }
+  if (dataset.monthColumn) {
+    parameters.push(listParam("months", { type: "string", enum: MONTHS }, "Only these months"));
+  }
+  parameters.push(
+    queryParam("sort", { type: "string", enum: Object.keys(dataset.sortColumns) }, "Field to sort by"),
+    queryParam("order", { type: "string", enum: ["asc", "desc", "ASC", "DESC"] }, "Sort direction; requires sort")
+  );
+  return parameters;
+};
+
+const errorResponse = description => ({
+  description,
+  content: { "application/json": { schema: ref("Error") } }
+});
+
+const jsonResponse = (description, schema) => ({
+  description,
+  content: { "application/json": { schema } }
+});
+
+const standardErrors = {
+  401: errorResponse("Missing, invalid or expired access token"),
+  403: errorResponse("The user's role lacks the dashboards:read permission"),
+  429: errorResponse("Rate limit exceeded"),
+  500: errorResponse("Unexpected server error")
+};
+
+const getOperation = ({ tag, operationId, summary, parameters = [], schema }) => ({
+  get: {
+    tags: [tag],
+    operationId,
+    summary,
+    parameters,
+    responses: {
+      200: jsonResponse("OK", schema),
+      304: { description: "Not modified since the ETag or date sent in If-None-Match / If-Modified-Since" },
+      ...(parameters.length > 0 ? { 400: errorResponse("Invalid request parameters") } : {}),
+      ...standardErrors
+    }
+  }
+});
+
+const spec = {
+  openapi: "3.1.0",
+  info: {
+    title: "Dashboard API",
+    version: "1.0.0",
+    description: "Permit and department activity data behind the dashboard. All routes except /health require a Bearer access token from POST /api/auth/login."
+  },
+  servers: [{ url: "/api" }],
+  security: [{ bearerAuth: [] }],
+  tags: [
+    { name: "Dashboard", description: "Summary figures for the home page", "x-client": "dashboardAPI" },
+    { name: "Permits", description: "Unique permit counts", "x-client": "permitAPI" },
+    { name: "Departments", description: "Department registry and activity", "x-client": "departmentAPI" },
+    { name: "Query", description: "Ad-hoc aggregation of whitelisted datasets", "x-client": "queryAPI" },
+    { name: "Health", description: "Service status" }
+  ],
+  paths: {
+    "/dashboard/summary": getOperation({
+      tag: "Dashboard",
+      operationId: "getSummary",
+      summary: "Total permits, the latest year and activity per department",
+      schema: ref("DashboardSummary")
+    }),
+    "/dashboard/kpis": getOperation({
+      tag: "Dashboard",
+      operationId: "getKPIs",
+      summary: "Year-over-year growth, average monthly permits and the most active department",
+      schema: ref("DashboardKPIs")
+    }),
+    "/dashboard/metrics": getOperation({
+      tag: "Dashboard",
+      operationId: "getMetrics",
+      summary: "Permit processing metrics per fiscal year of submission, per department and for all departments",
+      parameters: permitParameters(METRICS_DATASET),
+      schema: arrayOf(ref("ProcessingMetrics"))
+    }),
+    "/dashboard/calendar": getOperation({
+      tag: "Dashboard",
+      operationId: "getCalendar",
+      summary: "The fiscal calendar used for calendar=fiscal",
+      schema: ref("FiscalCalendar")
+    }),
+    "/dashboard/trends": getOperation({
+      tag: "Dashboard",
+      operationId: "getTrends",
+      summary: "Yearly permits and department activity for the last N years",
+      parameters: [queryParam("years", { type: "integer", minimum: 1, maximum: 50, default: 5 }, "Number of years")],
+      schema: ref("DashboardTrends")
+    }),
+    "/permits/yearly": getOperation({
+      tag: "Permits",
+      operationId: "getYearlyPermits",
+      summary: "Unique permits per year",
+      parameters: permitParameters(PERMIT_DATASETS.yearly),
+      schema: arrayOf(ref("YearlyPermit"))
+    }),
+    "/permits/monthly": getOperation({
+      tag: "Permits",
+      operationId: "getMonthlyPermits",
+      summary: "Unique permits per month",
+      parameters: permitParameters(PERMIT_DATASETS.monthly),
+      schema: arrayOf(ref("MonthlyPermit"))
+    }),
+    "/permits/quarterly": getOperation({
+      tag: "Permits",
+      operationId: "getQuarterlyPermits",
+      summary: "Unique permits per quarter",
+      parameters: permitParameters(PERMIT_DATASETS.quarterly),
+      schema: arrayOf(ref("QuarterlyPermit"))
+    }),
+    "/permits/yearly-bins": getOperation({
+      tag: "Permits",
+      operationId: "getYearlyBins",
+      summary: "Unique permits per year and valuation bin",
+      parameters: permitParameters(PERMIT_DATASETS.yearlyBins),
+      schema: arrayOf(ref("YearlyBin"))
+    }),
+    "/permits/yearly-valuation": getOperation({
+      tag: "Permits",
+      operationId: "getYearlyValuation",
+      summary: "Total, mean and median valuation of unique permits per year",
+      parameters: permitParameters(PERMIT_DATASETS.yearlyValuation),
+      schema: arrayOf(ref("YearlyValuation"))
+    }),
+    "/forecast": getOperation({
+      tag: "Permits",
+      operationId: "getForecast",
+      summary: "Forecast monthly or quarterly unique permits with prediction intervals and backtest errors",
+      parameters: [
+        queryParam("series", { type: "string", enum: ["monthly", "quarterly"], default: "monthly" }, "Series to forecast"),
+        calendarParam("Forecast calendar or fiscal periods; the default horizon runs to the end of the next year in this calendar"),
+        listParam("models", { type: "string", enum: Object.keys(MODELS) }, "Models to fit (default all)"),
+        queryParam("horizon", { type: "integer", minimum: 1, maximum: 36 }, "Periods ahead, at most three years")
+      ],
+      schema: ref("Forecast")
+    }),
+    "/anomalies": getOperation({
+      tag: "Permits",
+      operationId: "getAnomalies",
+      summary: "Months, quarters or department years that are far from their expected value",
+      parameters: [
+        queryParam("series", { type: "string", enum: ["monthly", "quarterly", "department-activity"], default: "monthly" }, "Series to check"),
+        calendarParam("Check calendar or fiscal periods; not accepted for department-activity"),
+        listParam("departments", { type: "string" }, "Only these department codes (department-activity only)"),
+        queryParam("threshold", { type: "number", minimum: 2, maximum: 6, default: DEFAULT_THRESHOLD }, "Robust z-score from which a point is an anomaly")
+      ],
+      schema: ref("Anomalies")
+    }),
+    "/departments": getOperation({
+      tag: "Departments",
+      operationId: "getDepartments",
+      summary: "Departments with activity reports, in navigation order",
+      schema: arrayOf(ref("Department"))
+    }),
+    "/departments/activity": getOperation({
+      tag: "Departments",
+      operationId: "getActivity",
+      summary: "Activity count per year and department",
+      schema: arrayOf(ref("DepartmentActivity"))
+    }),
+    "/departments/activity/weekday": getOperation({
+      tag: "Departments",
+      operationId: "getActivityWeekday",
+      summary: "Share of each department's activity per weekday, per year",
+      schema: arrayOf(ref("DepartmentActivityWeekday"))
+    }),
+    "/departments/activity/{department}": getOperation({
+      tag: "Departments",
+      operationId: "getActivityByDepartment",
+      summary: "Activity per year for one department",
+      parameters: [{
+        name: "department",
+        in: "path",
+        required: true,
+        description: "Department code from GET /departments, e.g. PSC",
+        schema: { type: "string", minLength: 1, maxLength: 50 }
+      }],
+      schema: arrayOf(ref("DepartmentActivity"))
+    }),
+    "/query": getOperation({
+      tag: "Query",
+      operationId: "aggregate",
+      summary: "Aggregate a dataset into tidy rows, grouped by any of its dimensions",
+      parameters: [
+        { ...queryParam("dataset", { type: "string", enum: Object.keys(AGGREGATE_DATASETS) }, "Dataset to aggregate"), required: true },
+        queryParam("measure", { type: "string", enum: Object.keys(MEASURES), default: "sum" }, "Aggregate of the dataset's count"),
+        listParam("groupBy", { type: "string", enum: DIMENSIONS }, "Dimensions to group by, in row order; each must be supported by the dataset"),
+        calendarParam("Calendar or fiscal years, quarters and month order (permits only)"),
+        queryParam("fromYear", year, "Inclusive lower bound on the year"),
+        queryParam("toYear", year, "Inclusive upper bound on the year"),
+        listParam("years", year, "Only these years"),
+        listParam("quarters", { type: "string", enum: QUARTERS }, "Only these quarters"),
+        listParam("months", { type: "string", enum: MONTHS }, "Only these months"),
+        listParam("departments", { type: "string", maxLength: MAX_TEXT_FILTER_LENGTH }, "Only these department codes"),
+        listParam("bins", { type: "string", maxLength: MAX_TEXT_FILTER_LENGTH }, "Only these valuation bins")
+      ],
+      schema: ref("AggregateResult")
+    }),
+    "/health": {
+      get: {
+        tags: ["Health"],
+        operationId: "getHealth",
+        summary: "Liveness check (same as /health/live, kept for existing monitors)",
+        security: [],
+        responses: {
+          200: jsonResponse("The API is running", ref("Liveness"))
+        }
+      }
+    },
+    "/health/live": {
+      get: {
+        tags: ["Health"],
+        operationId: "getLiveness",
+        summary: "Liveness check: the process is up; does not touch the database",
+        security: [],
+        responses: {
+          200: jsonResponse("The API is running", ref("Liveness"))
+        }
+      }
+    },
+    "/health/ready": {
+      get: {
+        tags: ["Health"],
+        operationId: "getReadiness",
+        summary: "Readiness check: data source connectivity, migration version (Postgres) and data freshness",
+        security: [],
+        responses: {
+          200: jsonResponse("Ready, or degraded (stale or empty datasets) but able to serve", ref("Readiness")),
+          503: jsonResponse("The database is unreachable, migrations are pending or the server is shutting down", ref("Readiness"))
+        }
+      }
+    },
+    "/diagnostics": {
+      get: {
+        tags: ["Health"],
+        operationId: "getDiagnostics",
+        summary: "Process, database pool, query cache and request statistics with recent errors (admins only)",
+        responses: {
+          200: jsonResponse("OK", ref("Diagnostics")),
+          401: standardErrors[401],
+          403: errorResponse("The user's role lacks the diagnostics:read permission"),
+          429: standardErrors[429],
+          500: standardErrors[500]
+        }
+      }
+    }
+  },
+  components: {
+    securitySchemes: {
+      bearerAuth: { type: "http", scheme: "bearer", bearerFormat: "JWT" }
+    },
+    schemas: {
+      Error: {
+        type: "object",
+        required: ["error"],
+        properties: {
+          error: { type: "string", description: "Human-readable message" },
+          code: { type: "string", enum: Object.values(ERROR_CODES), description: "Machine-readable error code; sent with every error" },
+          requestId: { type: "string", description: "Id of the request, also in the X-Request-Id header; quote it when reporting a problem" },
+          details: arrayOf({ type: "string" }),
+          retryAfter: { type: "integer", description: "Seconds until the rate limit resets (429 only)" }
+        }
+      },
+      YearlyPermit: {
+        type: "object",
+        required: ["fiscal_year", "permit_count"],
+        additionalProperties: false,
+        properties: { fiscal_year: year, permit_count: count }
+      },
+      MonthlyPermit: {
+        type: "object",
+        required: ["fiscal_year", "month", "quarter", "permit_count"],
+        additionalProperties: false,
+        properties: {
+          fiscal_year: year,
+          month: { type: "string", enum: MONTHS },
+          quarter: { type: "string", enum: QUARTERS, description: "Quarter the month falls in, in the requested calendar" },
+          permit_count: count
+        }
+      },
+      QuarterlyPermit: {
+        type: "object",
+        required: ["fiscal_year", "quarter", "permit_count"],
+        additionalProperties: false,
+        properties: {
+          fiscal_year: year,
+          quarter: { type: "string", enum: QUARTERS },
+          permit_count: count
+        }
+      },
+      YearlyBin: {
+        type: "object",
+        required: ["year", "bin_range", "permit_count"],
+        additionalProperties: false,
+        properties: {
+          year,
+          bin_range: { type: "string", description: "Valuation range label, e.g. \"0-10K\"" },
+          permit_count: count
+        }
+      },
+      YearlyValuation: {
+        type: "object",
+        required: ["year", "permit_count", "total_valuation", "mean_valuation", "median_valuation"],
+        additionalProperties: false,
+        properties: {
+          year,
+          permit_count: { ...count, description: "Permits with a recorded valuation" },
+          total_valuation: { type: "number", minimum: 0 },
+          mean_valuation: { ...nullable({ type: "number", minimum: 0 }), description: "total_valuation / permit_count; null when there are no permits" },
+          median_valuation: { ...nullable({ type: "number", minimum: 0 }), description: "Null when the imported data only carries totals" }
+        }
+      },
+      Department: {
+        type: "object",
+        required: ["code", "display_name", "description", "colors", "sort_order"],
+        additionalProperties: false,
+        properties: {
+          code: { type: "string", description: "Value of `department` in the activity data" },
+          display_name: { type: "string" },
+          description: nullable({ type: "string" }),
+          colors: { ...arrayOf({ type: "string" }), description: "Chart palette as CSS colors; the first is the main color" },
+          sort_order: { type: "integer" }
+        }
+      },
+      DepartmentActivity: {
+        type: "object",
+        required: ["year", "department", "activity_count"],
+        additionalProperties: false,
+        properties: {
+          year,
+          department: { type: "string" },
+          activity_count: count
+        }
+      },
+      DepartmentActivityWeekday: {
+        type: "object",
+        required: ["year", "department", "monday", "tuesday", "wednesday", "thursday", "friday"],
+        additionalProperties: false,
+        properties: {
+          year,
+          department: { type: "string" },
+          ...Object.fromEntries(["monday", "tuesday", "wednesday", "thursday", "friday"].map(day => [
+            day,
+            { type: "number", minimum: 0, maximum: 1, description: `Share of the year's activity on ${day}s` }
+          ]))
+        }
+      },
+      DepartmentTotal: {
+        type: "object",
+        required: ["department", "total_activity"],
+        additionalProperties: false,
+        properties: {
+          department: { type: "string" },
+          total_activity: count
+        }
+      },
+      DashboardSummary: {
+        type: "object",
+        required: ["totalPermits", "latestYear", "departmentTotals"],
+        additionalProperties: false,
+        properties: {
+          totalPermits: nullable(count),
+          latestYear: nullable(ref("YearlyPermit")),
+          departmentTotals: arrayOf(ref("DepartmentTotal"))
+        }
+      },
+      DashboardKPIs: {
+        type: "object",
+        required: ["yearOverYearGrowth", "avgMonthlyPermits", "mostActiveDepartment"],
+        additionalProperties: false,
+        properties: {
+          yearOverYearGrowth: nullable({
+            type: "object",
+            required: ["fiscal_year", "permit_count", "prev_year_count", "growth_percentage"],
+            additionalProperties: false,
+            properties: {
+              fiscal_year: year,
+              permit_count: count,
+              prev_year_count: count,
+              growth_percentage: { type: "number" }
+            }
+          }),
+          avgMonthlyPermits: nullable({ type: "number" }),
+          mostActiveDepartment: nullable(ref("DepartmentTotal"))
+        }
+      },
+      ProcessingMetrics: {
+        type: "object",
+        required: ["fiscal_year", "department", "permit_count", "avg_processing_days", "completion_rate", "approval_rate", "revision_rate"],
+        additionalProperties: false,
+        properties: {
+          fiscal_year: { ...year, description: "Fiscal year the permits were submitted in" },
+          department: { ...nullable({ type: "string" }), description: "Department code; null for all departments together" },
+          permit_count: { ...count, description: "Permits submitted" },
+          avg_processing_days: { ...nullable({ type: "number" }), description: "Mean days from submission to issue over the issued permits; null when none were issued" },
+          completion_rate: { type: "number", minimum: 0, maximum: 100, description: "Percent of the permits that were issued" },
+          approval_rate: { type: "number", minimum: 0, maximum: 100, description: "Percent of the permits that were approved or issued" },
+          revision_rate: { type: "number", minimum: 0, maximum: 100, description: "Percent of the permits that had revisions requested" }
+        }
+      },
+      ForecastPeriod: {
+        type: "object",
+        required: ["fiscal_year", "period", "label", "value"],
+        additionalProperties: false,
+        properties: {
+          fiscal_year: { ...year, description: "Year in the requested calendar" },
+          period: { type: "integer", minimum: 1, maximum: 12, description: "Month or quarter within the year, 1-based in the requested calendar" },
+          label: { type: "string", description: "Month abbreviation or \"Q1\"-\"Q4\"" },
+          value: { type: "number", minimum: 0 }
+        }
+      },
+      ForecastPoint: {
+        type: "object",
+        required: ["fiscal_year", "period", "label", "value", "lower80", "upper80", "lower95", "upper95"],
+        additionalProperties: false,
+        properties: {
+          fiscal_year: year,
+          period: { type: "integer", minimum: 1, maximum: 12 },
+          label: { type: "string" },
+          value: { type: "number", minimum: 0, description: "Point forecast" },
+          lower80: { type: "number", minimum: 0 },
+          upper80: { type: "number", minimum: 0 },
+          lower95: { type: "number", minimum: 0 },
+          upper95: { type: "number", minimum: 0 }
+        }
+      },
+      ForecastModel: {
+        type: "object",
+        required: ["model", "parameters", "forecast", "totals", "backtest"],
+        additionalProperties: false,
+        properties: {
+          model: { type: "string", enum: Object.keys(MODELS) },
+          parameters: {
+            type: "object",
+            additionalProperties: { type: "number" },
+            description: "Fitted smoothing parameters (alpha, beta, gamma for holt-winters)"
+          },
+          forecast: arrayOf(ref("ForecastPoint")),
+          totals: arrayOf({
+            type: "object",
+            required: ["fiscal_year", "observed", "forecast", "total"],
+            additionalProperties: false,
+            properties: {
+              fiscal_year: year,
+              observed: { ...count, description: "Permits already counted in the year" },
+              forecast: { ...count, description: "Sum of the point forecasts in the year" },
+              total: count
+            }
+          }),
+          backtest: nullable({
+            type: "object",
+            required: ["holdout", "mae", "rmse", "mape", "mase"],
+            additionalProperties: false,
+            description: "Errors when the last season is held out and forecast from the rest; null for short series",
+            properties: {
+              holdout: { type: "integer", minimum: 1 },
+              mae: { type: "number", minimum: 0 },
+              rmse: { type: "number", minimum: 0 },
+              mape: { ...nullable({ type: "number", minimum: 0 }), description: "Percent; null when every held-out value is zero" },
+              mase: { ...nullable({ type: "number", minimum: 0 }), description: "MAE relative to the in-sample seasonal naive error; below 1 beats it" }
+            }
+          })
+        }
+      },
+      Forecast: {
+        type: "object",
+        required: ["series", "calendar", "period", "horizon", "history", "models", "recommended", "warnings"],
+        additionalProperties: false,
+        properties: {
+          series: { type: "string", enum: ["monthly", "quarterly"] },
+          calendar: { type: "string", enum: CALENDAR_VIEWS },
+          period: { type: "integer", description: "Periods per year" },
+          horizon: { type: "integer", minimum: 1 },
+          history: { ...arrayOf(ref("ForecastPeriod")), description: "The latest unbroken run of observed periods the models were fitted to" },
+          models: arrayOf(ref("ForecastModel")),
+          recommended: { ...nullable({ type: "string", enum: Object.keys(MODELS) }), description: "Model with the lowest backtest MASE" },
+          warnings: arrayOf({ type: "string" })
+        }
+      },
+      Anomaly: {
+        type: "object",
+        required: ["fiscal_year", "period", "label", "department", "value", "expected", "lower", "upper", "z_score", "severity", "direction"],
+        additionalProperties: false,
+        properties: {
+          fiscal_year: { ...year, description: "Year in the requested calendar" },
+          period: { type: "integer", minimum: 1, maximum: 12, description: "Month or quarter within the year, 1-based; 1 for department activity" },
+          label: { type: "string", description: "Month abbreviation, \"Q1\"-\"Q4\" or the year" },
+          department: { ...nullable({ type: "string" }), description: "Department code for department-activity, otherwise null" },
+          value: { type: "number", minimum: 0, description: "Observed count" },
+          expected: { type: "number", minimum: 0, description: "Value expected from the trend and season" },
+          lower: { type: "number", minimum: 0, description: "Lowest value that would not have been flagged" },
+          upper: { type: "number", minimum: 0, description: "Highest value that would not have been flagged" },
+          z_score: { type: "number", description: "Residual over the robust standard deviation of all residuals" },
+          severity: { type: "string", enum: ["low", "medium", "high"], description: "high from threshold + 2, medium from threshold + 1" },
+          direction: { type: "string", enum: ["spike", "drop"] }
+        }
+      },
+      Anomalies: {
+        type: "object",
+        required: ["series", "calendar", "period", "threshold", "checked", "anomalies", "warnings"],
+        additionalProperties: false,
+        properties: {
+          series: { type: "string", enum: ["monthly", "quarterly", "department-activity"] },
+          calendar: { ...nullable({ type: "string", enum: CALENDAR_VIEWS }), description: "null for department-activity" },
+          period: { type: "integer", description: "Periods per year" },
+          threshold: { type: "number" },
+          checked: { ...count, description: "Observations scored" },
+          anomalies: { ...arrayOf(ref("Anomaly")), description: "Flagged observations, oldest first" },
+          warnings: arrayOf({ type: "string" })
+        }
+      },
+      AggregateRow: {
+        type: "object",
+        required: ["value"],
+        additionalProperties: false,
+        description: "One group: the groupBy dimensions and the measure",
+        properties: {
+          year,
+          quarter: { type: "integer", minimum: 1, maximum: 4 },
+          month: { type: "string", enum: MONTHS },
+          department: { type: "string" },
+          bin: { type: "string" },
+          value: { ...nullable({ type: "number" }), description: "Null when no rows match and the measure is not count" }
+        }
+      },
+      AggregateResult: {
+        type: "object",
+        required: ["dataset", "measure", "groupBy", "calendar", "rows"],
+        additionalProperties: false,
+        properties: {
+          dataset: { type: "string", enum: Object.keys(AGGREGATE_DATASETS) },
+          measure: { type: "string", enum: Object.keys(MEASURES) },
+          groupBy: arrayOf({ type: "string", enum: DIMENSIONS }),
+          calendar: { type: "string", enum: CALENDAR_VIEWS },
+          rows: { ...arrayOf(ref("AggregateRow")), description: "Ordered by the groupBy dimensions; a single row without groupBy" }
+        }
+      },
+      Liveness: {
+        type: "object",
+        required: ["status", "timestamp"],
+        properties: {
+          status: { type: "string" },
+          message: { type: "string" },
+          timestamp: { type: "string", format: "date-time" },
+          uptimeSeconds: count
+        }
+      },
+      Readiness: {
+        type: "object",
+        required: ["status", "dataSource", "checks", "timestamp"],
+        properties: {
+          status: { type: "string", enum: ["ready", "degraded", "unavailable"] },
+          dataSource: { type: "string", enum: DATA_SOURCES, description: "DATA_SOURCE the server reads from" },
+          message: { type: "string", description: "Why the server is unavailable when no check ran, e.g. during shutdown" },
+          timestamp: { type: "string", format: "date-time" },
+          checks: {
+            type: "object",
+            properties: {
+              database: healthCheck({
+                latencyMs: { type: "number", minimum: 0, description: "Time for the data source to answer (SELECT 1 on Postgres and SQLite)" }
+              }),
+              // Postgres only
+              migrations: healthCheck({
+                currentVersion: nullable({ type: "string", description: "Newest applied migration" }),
+                expectedVersion: nullable({ type: "string", description: "Newest migration file in this build" })
+              }),
+              dataFreshness: healthCheck({
+                maxAgeDays: { type: "integer", minimum: 1, description: "HEALTH_DATA_MAX_AGE_DAYS" },
+                datasets: arrayOf({
+                  type: "object",
+                  required: ["dataset", "table", "rowCount", "lastUpdated", "ageDays", "status"],
+                  properties: {
+                    dataset: { type: "string", description: "Import dataset name, e.g. monthly" },
+                    table: { type: "string" },
+                    rowCount: count,
+                    lastUpdated: nullable({ type: "string", format: "date-time" }),
+                    ageDays: nullable(count),
+                    status: {
+                      type: "string",
+                      enum: ["pass", "warn", "skip"],
+                      description: "skip: an optional dataset (no bundled file, e.g. yearly-valuation) that is still empty"
+                    }
+                  }
+                })
+              })
+            }
+          }
+        }
+      },
+      Diagnostics: {
+        type: "object",
+        required: ["startedAt", "uptimeSeconds", "nodeVersion", "dataSource", "memory", "requests", "database", "cache", "recentErrors"],
+        additionalProperties: false,
+        properties: {
+          startedAt: { type: "string", format: "date-time" },
+          uptimeSeconds: { type: "integer", minimum: 0 },
+          nodeVersion: { type: "string" },
+          dataSource: { type: "string", enum: DATA_SOURCES, description: "DATA_SOURCE the server reads from; the pool figures below only apply to postgres" },
+          memory: {
+            type: "object",
+            required: ["rssBytes", "heapUsedBytes", "heapTotalBytes"],
+            properties: {
+              rssBytes: { type: "integer", minimum: 0 },
+              heapUsedBytes: { type: "integer", minimum: 0 },
+              heapTotalBytes: { type: "integer", minimum: 0 }
+            }
+          },
+          requests: {
+            type: "object",
+            required: ["total", "byStatusClass", "averageDurationMs", "maxDurationMs"],
+            description: "Requests finished since startup",
+            properties: {
+              total: count,
+              byStatusClass: { type: "object", additionalProperties: { type: "integer" }, description: "Counts keyed \"2xx\", \"4xx\", ..." },
+              averageDurationMs: { type: "number", minimum: 0 },
+              maxDurationMs: { type: "number", minimum: 0 }
+            }
+          },
+          database: {
+            type: "object",
+            required: ["totalClients", "idleClients", "waitingRequests", "maxClients", "connection", "queries"],
+            properties: {
+              totalClients: { type: "integer", minimum: 0 },
+              idleClients: { type: "integer", minimum: 0 },
+              waitingRequests: { type: "integer", minimum: 0, description: "Queries waiting for a free client" },
+              maxClients: { type: "integer", minimum: 1 },
+              connection: {
+                type: "object",
+                required: ["lost", "lostAt", "reconnectAttempts", "idleErrors", "lastError"],
+                description: "Idle client failures and the reconnect probe that runs after one",
+                properties: {
+                  lost: { type: "boolean", description: "An idle client failed and the database has not answered since" },
+                  lostAt: nullable({ type: "string", format: "date-time" }),
+                  reconnectAttempts: count,
+                  idleErrors: count,
+                  lastError: nullable({
+                    type: "object",
+                    required: ["message", "at"],
+                    properties: {
+                      message: { type: "string" },
+                      at: { type: "string", format: "date-time" }
+                    }
+                  })
+                }
+              },
+              queries: {
+                type: "object",
+                required: ["total", "failed", "slow", "slowThresholdMs", "averageDurationMs", "maxDurationMs"],
+                properties: {
+                  total: count,
+                  failed: count,
+                  slow: { ...count, description: "Queries that took at least slowThresholdMs (DB_SLOW_QUERY_MS)" },
+                  slowThresholdMs: { type: "number", minimum: 0 },
+                  averageDurationMs: { type: "number", minimum: 0 },
+                  maxDurationMs: { type: "number", minimum: 0 }
+                }
+              }
+            }
+          },
+          cache: {
+            type: "object",
+            required: ["hits", "misses", "evictions", "invalidations", "size", "maxEntries", "ttlMs", "hitRate"],
+            description: "Query cache (services/cache.service.js)",
+            properties: {
+              hits: count,
+              misses: count,
+              evictions: count,
+              invalidations: count,
+              size: count,
+              maxEntries: { type: "integer", minimum: 1 },
+              ttlMs: { type: "integer", minimum: 0 },
+              hitRate: { type: "number", minimum: 0, maximum: 1 }
+            }
+          },
+          recentErrors: {
+            ...arrayOf({
+              type: "object",
+              required: ["time", "level", "msg"],
+              properties: {
+                time: { type: "string", format: "date-time" },
+                level: { type: "string" },
+                msg: { type: "string" },
+                requestId: { type: "string" }
+              }
+            }),
+            description: "The last 50 error log entries, newest first, with the fields they were logged with"
+          }
+        }
+      },
+      FiscalCalendar: {
+        type: "object",
+        required: ["startMonth", "yearLabel", "months", "views"],
+        additionalProperties: false,
+        properties: {
+          startMonth: { type: "integer", minimum: 1, maximum: 12, description: "First month of the fiscal year" },
+          yearLabel: { type: "string", enum: YEAR_LABELS, description: "Whether a fiscal year is named after the calendar year it ends or starts in" },
+          months: { ...arrayOf({ type: "string", enum: MONTHS }), description: "Month labels in fiscal order" },
+          views: arrayOf({ type: "string", enum: CALENDAR_VIEWS })
+        }
+      },
+      DashboardTrends: {
+        type: "object",
+        required: ["yearlyTrend", "departmentTrends"],
+        additionalProperties: false,
+        properties: {
+          yearlyTrend: arrayOf(ref("YearlyPermit")),
+          departmentTrends: arrayOf(ref("DepartmentActivity"))
+        }
+      }
+    }
+  }
+};
+
+// Operation lookup by operationId, with the path it is served under
+const operations = {};
+Object.entries(spec.paths).forEach(([path, methods]) => {
+  Object.entries(methods).forEach(([method, operation]) => {
+    operations[operation.operationId] = { ...operation, path, method };
+  });
+});
+
+module.exports = {
+  spec,
+  operations
+};
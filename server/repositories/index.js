@@ -0,0 +1,37 @@
+const { dataSource } = require("../config/dataSource");
+
+/*
+ * The data layer behind the controllers, chosen with DATA_SOURCE:
+ *
+ *   postgres - the pg pool (config/database.js); the only one with imports,
+ *              data versions, user management and the audit log
+ *   sqlite   - an embedded database file, created and filled from the bundled JSON
+ *   json     - read-only, straight from public/data; logins and preferences in memory
+ *
+ * Every repository has the same shape:
+ *
+ *   name, readOnly
+ *   ping()                 resolves once the data source answers
+ *   schemaVersion()        applied migration version (postgres only)
+ *   tableStats(tables)     [{ table, rowCount, lastModified }]
+ *   permits                list(name, calendar, filters), series(name, calendar),
+ *                          metrics(filters), aggregate(request)
+ *   dashboard              summary(), kpis(), trends(years)
+ *   departments            list(), activity({ departments }), activityWeekday(), activityFor(code)
+ *   accounts               findUserByLogin(login), findUserById(id), saveUser(user),
+ *                          saveRefreshToken(userId, tokenHash, ttlDays),
+ *                          consumeRefreshToken(tokenHash), revokeRefreshToken(tokenHash)
+ *   preferences            get(userId), update(userId, changes)
+ *   close()
+ *
+ * Filters come from utils/queryParams.readFilters and aggregate requests from
+ * utils/aggregateQuery.parseAggregateRequest, so validation stays in one place.
+ * Adapters are required lazily: better-sqlite3 is only needed for sqlite.
+ */
+const ADAPTERS = {
+  postgres: () => require("./postgres.repository").createPostgresRepository(),
+  sqlite: () => require("./sqlite.repository").createSqliteRepository(),
+  json: () => require("./json.repository").createJsonRepository()
+};
+
+module.exports = ADAPTERS[dataSource]();
@@ -0,0 +1,156 @@
+const crypto = require("crypto");
+const fs = require("fs/promises");
+const path = require("path");
+const { jsonDataDir } = require("../config/dataSource");
+const { DATASETS, mapRecords, assertImportable } = require("../services/import.service");
+const { createMemoryReads } = require("./memory.repository");
+const { localAdminAccount } = require("./localAccounts");
+
+// Dashboard tables with no bundled export; they read as empty
+const EMPTY_TABLES = ["unique_permits_yearly_valuation", "permit_events"];
+
+const readJson = async file => JSON.parse(await fs.readFile(file, "utf8"));
+
+/**
+ * Read the bundled exports under `dataDir`: every dataset with a `file` in
+ * services/import.service.js, mapped and validated as an import would be, plus
+ * the department registry from Departments.json.
+ *
+ * Resolves to { tables, stats }, with each file's modification time as the
+ * lastModified of its table. Shared with the SQLite repository, which seeds
+ * new databases from it.
+ */
+const readBundledData = async (dataDir = jsonDataDir) => {
+  const tables = Object.fromEntries(EMPTY_TABLES.map(table => [table, []]));
+  const stats = Object.fromEntries(EMPTY_TABLES.map(table => [table, { rowCount: 0, lastModified: null }]));
+
+  const load = async (table, file, toRows) => {
+    const [records, { mtime }] = await Promise.all([readJson(file), fs.stat(file)]);
+    tables[table] = toRows(records);
+    stats[table] = { rowCount: tables[table].length, lastModified: mtime };
+  };
+
+  await Promise.all([
+    ...Object.entries(DATASETS)
+      .filter(([, dataset]) => dataset.file)
+      .map(([name, dataset]) => load(
+        dataset.table,
+        path.join(dataDir, "UniquePermitsAnalysisData", dataset.file),
+        records => {
+          const { rows, report } = mapRecords(name, records);
+          assertImportable(report);
+          return rows;
+        }
+      )),
+    load("departments", path.join(dataDir, "Departments.json"), records => records)
+  ]);
+
+  return { tables, stats };
+};
+
+/*
+ * Read-only repository over the bundled JSON exports, for running the
+ * dashboard without a database. The files are read once, on first use.
+ * Logins, refresh tokens and preferences live in memory and are lost on
+ * restart; the only account is the local admin (see localAccounts.js).
+ */
+const createJsonRepository = () => {
+  let data = null;
+  const snapshot = () => {
+    if (!data) {
+      data = readBundledData().catch(error => {
+        // Let the next request try again, e.g. once a broken file is fixed
+        data = null;
+        throw error;
+      });
+    }
+    return data;
+  };
+
+  let users = null;
+  const loadUsers = () => {
+    if (!users) {
+      users = localAdminAccount().then(account => [{
+        id: crypto.randomUUID(),
+        username: account.username,
+        email: account.email,
+        password_hash: account.passwordHash,
+        role: account.role,
+        is_active: true
+      }]);
+    }
+    return users;
+  };
+
+  // token hash -> { userId, expiresAt, revokedAt }
+  const refreshTokens = new Map();
+  // user id -> Map of preference key -> value
+  const userPreferences = new Map();
+  const preferencesOf = userId => Object.fromEntries(
+    [...(userPreferences.get(userId) || new Map())].sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+  );
+
+  return {
+    name: "json",
+    readOnly: true,
+    ping: async () => {
+      await snapshot();
+    },
+    ...createMemoryReads(snapshot),
+
+    accounts: {
+      findUserByLogin: async login =>
+        (await loadUsers()).find(user => user.username === login || user.email === login) || null,
+
+      findUserById: async id => (await loadUsers()).find(user => user.id === id) || null,
+
+      saveUser: async () => {
+        throw new Error("The json data source is read-only; use DATA_SOURCE=sqlite or postgres to manage users");
+      },
+
+      saveRefreshToken: async (userId, tokenHash, ttlDays) => {
+        refreshTokens.set(tokenHash, { userId, expiresAt: Date.now() + ttlDays * 24 * 60 * 60 * 1000, revokedAt: null });
+      },
+
+      consumeRefreshToken: async tokenHash => {
+        const token = refreshTokens.get(tokenHash);
+        if (!token || token.revokedAt || token.expiresAt <= Date.now()) {
+          return null;
+        }
+        token.revokedAt = Date.now();
+        return token.userId;
+      },
+
+      revokeRefreshToken: async tokenHash => {
+        const token = refreshTokens.get(tokenHash);
+        if (token && !token.revokedAt) {
+          token.revokedAt = Date.now();
+        }
+      }
+    },
+
+    preferences: {
+      get: async userId => preferencesOf(userId),
+
+      update: async (userId, changes) => {
+        const stored = new Map(userPreferences.get(userId));
+        Object.entries(changes).forEach(([key, value]) => {
+          if (value === null) {
+            stored.delete(key);
+          } else {
+            stored.set(key, value);
+          }
+        });
+        userPreferences.set(userId, stored);
+        return preferencesOf(userId);
+      }
+    },
+
+    close: async () => {}
+  };
+};
+
+module.exports = {
+  readBundledData,
+  createJsonRepository
+};
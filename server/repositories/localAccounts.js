@@ -0,0 +1,37 @@
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+const authConfig = require("../config/auth");
+const { localAdmin } = require("../config/dataSource");
+const logger = require("../utils/logger");
+
+/**
+ * The administrator the SQLite and JSON repositories create when they have no
+ * users, so a fresh checkout can log in without scripts/create-user.js.
+ * Without LOCAL_ADMIN_PASSWORD a random password is generated and printed once
+ * to the terminal; it is kept out of the structured log, which may be shipped
+ * and stored elsewhere.
+ *
+ * Resolves to { username, email, passwordHash, role }. Hashes with bcryptjs
+ * directly: services/auth.service.js depends on the repositories.
+ */
+const localAdminAccount = async () => {
+  let { password } = localAdmin;
+  if (!password) {
+    password = crypto.randomBytes(12).toString("base64url");
+    logger.warn("Created a local admin account with a generated password; set LOCAL_ADMIN_PASSWORD to choose one", {
+      username: localAdmin.username
+    });
+    process.stderr.write(`\nLocal admin account: ${localAdmin.username} / ${password}\n\n`);
+  }
+
+  return {
+    username: localAdmin.username,
+    email: localAdmin.email,
+    passwordHash: await bcrypt.hash(password, authConfig.bcryptRounds),
+    role: "admin"
+  };
+};
+
+module.exports = {
+  localAdminAccount
+};
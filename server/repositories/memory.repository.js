@@ -0,0 +1,404 @@
+const { MONTHS } = require("../utils/queryParams");
+const { fiscalPeriodOf } = require("../utils/fiscalCalendar");
+
+/*
+ * Dashboard reads over tables held in memory, shared by the SQLite and JSON
+ * repositories. Each method answers with the same rows, in the same order, as
+ * the SQL in repositories/postgres.repository.js; the datasets are small (a few
+ * hundred rows each), so filtering and aggregating in JavaScript is cheap.
+ *
+ * Tables are plain arrays of rows shaped like the Postgres columns, e.g.
+ * unique_permits_monthly: [{ year, month, permit_count }].
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+const sum = values => values.reduce((total, value) => total + value, 0);
+const monthNumber = month => MONTHS.indexOf(month) + 1;
+const calendarQuarter = month => Math.floor((monthNumber(month) - 1) / 3) + 1;
+const fiscalOf = row => fiscalPeriodOf(row.year, monthNumber(row.month));
+
+// Postgres ordering: NULLs sort after every value ascending, so before them descending
+const compareValues = (a, b) => {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return 1;
+  if (b === null || b === undefined) return -1;
+  if (typeof a === "number" && typeof b === "number") return a - b;
+  return String(a).localeCompare(String(b));
+};
+
+// Comparator for [[valueOf, "ASC" | "DESC"], ...], like an ORDER BY list
+const orderBy = keys => (a, b) => {
+  for (const [valueOf, direction] of keys) {
+    const result = compareValues(valueOf(a), valueOf(b));
+    if (result !== 0) return direction === "DESC" ? -result : result;
+  }
+  return 0;
+};
+
+// Group rows by a key function; returns [[key, rows], ...] in first-seen order
+const groupRows = (rows, keyOf) => {
+  const groups = new Map();
+  rows.forEach(row => {
+    const key = keyOf(row);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  });
+  return [...groups.entries()];
+};
+
+const field = name => row => row[name];
+
+// Monthly counts summed into fiscal years or fiscal quarters
+const fiscalYearly = tables => groupRows(tables.unique_permits_monthly, row => fiscalOf(row).fiscalYear)
+  .map(([fiscalYear, rows]) => ({ fiscal_year: fiscalYear, permit_count: sum(rows.map(field("permit_count"))) }));
+
+const fiscalQuarterly = tables => groupRows(tables.unique_permits_monthly, row => {
+  const { fiscalYear, fiscalQuarter } = fiscalOf(row);
+  return `${fiscalYear}|${fiscalQuarter}`;
+}).map(([key, rows]) => {
+  const [fiscalYear, fiscalQuarter] = key.split("|").map(Number);
+  return { fiscal_year: fiscalYear, quarter: String(fiscalQuarter), permit_count: sum(rows.map(field("permit_count"))) };
+});
+
+/*
+ * The permit datasets of utils/permitDatasets.js: the rows each one returns,
+ * the fields its filters apply to, and how each sort field orders.
+ */
+const PERMIT_DATASETS = {
+  calendar: {
+    yearly: {
+      rows: tables => tables.unique_permits_yearly.map(row => ({ fiscal_year: row.fiscal_year, permit_count: row.permit_count })),
+      yearField: "fiscal_year",
+      sortValues: { fiscal_year: field("fiscal_year"), permit_count: field("permit_count") },
+      defaultOrder: [[field("fiscal_year"), "DESC"]]
+    },
+    monthly: {
+      rows: tables => tables.unique_permits_monthly.map(row => ({
+        fiscal_year: row.year,
+        month: row.month,
+        quarter: String(calendarQuarter(row.month)),
+        permit_count: row.permit_count
+      })),
+      yearField: "fiscal_year",
+      monthField: "month",
+      sortValues: { fiscal_year: field("fiscal_year"), month: row => monthNumber(row.month), permit_count: field("permit_count") },
+      defaultOrder: [[field("fiscal_year"), "DESC"], [row => monthNumber(row.month), "ASC"]]
+    },
+    quarterly: {
+      rows: tables => tables.unique_permits_quarterly.map(row => ({ fiscal_year: row.year, quarter: row.quarter, permit_count: row.permit_count })),
+      yearField: "fiscal_year",
+      quarterField: "quarter",
+      sortValues: { fiscal_year: field("fiscal_year"), quarter: field("quarter"), permit_count: field("permit_count") },
+      defaultOrder: [[field("fiscal_year"), "DESC"], [field("quarter"), "ASC"]]
+    },
+    yearlyBins: {
+      rows: tables => tables.unique_permits_yearly_bins.map(row => ({ year: row.year, bin_range: row.bin_range, permit_count: row.permit_count })),
+      yearField: "year",
+      sortValues: { year: field("year"), bin_range: field("bin_range"), permit_count: field("permit_count") },
+      defaultOrder: [[field("year"), "DESC"], [field("bin_range"), "ASC"]]
+    },
+    yearlyValuation: {
+      rows: tables => tables.unique_permits_yearly_valuation.map(row => ({
+        year: row.year,
+        permit_count: row.permit_count,
+        total_valuation: row.total_valuation,
+        mean_valuation: row.permit_count > 0 ? round(row.total_valuation / row.permit_count, 2) : null,
+        median_valuation: row.median_valuation
+      })),
+      yearField: "year",
+      sortValues: {
+        year: field("year"),
+        permit_count: field("permit_count"),
+        total_valuation: field("total_valuation"),
+        mean_valuation: field("mean_valuation"),
+        median_valuation: field("median_valuation")
+      },
+      defaultOrder: [[field("year"), "DESC"]]
+    }
+  },
+  fiscal: {
+    yearly: {
+      rows: fiscalYearly,
+      yearField: "fiscal_year",
+      sortValues: { fiscal_year: field("fiscal_year"), permit_count: field("permit_count") },
+      defaultOrder: [[field("fiscal_year"), "DESC"]]
+    },
+    monthly: {
+      rows: tables => tables.unique_permits_monthly.map(row => {
+        const { fiscalYear, fiscalQuarter } = fiscalOf(row);
+        return { fiscal_year: fiscalYear, month: row.month, quarter: String(fiscalQuarter), permit_count: row.permit_count };
+      }),
+      yearField: "fiscal_year",
+      monthField: "month",
+      sortValues: {
+        fiscal_year: field("fiscal_year"),
+        month: row => fiscalPeriodOf(0, monthNumber(row.month)).fiscalMonth,
+        permit_count: field("permit_count")
+      },
+      defaultOrder: [[field("fiscal_year"), "DESC"], [row => fiscalPeriodOf(0, monthNumber(row.month)).fiscalMonth, "ASC"]]
+    },
+    quarterly: {
+      rows: fiscalQuarterly,
+      yearField: "fiscal_year",
+      quarterField: "quarter",
+      sortValues: { fiscal_year: field("fiscal_year"), quarter: field("quarter"), permit_count: field("permit_count") },
+      defaultOrder: [[field("fiscal_year"), "DESC"], [field("quarter"), "ASC"]]
+    }
+  }
+};
+
+// Apply filters from utils/queryParams.readFilters and sort, as filtersToSql would
+const filterAndSort = (rows, dataset, filters) => {
+  const year = row => row[dataset.yearField];
+  const matches = row =>
+    (filters.fromYear === undefined || year(row) >= filters.fromYear) &&
+    (filters.toYear === undefined || year(row) <= filters.toYear) &&
+    (filters.years === undefined || filters.years.includes(year(row))) &&
+    (filters.quarters === undefined || filters.quarters.includes(row[dataset.quarterField])) &&
+    (filters.months === undefined || filters.months.includes(row[dataset.monthField]));
+
+  const order = filters.sort !== undefined
+    ? [[dataset.sortValues[filters.sort], filters.direction]]
+    : dataset.defaultOrder;
+  return rows.filter(matches).sort(orderBy(order));
+};
+
+// Seasonal permit series of utils/permitSeries.js, as (fiscal_year, period, permit_count) rows
+const PERMIT_SERIES = {
+  monthly: {
+    calendar: tables => tables.unique_permits_monthly.map(row => ({ fiscal_year: row.year, period: monthNumber(row.month), permit_count: row.permit_count })),
+    fiscal: tables => tables.unique_permits_monthly.map(row => {
+      const { fiscalYear, fiscalMonth } = fiscalOf(row);
+      return { fiscal_year: fiscalYear, period: fiscalMonth, permit_count: row.permit_count };
+    })
+  },
+  quarterly: {
+    calendar: tables => tables.unique_permits_quarterly.map(row => ({ fiscal_year: row.year, period: Number(row.quarter), permit_count: row.permit_count })),
+    fiscal: tables => fiscalQuarterly(tables).map(row => ({ fiscal_year: row.fiscal_year, period: Number(row.quarter), permit_count: row.permit_count }))
+  }
+};
+
+/*
+ * Processing metrics from permit_events, as METRICS_DATASET in
+ * services/permitLifecycle.service.js computes them: a lifecycle per permit and
+ * department and per permit overall (department null), grouped by the fiscal
+ * year of submission.
+ */
+const processingMetrics = tables => {
+  const dayOf = date => Date.parse(`${date}T00:00:00Z`) / DAY_MS;
+  const lifecycle = events => {
+    const earliest = status => {
+      const dates = events.filter(event => event.status === status).map(event => event.event_date).sort();
+      return dates.length > 0 ? dates[0] : null;
+    };
+    return {
+      submittedOn: earliest("submitted"),
+      approvedOn: earliest("approved"),
+      issuedOn: earliest("issued"),
+      revised: events.some(event => event.status === "revisions_requested")
+    };
+  };
+
+  const events = tables.permit_events;
+  const lifecycles = [
+    ...groupRows(events, event => JSON.stringify([event.permit_number, event.department]))
+      .map(([, rows]) => ({ department: rows[0].department, ...lifecycle(rows) })),
+    ...groupRows(events, event => event.permit_number)
+      .map(([, rows]) => ({ department: null, ...lifecycle(rows) }))
+  ].filter(permit => permit.submittedOn !== null);
+
+  const percent = (permits, test) => round((100 * permits.filter(test).length) / permits.length, 1);
+  return groupRows(lifecycles, permit => {
+    const submitted = new Date(`${permit.submittedOn}T00:00:00Z`);
+    const { fiscalYear } = fiscalPeriodOf(submitted.getUTCFullYear(), submitted.getUTCMonth() + 1);
+    return JSON.stringify([fiscalYear, permit.department]);
+  }).map(([key, permits]) => {
+    const [fiscalYear, department] = JSON.parse(key);
+    const issued = permits.filter(permit => permit.issuedOn !== null);
+    return {
+      fiscal_year: fiscalYear,
+      department,
+      permit_count: permits.length,
+      avg_processing_days: issued.length > 0
+        ? round(sum(issued.map(permit => dayOf(permit.issuedOn) - dayOf(permit.submittedOn))) / issued.length, 1)
+        : null,
+      completion_rate: percent(permits, permit => permit.issuedOn !== null),
+      approval_rate: percent(permits, permit => permit.approvedOn !== null || permit.issuedOn !== null),
+      revision_rate: percent(permits, permit => permit.revised)
+    };
+  });
+};
+
+const METRICS_DATASET = {
+  yearField: "fiscal_year",
+  sortValues: Object.fromEntries(
+    ["fiscal_year", "department", "permit_count", "avg_processing_days", "completion_rate", "approval_rate", "revision_rate"]
+      .map(name => [name, field(name)])
+  ),
+  // department NULLS FIRST: the all-department rows lead each year
+  defaultOrder: [[field("fiscal_year"), "DESC"], [row => row.department !== null, "ASC"], [field("department"), "ASC"]]
+};
+
+/*
+ * Sources of utils/aggregateQuery.js by calendar view and table: each maps a
+ * row to its dimension values and the measured value.
+ */
+const AGGREGATE_SOURCES = {
+  calendar: {
+    unique_permits_yearly: row => ({ year: row.fiscal_year, value: row.permit_count }),
+    unique_permits_quarterly: row => ({ year: row.year, quarter: Number(row.quarter), value: row.permit_count }),
+    unique_permits_monthly: row => ({ year: row.year, quarter: calendarQuarter(row.month), month: row.month, value: row.permit_count }),
+    department_activity: row => ({ year: row.year, department: row.department, value: row.activity_count }),
+    unique_permits_yearly_bins: row => ({ year: row.year, bin: row.bin_range, value: row.permit_count })
+  },
+  fiscal: {
+    unique_permits_monthly: row => {
+      const { fiscalYear, fiscalQuarter } = fiscalOf(row);
+      return { year: fiscalYear, quarter: fiscalQuarter, month: row.month, value: row.permit_count };
+    }
+  }
+};
+
+// Aggregates over empty input follow SQL: COUNT is 0, the others NULL
+const MEASURES = {
+  sum: values => (values.length > 0 ? sum(values) : null),
+  avg: values => (values.length > 0 ? round(sum(values) / values.length, 2) : null),
+  min: values => (values.length > 0 ? Math.min(...values) : null),
+  max: values => (values.length > 0 ? Math.max(...values) : null),
+  count: values => values.length
+};
+
+const runAggregate = (tables, { measure, groupBy, calendar, source, filters }) => {
+  const toDimensions = AGGREGATE_SOURCES[calendar][source.table];
+  const matches = row =>
+    (filters.fromYear === undefined || row.year >= filters.fromYear) &&
+    (filters.toYear === undefined || row.year <= filters.toYear) &&
+    (filters.years === undefined || filters.years.includes(row.year)) &&
+    (filters.quarters === undefined || filters.quarters.includes(row.quarter)) &&
+    (filters.months === undefined || filters.months.includes(row.month)) &&
+    (filters.departments === undefined || filters.departments.includes(row.department)) &&
+    (filters.bins === undefined || filters.bins.includes(row.bin));
+  const rows = tables[source.table].map(toDimensions).filter(matches);
+
+  if (groupBy.length === 0) {
+    return [{ value: MEASURES[measure](rows.map(field("value"))) }];
+  }
+
+  const monthOrder = calendar === "fiscal"
+    ? row => fiscalPeriodOf(0, monthNumber(row.month)).fiscalMonth
+    : row => monthNumber(row.month);
+  return groupRows(rows, row => JSON.stringify(groupBy.map(dimension => row[dimension])))
+    .map(([, group]) => ({
+      ...Object.fromEntries(groupBy.map(dimension => [dimension, group[0][dimension]])),
+      value: MEASURES[measure](group.map(field("value")))
+    }))
+    .sort(orderBy(groupBy.map(dimension => [dimension === "month" ? monthOrder : field(dimension), "ASC"])));
+};
+
+const departmentTotals = tables => groupRows(tables.department_activity, field("department"))
+  .map(([department, rows]) => ({ department, total_activity: sum(rows.map(field("activity_count"))) }))
+  .sort(orderBy([[field("department"), "ASC"]]));
+
+const activityOrder = orderBy([[field("year"), "DESC"], [field("department"), "ASC"]]);
+const activityRow = row => ({ year: row.year, department: row.department, activity_count: row.activity_count });
+
+/**
+ * Build the dashboard part of a repository (see repositories/index.js) over
+ * `snapshot()`, which resolves to { tables, stats } with every table's rows and
+ * { rowCount, lastModified } per table. The adapter decides when a snapshot is
+ * reloaded; the methods below never modify it.
+ */
+const createMemoryReads = snapshot => {
+  const withTables = read => async (...args) => read((await snapshot()).tables, ...args);
+
+  return {
+    tableStats: async tables => {
+      const { stats } = await snapshot();
+      return tables.map(table => ({
+        table,
+        rowCount: stats[table] ? stats[table].rowCount : 0,
+        lastModified: stats[table] ? stats[table].lastModified : null
+      }));
+    },
+
+    permits: {
+      list: withTables((tables, name, calendar, filters) => {
+        const dataset = PERMIT_DATASETS[calendar][name] || PERMIT_DATASETS.calendar[name];
+        return filterAndSort(dataset.rows(tables), dataset, filters);
+      }),
+      series: withTables((tables, name, calendar) => PERMIT_SERIES[name][calendar](tables)),
+      metrics: withTables((tables, filters) => filterAndSort(processingMetrics(tables), METRICS_DATASET, filters)),
+      aggregate: withTables(runAggregate)
+    },
+
+    dashboard: {
+      summary: withTables(tables => {
+        const yearly = tables.unique_permits_yearly;
+        const latest = [...yearly].sort(orderBy([[field("fiscal_year"), "DESC"]]))[0];
+        return {
+          totalPermits: yearly.length > 0 ? sum(yearly.map(field("permit_count"))) : null,
+          latestYear: latest ? { fiscal_year: latest.fiscal_year, permit_count: latest.permit_count } : null,
+          departmentTotals: departmentTotals(tables)
+        };
+      }),
+      kpis: withTables(tables => {
+        const yearly = [...tables.unique_permits_yearly].sort(orderBy([[field("fiscal_year"), "ASC"]]));
+        const last = yearly[yearly.length - 1];
+        const previous = yearly[yearly.length - 2];
+        const latestMonthYear = Math.max(...tables.unique_permits_monthly.map(field("year")));
+        const latestMonths = tables.unique_permits_monthly.filter(row => row.year === latestMonthYear);
+        const [mostActive] = departmentTotals(tables).sort(orderBy([[field("total_activity"), "DESC"]]));
+        return {
+          yearOverYearGrowth: previous
+            ? {
+                fiscal_year: last.fiscal_year,
+                permit_count: last.permit_count,
+                prev_year_count: previous.permit_count,
+                growth_percentage: previous.permit_count !== 0
+                  ? round(((last.permit_count - previous.permit_count) / previous.permit_count) * 100, 2)
+                  : null
+              }
+            : null,
+          avgMonthlyPermits: latestMonths.length > 0 ? sum(latestMonths.map(field("permit_count"))) / latestMonths.length : null,
+          mostActiveDepartment: mostActive || null
+        };
+      }),
+      trends: withTables((tables, years) => {
+        const latestYear = Math.max(...tables.department_activity.map(field("year")));
+        return {
+          yearlyTrend: [...tables.unique_permits_yearly]
+            .sort(orderBy([[field("fiscal_year"), "DESC"]]))
+            .slice(0, years)
+            .map(row => ({ fiscal_year: row.fiscal_year, permit_count: row.permit_count })),
+          departmentTrends: tables.department_activity
+            .filter(row => row.year >= latestYear - (years - 1))
+            .sort(activityOrder)
+            .map(activityRow)
+        };
+      })
+    },
+
+    departments: {
+      list: withTables(tables => [...tables.departments]
+        .sort(orderBy([[field("sort_order"), "ASC"], [field("display_name"), "ASC"]]))
+        .map(({ code, display_name, description, colors, sort_order }) => ({ code, display_name, description, colors, sort_order }))),
+      activity: withTables((tables, { departments } = {}) => tables.department_activity
+        .filter(row => !departments || departments.includes(row.department))
+        .sort(activityOrder)
+        .map(activityRow)),
+      activityWeekday: withTables(tables => [...tables.department_activity_weekday]
+        .sort(activityOrder)
+        .map(({ year, department, monday, tuesday, wednesday, thursday, friday }) => ({ year, department, monday, tuesday, wednesday, thursday, friday }))),
+      activityFor: withTables((tables, code) => tables.department_activity
+        .filter(row => row.department === code)
+        .sort(activityOrder)
+        .map(activityRow))
+    }
+  };
+};
+
+module.exports = {
+  createMemoryReads
+};
@@ -0,0 +1,272 @@
+const db = require("../config/database");
+const { cachedQuery } = require("../services/cache.service");
+const { getCurrentVersion } = require("../services/migration.service");
+const { METRICS_DATASET } = require("../services/permitLifecycle.service");
+const { filtersToSql } = require("../utils/queryParams");
+const { permitDatasetFor } = require("../utils/permitDatasets");
+const { buildAggregateQuery } = require("../utils/aggregateQuery");
+const { PERMIT_SERIES } = require("../utils/permitSeries");
+
+/*
+ * The default repository: dashboard reads go through the query cache
+ * (services/cache.service.js), everything else straight to the pool. Admin
+ * features (imports, data versions, user management, the audit log) use the
+ * pool directly and are only available with this repository.
+ */
+
+// A filtered, sorted select over a dataset definition with SQL columns
+const selectFiltered = async (dataset, filters) => {
+  const { conditions, params, orderBy } = filtersToSql(filters, dataset);
+  const where = conditions.length > 0 ? ` WHERE ${conditions.join(" AND ")}` : "";
+  const { rows } = await cachedQuery(
+    `SELECT ${dataset.columns} FROM ${dataset.table}${where} ORDER BY ${orderBy}`,
+    params
+  );
+  return rows;
+};
+
+const permits = {
+  list: (name, calendar, filters) => selectFiltered(permitDatasetFor(name, calendar), filters),
+
+  series: async (name, calendar) => (await cachedQuery(PERMIT_SERIES[name].query[calendar])).rows,
+
+  metrics: filters => selectFiltered(METRICS_DATASET, filters),
+
+  aggregate: async request => {
+    const { text, params } = buildAggregateQuery(request);
+    return (await cachedQuery(text, params)).rows;
+  }
+};
+
+const dashboard = {
+  summary: async () => {
+    const totalPermitsResult = await cachedQuery(
+      "SELECT SUM(permit_count)::int as total FROM unique_permits_yearly"
+    );
+    const latestYearResult = await cachedQuery(
+      "SELECT fiscal_year, permit_count FROM unique_permits_yearly ORDER BY fiscal_year DESC LIMIT 1"
+    );
+    const departmentTotalsResult = await cachedQuery(`
+      SELECT department, SUM(activity_count)::int as total_activity
+      FROM department_activity
+      GROUP BY department
+    `);
+
+    return {
+      totalPermits: totalPermitsResult.rows[0].total,
+      latestYear: latestYearResult.rows[0] || null,
+      departmentTotals: departmentTotalsResult.rows
+    };
+  },
+
+  kpis: async () => {
+    // Year-over-year growth
+    const yoyResult = await cachedQuery(`
+      WITH yearly_data AS (
+        SELECT fiscal_year, permit_count,
+               LAG(permit_count) OVER (ORDER BY fiscal_year) as prev_year_count
+        FROM unique_permits_yearly
+      )
+      SELECT fiscal_year, permit_count, prev_year_count,
+             ROUND(((permit_count - prev_year_count)::numeric / prev_year_count) * 100, 2)::float8 as growth_percentage
+      FROM yearly_data
+      WHERE prev_year_count IS NOT NULL
+      ORDER BY fiscal_year DESC
+      LIMIT 1
+    `);
+
+    // Average permits per month (current year)
+    const avgMonthlyResult = await cachedQuery(`
+      SELECT AVG(permit_count)::float8 as avg_monthly_permits
+      FROM unique_permits_monthly
+      WHERE year = (SELECT MAX(year) FROM unique_permits_monthly)
+    `);
+
+    // Most active department
+    const mostActiveResult = await cachedQuery(`
+      SELECT department, SUM(activity_count)::int as total_activity
+      FROM department_activity
+      GROUP BY department
+      ORDER BY total_activity DESC
+      LIMIT 1
+    `);
+
+    return {
+      yearOverYearGrowth: yoyResult.rows[0] || null,
+      avgMonthlyPermits: avgMonthlyResult.rows[0].avg_monthly_permits,
+      mostActiveDepartment: mostActiveResult.rows[0] || null
+    };
+  },
+
+  trends: async years => {
+    const yearlyTrend = await cachedQuery(
+      "SELECT fiscal_year, permit_count FROM unique_permits_yearly ORDER BY fiscal_year DESC LIMIT $1",
+      [years]
+    );
+    const departmentTrends = await cachedQuery(`
+      SELECT year, department, activity_count
+      FROM department_activity
+      WHERE year >= (SELECT MAX(year) - $1 FROM department_activity)
+      ORDER BY year DESC, department
+    `, [years - 1]);
+
+    return {
+      yearlyTrend: yearlyTrend.rows,
+      departmentTrends: departmentTrends.rows
+    };
+  }
+};
+
+const departments = {
+  list: async () => (await cachedQuery(
+    "SELECT code, display_name, description, colors, sort_order FROM departments ORDER BY sort_order, display_name"
+  )).rows,
+
+  activity: async ({ departments: codes } = {}) => (await cachedQuery(
+    `SELECT year, department, activity_count FROM department_activity${codes ? " WHERE department = ANY($1)" : ""}
+     ORDER BY year DESC, department`,
+    codes ? [codes] : []
+  )).rows,
+
+  activityWeekday: async () => (await cachedQuery(
+    `SELECT year, department, monday::float8, tuesday::float8, wednesday::float8,
+            thursday::float8, friday::float8
+     FROM department_activity_weekday ORDER BY year DESC, department`
+  )).rows,
+
+  activityFor: async code => (await cachedQuery(
+    "SELECT year, department, activity_count FROM department_activity WHERE department = $1 ORDER BY year DESC",
+    [code]
+  )).rows
+};
+
+const accounts = {
+  findUserByLogin: async login => {
+    const result = await db.query(
+      "SELECT * FROM users WHERE username = $1 OR email = $1 LIMIT 1",
+      [login]
+    );
+    return result.rows[0] || null;
+  },
+
+  findUserById: async id => {
+    const result = await db.query("SELECT * FROM users WHERE id = $1", [id]);
+    return result.rows[0] || null;
+  },
+
+  // Create the user, or reset the email, password and role of an existing username; resolves to its id
+  saveUser: async ({ username, email, passwordHash, role }) => {
+    const result = await db.query(
+      `INSERT INTO users (username, email, password_hash, role)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (username)
+       DO UPDATE SET email = EXCLUDED.email, password_hash = EXCLUDED.password_hash, role = EXCLUDED.role
+       RETURNING id`,
+      [username, email, passwordHash, role]
+    );
+    return result.rows[0].id;
+  },
+
+  saveRefreshToken: async (userId, tokenHash, ttlDays) => {
+    await db.query(
+      `INSERT INTO refresh_tokens (user_id, token_hash, expires_at)
+       VALUES ($1, $2, CURRENT_TIMESTAMP + make_interval(days => $3))`,
+      [userId, tokenHash, ttlDays]
+    );
+  },
+
+  // Revoke a current refresh token; resolves to its user id, or null when it was unknown, expired or revoked
+  consumeRefreshToken: async tokenHash => {
+    const result = await db.query(
+      `UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP
+       WHERE token_hash = $1 AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+       RETURNING user_id`,
+      [tokenHash]
+    );
+    return result.rows.length > 0 ? result.rows[0].user_id : null;
+  },
+
+  revokeRefreshToken: async tokenHash => {
+    await db.query(
+      "UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE token_hash = $1 AND revoked_at IS NULL",
+      [tokenHash]
+    );
+  }
+};
+
+const loadPreferences = async (executor, userId) => {
+  const result = await executor.query(
+    "SELECT preference_key, preference_value FROM user_preferences WHERE user_id = $1 ORDER BY preference_key",
+    [userId]
+  );
+  return Object.fromEntries(result.rows.map(row => [row.preference_key, row.preference_value]));
+};
+
+const preferences = {
+  get: userId => loadPreferences(db, userId),
+
+  // Apply { key: value } changes in one transaction (null removes a key); resolves to every preference
+  update: async (userId, changes) => {
+    const client = await db.pool.connect();
+    try {
+      await client.query("BEGIN");
+      for (const [key, value] of Object.entries(changes)) {
+        if (value === null) {
+          await client.query(
+            "DELETE FROM user_preferences WHERE user_id = $1 AND preference_key = $2",
+            [userId, key]
+          );
+        } else {
+          await client.query(
+            `INSERT INTO user_preferences (user_id, preference_key, preference_value)
+             VALUES ($1, $2, $3)
+             ON CONFLICT (user_id, preference_key)
+             DO UPDATE SET preference_value = EXCLUDED.preference_value`,
+            [userId, key, value]
+          );
+        }
+      }
+      await client.query("COMMIT");
+      return await loadPreferences(client, userId);
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+};
+
+/**
+ * Row counts and latest updated_at of the given tables, for ETags and the
+ * readiness check. Table names must come from code, never from a request.
+ */
+const tableStats = async tables => {
+  const { rows } = await cachedQuery(
+    tables
+      .map(table => `SELECT '${table}' AS table_name, COUNT(*)::int AS row_count, MAX(updated_at) AS last_modified FROM ${table}`)
+      .join(" UNION ALL ")
+  );
+  return rows.map(row => ({ table: row.table_name, rowCount: row.row_count, lastModified: row.last_modified }));
+};
+
+const createPostgresRepository = () => ({
+  name: "postgres",
+  readOnly: false,
+  ping: async () => {
+    await db.query("SELECT 1");
+  },
+  // Newest applied migration, compared by the readiness check with the files in database/migrations
+  schemaVersion: () => getCurrentVersion(db),
+  tableStats,
+  permits,
+  dashboard,
+  departments,
+  accounts,
+  preferences,
+  close: db.closePool
+});
+
+module.exports = {
+  createPostgresRepository
+};
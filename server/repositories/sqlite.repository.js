@@ -0,0 +1,287 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { sqlitePath } = require("../config/dataSource");
+const { createMemoryReads } = require("./memory.repository");
+const { readBundledData } = require("./json.repository");
+const { localAdminAccount } = require("./localAccounts");
+
+/*
+ * Columns of the dashboard tables, as in database/migrations. Every table also
+ * gets an id, created_at and updated_at, with a trigger keeping updated_at
+ * current so ETags change when rows are edited in place.
+ */
+const DATA_TABLES = {
+  unique_permits_yearly: `fiscal_year INTEGER NOT NULL UNIQUE,
+    permit_count INTEGER NOT NULL`,
+  department_activity: `year INTEGER NOT NULL,
+    activity_count INTEGER NOT NULL,
+    department TEXT NOT NULL,
+    UNIQUE(year, department)`,
+  department_activity_weekday: `year INTEGER NOT NULL,
+    monday REAL NOT NULL,
+    tuesday REAL NOT NULL,
+    wednesday REAL NOT NULL,
+    thursday REAL NOT NULL,
+    friday REAL NOT NULL,
+    department TEXT NOT NULL,
+    UNIQUE(year, department)`,
+  unique_permits_monthly: `month TEXT NOT NULL,
+    permit_count INTEGER NOT NULL,
+    year INTEGER NOT NULL,
+    UNIQUE(month, year)`,
+  unique_permits_quarterly: `quarter TEXT NOT NULL,
+    permit_count INTEGER NOT NULL,
+    year INTEGER NOT NULL,
+    UNIQUE(quarter, year)`,
+  unique_permits_yearly_bins: `bin_range TEXT NOT NULL,
+    permit_count INTEGER NOT NULL,
+    year INTEGER NOT NULL,
+    UNIQUE(bin_range, year)`,
+  unique_permits_yearly_valuation: `year INTEGER NOT NULL UNIQUE,
+    permit_count INTEGER NOT NULL,
+    total_valuation REAL NOT NULL,
+    median_valuation REAL`,
+  departments: `code TEXT NOT NULL UNIQUE,
+    display_name TEXT NOT NULL,
+    description TEXT,
+    colors TEXT NOT NULL DEFAULT '[]', -- JSON array of CSS colors
+    sort_order INTEGER NOT NULL DEFAULT 0`,
+  permit_events: `permit_number TEXT NOT NULL,
+    department TEXT NOT NULL,
+    status TEXT NOT NULL CHECK (status IN ('submitted', 'in_review', 'revisions_requested', 'approved', 'issued')),
+    event_date TEXT NOT NULL, -- YYYY-MM-DD
+    source_file TEXT NOT NULL`
+};
+
+const SCHEMA = `
+${Object.entries(DATA_TABLES).map(([table, columns]) => `
+CREATE TABLE IF NOT EXISTS ${table} (
+    id INTEGER PRIMARY KEY,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    ${columns}
+);
+CREATE TRIGGER IF NOT EXISTS update_${table}_updated_at AFTER UPDATE ON ${table} FOR EACH ROW
+WHEN NEW.updated_at = OLD.updated_at
+BEGIN
+    UPDATE ${table} SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+END;`).join("\n")}
+
+CREATE TABLE IF NOT EXISTS users (
+    id TEXT PRIMARY KEY,
+    username TEXT UNIQUE NOT NULL,
+    email TEXT UNIQUE NOT NULL,
+    password_hash TEXT NOT NULL,
+    role TEXT DEFAULT 'viewer',
+    is_active INTEGER DEFAULT 1,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+    id INTEGER PRIMARY KEY,
+    user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    token_hash TEXT UNIQUE NOT NULL,
+    expires_at TEXT NOT NULL, -- ISO 8601, UTC
+    revoked_at TEXT,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS user_preferences (
+    id INTEGER PRIMARY KEY,
+    user_id TEXT REFERENCES users(id) ON DELETE CASCADE,
+    preference_key TEXT NOT NULL,
+    preference_value TEXT,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(user_id, preference_key)
+);
+`;
+
+// better-sqlite3 is an optional dependency, only needed for this repository
+const openDatabase = file => {
+  let Database;
+  try {
+    Database = require("better-sqlite3");
+  } catch (error) {
+    if (error.code === "MODULE_NOT_FOUND") {
+      throw new Error("DATA_SOURCE=sqlite needs the optional better-sqlite3 package; run npm install in server/");
+    }
+    throw error;
+  }
+
+  if (file !== ":memory:") {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+  }
+  const db = new Database(file);
+  db.pragma("journal_mode = WAL");
+  db.pragma("foreign_keys = ON");
+  db.exec(SCHEMA);
+  return db;
+};
+
+// SQLite's CURRENT_TIMESTAMP is UTC without a zone ("2024-05-01 12:00:00")
+const parseTimestamp = value => (value ? new Date(`${value.replace(" ", "T")}Z`) : null);
+
+const insertRows = (db, table, rows) => {
+  if (rows.length === 0) return;
+  const columns = Object.keys(rows[0]);
+  const insert = db.prepare(
+    `INSERT INTO ${table} (${columns.join(", ")}) VALUES (${columns.map(column => `@${column}`).join(", ")})`
+  );
+  rows.forEach(row => insert.run(row));
+};
+
+// Fill empty tables from the bundled JSON and create the local admin when there are no users
+const seed = async db => {
+  const emptyTables = Object.keys(DATA_TABLES)
+    .filter(table => db.prepare(`SELECT COUNT(*) AS count FROM ${table}`).get().count === 0);
+  const needsAdmin = db.prepare("SELECT COUNT(*) AS count FROM users").get().count === 0;
+
+  const { tables } = emptyTables.length > 0 ? await readBundledData() : { tables: {} };
+  const admin = needsAdmin ? await localAdminAccount() : null;
+
+  db.transaction(() => {
+    emptyTables.forEach(table => {
+      const rows = table === "departments"
+        ? tables.departments.map(row => ({ ...row, colors: JSON.stringify(row.colors) }))
+        : tables[table] || [];
+      insertRows(db, table, rows);
+    });
+    if (admin) {
+      db.prepare("INSERT INTO users (id, username, email, password_hash, role) VALUES (?, ?, ?, ?, ?)")
+        .run(crypto.randomUUID(), admin.username, admin.email, admin.passwordHash, admin.role);
+    }
+  })();
+};
+
+// Every dashboard table with its row count and latest updated_at
+const readTables = db => {
+  const tables = {};
+  const stats = {};
+  Object.keys(DATA_TABLES).forEach(table => {
+    tables[table] = db.prepare(`SELECT * FROM ${table}`).all();
+    const { last_modified: lastModified } = db.prepare(`SELECT MAX(updated_at) AS last_modified FROM ${table}`).get();
+    stats[table] = { rowCount: tables[table].length, lastModified: parseTimestamp(lastModified) };
+  });
+  tables.departments = tables.departments.map(row => ({ ...row, colors: JSON.parse(row.colors) }));
+  return { tables, stats };
+};
+
+const toUser = row => (row ? { ...row, is_active: row.is_active === 1 } : null);
+
+/*
+ * Repository over an embedded SQLite file (SQLITE_PATH; ":memory:" for a
+ * throwaway database, e.g. in integration tests). A new file gets the schema
+ * above, the bundled JSON data and the local admin. Dashboard reads run over
+ * a snapshot of the tables that is reloaded when another connection writes
+ * to the file.
+ */
+const createSqliteRepository = (file = sqlitePath) => {
+  const db = openDatabase(file);
+  const ready = seed(db);
+  // Not an unhandled rejection: a failed seed surfaces on first use instead
+  ready.catch(() => {});
+
+  let cached = null;
+  let cachedVersion = null;
+  const snapshot = async () => {
+    await ready;
+    const version = db.pragma("data_version", { simple: true });
+    if (!cached || version !== cachedVersion) {
+      cached = readTables(db);
+      cachedVersion = version;
+    }
+    return cached;
+  };
+
+  // Wrap a synchronous statement so it waits for seeding and resolves like the other repositories
+  const afterSeed = fn => async (...args) => {
+    await ready;
+    return fn(...args);
+  };
+
+  const loadPreferences = userId => Object.fromEntries(
+    db.prepare("SELECT preference_key, preference_value FROM user_preferences WHERE user_id = ? ORDER BY preference_key")
+      .all(userId)
+      .map(row => [row.preference_key, row.preference_value])
+  );
+
+  const updatePreferences = db.transaction((userId, changes) => {
+    Object.entries(changes).forEach(([key, value]) => {
+      if (value === null) {
+        db.prepare("DELETE FROM user_preferences WHERE user_id = ? AND preference_key = ?").run(userId, key);
+      } else {
+        db.prepare(
+          `INSERT INTO user_preferences (user_id, preference_key, preference_value)
+           VALUES (?, ?, ?)
+           ON CONFLICT (user_id, preference_key)
+           DO UPDATE SET preference_value = excluded.preference_value, updated_at = CURRENT_TIMESTAMP`
+        ).run(userId, key, value);
+      }
+    });
+    return loadPreferences(userId);
+  });
+
+  return {
+    name: "sqlite",
+    readOnly: false,
+    ping: afterSeed(() => {
+      db.prepare("SELECT 1").get();
+    }),
+    ...createMemoryReads(snapshot),
+
+    accounts: {
+      findUserByLogin: afterSeed(login => toUser(
+        db.prepare("SELECT * FROM users WHERE username = ? OR email = ? LIMIT 1").get(login, login)
+      )),
+
+      findUserById: afterSeed(id => toUser(db.prepare("SELECT * FROM users WHERE id = ?").get(id))),
+
+      saveUser: afterSeed(({ username, email, passwordHash, role }) => db.prepare(
+        `INSERT INTO users (id, username, email, password_hash, role)
+         VALUES (?, ?, ?, ?, ?)
+         ON CONFLICT (username)
+         DO UPDATE SET email = excluded.email, password_hash = excluded.password_hash, role = excluded.role,
+                       updated_at = CURRENT_TIMESTAMP
+         RETURNING id`
+      ).get(crypto.randomUUID(), username, email, passwordHash, role).id),
+
+      saveRefreshToken: afterSeed((userId, tokenHash, ttlDays) => {
+        const expiresAt = new Date(Date.now() + ttlDays * 24 * 60 * 60 * 1000).toISOString();
+        db.prepare("INSERT INTO refresh_tokens (user_id, token_hash, expires_at) VALUES (?, ?, ?)")
+          .run(userId, tokenHash, expiresAt);
+      }),
+
+      consumeRefreshToken: afterSeed(tokenHash => {
+        const now = new Date().toISOString();
+        const row = db.prepare(
+          `UPDATE refresh_tokens SET revoked_at = ?
+           WHERE token_hash = ? AND revoked_at IS NULL AND expires_at > ?
+           RETURNING user_id`
+        ).get(now, tokenHash, now);
+        return row ? row.user_id : null;
+      }),
+
+      revokeRefreshToken: afterSeed(tokenHash => {
+        db.prepare("UPDATE refresh_tokens SET revoked_at = ? WHERE token_hash = ? AND revoked_at IS NULL")
+          .run(new Date().toISOString(), tokenHash);
+      })
+    },
+
+    preferences: {
+      get: afterSeed(loadPreferences),
+      update: afterSeed(updatePreferences)
+    },
+
+    close: async () => {
+      await ready.catch(() => {});
+      db.close();
+    }
+  };
+};
+
+module.exports = {
+  createSqliteRepository
+};
@@ -0,0 +1,47 @@
+const express = require("express");
+const router = express.Router();
+const adminController = require("../controllers/admin.controller");
+const userController = require("../controllers/user.controller");
+const auditController = require("../controllers/audit.controller");
+const { requirePermission } = require("../middleware/auth");
+const { importLimiter } = require("../middleware/rateLimit");
+const { PERMISSIONS } = require("../config/roles");
+
+// CSV and XLSX uploads arrive as raw bytes and JSON uploads are parsed, both up to
+// the same size; the app-wide JSON parser skips these routes
+const UPLOAD_LIMIT = "10mb";
+const upload = [
+  express.raw({
+    type: [
+      "text/csv",
+      "application/vnd.ms-excel",
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+      "application/octet-stream"
+    ],
+    limit: UPLOAD_LIMIT
+  }),
+  express.json({ limit: UPLOAD_LIMIT })
+];
+
+const canImport = requirePermission(PERMISSIONS.DATA_IMPORT);
+const canManageUsers = requirePermission(PERMISSIONS.USERS_MANAGE);
+const canReadAudit = requirePermission(PERMISSIONS.AUDIT_READ);
+
+// Data import routes
+router.get("/import", canImport, adminController.getImportDatasets);
+router.post("/import/permits", canImport, importLimiter, upload, adminController.importPermits);
+router.post("/import/permit-events", canImport, importLimiter, upload, adminController.importPermitEvents);
+router.post("/import/:dataset", canImport, importLimiter, upload, adminController.importDataset);
+router.get("/data-versions", canImport, adminController.getDataVersions);
+router.post("/data-versions/:dataset/:version/rollback", canImport, importLimiter, adminController.rollbackDataVersion);
+
+// User management routes
+router.get("/users", canManageUsers, userController.getUsers);
+router.post("/users", canManageUsers, userController.createUser);
+router.patch("/users/:id", canManageUsers, userController.updateUser);
+
+// Audit log routes
+router.get("/audit-logs", canReadAudit, auditController.getAuditLogs);
+router.get("/audit-logs/actions", canReadAudit, auditController.getAuditActions);
+
+module.exports = router;
@@ -0,0 +1,11 @@
+const express = require("express");
+const router = express.Router();
+const anomalyController = require("../controllers/anomaly.controller");
+const { conditionalGet } = require("../middleware/httpCache");
+const { validateOperation } = require("../middleware/openapi");
+const { readSingle } = require("../utils/queryParams");
+
+// Anomalies are rescored only when the series they are found in change
+router.get("/", validateOperation("getAnomalies"), conditionalGet(req => anomalyController.tablesForSeries(readSingle(req.query, "series"))), anomalyController.getAnomalies);
+
+module.exports = router;
@@ -0,0 +1,10 @@
+const express = require("express");
+const router = express.Router();
+const auditController = require("../controllers/audit.controller");
+const { requirePermission } = require("../middleware/auth");
+const { PERMISSIONS } = require("../config/roles");
+
+// Exports are generated client-side, so the browser reports them here
+router.post("/exports", requirePermission(PERMISSIONS.DATA_EXPORT), auditController.recordExport);
+
+module.exports = router;
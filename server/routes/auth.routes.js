@@ -0,0 +1,13 @@
+const express = require("express");
+const router = express.Router();
+const authController = require("../controllers/auth.controller");
+const { authenticate } = require("../middleware/auth");
+const { authLimiter } = require("../middleware/rateLimit");
+
+// Authentication routes
+router.post("/login", authLimiter, authController.login);
+router.post("/refresh", authLimiter, authController.refresh);
+router.post("/logout", authController.logout);
+router.get("/me", authenticate, authController.me);
+
+module.exports = router;
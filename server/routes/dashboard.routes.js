@@ -1,10 +1,14 @@
 const express = require("express");
 const router = express.Router();
 const dashboardController = require("../controllers/dashboard.controller");
+const { conditionalGet } = require("../middleware/httpCache");
+const { validateOperation } = require("../middleware/openapi");
 
 // Dashboard summary routes
-router.get("/summary", dashboardController.getDashboardSummary);
-router.get("/kpis", dashboardController.getKPIs);
-router.get("/trends", dashboardController.getTrends);
+router.get("/summary", validateOperation("getSummary"), conditionalGet(["unique_permits_yearly", "department_activity"]), dashboardController.getDashboardSummary);
+router.get("/kpis", validateOperation("getKPIs"), conditionalGet(["unique_permits_yearly", "unique_permits_monthly", "department_activity"]), dashboardController.getKPIs);
+router.get("/metrics", validateOperation("getMetrics"), conditionalGet(["permit_events"]), dashboardController.getMetrics);
+router.get("/calendar", validateOperation("getCalendar"), dashboardController.getCalendar);
+router.get("/trends", validateOperation("getTrends"), conditionalGet(["unique_permits_yearly", "department_activity"]), dashboardController.getTrends);
 
 module.exports = router;
@@ -1,10 +1,13 @@
 const express = require("express");
 const router = express.Router();
 const departmentController = require("../controllers/department.controller");
+const { conditionalGet } = require("../middleware/httpCache");
+const { validateOperation } = require("../middleware/openapi");
 
-// Department Activity routes
-router.get("/activity", departmentController.getDepartmentActivity);
-router.get("/activity/weekday", departmentController.getDepartmentActivityWeekday);
-router.get("/activity/:department", departmentController.getActivityByDepartment);
+// Department registry and activity routes
+router.get("/", validateOperation("getDepartments"), conditionalGet(["departments"]), departmentController.getDepartments);
+router.get("/activity", validateOperation("getActivity"), conditionalGet(["department_activity"]), departmentController.getDepartmentActivity);
+router.get("/activity/weekday", validateOperation("getActivityWeekday"), conditionalGet(["department_activity_weekday"]), departmentController.getDepartmentActivityWeekday);
+router.get("/activity/:department", validateOperation("getActivityByDepartment"), conditionalGet(["department_activity"]), departmentController.getActivityByDepartment);
 
 module.exports = router;
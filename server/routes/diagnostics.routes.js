@@ -0,0 +1,8 @@
+const express = require("express");
+const router = express.Router();
+const diagnosticsController = require("../controllers/diagnostics.controller");
+const { validateOperation } = require("../middleware/openapi");
+
+router.get("/", validateOperation("getDiagnostics"), diagnosticsController.getDiagnostics);
+
+module.exports = router;
@@ -0,0 +1,32 @@
+const express = require("express");
+const router = express.Router();
+const { spec } = require("../openapi/spec");
+
+// Swagger UI loaded from a CDN, pointed at the document below
+const SWAGGER_UI_VERSION = "5.17.14";
+const docsPage = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <title>Dashboard API</title>
+  <link rel="stylesheet" href="https://cdn.jsdelivr.net/npm/swagger-ui-dist@${SWAGGER_UI_VERSION}/swagger-ui.css" />
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="https://cdn.jsdelivr.net/npm/swagger-ui-dist@${SWAGGER_UI_VERSION}/swagger-ui-bundle.js"></script>
+  <script>
+    window.ui = SwaggerUIBundle({ url: "openapi.json", dom_id: "#swagger-ui", persistAuthorization: true });
+  </script>
+</body>
+</html>`;
+
+// API contract and its browsable documentation; both are public
+router.get("/openapi.json", (req, res) => {
+  res.json(spec);
+});
+router.get("/docs", (req, res) => {
+  res.type("html").send(docsPage);
+});
+
+module.exports = router;
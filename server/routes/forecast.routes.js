@@ -0,0 +1,11 @@
+const express = require("express");
+const router = express.Router();
+const forecastController = require("../controllers/forecast.controller");
+const { conditionalGet } = require("../middleware/httpCache");
+const { validateOperation } = require("../middleware/openapi");
+const { readSingle } = require("../utils/queryParams");
+
+// Forecasts are recomputed only when the series they are fitted to change
+router.get("/", validateOperation("getForecast"), conditionalGet(req => forecastController.tablesForSeries(readSingle(req.query, "series"))), forecastController.getForecast);
+
+module.exports = router;
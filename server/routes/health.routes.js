@@ -0,0 +1,11 @@
+const express = require("express");
+const router = express.Router();
+const healthController = require("../controllers/health.controller");
+const { validateOperation } = require("../middleware/openapi");
+
+// GET /api/health is kept for existing monitors and behaves like /live
+router.get("/", validateOperation("getHealth"), healthController.getLiveness);
+router.get("/live", validateOperation("getLiveness"), healthController.getLiveness);
+router.get("/ready", validateOperation("getReadiness"), healthController.getReadiness);
+
+module.exports = router;
@@ -1,11 +1,14 @@
 const express = require("express");
 const router = express.Router();
 const permitController = require("../controllers/permit.controller");
+const { conditionalGet } = require("../middleware/httpCache");
+const { validateOperation } = require("../middleware/openapi");
 
-// Unique Permits routes
-router.get("/yearly", permitController.getYearlyPermits);
-router.get("/monthly", permitController.getMonthlyPermits);
-router.get("/quarterly", permitController.getQuarterlyPermits);
-router.get("/yearly-bins", permitController.getYearlyBins);
+// Unique Permits routes; fiscal views of the yearly and quarterly counts are summed from the monthly table
+router.get("/yearly", validateOperation("getYearlyPermits"), conditionalGet(["unique_permits_yearly", "unique_permits_monthly"]), permitController.getYearlyPermits);
+router.get("/monthly", validateOperation("getMonthlyPermits"), conditionalGet(["unique_permits_monthly"]), permitController.getMonthlyPermits);
+router.get("/quarterly", validateOperation("getQuarterlyPermits"), conditionalGet(["unique_permits_quarterly", "unique_permits_monthly"]), permitController.getQuarterlyPermits);
+router.get("/yearly-bins", validateOperation("getYearlyBins"), conditionalGet(["unique_permits_yearly_bins"]), permitController.getYearlyBins);
+router.get("/yearly-valuation", validateOperation("getYearlyValuation"), conditionalGet(["unique_permits_yearly_valuation"]), permitController.getYearlyValuation);
 
 module.exports = router;
@@ -0,0 +1,10 @@
+const express = require("express");
+const router = express.Router();
+const preferenceController = require("../controllers/preference.controller");
+
+// Preferences of the logged-in user. They are personal (theme, UI state), so every
+// role may read and save its own; views:save is for views shared with others
+router.get("/", preferenceController.getPreferences);
+router.put("/", preferenceController.updatePreferences);
+
+module.exports = router;
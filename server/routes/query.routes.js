@@ -0,0 +1,12 @@
+const express = require("express");
+const router = express.Router();
+const queryController = require("../controllers/query.controller");
+const { conditionalGet } = require("../middleware/httpCache");
+const { validateOperation } = require("../middleware/openapi");
+const { tablesForDataset } = require("../utils/aggregateQuery");
+const { readSingle } = require("../utils/queryParams");
+
+// Generic aggregation route
+router.get("/", validateOperation("aggregate"), conditionalGet(req => tablesForDataset(readSingle(req.query, "dataset"))), queryController.runQuery);
+
+module.exports = router;
@@ -0,0 +1,37 @@
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+const repository = require('../repositories');
+const { hashPassword } = require('../services/auth.service');
+const { ROLES } = require('../config/roles');
+
+// Usage: node scripts/create-user.js <username> <email> <password> [role]
+// Creates the user, or resets the password and role of an existing username,
+// in the data source selected with DATA_SOURCE (postgres or sqlite).
+async function createUser() {
+  const [username, email, password, role = 'viewer'] = process.argv.slice(2);
+
+  if (!username || !email || !password) {
+    console.error('Usage: node scripts/create-user.js <username> <email> <password> [role]');
+    process.exitCode = 1;
+    return;
+  }
+
+  if (!ROLES.includes(role)) {
+    console.error(`Role must be one of ${ROLES.join(', ')}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    const passwordHash = await hashPassword(password);
+    const id = await repository.accounts.saveUser({ username, email, passwordHash, role });
+    console.log(`User '${username}' saved with id ${id}`);
+  } catch (error) {
+    console.error('Error creating user:', error);
+    process.exitCode = 1;
+  } finally {
+    await repository.close();
+  }
+}
+
+createUser();
@@ -0,0 +1,75 @@
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+const db = require('../config/database');
+const { DATASETS, ImportError, rollbackDataset } = require('../services/import.service');
+const { listVersions } = require('../services/dataVersion.service');
+
+// Usage: node scripts/data-versions.js <command>
+//   list [dataset]                List recorded data versions, newest first
+//   rollback <dataset> <version>  Restore a dataset to the rows it had at that version
+const USAGE = 'Usage: node scripts/data-versions.js <list [dataset] | rollback <dataset> <version>>';
+
+async function list([dataset]) {
+  if (dataset && !DATASETS[dataset]) {
+    throw new ImportError(`Unknown dataset "${dataset}"`, [`dataset must be one of ${Object.keys(DATASETS).join(', ')}`]);
+  }
+
+  const versions = await listVersions({ dataset, limit: 500 });
+  if (versions.length === 0) {
+    console.log('No data versions recorded yet');
+    return;
+  }
+
+  versions.forEach(v => {
+    const restored = v.restoredVersion ? ` (restored version ${v.restoredVersion})` : '';
+    const who = v.username ? ` by ${v.username}` : '';
+    console.log(
+      `${v.dataset.padEnd(28)} v${String(v.version).padEnd(4)} ${v.action.padEnd(8)} ` +
+      `${v.snapshotRows} rows  ${v.createdAt.toISOString()}${who}  ${v.source || ''}${restored}`
+    );
+  });
+}
+
+async function rollback([dataset, versionRaw]) {
+  const version = Number(versionRaw);
+  if (!dataset || !Number.isInteger(version) || version < 1) {
+    console.error(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+
+  const client = await db.pool.connect();
+  try {
+    const result = await rollbackDataset(client, dataset, version, {
+      audit: { userAgent: 'scripts/data-versions.js' }
+    });
+    console.log(`Restored ${result.rowCount} ${result.table} rows from version ${version} as version ${result.version}`);
+  } finally {
+    client.release();
+  }
+}
+
+const COMMANDS = { list, rollback };
+
+(async () => {
+  const [command, ...args] = process.argv.slice(2);
+  if (!COMMANDS[command]) {
+    console.error(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    await COMMANDS[command](args);
+  } catch (error) {
+    if (error instanceof ImportError) {
+      console.error(error.message);
+      error.details.forEach(detail => console.error(`  - ${detail}`));
+    } else {
+      console.error(`Error running data-versions ${command}:`, error);
+    }
+    process.exitCode = 1;
+  } finally {
+    await db.pool.end();
+  }
+})();
@@ -1,6 +1,8 @@
 const { Client } = require('pg');
 const fs = require('fs');
 const path = require('path');
+const { migrateUp } = require('../services/migration.service');
+const { DATASETS, mapRecords, assertImportable, withTransaction, writeDataset } = require('../services/import.service');
 
 // Database configuration for Supabase
 const dbConfig = {
@@ -14,7 +16,12 @@ const dbConfig = {
   }
 };
 
-async function deploy() {
+// Usage: node scripts/deploy.js [--seed]
+// Applies pending migrations and fills datasets that are still empty from the
+// bundled JSON. Datasets that already have rows are left alone, so admin uploads
+// and rollbacks survive a deploy; --seed re-imports every bundled file over them
+// (each as a new data version).
+async function deploy({ seed = false } = {}) {
   console.log('🚀 Starting deployment...');
   
   const client = new Client(dbConfig);
@@ -23,85 +30,43 @@ async function deploy() {
     await client.connect();
     console.log('✅ Connected to database');
     
-    // Setup database schema
-    console.log('📊 Setting up database schema...');
-    try {
-      // Drop existing schema if it exists
-      await client.query(`
-        DROP SCHEMA IF EXISTS public CASCADE;
-        CREATE SCHEMA IF NOT EXISTS public;
-        GRANT ALL ON SCHEMA public TO postgres;
-        GRANT ALL ON SCHEMA public TO public;
-      `);
-      console.log('✅ Dropped and recreated schema');
-      
-      const schemaPath = path.join(__dirname, '..', '..', 'database', 'schema.sql');
-      const schema = fs.readFileSync(schemaPath, 'utf8');
-      await client.query(schema);
-      console.log('✅ Database schema created');
-    } catch (error) {
-      console.error('❌ Schema setup failed:', error);
-      throw error;
-    }
-    
-    // Import data
-    console.log('📥 Importing data...');
-    
-    // Import yearly data
-    const yearlyDataPath = path.join(__dirname, '..', '..', 'public', 'data', 'UniquePermitsAnalysisData', 'UniquePermitYearlyJson.json');
-    const yearlyData = JSON.parse(fs.readFileSync(yearlyDataPath, 'utf8'));
-    
-    for (const item of yearlyData) {
-      await client.query(`
-        INSERT INTO unique_permits_yearly (fiscal_year, permit_count)
-        VALUES ($1, $2)
-        ON CONFLICT (fiscal_year) DO UPDATE SET
-          permit_count = EXCLUDED.permit_count
-      `, [item.FiscalYear, item.PermitCount]);
-    }
-    console.log(`✅ Imported ${yearlyData.length} yearly records`);
-    
-    // Import quarterly data
-    const quarterlyDataPath = path.join(__dirname, '..', '..', 'public', 'data', 'UniquePermitsAnalysisData', 'UniquePermitQuarterlyJson.json');
-    const quarterlyData = JSON.parse(fs.readFileSync(quarterlyDataPath, 'utf8'));
+    // Apply pending migrations; existing tables and their data are kept
+    console.log('📊 Migrating database schema...');
+    const applied = await migrateUp(client, { log: message => console.log(`   ${message}`) });
+    console.log(applied.length > 0
+      ? `✅ Applied ${applied.length} migration(s)`
+      : '✅ Database schema is up to date');
     
-    for (const item of quarterlyData) {
-      await client.query(`
-        INSERT INTO unique_permits_quarterly (year, quarter, permit_count)
-        VALUES ($1, $2, $3)
-        ON CONFLICT (quarter, year) DO UPDATE SET
-          permit_count = EXCLUDED.permit_count
-      `, [item.FiscalYear, item.FiscalQuarter, item.PermitCount]);
+    // Import data: validate the bundled files to load first, then write them all in one transaction
+    const bundled = [];
+    for (const [name, dataset] of Object.entries(DATASETS).filter(([, dataset]) => dataset.file)) {
+      const { rows: [{ has_rows: hasRows }] } = await client.query(`SELECT EXISTS (SELECT 1 FROM ${dataset.table}) AS has_rows`);
+      if (hasRows && !seed) {
+        console.log(`⏭️  Kept the existing ${dataset.label.toLowerCase()} records (rerun with --seed to replace them)`);
+      } else {
+        bundled.push({ name, dataset });
+      }
     }
-    console.log(`✅ Imported ${quarterlyData.length} quarterly records`);
-    
-    // Import monthly data
-    const monthlyDataPath = path.join(__dirname, '..', '..', 'public', 'data', 'UniquePermitsAnalysisData', 'UniquePermitMonthlyJson.json');
-    const monthlyData = JSON.parse(fs.readFileSync(monthlyDataPath, 'utf8'));
-    
-    for (const item of monthlyData) {
-      await client.query(`
-        INSERT INTO unique_permits_monthly (year, month, permit_count)
-        VALUES ($1, $2, $3)
-        ON CONFLICT (month, year) DO UPDATE SET
-          permit_count = EXCLUDED.permit_count
-      `, [item.FiscalYear, item.FiscalMonth, item.PermitCount]);
-    }
-    console.log(`✅ Imported ${monthlyData.length} monthly records`);
-    
-    // Import yearly bins data
-    const yearlyBinsDataPath = path.join(__dirname, '..', '..', 'public', 'data', 'UniquePermitsAnalysisData', 'UniquePermitYearlyBinsJson.json');
-    const yearlyBinsData = JSON.parse(fs.readFileSync(yearlyBinsDataPath, 'utf8'));
-    
-    for (const item of yearlyBinsData) {
-      await client.query(`
-        INSERT INTO unique_permits_yearly_bins (year, bin_range, permit_count)
-        VALUES ($1, $2, $3)
-        ON CONFLICT (bin_range, year) DO UPDATE SET
-          permit_count = EXCLUDED.permit_count
-      `, [item.year, item.permit_range, item.count]);
+    if (bundled.length > 0) {
+      console.log('📥 Importing data...');
+      const dataPath = path.join(__dirname, '..', '..', 'public', 'data', 'UniquePermitsAnalysisData');
+      const mapped = bundled.map(({ name, dataset }) => {
+        const data = JSON.parse(fs.readFileSync(path.join(dataPath, dataset.file), 'utf8'));
+        const { rows, report } = mapRecords(name, data);
+        assertImportable(report);
+        return { name, dataset, rows };
+      });
+
+      await withTransaction(client, async () => {
+        for (const { name, dataset, rows } of mapped) {
+          const { version } = await writeDataset(client, name, rows, {
+            source: `scripts/deploy.js (${dataset.file})`,
+            audit: { userAgent: 'scripts/deploy.js', newValues: { file: dataset.file } }
+          });
+          console.log(`✅ Imported ${rows.length} ${dataset.label.toLowerCase()} records (version ${version})`);
+        }
+      });
     }
-    console.log(`✅ Imported ${yearlyBinsData.length} yearly bins records`);
     
     console.log('🎉 Deployment completed successfully!');
     
@@ -114,7 +79,7 @@ async function deploy() {
 }
 
 if (require.main === module) {
-  deploy();
+  deploy({ seed: process.argv.slice(2).includes('--seed') });
 }
 
 module.exports = { deploy }; 
\ No newline at end of file
@@ -0,0 +1,81 @@
+const fs = require('fs');
+const path = require('path');
+const { spec } = require('../openapi/spec');
+
+// Usage: node scripts/generate-api-client.js [--check]
+// Writes src/services/generated/apiClient.js from openapi/spec.js. With --check it
+// only reports whether the committed client is out of date (exit code 1 if so).
+const outputPath = path.join(__dirname, '..', '..', 'src', 'services', 'generated', 'apiClient.js');
+
+const toIdentifier = name => name.replace(/[^A-Za-z0-9_$]/g, '_');
+
+function renderOperation(urlPath, operation) {
+  const parameters = operation.parameters || [];
+  const pathParams = parameters.filter(parameter => parameter.in === 'path').map(parameter => parameter.name);
+  const queryParams = parameters.filter(parameter => parameter.in === 'query').map(parameter => parameter.name);
+
+  const args = pathParams.map(toIdentifier);
+  if (queryParams.length > 0) {
+    args.push('options = {}');
+  }
+
+  const url = urlPath.replace(/\{([^}]+)\}/g, (_, name) => `\${encodeURIComponent(${toIdentifier(name)})}`)
+    + (queryParams.length > 0 ? '${buildQueryString(options)}' : '');
+
+  const lines = [`    // GET ${urlPath} - ${operation.summary}`];
+  if (queryParams.length > 0) {
+    lines.push(`    // options: ${queryParams.join(', ')}`);
+  }
+  lines.push(
+    `    ${operation.operationId}: async (${args.join(', ')}) => {`,
+    `      const response = await apiFetch(\`${url}\`);`,
+    '      return handleResponse(response);',
+    '    }'
+  );
+  return lines.join('\n');
+}
+
+function renderClient() {
+  const clients = spec.tags
+    .filter(tag => tag['x-client'])
+    .map(tag => {
+      const operations = Object.entries(spec.paths)
+        .filter(([, methods]) => methods.get && methods.get.tags.includes(tag.name))
+        .map(([urlPath, methods]) => renderOperation(urlPath, methods.get));
+      return `  // ${tag.description}\n  ${tag['x-client']}: {\n${operations.join(',\n\n')}\n  }`;
+    });
+
+  return `// Generated by server/scripts/generate-api-client.js from server/openapi/spec.js.
+// Do not edit by hand: change the OpenAPI document and run \`npm run api:generate\`.
+
+/**
+ * Builds the data API clients on top of the app's fetch helpers.
+ * @param {object} helpers - \`apiFetch\`, \`handleResponse\` and \`buildQueryString\` from services/api.js
+ * @returns {object} ${spec.tags.filter(tag => tag['x-client']).map(tag => tag['x-client']).join(', ')}
+ */
+export const createApiClients = ({ apiFetch, handleResponse, buildQueryString }) => ({
+${clients.join(',\n\n')}
+});
+`;
+}
+
+function main() {
+  const source = renderClient();
+  const current = fs.existsSync(outputPath) ? fs.readFileSync(outputPath, 'utf8') : null;
+
+  if (process.argv.includes('--check')) {
+    if (current !== source) {
+      console.error(`${path.relative(process.cwd(), outputPath)} is out of date; run npm run api:generate`);
+      process.exitCode = 1;
+    } else {
+      console.log('API client is up to date');
+    }
+    return;
+  }
+
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+  fs.writeFileSync(outputPath, source);
+  console.log(`Wrote ${path.relative(process.cwd(), outputPath)}`);
+}
+
+main();
@@ -2,6 +2,16 @@ const { Client } = require('pg');
 const fs = require('fs');
 const path = require('path');
 require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+const {
+  DATASETS,
+  ImportError,
+  mapRecords,
+  diffRows,
+  formatDiff,
+  withTransaction,
+  writeDataset
+} = require('../services/import.service');
+const { formatReport } = require('../services/dataQuality.service');
 
 // Database connection
 const client = new Client({
@@ -14,166 +24,101 @@ const client = new Client({
 
 const dataPath = path.join(__dirname, '..', '..', 'public', 'data', 'UniquePermitsAnalysisData');
 
-async function importUniquePermitsYearly() {
-  const filePath = path.join(dataPath, 'UniquePermitYearlyJson.json');
-  const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
-  
-  console.log('Importing Unique Permits Yearly data...');
-  
-  for (const item of data) {
-    await client.query(
-      `INSERT INTO unique_permits_yearly (fiscal_year, permit_count) 
-       VALUES ($1, $2) 
-       ON CONFLICT (fiscal_year) 
-       DO UPDATE SET permit_count = $2`,
-      [item.FiscalYear, item.PermitCount]
-    );
-  }
-  
-  console.log(`Imported ${data.length} yearly permit records`);
-}
+// Same dataset definitions and upsert semantics as POST /api/admin/import/:dataset
+const IMPORT_ORDER = [
+  'yearly',
+  'department-activity',
+  'department-activity-weekday',
+  'monthly',
+  'quarterly',
+  'yearly-bins'
+];
 
-async function importDepartmentActivity() {
-  const filePath = path.join(dataPath, 'DeptAnnualActivityJson.json');
-  const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
-  
-  console.log('Importing Department Activity data...');
-  
-  for (const item of data) {
-    await client.query(
-      `INSERT INTO department_activity (year, activity_count, department) 
-       VALUES ($1, $2, $3) 
-       ON CONFLICT (year, department) 
-       DO UPDATE SET activity_count = $2`,
-      [item.year, item.activity_count, item.department]
-    );
-  }
-  
-  console.log(`Imported ${data.length} department activity records`);
+// Map every source file and build its data-quality report before anything is written
+function validateAllData() {
+  return IMPORT_ORDER.map(name => {
+    const dataset = DATASETS[name];
+    const data = JSON.parse(fs.readFileSync(path.join(dataPath, dataset.file), 'utf8'));
+    return { name, dataset, ...mapRecords(name, data) };
+  });
 }
 
-async function importDepartmentActivityWeekday() {
-  const filePath = path.join(dataPath, 'DeptAnnualActivityWeekdayJson.json');
-  const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+async function importDataset({ name, dataset, rows }) {
+  console.log(`Importing ${dataset.label} data...`);
   
-  console.log('Importing Department Activity Weekday data...');
+  const { version } = await writeDataset(client, name, rows, {
+    source: `scripts/import-data.js (${dataset.file})`,
+    audit: { userAgent: 'scripts/import-data.js', newValues: { file: dataset.file } }
+  });
   
-  for (const item of data) {
-    await client.query(
-      `INSERT INTO department_activity_weekday (year, monday, tuesday, wednesday, thursday, friday, department) 
-       VALUES ($1, $2, $3, $4, $5, $6, $7) 
-       ON CONFLICT (year, department) 
-       DO UPDATE SET monday = $2, tuesday = $3, wednesday = $4, thursday = $5, friday = $6`,
-      [item.year, item.monday, item.tuesday, item.wednesday, item.thursday, item.friday, item.department]
-    );
-  }
-  
-  console.log(`Imported ${data.length} department weekday activity records`);
+  console.log(`Imported ${rows.length} ${dataset.table} records as version ${version}`);
 }
 
-async function importUniquePermitsMonthly() {
-  const filePath = path.join(dataPath, 'UniquePermitMonthlyJson.json');
-  const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
-  
-  console.log('Importing Unique Permits Monthly data...');
-  
-  for (const item of data) {
-    await client.query(
-      `INSERT INTO unique_permits_monthly (month, permit_count, year) 
-       VALUES ($1, $2, $3) 
-       ON CONFLICT (month, year) 
-       DO UPDATE SET permit_count = $2`,
-      [item.FiscalMonth, item.PermitCount, item.FiscalYear]
-    );
-  }
-  
-  console.log(`Imported ${data.length} monthly permit records`);
+// Compare a file with the table's current rows and print what importing it would change
+async function diffDataset({ name, rows }) {
+  const diff = await diffRows(client, name, rows);
+  console.log(`${formatDiff(name, diff)}\n`);
 }
 
-async function importUniquePermitsQuarterly() {
-  const filePath = path.join(dataPath, 'UniquePermitQuarterlyJson.json');
-  const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
-  
-  console.log('Importing Unique Permits Quarterly data...');
-  
-  for (const item of data) {
-    await client.query(
-      `INSERT INTO unique_permits_quarterly (quarter, permit_count, year) 
-       VALUES ($1, $2, $3) 
-       ON CONFLICT (quarter, year) 
-       DO UPDATE SET permit_count = $2`,
-      [item.FiscalQuarter.toString(), item.PermitCount, item.FiscalYear]
-    );
+// Usage: node scripts/import-data.js [--check | --dry-run]
+// --check prints the data-quality report without connecting to the database.
+// --dry-run also prints the inserts, updates and missing rows for each table, but writes nothing.
+async function importAllData() {
+  const checkOnly = process.argv.includes('--check');
+  const dryRun = process.argv.includes('--dry-run');
+  let mapped;
+  try {
+    console.log('Checking data quality...\n');
+    mapped = validateAllData();
+    mapped.forEach(({ report }) => console.log(`${formatReport(report)}\n`));
+
+    const failed = mapped.filter(({ report }) => !report.valid);
+    if (failed.length > 0) {
+      console.error(`Import refused: ${failed.map(({ dataset }) => dataset.label).join(', ')} failed validation. Nothing was written.`);
+      process.exitCode = 1;
+      return;
+    }
+  } catch (error) {
+    if (error instanceof ImportError) {
+      console.error(`Error checking data: ${error.message}`);
+      error.details.forEach(detail => console.error(`  - ${detail}`));
+    } else {
+      console.error('Error checking data:', error);
+    }
+    process.exitCode = 1;
+    return;
   }
-  
-  console.log(`Imported ${data.length} quarterly permit records`);
-}
 
-async function importUniquePermitsYearlyBins() {
-  const filePath = path.join(dataPath, 'UniquePermitYearlyBinsJson.json');
-  const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
-  
-  console.log('Importing Unique Permits Yearly Bins data...');
-  
-  for (const item of data) {
-    await client.query(
-      `INSERT INTO unique_permits_yearly_bins (bin_range, permit_count, year) 
-       VALUES ($1, $2, $3) 
-       ON CONFLICT (bin_range, year) 
-       DO UPDATE SET permit_count = $2`,
-      [item.permit_range, item.count, item.year]
-    );
+  if (checkOnly) {
+    return;
   }
-  
-  console.log(`Imported ${data.length} yearly bins records`);
-}
 
-async function importAllData() {
   try {
     await client.connect();
     console.log('Connected to database');
     
-    // Import all data
-    await importUniquePermitsYearly();
-    await importDepartmentActivity();
-    await importDepartmentActivityWeekday();
-    await importUniquePermitsMonthly();
-    await importUniquePermitsQuarterly();
-    await importUniquePermitsYearlyBins();
+    if (dryRun) {
+      console.log('Dry run: comparing files with the database, nothing will be written\n');
+      for (const entry of mapped) {
+        await diffDataset(entry);
+      }
+      return;
+    }
+    
+    // Import all data in one transaction, so a failure leaves every table as it was
+    await withTransaction(client, async () => {
+      for (const entry of mapped) {
+        await importDataset(entry);
+      }
+    });
     
     console.log('\nAll data imported successfully!');
   } catch (error) {
-    console.error('Error importing data:', error);
+    console.error('Error importing data, nothing was written:', error);
+    process.exitCode = 1;
   } finally {
     await client.end();
   }
 }
 
-// Check the structure of the JSON files first
-async function checkDataStructure() {
-  console.log('Checking JSON file structures...\n');
-  
-  const files = [
-    'UniquePermitYearlyJson.json',
-    'DeptAnnualActivityJson.json',
-    'DeptAnnualActivityWeekdayJson.json',
-    'UniquePermitMonthlyJson.json',
-    'UniquePermitQuarterlyJson.json',
-    'UniquePermitYearlyBinsJson.json'
-  ];
-  
-  for (const file of files) {
-    const filePath = path.join(dataPath, file);
-    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
-    console.log(`${file}:`);
-    console.log('Sample record:', JSON.stringify(data[0], null, 2));
-    console.log('Total records:', data.length);
-    console.log('---\n');
-  }
-}
-
-// Run the import
-(async () => {
-  await checkDataStructure();
-  await importAllData();
-})().catch(console.error); 
\ No newline at end of file
+importAllData();
@@ -0,0 +1,63 @@
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+const db = require('../config/database');
+const { ImportError, parseUpload, assertImportable } = require('../services/import.service');
+const { formatReport } = require('../services/dataQuality.service');
+const { mapPermitEvents, ingestPermitEvents } = require('../services/permitLifecycle.service');
+
+// Usage: node scripts/ingest-permit-events.js <file.csv|file.xlsx|file.json> [--check]
+// Loads permit lifecycle events (submitted, in_review, revisions_requested,
+// approved, issued), replacing any rows previously loaded from a file with the
+// same name. --check prints the data-quality report without connecting to the database.
+const USAGE = 'Usage: node scripts/ingest-permit-events.js <file.csv|file.xlsx|file.json> [--check]';
+
+const readRecords = filePath => {
+  const contents = fs.readFileSync(filePath);
+  return parseUpload(path.extname(filePath).toLowerCase() === '.json' ? JSON.parse(contents) : contents);
+};
+
+async function ingest(filePath, { checkOnly }) {
+  const { rows, report } = mapPermitEvents(readRecords(filePath));
+  console.log(`${formatReport(report)}\n`);
+  assertImportable(report);
+  if (checkOnly) {
+    return;
+  }
+
+  const client = await db.pool.connect();
+  try {
+    const result = await ingestPermitEvents(client, rows, {
+      sourceFile: path.basename(filePath),
+      audit: { userAgent: 'scripts/ingest-permit-events.js', newValues: { file: path.basename(filePath) } }
+    });
+    console.log(`Loaded ${result.rowCount} permit events (replaced ${result.replaced})`);
+  } finally {
+    client.release();
+  }
+}
+
+(async () => {
+  const args = process.argv.slice(2);
+  const filePath = args.find(arg => !arg.startsWith('--'));
+
+  if (!filePath) {
+    console.error(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    await ingest(filePath, { checkOnly: args.includes('--check') });
+  } catch (error) {
+    if (error instanceof ImportError) {
+      console.error(`Error ingesting permit events: ${error.message}`);
+      error.details.forEach(detail => console.error(`  - ${detail}`));
+    } else {
+      console.error('Error ingesting permit events, nothing was written:', error);
+    }
+    process.exitCode = 1;
+  } finally {
+    await db.pool.end();
+  }
+})();
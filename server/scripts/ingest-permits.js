@@ -0,0 +1,99 @@
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+const db = require('../config/database');
+const { ImportError, parseUpload, assertImportable, formatDiff } = require('../services/import.service');
+const { formatReport } = require('../services/dataQuality.service');
+const { mapPermitRecords, ingestPermits, refreshPermitAggregates } = require('../services/permitRecords.service');
+
+// Usage: node scripts/ingest-permits.js <file.csv|file.xlsx|file.json> [--check] [--replace-aggregates]
+//        node scripts/ingest-permits.js --refresh [--replace-aggregates]
+// Loads individual permit records, replacing any rows previously loaded from a
+// file with the same name, then recomputes the unique-permit aggregates and
+// prints their checks and differences from the curated unique_permits_* tables.
+// --check prints the data-quality report without connecting to the database.
+// --refresh recomputes the aggregates from the permits already stored.
+// --replace-aggregates also writes the recomputed counts into the curated tables;
+// without it they are left alone, since a partial export gives partial counts.
+const USAGE = 'Usage: node scripts/ingest-permits.js <file.csv|file.xlsx|file.json> [--check] [--replace-aggregates] | --refresh [--replace-aggregates]';
+
+const readRecords = filePath => {
+  const contents = fs.readFileSync(filePath);
+  return parseUpload(path.extname(filePath).toLowerCase() === '.json' ? JSON.parse(contents) : contents);
+};
+
+const printAggregates = aggregates => {
+  aggregates.forEach(({ dataset, table, rowCount, report, diff, written, version }) => {
+    console.log(`\n${formatReport(report)}\n${formatDiff(dataset, diff)}`);
+    console.log(written
+      ? `  ${table}: ${rowCount} rows written as ${dataset} version ${version}`
+      : `  ${table}: not changed; rerun with --replace-aggregates to write these ${rowCount} rows`);
+  });
+};
+
+async function ingest(filePath, { checkOnly, replaceAggregates }) {
+  const { rows, report } = mapPermitRecords(readRecords(filePath));
+  console.log(`${formatReport(report)}\n`);
+  assertImportable(report);
+  if (checkOnly) {
+    return;
+  }
+
+  const client = await db.pool.connect();
+  try {
+    const result = await ingestPermits(client, rows, {
+      sourceFile: path.basename(filePath),
+      replaceAggregates,
+      audit: { userAgent: 'scripts/ingest-permits.js', newValues: { file: path.basename(filePath) } }
+    });
+    console.log(`Loaded ${result.rowCount} permit records (replaced ${result.replaced}) and recomputed the aggregates`);
+    printAggregates(result.aggregates);
+  } finally {
+    client.release();
+  }
+}
+
+async function refresh({ replaceAggregates }) {
+  const client = await db.pool.connect();
+  try {
+    const aggregates = await refreshPermitAggregates(client, {
+      replaceAggregates,
+      audit: { userAgent: 'scripts/ingest-permits.js' }
+    });
+    console.log(aggregates.length > 0 ? 'Recomputed the aggregates' : 'No permit records are stored yet');
+    printAggregates(aggregates);
+  } finally {
+    client.release();
+  }
+}
+
+(async () => {
+  const args = process.argv.slice(2);
+  const filePath = args.find(arg => !arg.startsWith('--'));
+  const refreshOnly = args.includes('--refresh');
+  const replaceAggregates = args.includes('--replace-aggregates');
+
+  if (!refreshOnly && !filePath) {
+    console.error(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    if (refreshOnly) {
+      await refresh({ replaceAggregates });
+    } else {
+      await ingest(filePath, { checkOnly: args.includes('--check'), replaceAggregates });
+    }
+  } catch (error) {
+    if (error instanceof ImportError) {
+      console.error(`Error ingesting permits: ${error.message}`);
+      error.details.forEach(detail => console.error(`  - ${detail}`));
+    } else {
+      console.error('Error ingesting permits, nothing was written:', error);
+    }
+    process.exitCode = 1;
+  } finally {
+    await db.pool.end();
+  }
+})();
@@ -0,0 +1,123 @@
+const { Client } = require('pg');
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+const {
+  MigrationError,
+  getStatus,
+  migrateUp,
+  migrateDown,
+  createMigration
+} = require('../services/migration.service');
+
+// Usage: node scripts/migrate.js <command> [options]
+//   up [--to <version>]   Create the database if needed and apply pending migrations
+//   down [--steps <n>]    Revert the newest n applied migrations (default 1)
+//   status                List migrations and whether each has been applied
+//   create <name>         Write empty up/down files for a new migration
+const USAGE = 'Usage: node scripts/migrate.js <up [--to <version>] | down [--steps <n>] | status | create <name>>';
+
+const connectionConfig = database => ({
+  host: process.env.DB_HOST || 'localhost',
+  port: process.env.DB_PORT || 5432,
+  database,
+  user: process.env.DB_USER || 'postgres',
+  password: process.env.DB_PASSWORD,
+});
+
+const readOption = (args, name) => {
+  const index = args.indexOf(name);
+  return index === -1 ? undefined : args[index + 1];
+};
+
+async function createDatabase() {
+  // Connect to the postgres database to create our dashboard database
+  const client = new Client(connectionConfig('postgres'));
+
+  try {
+    await client.connect();
+    const res = await client.query('SELECT 1 FROM pg_database WHERE datname = $1', [process.env.DB_NAME]);
+    if (res.rows.length === 0) {
+      await client.query(`CREATE DATABASE ${process.env.DB_NAME}`);
+      console.log(`Database '${process.env.DB_NAME}' created successfully`);
+    }
+  } finally {
+    await client.end();
+  }
+}
+
+async function withClient(fn) {
+  const client = new Client(connectionConfig(process.env.DB_NAME));
+  await client.connect();
+  try {
+    return await fn(client);
+  } finally {
+    await client.end();
+  }
+}
+
+async function up(args) {
+  const to = readOption(args, '--to');
+  if (to !== undefined && !/^\d{4}$/.test(to)) {
+    throw new MigrationError('--to must be a four digit migration version, e.g. 0003');
+  }
+
+  await createDatabase();
+  const applied = await withClient(client => migrateUp(client, { to, log: console.log }));
+  console.log(applied.length > 0 ? `Applied ${applied.length} migration(s)` : 'Database is up to date');
+}
+
+async function down(args) {
+  const stepsRaw = readOption(args, '--steps');
+  const steps = stepsRaw === undefined ? 1 : Number(stepsRaw);
+  if (!Number.isInteger(steps) || steps < 1) {
+    throw new MigrationError('--steps must be a positive whole number');
+  }
+
+  const reverted = await withClient(client => migrateDown(client, { steps, log: console.log }));
+  console.log(reverted.length > 0 ? `Reverted ${reverted.length} migration(s)` : 'No applied migrations to revert');
+}
+
+async function status() {
+  const migrations = await withClient(getStatus);
+  if (migrations.length === 0) {
+    console.log('No migrations found');
+    return;
+  }
+
+  migrations.forEach(migration => {
+    const appliedAt = migration.appliedAt ? ` (${migration.appliedAt.toISOString()})` : '';
+    console.log(`${migration.state.padEnd(8)} ${migration.version}_${migration.name}${appliedAt}`);
+  });
+
+  if (migrations.some(migration => migration.state === 'changed')) {
+    console.warn('\nWarning: "changed" migrations were edited after they ran. Add a new migration instead of editing applied ones.');
+  }
+}
+
+function create(args) {
+  const { upPath, downPath } = createMigration(args.join('_'));
+  console.log(`Created ${path.relative(process.cwd(), upPath)}`);
+  console.log(`Created ${path.relative(process.cwd(), downPath)}`);
+}
+
+const COMMANDS = { up, down, status, create };
+
+(async () => {
+  const [command, ...args] = process.argv.slice(2);
+  if (!COMMANDS[command]) {
+    console.error(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    await COMMANDS[command](args);
+  } catch (error) {
+    if (error instanceof MigrationError) {
+      console.error(error.message);
+    } else {
+      console.error(`Error running migrate ${command}:`, error);
+    }
+    process.exitCode = 1;
+  }
+})();
@@ -1,72 +0,0 @@
-const { Client } = require('pg');
-const fs = require('fs');
-const path = require('path');
-require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
-
-async function createDatabase() {
-  // Connect to postgres database to create our dashboard database
-  const client = new Client({
-    host: process.env.DB_HOST || 'localhost',
-    port: process.env.DB_PORT || 5432,
-    database: 'postgres',
-    user: process.env.DB_USER || 'postgres',
-    password: process.env.DB_PASSWORD,
-  });
-
-  try {
-    await client.connect();
-    
-    // Check if database exists
-    const res = await client.query(
-      "SELECT 1 FROM pg_database WHERE datname = $1",
-      [process.env.DB_NAME]
-    );
-    
-    if (res.rows.length === 0) {
-      // Create database
-      await client.query(`CREATE DATABASE ${process.env.DB_NAME}`);
-      console.log(`Database '${process.env.DB_NAME}' created successfully`);
-    } else {
-      console.log(`Database '${process.env.DB_NAME}' already exists`);
-    }
-  } catch (error) {
-    console.error('Error creating database:', error);
-  } finally {
-    await client.end();
-  }
-}
-
-async function runSchema() {
-  // Connect to the dashboard database
-  const client = new Client({
-    host: process.env.DB_HOST || 'localhost',
-    port: process.env.DB_PORT || 5432,
-    database: process.env.DB_NAME,
-    user: process.env.DB_USER || 'postgres',
-    password: process.env.DB_PASSWORD,
-  });
-
-  try {
-    await client.connect();
-    
-    // Read and execute schema
-    const schemaPath = path.join(__dirname, '..', '..', 'database', 'schema.sql');
-    const schema = fs.readFileSync(schemaPath, 'utf8');
-    
-    await client.query(schema);
-    console.log('Database schema created successfully');
-  } catch (error) {
-    console.error('Error running schema:', error);
-  } finally {
-    await client.end();
-  }
-}
-
-async function setup() {
-  console.log('Setting up database...');
-  await createDatabase();
-  await runSchema();
-  console.log('Database setup complete!');
-}
-
-setup().catch(console.error); 
\ No newline at end of file
@@ -0,0 +1,171 @@
+const db = require("../config/database");
+const { QueryValidationError, readSingle } = require("../utils/queryParams");
+
+const AUDIT_ACTIONS = {
+  DATA_IMPORT: "data.import",
+  DATA_EXPORT: "data.export",
+  DATA_ROLLBACK: "data.rollback",
+  USER_CREATE: "user.create",
+  USER_UPDATE: "user.update"
+};
+
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 500;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Who did it and from where, taken from an authenticated request
+const requestContext = req => ({
+  userId: req.user ? req.user.id : null,
+  ipAddress: req.ip || null,
+  userAgent: req.get("user-agent") || null
+});
+
+/**
+ * Write one audit_logs row.
+ * Pass the transaction's client as `executor` so the entry commits or rolls back
+ * together with the change it describes; otherwise the shared pool is used.
+ */
+const recordAudit = async (entry, executor = db) => {
+  const {
+    userId = null,
+    action,
+    tableName = null,
+    recordId = null,
+    oldValues = null,
+    newValues = null,
+    ipAddress = null,
+    userAgent = null
+  } = entry;
+
+  await executor.query(
+    `INSERT INTO audit_logs (user_id, action, table_name, record_id, old_values, new_values, ip_address, user_agent)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+    [
+      userId,
+      action,
+      tableName,
+      recordId === null ? null : String(recordId),
+      oldValues === null ? null : JSON.stringify(oldValues),
+      newValues === null ? null : JSON.stringify(newValues),
+      ipAddress,
+      userAgent
+    ]
+  );
+};
+
+const parseDate = (value, name, errors) => {
+  if (!DATE_PATTERN.test(value) || Number.isNaN(Date.parse(value))) {
+    errors.push(`${name} must be a date in YYYY-MM-DD format, got "${value}"`);
+    return undefined;
+  }
+  return value;
+};
+
+const parsePositiveInteger = (value, name, errors, { min, max }) => {
+  if (!/^\d+$/.test(value) || Number(value) < min || Number(value) > max) {
+    errors.push(`${name} must be a whole number between ${min} and ${max}`);
+    return undefined;
+  }
+  return Number(value);
+};
+
+/**
+ * Search audit entries, newest first.
+ *
+ * Query parameters: userId, action, table, from, to (YYYY-MM-DD, inclusive), limit, offset.
+ * Returns { entries, total, limit, offset } or throws a QueryValidationError.
+ */
+const findAuditLogs = async query => {
+  const errors = [];
+  const supported = ["userId", "action", "table", "from", "to", "limit", "offset"];
+  Object.keys(query).forEach(name => {
+    if (!supported.includes(name)) {
+      errors.push(`Unsupported query parameter "${name}"`);
+    }
+  });
+
+  const conditions = [];
+  const params = [];
+  const addCondition = (build, value) => {
+    params.push(value);
+    conditions.push(build(`$${params.length}`));
+  };
+
+  const userId = readSingle(query, "userId");
+  if (userId) {
+    if (!/^[0-9a-f-]{36}$/i.test(userId)) {
+      errors.push("userId must be a user id");
+    } else {
+      addCondition(param => `a.user_id = ${param}`, userId);
+    }
+  }
+
+  const action = readSingle(query, "action");
+  if (action) addCondition(param => `a.action = ${param}`, action);
+
+  const table = readSingle(query, "table");
+  if (table) addCondition(param => `a.table_name = ${param}`, table);
+
+  const fromRaw = readSingle(query, "from");
+  const toRaw = readSingle(query, "to");
+  const from = fromRaw ? parseDate(fromRaw, "from", errors) : undefined;
+  const to = toRaw ? parseDate(toRaw, "to", errors) : undefined;
+  if (from && to && from > to) {
+    errors.push("from must not be after to");
+  }
+  if (from) addCondition(param => `a.created_at >= ${param}::date`, from);
+  if (to) addCondition(param => `a.created_at < ${param}::date + 1`, to);
+
+  const limitRaw = readSingle(query, "limit");
+  const offsetRaw = readSingle(query, "offset");
+  const limit = limitRaw !== undefined
+    ? parsePositiveInteger(limitRaw, "limit", errors, { min: 1, max: MAX_PAGE_SIZE })
+    : DEFAULT_PAGE_SIZE;
+  const offset = offsetRaw !== undefined
+    ? parsePositiveInteger(offsetRaw, "offset", errors, { min: 0, max: Number.MAX_SAFE_INTEGER })
+    : 0;
+
+  if (errors.length > 0) {
+    throw new QueryValidationError(errors);
+  }
+
+  const where = conditions.length > 0 ? ` WHERE ${conditions.join(" AND ")}` : "";
+  const [entries, count] = await Promise.all([
+    db.query(
+      `SELECT a.id, a.user_id, u.username, a.action, a.table_name, a.record_id,
+              a.old_values, a.new_values, host(a.ip_address) AS ip_address, a.user_agent, a.created_at
+       FROM audit_logs a
+       LEFT JOIN users u ON u.id = a.user_id${where}
+       ORDER BY a.created_at DESC, a.id DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    ),
+    db.query(`SELECT COUNT(*)::int AS total FROM audit_logs a${where}`, params)
+  ]);
+
+  return {
+    entries: entries.rows.map(row => ({
+      id: row.id,
+      userId: row.user_id,
+      username: row.username,
+      action: row.action,
+      tableName: row.table_name,
+      recordId: row.record_id,
+      oldValues: row.old_values,
+      newValues: row.new_values,
+      ipAddress: row.ip_address,
+      userAgent: row.user_agent,
+      createdAt: row.created_at
+    })),
+    total: count.rows[0].total,
+    limit,
+    offset
+  };
+};
+
+module.exports = {
+  AUDIT_ACTIONS,
+  requestContext,
+  recordAudit,
+  findAuditLogs
+};
@@ -0,0 +1,82 @@
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+const jwt = require("jsonwebtoken");
+const authConfig = require("../config/auth");
+const { normalizeRole, permissionsForRole } = require("../config/roles");
+const repository = require("../repositories");
+
+// Fields that are safe to send to the client
+const toPublicUser = user => ({
+  id: user.id,
+  username: user.username,
+  email: user.email,
+  role: normalizeRole(user.role),
+  permissions: permissionsForRole(user.role),
+  isActive: user.is_active
+});
+
+const hashPassword = password => bcrypt.hash(password, authConfig.bcryptRounds);
+
+const verifyPassword = (password, passwordHash) => bcrypt.compare(password, passwordHash);
+
+// Refresh tokens are random strings; only their SHA-256 hash is stored
+const hashToken = token => crypto.createHash("sha256").update(token).digest("hex");
+
+const signAccessToken = user =>
+  jwt.sign(
+    { sub: user.id, username: user.username, role: normalizeRole(user.role) },
+    authConfig.jwtSecret,
+    { expiresIn: authConfig.accessTokenExpiresIn }
+  );
+
+// Throws a jsonwebtoken error when the token is invalid or expired
+const verifyAccessToken = token => jwt.verify(token, authConfig.jwtSecret);
+
+const findUserByLogin = login => repository.accounts.findUserByLogin(login);
+
+const findUserById = id => repository.accounts.findUserById(id);
+
+const issueRefreshToken = async userId => {
+  const token = crypto.randomBytes(48).toString("hex");
+  await repository.accounts.saveRefreshToken(userId, hashToken(token), authConfig.refreshTokenTtlDays);
+  return token;
+};
+
+// Issue an access/refresh token pair for a user
+const createSession = async user => ({
+  accessToken: signAccessToken(user),
+  refreshToken: await issueRefreshToken(user.id),
+  user: toPublicUser(user)
+});
+
+/**
+ * Exchange a refresh token for a new session. The old token is revoked so each
+ * refresh token can be used once. Returns null when the token is unknown,
+ * expired, revoked or belongs to an inactive user.
+ */
+const rotateRefreshToken = async token => {
+  const userId = await repository.accounts.consumeRefreshToken(hashToken(token));
+  if (userId === null) {
+    return null;
+  }
+
+  const user = await findUserById(userId);
+  if (!user || !user.is_active) {
+    return null;
+  }
+  return createSession(user);
+};
+
+const revokeRefreshToken = token => repository.accounts.revokeRefreshToken(hashToken(token));
+
+module.exports = {
+  toPublicUser,
+  hashPassword,
+  verifyPassword,
+  verifyAccessToken,
+  findUserByLogin,
+  findUserById,
+  createSession,
+  rotateRefreshToken,
+  revokeRefreshToken
+};
@@ -0,0 +1,73 @@
+const db = require("../config/database");
+
+/*
+ * In-memory LRU cache for read-only dashboard queries, keyed by SQL text and
+ * parameters. Imports call invalidateQueryCache() after committing; writes made
+ * by another process (e.g. scripts/import-data.js) show up once entries expire.
+ */
+const MAX_ENTRIES = parseInt(process.env.QUERY_CACHE_MAX_ENTRIES, 10) || 500;
+const TTL_MS = parseInt(process.env.QUERY_CACHE_TTL_MS, 10) || 5 * 60 * 1000;
+
+// Map keeps insertion order, so re-inserting on each hit leaves the least recently used entry first
+const entries = new Map();
+const stats = { hits: 0, misses: 0, evictions: 0, invalidations: 0 };
+
+// Bumped on invalidation so queries already in flight do not cache pre-import results
+let generation = 0;
+
+/**
+ * Run a read query through the cache. Resolves to { rows, rowCount }.
+ * Only use for SELECTs over the dashboard data tables.
+ */
+const cachedQuery = async (text, params = []) => {
+  const key = JSON.stringify([text, params]);
+  const entry = entries.get(key);
+
+  if (entry && entry.expiresAt > Date.now()) {
+    entries.delete(key);
+    entries.set(key, entry);
+    stats.hits++;
+    return entry.result;
+  }
+  if (entry) {
+    entries.delete(key);
+  }
+  stats.misses++;
+
+  const startGeneration = generation;
+  const { rows, rowCount } = await db.query(text, params);
+  const result = { rows, rowCount };
+
+  if (startGeneration === generation) {
+    entries.set(key, { result, expiresAt: Date.now() + TTL_MS });
+    while (entries.size > MAX_ENTRIES) {
+      entries.delete(entries.keys().next().value);
+      stats.evictions++;
+    }
+  }
+  return result;
+};
+
+// Drop every cached result; called whenever dashboard data changes
+const invalidateQueryCache = () => {
+  generation++;
+  entries.clear();
+  stats.invalidations++;
+};
+
+const getCacheStats = () => {
+  const lookups = stats.hits + stats.misses;
+  return {
+    ...stats,
+    size: entries.size,
+    maxEntries: MAX_ENTRIES,
+    ttlMs: TTL_MS,
+    hitRate: lookups > 0 ? stats.hits / lookups : 0
+  };
+};
+
+module.exports = {
+  cachedQuery,
+  invalidateQueryCache,
+  getCacheStats
+};
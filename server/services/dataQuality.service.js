@@ -0,0 +1,185 @@
+/*
+ * Data-quality checks for imports. Field-level rules (min, max, enum, maxLength)
+ * are declared on each dataset's fields in import.service.js; dataset-level rules
+ * are the check functions below, listed in a dataset's `checks`.
+ *
+ * Errors block the import. Warnings are reported but do not stop it.
+ */
+
+const MAX_REPORTED_ISSUES = 50;
+
+// Tolerance for weekday shares, which are rounded to six decimals in the source data
+const SHARE_SUM_TOLERANCE = 0.01;
+
+const WEEKDAY_COLUMNS = ["monday", "tuesday", "wednesday", "thursday", "friday"];
+
+const keyOf = (row, columns) => columns.map(column => row[column]).join(" / ");
+
+// Row-level problems with a field's declared constraints, as messages without the row prefix
+const checkField = (field, value) => {
+  const problems = [];
+  if (value === null) {
+    return problems;
+  }
+  if (field.enum && !field.enum.includes(value)) {
+    problems.push(`must be one of ${field.enum.join(", ")}, got "${value}"`);
+  }
+  if (field.min !== undefined && value < field.min) {
+    problems.push(`must be at least ${field.min}, got ${value}`);
+  }
+  if (field.max !== undefined && value > field.max) {
+    problems.push(`must be at most ${field.max}, got ${value}`);
+  }
+  if (field.maxLength !== undefined && value.length > field.maxLength) {
+    problems.push(`must be at most ${field.maxLength} characters`);
+  }
+  return problems;
+};
+
+/**
+ * Rows sharing the dataset's key would overwrite each other inside one import,
+ * so only the last would survive.
+ */
+const uniqueKeys = (rows, dataset) => {
+  const seen = new Map();
+  const errors = [];
+  if (dataset.conflictColumns.length === 0) {
+    return { errors, warnings: [] };
+  }
+  rows.forEach((row, index) => {
+    const key = keyOf(row, dataset.conflictColumns);
+    if (seen.has(key)) {
+      errors.push(`Row ${index + 1}: duplicates row ${seen.get(key) + 1} (${dataset.conflictColumns.join(", ")} = ${key})`);
+    } else {
+      seen.set(key, index);
+    }
+  });
+  return { errors, warnings: [] };
+};
+
+// Monday-Friday shares of a year's activity should add up to 1
+const weekdaySharesSumToOne = rows => ({
+  errors: [],
+  warnings: rows
+    .map((row, index) => {
+      const total = WEEKDAY_COLUMNS.reduce((sum, column) => sum + row[column], 0);
+      return Math.abs(total - 1) > SHARE_SUM_TOLERANCE
+        ? `Row ${index + 1}: weekday shares for ${row.department} ${row.year} add up to ${total.toFixed(4)}, expected 1`
+        : null;
+    })
+    .filter(Boolean)
+});
+
+/**
+ * Warn about years that are missing some of the expected periods (months,
+ * quarters or bins), which usually means a partial export. The newest year is
+ * skipped when `allowPartialLatestYear` is set, since it is normally in progress.
+ */
+const completePeriods = (column, expected, { allowPartialLatestYear = false } = {}) => rows => {
+  const byYear = new Map();
+  rows.forEach(row => {
+    if (!byYear.has(row.year)) byYear.set(row.year, new Set());
+    byYear.get(row.year).add(row[column]);
+  });
+  const latestYear = Math.max(...byYear.keys());
+
+  const warnings = [];
+  byYear.forEach((present, year) => {
+    if (allowPartialLatestYear && year === latestYear) return;
+    const missing = expected.filter(value => !present.has(value));
+    if (missing.length > 0) {
+      warnings.push(`${year} has no rows for ${column} ${missing.join(", ")}`);
+    }
+  });
+  return { errors: [], warnings };
+};
+
+// Permits cannot be issued before they were applied for
+const issuedAfterApplication = rows => ({
+  errors: [],
+  warnings: rows
+    .map((row, index) => (row.issue_date && row.issue_date < row.application_date
+      ? `Row ${index + 1}: permit ${row.permit_number} was issued (${row.issue_date}) before its application date (${row.application_date})`
+      : null))
+    .filter(Boolean)
+});
+
+// Repeated permit numbers are expected (one permit can have several records) but worth knowing about
+const repeatedPermitNumbers = rows => {
+  const counts = new Map();
+  rows.forEach(row => counts.set(row.permit_number, (counts.get(row.permit_number) || 0) + 1));
+  const repeated = [...counts.values()].filter(count => count > 1).length;
+  return {
+    errors: [],
+    warnings: repeated > 0
+      ? [`${repeated} permit number(s) appear on more than one row; each is counted once in the aggregates`]
+      : []
+  };
+};
+
+const truncate = issues => {
+  if (issues.length <= MAX_REPORTED_ISSUES) return issues;
+  return [...issues.slice(0, MAX_REPORTED_ISSUES), `...and ${issues.length - MAX_REPORTED_ISSUES} more`];
+};
+
+/**
+ * Build the quality report for rows already mapped onto a dataset's columns.
+ * `typeErrors` are the coercion problems found while mapping (missing values,
+ * non-numbers); rows with type errors are skipped by the field checks.
+ *
+ * Returns { dataset, label, rowCount, valid, errorCount, warningCount, errors, warnings }.
+ */
+const buildReport = (datasetName, dataset, rows, typeErrors = {}) => {
+  const errors = [];
+  const warnings = [];
+
+  rows.forEach((row, index) => {
+    if (typeErrors[index]) {
+      typeErrors[index].forEach(message => errors.push(`Row ${index + 1}: ${message}`));
+      return;
+    }
+    dataset.fields.forEach(field => {
+      checkField(field, row[field.column]).forEach(problem => {
+        errors.push(`Row ${index + 1}: ${field.column} ${problem}`);
+      });
+    });
+  });
+
+  // Dataset-level checks only make sense once every row has well-typed values
+  if (errors.length === 0) {
+    [uniqueKeys, ...(dataset.checks || [])].forEach(check => {
+      const result = check(rows, dataset);
+      errors.push(...result.errors);
+      warnings.push(...result.warnings);
+    });
+  }
+
+  return {
+    dataset: datasetName,
+    label: dataset.label,
+    rowCount: rows.length,
+    valid: errors.length === 0,
+    errorCount: errors.length,
+    warningCount: warnings.length,
+    errors: truncate(errors),
+    warnings: truncate(warnings)
+  };
+};
+
+// Plain-text rendering of a report for the command line
+const formatReport = report => {
+  const lines = [`${report.label} (${report.rowCount} rows): ${report.valid ? "OK" : "FAILED"}, ${report.errorCount} error(s), ${report.warningCount} warning(s)`];
+  report.errors.forEach(error => lines.push(`  error:   ${error}`));
+  report.warnings.forEach(warning => lines.push(`  warning: ${warning}`));
+  return lines.join("\n");
+};
+
+module.exports = {
+  WEEKDAY_COLUMNS,
+  weekdaySharesSumToOne,
+  completePeriods,
+  issuedAfterApplication,
+  repeatedPermitNumbers,
+  buildReport,
+  formatReport
+};
@@ -0,0 +1,101 @@
+const db = require("../config/database");
+
+const VERSION_ACTIONS = {
+  BASELINE: "baseline",
+  IMPORT: "import",
+  ROLLBACK: "rollback"
+};
+
+const DEFAULT_LIST_SIZE = 50;
+
+/**
+ * Write the next data_versions row for a dataset and return its version number.
+ * Must run inside the transaction that changed the table, on that transaction's
+ * client, so the version exists exactly when the change does. `snapshot` is
+ * every row of the table after the change.
+ */
+const recordVersion = async (client, entry) => {
+  const {
+    dataset,
+    table,
+    action,
+    source = null,
+    rowCount,
+    restoredVersion = null,
+    snapshot,
+    userId = null
+  } = entry;
+
+  // Serialize version numbering per dataset until the transaction ends
+  await client.query("SELECT pg_advisory_xact_lock(hashtext($1))", [`data_versions:${dataset}`]);
+  const result = await client.query(
+    `INSERT INTO data_versions (dataset, version, table_name, action, source, row_count, restored_version, snapshot, created_by)
+     SELECT $1, COALESCE(MAX(version), 0) + 1, $2, $3, $4, $5, $6, $7, $8
+     FROM data_versions WHERE dataset = $1
+     RETURNING version`,
+    [dataset, table, action, source, rowCount, restoredVersion, JSON.stringify(snapshot), userId]
+  );
+  return result.rows[0].version;
+};
+
+// Whether any version has been recorded for a dataset yet
+const hasVersions = async (client, dataset) => {
+  const result = await client.query("SELECT 1 FROM data_versions WHERE dataset = $1 LIMIT 1", [dataset]);
+  return result.rows.length > 0;
+};
+
+// The rows stored with one version, or null when the version does not exist
+const getSnapshot = async (client, dataset, version) => {
+  const result = await client.query(
+    "SELECT snapshot FROM data_versions WHERE dataset = $1 AND version = $2",
+    [dataset, version]
+  );
+  return result.rows.length > 0 ? result.rows[0].snapshot : null;
+};
+
+/**
+ * Recorded versions, newest first, without their snapshots.
+ * Pass `dataset` to list a single dataset.
+ */
+const listVersions = async ({ dataset, limit = DEFAULT_LIST_SIZE } = {}) => {
+  const params = [limit];
+  let where = "";
+  if (dataset) {
+    params.push(dataset);
+    where = "WHERE v.dataset = $2";
+  }
+
+  const result = await db.query(
+    `SELECT v.dataset, v.version, v.table_name, v.action, v.source, v.row_count,
+            v.restored_version, v.created_by, u.username, v.created_at,
+            jsonb_array_length(v.snapshot)::int AS snapshot_rows
+     FROM data_versions v
+     LEFT JOIN users u ON u.id = v.created_by
+     ${where}
+     ORDER BY v.created_at DESC, v.id DESC
+     LIMIT $1`,
+    params
+  );
+
+  return result.rows.map(row => ({
+    dataset: row.dataset,
+    version: row.version,
+    tableName: row.table_name,
+    action: row.action,
+    source: row.source,
+    rowCount: row.row_count,
+    restoredVersion: row.restored_version,
+    snapshotRows: row.snapshot_rows,
+    createdBy: row.created_by,
+    username: row.username,
+    createdAt: row.created_at
+  }));
+};
+
+module.exports = {
+  VERSION_ACTIONS,
+  recordVersion,
+  hasVersions,
+  getSnapshot,
+  listVersions
+};
@@ -0,0 +1,122 @@
+const repository = require("../repositories");
+const healthConfig = require("../config/health");
+const { DATASETS } = require("./import.service");
+const { listMigrations } = require("./migration.service");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Set on SIGTERM so load balancers stop sending traffic while requests drain
+let shuttingDown = false;
+const markShuttingDown = () => {
+  shuttingDown = true;
+};
+const isShuttingDown = () => shuttingDown;
+
+const withTimeout = (promise, ms, what) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`${what} timed out after ${ms} ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+// The newest applied migration against the newest migration file shipped with this build
+const checkMigrations = async () => {
+  const currentVersion = await repository.schemaVersion();
+  const migrations = listMigrations();
+  const expectedVersion = migrations.length > 0 ? migrations[migrations.length - 1].version : null;
+
+  if (!expectedVersion) {
+    return { status: "warn", currentVersion, expectedVersion, message: "No migration files found to compare against" };
+  }
+  if (!currentVersion || currentVersion < expectedVersion) {
+    const pending = migrations.filter(migration => !currentVersion || migration.version > currentVersion).length;
+    return { status: "fail", currentVersion, expectedVersion, message: `${pending} pending migration(s); run npm run db:migrate` };
+  }
+  if (currentVersion > expectedVersion) {
+    return { status: "warn", currentVersion, expectedVersion, message: "The database has migrations this build does not know about" };
+  }
+  return { status: "pass", currentVersion, expectedVersion };
+};
+
+// Row count and latest update of every imported dataset; empty or stale datasets are warnings.
+// Datasets with no bundled file (e.g. yearly-valuation) are optional: while still empty they are
+// reported as skipped rather than warnings, so a source that never fills them can be ready.
+const checkDataFreshness = async () => {
+  const datasets = Object.entries(DATASETS);
+  const stats = await repository.tableStats(datasets.map(([, dataset]) => dataset.table));
+  const byTable = new Map(stats.map(table => [table.table, table]));
+  const now = Date.now();
+
+  const results = datasets.map(([name, dataset]) => {
+    const { rowCount, lastModified } = byTable.get(dataset.table);
+    const ageDays = lastModified ? Math.max(0, Math.floor((now - lastModified.getTime()) / DAY_MS)) : null;
+    let status = "pass";
+    if (rowCount === 0 && !dataset.file) {
+      status = "skip";
+    } else if (rowCount === 0 || ageDays === null || ageDays > healthConfig.dataMaxAgeDays) {
+      status = "warn";
+    }
+    return {
+      dataset: name,
+      table: dataset.table,
+      rowCount,
+      lastUpdated: lastModified ? lastModified.toISOString() : null,
+      ageDays,
+      status
+    };
+  });
+
+  return {
+    status: results.some(result => result.status === "warn") ? "warn" : "pass",
+    maxAgeDays: healthConfig.dataMaxAgeDays,
+    datasets: results
+  };
+};
+
+/**
+ * Whether this instance can serve traffic: the data source (DATA_SOURCE)
+ * answers within HEALTH_CHECK_TIMEOUT_MS and, for Postgres, its schema is at
+ * the version this build expects. Stale or empty datasets are reported but do
+ * not make the instance unready, since another instance would serve the same data.
+ *
+ * Returns { status: "ready" | "degraded" | "unavailable", dataSource, checks }.
+ */
+const getReadiness = async () => {
+  const dataSource = repository.name;
+  if (shuttingDown) {
+    return { status: "unavailable", dataSource, message: "The server is shutting down", checks: {} };
+  }
+
+  const checks = {};
+  const run = (check, what, failStatus) => withTimeout(check(), healthConfig.checkTimeoutMs, what)
+    .catch(error => ({ status: failStatus, message: error.message }));
+
+  const started = process.hrtime.bigint();
+  checks.database = await run(async () => {
+    await repository.ping();
+    return { status: "pass", latencyMs: Math.round(Number(process.hrtime.bigint() - started) / 1e5) / 10 };
+  }, "The database check", "fail");
+  if (checks.database.status === "pass") {
+    // Only Postgres is migrated; the SQLite schema is created by its repository
+    if (repository.schemaVersion) {
+      checks.migrations = await run(checkMigrations, "The migration check", "fail");
+    }
+    checks.dataFreshness = await run(checkDataFreshness, "The data freshness check", "warn");
+  }
+
+  const statuses = Object.values(checks).map(check => check.status);
+  let status = "ready";
+  if (statuses.includes("fail")) {
+    status = "unavailable";
+  } else if (statuses.includes("warn")) {
+    status = "degraded";
+  }
+  return { status, dataSource, checks };
+};
+
+module.exports = {
+  markShuttingDown,
+  isShuttingDown,
+  getReadiness
+};
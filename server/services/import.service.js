@@ -0,0 +1,535 @@
+const XLSX = require("xlsx");
+const { AUDIT_ACTIONS, recordAudit } = require("./audit.service");
+const { invalidateQueryCache } = require("./cache.service");
+const { VERSION_ACTIONS, recordVersion, hasVersions, getSnapshot } = require("./dataVersion.service");
+const { WEEKDAY_COLUMNS, weekdaySharesSumToOne, completePeriods, buildReport } = require("./dataQuality.service");
+const { MONTHS, QUARTERS, MIN_YEAR, MAX_YEAR } = require("../utils/queryParams");
+
+// Valuation ranges used by the yearly bins dataset, smallest first
+const PERMIT_BINS = ["0-10K", "10K-100K", "100K-1M", "1M-10M", ">10M"];
+
+const YEAR_RULES = { min: MIN_YEAR, max: MAX_YEAR };
+const COUNT_RULES = { min: 0 };
+const SHARE_RULES = { min: 0, max: 1 };
+const VALUATION_RULES = { min: 0 };
+const DEPARTMENT_RULES = { maxLength: 50 };
+
+/*
+ * Dataset definitions shared by the admin upload endpoint and scripts/import-data.js.
+ * Each field lists the source column names it can be read from (compared case- and
+ * punctuation-insensitively), so the original JSON exports, snake_case CSVs and
+ * hand-made spreadsheets all map onto the same table columns.
+ *
+ * Fields may also declare min, max, enum and maxLength, and datasets list extra
+ * `checks`; both feed the data-quality report built before anything is written.
+ */
+const DATASETS = {
+  yearly: {
+    label: "Unique Permits Yearly",
+    table: "unique_permits_yearly",
+    file: "UniquePermitYearlyJson.json",
+    conflictColumns: ["fiscal_year"],
+    fields: [
+      { column: "fiscal_year", type: "integer", aliases: ["FiscalYear", "fiscal_year", "year"], ...YEAR_RULES },
+      { column: "permit_count", type: "integer", aliases: ["PermitCount", "permit_count", "count"], ...COUNT_RULES }
+    ]
+  },
+  "department-activity": {
+    label: "Department Activity",
+    table: "department_activity",
+    file: "DeptAnnualActivityJson.json",
+    conflictColumns: ["year", "department"],
+    fields: [
+      { column: "year", type: "integer", aliases: ["year", "FiscalYear"], ...YEAR_RULES },
+      { column: "activity_count", type: "integer", aliases: ["activity_count", "ActivityCount", "count"], ...COUNT_RULES },
+      { column: "department", type: "text", aliases: ["department", "dept"], ...DEPARTMENT_RULES }
+    ]
+  },
+  "department-activity-weekday": {
+    label: "Department Activity by Weekday",
+    table: "department_activity_weekday",
+    file: "DeptAnnualActivityWeekdayJson.json",
+    conflictColumns: ["year", "department"],
+    fields: [
+      { column: "year", type: "integer", aliases: ["year", "FiscalYear"], ...YEAR_RULES },
+      ...WEEKDAY_COLUMNS.map(day => ({ column: day, type: "number", aliases: [day, day.slice(0, 3)], ...SHARE_RULES })),
+      { column: "department", type: "text", aliases: ["department", "dept"], ...DEPARTMENT_RULES }
+    ],
+    checks: [weekdaySharesSumToOne]
+  },
+  monthly: {
+    label: "Unique Permits Monthly",
+    table: "unique_permits_monthly",
+    file: "UniquePermitMonthlyJson.json",
+    conflictColumns: ["month", "year"],
+    fields: [
+      { column: "month", type: "text", aliases: ["FiscalMonth", "month"], enum: MONTHS },
+      { column: "permit_count", type: "integer", aliases: ["PermitCount", "permit_count", "count"], ...COUNT_RULES },
+      { column: "year", type: "integer", aliases: ["FiscalYear", "fiscal_year", "year"], ...YEAR_RULES }
+    ],
+    checks: [completePeriods("month", MONTHS, { allowPartialLatestYear: true })]
+  },
+  quarterly: {
+    label: "Unique Permits Quarterly",
+    table: "unique_permits_quarterly",
+    file: "UniquePermitQuarterlyJson.json",
+    conflictColumns: ["quarter", "year"],
+    fields: [
+      { column: "quarter", type: "text", aliases: ["FiscalQuarter", "quarter"], enum: QUARTERS },
+      { column: "permit_count", type: "integer", aliases: ["PermitCount", "permit_count", "count"], ...COUNT_RULES },
+      { column: "year", type: "integer", aliases: ["FiscalYear", "fiscal_year", "year"], ...YEAR_RULES }
+    ],
+    checks: [completePeriods("quarter", QUARTERS, { allowPartialLatestYear: true })]
+  },
+  "yearly-bins": {
+    label: "Unique Permits Yearly Bins",
+    table: "unique_permits_yearly_bins",
+    file: "UniquePermitYearlyBinsJson.json",
+    conflictColumns: ["bin_range", "year"],
+    fields: [
+      { column: "bin_range", type: "text", aliases: ["permit_range", "bin_range", "range", "bin"], enum: PERMIT_BINS },
+      { column: "permit_count", type: "integer", aliases: ["count", "permit_count", "PermitCount"], ...COUNT_RULES },
+      { column: "year", type: "integer", aliases: ["year", "FiscalYear", "fiscal_year"], ...YEAR_RULES }
+    ],
+    checks: [completePeriods("bin_range", PERMIT_BINS)]
+  },
+  // No bundled file: loaded from a valuation export or computed from permit records
+  "yearly-valuation": {
+    label: "Unique Permits Yearly Valuation",
+    table: "unique_permits_yearly_valuation",
+    conflictColumns: ["year"],
+    fields: [
+      { column: "year", type: "integer", aliases: ["year", "FiscalYear", "fiscal_year"], ...YEAR_RULES },
+      { column: "permit_count", type: "integer", aliases: ["PermitCount", "permit_count", "count"], ...COUNT_RULES },
+      { column: "total_valuation", type: "number", aliases: ["TotalValuation", "total_valuation", "valuation"], ...VALUATION_RULES },
+      { column: "median_valuation", type: "number", aliases: ["MedianValuation", "median_valuation", "median"], required: false, ...VALUATION_RULES }
+    ]
+  }
+};
+
+// Raised for uploads that cannot be parsed, mapped or validated; controllers answer with a 400.
+// `report` is the data-quality report when the upload was mapped but failed its checks.
+class ImportError extends Error {
+  constructor(message, details = [], report = null) {
+    super(message);
+    this.name = "ImportError";
+    this.status = 400;
+    this.details = details;
+    this.report = report;
+  }
+}
+
+const normalizeKey = key => String(key).toLowerCase().replace(/[^a-z0-9]/g, "");
+
+const getDataset = name => {
+  const dataset = DATASETS[name];
+  if (!dataset) {
+    throw new ImportError(`Unknown dataset "${name}"`, [
+      `dataset must be one of ${Object.keys(DATASETS).join(", ")}`
+    ]);
+  }
+  return dataset;
+};
+
+/**
+ * Parse an uploaded file into an array of plain objects.
+ * JSON arrives already parsed by express.json; CSV and XLSX arrive as a Buffer
+ * and are read with SheetJS, taking the first worksheet. CSV cells are kept as
+ * text (identifiers such as permit numbers keep leading zeros) and converted
+ * by each field's type when the records are mapped.
+ */
+const parseUpload = body => {
+  if (Array.isArray(body)) {
+    return body;
+  }
+  if (body && Array.isArray(body.rows)) {
+    return body.rows;
+  }
+  if (Buffer.isBuffer(body) && body.length > 0) {
+    let workbook;
+    try {
+      workbook = XLSX.read(body, { type: "buffer", raw: true });
+    } catch (error) {
+      throw new ImportError("Could not read the uploaded file", [error.message]);
+    }
+    const sheet = workbook.Sheets[workbook.SheetNames[0]];
+    if (!sheet) {
+      throw new ImportError("The uploaded file does not contain any sheets");
+    }
+    return XLSX.utils.sheet_to_json(sheet, { defval: null });
+  }
+  throw new ImportError("Upload a JSON array, a CSV file or an XLSX workbook");
+};
+
+const ISO_DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:[T ].*)?$/;
+const US_DATE_PATTERN = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/;
+
+// Read a date as YYYY-MM-DD from ISO text, M/D/YYYY text or an Excel serial day number
+const coerceDate = value => {
+  let parts;
+  if (typeof value === "number") {
+    const parsed = XLSX.SSF.parse_date_code(value);
+    parts = parsed ? [parsed.y, parsed.m, parsed.d] : null;
+  } else {
+    const text = String(value).trim();
+    const iso = text.match(ISO_DATE_PATTERN);
+    const us = text.match(US_DATE_PATTERN);
+    if (iso) parts = [iso[1], iso[2], iso[3]].map(Number);
+    if (us) parts = [us[3], us[1], us[2]].map(Number);
+  }
+
+  if (parts) {
+    const [year, month, day] = parts;
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day) {
+      return { value: date.toISOString().slice(0, 10) };
+    }
+  }
+  return { error: `must be a date (YYYY-MM-DD or M/D/YYYY), got "${value}"` };
+};
+
+const coerceValue = (value, type, required = true) => {
+  if (value === null || value === undefined || String(value).trim() === "") {
+    return required ? { error: "is required" } : { value: null };
+  }
+  if (type === "text") {
+    return { value: String(value).trim() };
+  }
+  if (type === "date") {
+    return coerceDate(value);
+  }
+
+  const number = typeof value === "number" ? value : Number(String(value).trim());
+  if (!Number.isFinite(number)) {
+    return { error: `must be a number, got "${value}"` };
+  }
+  if (type === "integer" && !Number.isInteger(number)) {
+    return { error: `must be a whole number, got "${value}"` };
+  }
+  return { value: number };
+};
+
+/**
+ * Map raw records onto a dataset's table columns and check them against the
+ * dataset's declared schema.
+ * Returns { rows, columnMapping, report }; see dataQuality.service.js for the
+ * report. Throws an ImportError when the records cannot be mapped at all
+ * (unknown dataset, no records, missing columns).
+ * `dataset` defaults to DATASETS[datasetName]; other definitions of the same
+ * shape (such as raw permit records) can be passed instead.
+ */
+const mapRecords = (datasetName, records, dataset = getDataset(datasetName)) => {
+  if (!Array.isArray(records) || records.length === 0) {
+    throw new ImportError("The upload does not contain any records");
+  }
+
+  // Resolve each table column to the first matching source column name
+  const sourceKeys = [...new Set(records.flatMap(record => Object.keys(record || {})))];
+  const columnMapping = {};
+  const missing = [];
+
+  dataset.fields.forEach(field => {
+    const aliases = field.aliases.map(normalizeKey);
+    const sourceKey = aliases
+      .map(alias => sourceKeys.find(key => normalizeKey(key) === alias))
+      .find(Boolean);
+    if (sourceKey) {
+      columnMapping[field.column] = sourceKey;
+    } else if (field.required !== false) {
+      missing.push(`No column found for "${field.column}" (expected one of ${field.aliases.join(", ")})`);
+    }
+  });
+
+  if (missing.length > 0) {
+    throw new ImportError("The upload is missing required columns", missing);
+  }
+
+  const typeErrors = {};
+  const rows = records.map((record, index) => {
+    const row = {};
+    dataset.fields.forEach(field => {
+      const source = columnMapping[field.column];
+      const { value, error } = coerceValue(source ? record[source] : null, field.type, field.required !== false);
+      if (error) {
+        typeErrors[index] = [...(typeErrors[index] || []), `${field.column} ${error}`];
+      } else {
+        row[field.column] = value;
+      }
+    });
+    return row;
+  });
+
+  return { rows, columnMapping, report: buildReport(datasetName, dataset, rows, typeErrors) };
+};
+
+// Refuse to go further when a data-quality report has blocking errors
+const assertImportable = report => {
+  if (!report.valid) {
+    throw new ImportError(
+      `The ${report.label} data failed validation with ${report.errorCount} error(s)`,
+      report.errors,
+      report
+    );
+  }
+};
+
+/**
+ * Every row of a dataset's table, as plain objects of its field columns.
+ * DECIMAL columns come back from pg as strings; they are read as numbers so
+ * they compare with uploaded files and round-trip through version snapshots.
+ */
+const readTableRows = async (executor, dataset) => {
+  const selectList = dataset.fields
+    .map(field => (field.type === "number" ? `${field.column}::float8 AS ${field.column}` : field.column))
+    .join(", ");
+  const result = await executor.query(
+    `SELECT ${selectList} FROM ${dataset.table} ORDER BY ${dataset.conflictColumns.join(", ")}`
+  );
+  return result.rows;
+};
+
+// Conflict-key values of a row, e.g. { month: "Jan", year: 2024 }, and a string form for lookups
+const rowKey = (dataset, row) => Object.fromEntries(dataset.conflictColumns.map(column => [column, row[column]]));
+const rowKeyString = (dataset, row) => JSON.stringify(dataset.conflictColumns.map(column => row[column]));
+
+/**
+ * Compare mapped rows with what is currently in the dataset's table, without writing.
+ * Returns {
+ *   inserts:   [{ key, values }]            rows the import would add
+ *   updates:   [{ key, changes: { column: { old, new } } }]
+ *   missing:   [{ key, values }]            rows in the table but not in the file (kept by the import)
+ *   unchanged: number of rows that already match
+ * }
+ */
+const diffRows = async (executor, datasetName, rows) => {
+  const dataset = getDataset(datasetName);
+  const currentRows = await readTableRows(executor, dataset);
+
+  const current = new Map(currentRows.map(row => [rowKeyString(dataset, row), row]));
+  const valueColumns = dataset.fields
+    .map(field => field.column)
+    .filter(column => !dataset.conflictColumns.includes(column));
+  const valuesOf = row => Object.fromEntries(valueColumns.map(column => [column, row[column]]));
+
+  const diff = { inserts: [], updates: [], missing: [], unchanged: 0 };
+  const seen = new Set();
+
+  rows.forEach(row => {
+    const keyString = rowKeyString(dataset, row);
+    seen.add(keyString);
+    const existing = current.get(keyString);
+    if (!existing) {
+      diff.inserts.push({ key: rowKey(dataset, row), values: valuesOf(row) });
+      return;
+    }
+
+    const changes = {};
+    valueColumns.forEach(column => {
+      if (existing[column] !== row[column]) {
+        changes[column] = { old: existing[column], new: row[column] };
+      }
+    });
+    if (Object.keys(changes).length > 0) {
+      diff.updates.push({ key: rowKey(dataset, row), changes });
+    } else {
+      diff.unchanged += 1;
+    }
+  });
+
+  current.forEach((row, keyString) => {
+    if (!seen.has(keyString)) {
+      diff.missing.push({ key: rowKey(dataset, row), values: valuesOf(row) });
+    }
+  });
+
+  return diff;
+};
+
+// Plain-text rendering of a diff for the command line
+const formatDiff = (datasetName, diff) => {
+  const dataset = getDataset(datasetName);
+  const describeKey = key => Object.entries(key).map(([column, value]) => `${column}=${value}`).join(", ");
+  const describeValues = values => Object.entries(values).map(([column, value]) => `${column}=${value}`).join(", ");
+
+  const lines = [
+    `${dataset.label} (${dataset.table}): ${diff.inserts.length} insert(s), ${diff.updates.length} update(s), ` +
+      `${diff.unchanged} unchanged, ${diff.missing.length} missing from the file`
+  ];
+  diff.inserts.forEach(({ key, values }) => lines.push(`  + ${describeKey(key)}: ${describeValues(values)}`));
+  diff.updates.forEach(({ key, changes }) => {
+    const described = Object.entries(changes).map(([column, change]) => `${column} ${change.old} → ${change.new}`);
+    lines.push(`  ~ ${describeKey(key)}: ${described.join(", ")}`);
+  });
+  diff.missing.forEach(({ key, values }) => lines.push(`  - ${describeKey(key)}: ${describeValues(values)} (kept)`));
+  return lines.join("\n");
+};
+
+// Rows per INSERT statement; keeps the parameter count well under Postgres' limit of 65535
+const INSERT_BATCH_SIZE = 500;
+
+/**
+ * Insert rows with multi-row INSERT statements of up to INSERT_BATCH_SIZE rows.
+ * With `upsert`, conflicting rows update every non-key column instead of failing.
+ */
+const insertBatches = async (client, dataset, rows, { upsert = true } = {}) => {
+  const columns = dataset.fields.map(field => field.column);
+  const updates = columns
+    .filter(column => !dataset.conflictColumns.includes(column))
+    .map(column => `${column} = EXCLUDED.${column}`);
+  const onConflict = upsert
+    ? ` ON CONFLICT (${dataset.conflictColumns.join(", ")}) DO UPDATE SET ${updates.join(", ")}`
+    : "";
+
+  for (let start = 0; start < rows.length; start += INSERT_BATCH_SIZE) {
+    const batch = rows.slice(start, start + INSERT_BATCH_SIZE);
+    const params = [];
+    const values = batch.map(row => {
+      const placeholders = columns.map(column => {
+        params.push(row[column]);
+        return `$${params.length}`;
+      });
+      return `(${placeholders.join(", ")})`;
+    });
+    await client.query(
+      `INSERT INTO ${dataset.table} (${columns.join(", ")}) VALUES ${values.join(", ")}${onConflict}`,
+      params
+    );
+  }
+};
+
+/**
+ * Run `fn` inside BEGIN/COMMIT on `client`, rolling back if it throws.
+ * `client` must be a dedicated connection (pool.connect() or a pg Client),
+ * since BEGIN/COMMIT have to run on the same connection as the writes.
+ * Cached query results are dropped once the transaction commits.
+ */
+const withTransaction = async (client, fn) => {
+  let result;
+  await client.query("BEGIN");
+  try {
+    result = await fn();
+    await client.query("COMMIT");
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  }
+  invalidateQueryCache();
+  return result;
+};
+
+/**
+ * Upsert mapped rows into a dataset's table and record the result as the
+ * dataset's next data version, with a snapshot of the table afterwards.
+ * Call inside withTransaction. The first import of a dataset that already has
+ * rows also records a baseline version, so that import can be rolled back too.
+ * When `audit` ({ userId, ipAddress, userAgent, newValues }) is given, a
+ * data.import entry is written in the same transaction.
+ */
+const writeDataset = async (client, datasetName, rows, { audit, source = null } = {}) => {
+  const dataset = getDataset(datasetName);
+  const userId = audit ? audit.userId : null;
+
+  if (!(await hasVersions(client, datasetName))) {
+    const existing = await readTableRows(client, dataset);
+    if (existing.length > 0) {
+      await recordVersion(client, {
+        dataset: datasetName,
+        table: dataset.table,
+        action: VERSION_ACTIONS.BASELINE,
+        source: "existing rows",
+        rowCount: existing.length,
+        snapshot: existing,
+        userId
+      });
+    }
+  }
+
+  await insertBatches(client, dataset, rows);
+
+  const version = await recordVersion(client, {
+    dataset: datasetName,
+    table: dataset.table,
+    action: VERSION_ACTIONS.IMPORT,
+    source,
+    rowCount: rows.length,
+    snapshot: await readTableRows(client, dataset),
+    userId
+  });
+
+  if (audit) {
+    await recordAudit({
+      ...audit,
+      action: AUDIT_ACTIONS.DATA_IMPORT,
+      tableName: dataset.table,
+      recordId: version,
+      newValues: { dataset: datasetName, rowCount: rows.length, version, ...audit.newValues }
+    }, client);
+  }
+
+  return { table: dataset.table, rowCount: rows.length, version };
+};
+
+// Import one dataset in its own transaction; see writeDataset for the options
+const upsertRows = (client, datasetName, rows, options = {}) =>
+  withTransaction(client, () => writeDataset(client, datasetName, rows, options));
+
+/**
+ * Replace a dataset's table with the snapshot stored for `version`, in one
+ * transaction, and record the result as a new rollback version.
+ * `audit` works as in writeDataset and writes a data.rollback entry.
+ */
+const rollbackDataset = async (client, datasetName, version, { audit } = {}) => {
+  const dataset = getDataset(datasetName);
+
+  return withTransaction(client, async () => {
+    const snapshot = await getSnapshot(client, datasetName, version);
+    if (!snapshot) {
+      throw new ImportError(`${dataset.label} has no data version ${version}`);
+    }
+
+    const previous = await readTableRows(client, dataset);
+    await client.query(`DELETE FROM ${dataset.table}`);
+    await insertBatches(client, dataset, snapshot, { upsert: false });
+
+    const newVersion = await recordVersion(client, {
+      dataset: datasetName,
+      table: dataset.table,
+      action: VERSION_ACTIONS.ROLLBACK,
+      source: `version ${version}`,
+      rowCount: snapshot.length,
+      restoredVersion: version,
+      snapshot,
+      userId: audit ? audit.userId : null
+    });
+
+    if (audit) {
+      await recordAudit({
+        ...audit,
+        action: AUDIT_ACTIONS.DATA_ROLLBACK,
+        tableName: dataset.table,
+        recordId: newVersion,
+        oldValues: { rowCount: previous.length },
+        newValues: { dataset: datasetName, restoredVersion: version, version: newVersion, rowCount: snapshot.length }
+      }, client);
+    }
+
+    return { table: dataset.table, rowCount: snapshot.length, version: newVersion, restoredVersion: version };
+  });
+};
+
+module.exports = {
+  DATASETS,
+  PERMIT_BINS,
+  ImportError,
+  getDataset,
+  parseUpload,
+  mapRecords,
+  assertImportable,
+  diffRows,
+  formatDiff,
+  insertBatches,
+  withTransaction,
+  writeDataset,
+  upsertRows,
+  rollbackDataset
+};
@@ -0,0 +1,203 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const MIGRATIONS_DIR = path.join(__dirname, "..", "..", "database", "migrations");
+
+// <version>_<name>.up.sql with a matching .down.sql, e.g. 0002_add_departments.up.sql
+const MIGRATION_FILE_PATTERN = /^(\d{4})_([a-z0-9_]+)\.(up|down)\.sql$/;
+
+// Arbitrary key for pg_advisory_lock so two deploys cannot migrate at the same time
+const MIGRATION_LOCK_KEY = 72210401;
+
+class MigrationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "MigrationError";
+  }
+}
+
+const checksum = sql => crypto.createHash("sha256").update(sql).digest("hex");
+
+/**
+ * Read the migrations directory into [{ version, name, upPath, downPath, checksum }],
+ * ordered by version. Every version needs both an up and a down file.
+ */
+const listMigrations = (dir = MIGRATIONS_DIR) => {
+  const byVersion = new Map();
+  const files = fs.existsSync(dir) ? fs.readdirSync(dir) : [];
+
+  files.forEach(file => {
+    const match = file.match(MIGRATION_FILE_PATTERN);
+    if (!match) return;
+    const [, version, name, direction] = match;
+    const migration = byVersion.get(version) || { version, name };
+    if (migration.name !== name) {
+      throw new MigrationError(`Migration ${version} has files with different names: ${migration.name} and ${name}`);
+    }
+    migration[direction === "up" ? "upPath" : "downPath"] = path.join(dir, file);
+    byVersion.set(version, migration);
+  });
+
+  return [...byVersion.values()]
+    .sort((a, b) => a.version.localeCompare(b.version))
+    .map(migration => {
+      if (!migration.upPath || !migration.downPath) {
+        throw new MigrationError(`Migration ${migration.version}_${migration.name} needs both an .up.sql and a .down.sql file`);
+      }
+      return { ...migration, checksum: checksum(fs.readFileSync(migration.upPath, "utf8")) };
+    });
+};
+
+const ensureMigrationsTable = async client => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version VARCHAR(4) PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      checksum VARCHAR(64) NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+};
+
+const appliedMigrations = async client => {
+  const result = await client.query(
+    "SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version"
+  );
+  return result.rows;
+};
+
+// Serialize migration runs across processes for the duration of `fn`
+const withLock = async (client, fn) => {
+  await client.query("SELECT pg_advisory_lock($1)", [MIGRATION_LOCK_KEY]);
+  try {
+    await ensureMigrationsTable(client);
+    return await fn();
+  } finally {
+    await client.query("SELECT pg_advisory_unlock($1)", [MIGRATION_LOCK_KEY]);
+  }
+};
+
+// Run one migration file and record or remove its schema_migrations row in the same transaction
+const runMigration = async (client, migration, direction) => {
+  const sql = fs.readFileSync(direction === "up" ? migration.upPath : migration.downPath, "utf8");
+  await client.query("BEGIN");
+  try {
+    await client.query(sql);
+    if (direction === "up") {
+      await client.query(
+        "INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)",
+        [migration.version, migration.name, migration.checksum]
+      );
+    } else {
+      await client.query("DELETE FROM schema_migrations WHERE version = $1", [migration.version]);
+    }
+    await client.query("COMMIT");
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw new MigrationError(`Migration ${migration.version}_${migration.name} (${direction}) failed: ${error.message}`);
+  }
+};
+
+/**
+ * Every known migration with its state: "applied", "pending", "changed" (the
+ * up file was edited after it ran) or "missing" (applied but no longer on disk).
+ */
+const getStatus = async client => {
+  await ensureMigrationsTable(client);
+  const applied = new Map((await appliedMigrations(client)).map(row => [row.version, row]));
+  const migrations = listMigrations();
+
+  const status = migrations.map(migration => {
+    const row = applied.get(migration.version);
+    let state = "pending";
+    if (row) {
+      state = row.checksum === migration.checksum ? "applied" : "changed";
+    }
+    return { version: migration.version, name: migration.name, state, appliedAt: row ? row.applied_at : null };
+  });
+
+  applied.forEach((row, version) => {
+    if (!migrations.some(migration => migration.version === version)) {
+      status.push({ version, name: row.name, state: "missing", appliedAt: row.applied_at });
+    }
+  });
+
+  return status.sort((a, b) => a.version.localeCompare(b.version));
+};
+
+// Version of the newest applied migration, or null when none have run
+const getCurrentVersion = async client => {
+  await ensureMigrationsTable(client);
+  const result = await client.query("SELECT MAX(version) AS version FROM schema_migrations");
+  return result.rows[0].version;
+};
+
+/**
+ * Apply pending migrations in order, up to and including `to` when given.
+ * Returns the migrations that ran.
+ */
+const migrateUp = async (client, { to, log = () => {} } = {}) => withLock(client, async () => {
+  const applied = new Set((await appliedMigrations(client)).map(row => row.version));
+  const pending = listMigrations().filter(migration => !applied.has(migration.version) && (!to || migration.version <= to));
+
+  for (const migration of pending) {
+    log(`Applying ${migration.version}_${migration.name}`);
+    await runMigration(client, migration, "up");
+  }
+  return pending;
+});
+
+/**
+ * Revert the newest `steps` applied migrations (default 1), newest first.
+ * Returns the migrations that were reverted.
+ */
+const migrateDown = async (client, { steps = 1, log = () => {} } = {}) => withLock(client, async () => {
+  const migrations = new Map(listMigrations().map(migration => [migration.version, migration]));
+  const applied = (await appliedMigrations(client)).reverse().slice(0, steps);
+
+  const reverted = [];
+  for (const row of applied) {
+    const migration = migrations.get(row.version);
+    if (!migration) {
+      throw new MigrationError(`Cannot revert ${row.version}_${row.name}: its migration files are missing`);
+    }
+    log(`Reverting ${migration.version}_${migration.name}`);
+    await runMigration(client, migration, "down");
+    reverted.push(migration);
+  }
+  return reverted;
+});
+
+/**
+ * Write empty up/down files for a new migration numbered after the newest one.
+ * Returns the paths of the created files.
+ */
+const createMigration = name => {
+  const slug = String(name || "").trim().toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_+|_+$/g, "");
+  if (!slug) {
+    throw new MigrationError("A migration name is required, e.g. add_departments_table");
+  }
+
+  const migrations = listMigrations();
+  const last = migrations.length > 0 ? Number(migrations[migrations.length - 1].version) : 0;
+  const version = String(last + 1).padStart(4, "0");
+
+  fs.mkdirSync(MIGRATIONS_DIR, { recursive: true });
+  const upPath = path.join(MIGRATIONS_DIR, `${version}_${slug}.up.sql`);
+  const downPath = path.join(MIGRATIONS_DIR, `${version}_${slug}.down.sql`);
+  fs.writeFileSync(upPath, `-- ${version}_${slug}: describe the change\n\n`);
+  fs.writeFileSync(downPath, `-- Revert ${version}_${slug}\n\n`);
+  return { version, upPath, downPath };
+};
+
+module.exports = {
+  MIGRATIONS_DIR,
+  MigrationError,
+  listMigrations,
+  getStatus,
+  getCurrentVersion,
+  migrateUp,
+  migrateDown,
+  createMigration
+};
@@ -0,0 +1,140 @@
+const { mapRecords, insertBatches, withTransaction } = require("./import.service");
+const { AUDIT_ACTIONS, recordAudit } = require("./audit.service");
+const { MIN_YEAR, MAX_YEAR } = require("../utils/queryParams");
+const { fiscalYearOfDateExpression } = require("../utils/fiscalCalendar");
+
+const PERMIT_EVENTS_NAME = "permit-events";
+
+// Lifecycle statuses in the order a permit normally passes through them
+const PERMIT_STATUSES = ["submitted", "in_review", "revisions_requested", "approved", "issued"];
+
+const eventYearInRange = rows => ({
+  errors: rows
+    .map((row, index) => {
+      const year = Number(row.event_date.slice(0, 4));
+      return year < MIN_YEAR || year > MAX_YEAR
+        ? `Row ${index + 1}: event_date ${row.event_date} is outside ${MIN_YEAR}-${MAX_YEAR}`
+        : null;
+    })
+    .filter(Boolean),
+  warnings: []
+});
+
+// Metrics follow permits from their submission, so permits without one are left out
+const permitsWithoutSubmission = rows => {
+  const submitted = new Set(rows.filter(row => row.status === "submitted").map(row => row.permit_number));
+  const missing = new Set(rows.map(row => row.permit_number).filter(number => !submitted.has(number)));
+  return {
+    errors: [],
+    warnings: missing.size > 0
+      ? [`${missing.size} permit number(s) have no submitted event in this file and are left out of the metrics unless another file has one`]
+      : []
+  };
+};
+
+/*
+ * Permit status events, e.g. a workflow history export from the permitting
+ * system: one row per status change of a permit in a department. Mapped and
+ * validated like DATASETS, and appended like permit records.
+ */
+const PERMIT_EVENTS = {
+  label: "Permit Lifecycle Events",
+  table: "permit_events",
+  conflictColumns: [],
+  fields: [
+    { column: "permit_number", type: "text", aliases: ["permit_number", "PermitNumber", "permit_no", "permit", "record_id"], maxLength: 50 },
+    { column: "department", type: "text", aliases: ["department", "dept"], maxLength: 50 },
+    { column: "status", type: "text", aliases: ["status", "Status", "event", "event_type", "workflow_status"], enum: PERMIT_STATUSES },
+    { column: "event_date", type: "date", aliases: ["event_date", "EventDate", "status_date", "date"] }
+  ],
+  checks: [
+    eventYearInRange,
+    permitsWithoutSubmission
+  ]
+};
+
+// Map and validate uploaded permit events; see mapRecords in import.service.js
+const mapPermitEvents = records => mapRecords(PERMIT_EVENTS_NAME, records, PERMIT_EVENTS);
+
+/**
+ * Replace the permit events that came from `sourceFile` with `rows` (already
+ * mapped and valid) in one transaction.
+ * Returns { table, rowCount, replaced }.
+ */
+const ingestPermitEvents = async (client, rows, { sourceFile, audit } = {}) => withTransaction(client, async () => {
+  const removed = await client.query("DELETE FROM permit_events WHERE source_file = $1", [sourceFile]);
+
+  const withSource = {
+    ...PERMIT_EVENTS,
+    fields: [...PERMIT_EVENTS.fields, { column: "source_file" }]
+  };
+  await insertBatches(client, withSource, rows.map(row => ({ ...row, source_file: sourceFile })), { upsert: false });
+
+  if (audit) {
+    await recordAudit({
+      ...audit,
+      action: AUDIT_ACTIONS.DATA_IMPORT,
+      tableName: PERMIT_EVENTS.table,
+      newValues: { dataset: PERMIT_EVENTS_NAME, rowCount: rows.length, replaced: removed.rowCount, ...audit.newValues }
+    }, client);
+  }
+
+  return { table: PERMIT_EVENTS.table, rowCount: rows.length, replaced: removed.rowCount };
+});
+
+/*
+ * Processing metrics per fiscal year of submission, per department and for all
+ * departments together (department NULL). A permit's lifecycle is its earliest
+ * date for each status; in the overall rows a permit reviewed by several
+ * departments counts once.
+ *   avg_processing_days - mean days from submission to issue, over issued permits
+ *   completion_rate     - % of submitted permits that were issued
+ *   approval_rate       - % that were approved (or issued)
+ *   revision_rate       - % that had revisions requested at least once
+ * Use with readFilters; the year filters apply to the fiscal year.
+ */
+const METRICS_DATASET = {
+  table: `(
+    WITH lifecycle AS (
+      SELECT permit_number,
+             department,
+             MIN(event_date) FILTER (WHERE status = 'submitted') AS submitted_on,
+             MIN(event_date) FILTER (WHERE status = 'approved') AS approved_on,
+             MIN(event_date) FILTER (WHERE status = 'issued') AS issued_on,
+             BOOL_OR(status = 'revisions_requested') AS revised
+      FROM permit_events
+      GROUP BY GROUPING SETS ((permit_number, department), (permit_number))
+    )
+    SELECT ${fiscalYearOfDateExpression("submitted_on")} AS fiscal_year,
+           department,
+           COUNT(*)::int AS permit_count,
+           ROUND(AVG(issued_on - submitted_on), 1)::float8 AS avg_processing_days,
+           ROUND(100.0 * COUNT(issued_on) / COUNT(*), 1)::float8 AS completion_rate,
+           ROUND(100.0 * COUNT(*) FILTER (WHERE approved_on IS NOT NULL OR issued_on IS NOT NULL) / COUNT(*), 1)::float8 AS approval_rate,
+           ROUND(100.0 * COUNT(*) FILTER (WHERE revised) / COUNT(*), 1)::float8 AS revision_rate
+    FROM lifecycle
+    WHERE submitted_on IS NOT NULL
+    GROUP BY 1, 2
+  ) metrics`,
+  columns: "fiscal_year, department, permit_count, avg_processing_days, completion_rate, approval_rate, revision_rate",
+  yearColumn: "fiscal_year",
+  defaultOrder: "fiscal_year DESC, department NULLS FIRST",
+  sortColumns: {
+    fiscal_year: "fiscal_year",
+    department: "department",
+    permit_count: "permit_count",
+    avg_processing_days: "avg_processing_days",
+    completion_rate: "completion_rate",
+    approval_rate: "approval_rate",
+    revision_rate: "revision_rate"
+  }
+};
+
+module.exports = {
+  PERMIT_EVENTS_NAME,
+  PERMIT_STATUSES,
+  PERMIT_EVENTS,
+  METRICS_DATASET,
+  mapPermitEvents,
+  ingestPermitEvents
+};
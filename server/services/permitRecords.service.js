@@ -0,0 +1,168 @@
+const {
+  DATASETS,
+  mapRecords,
+  assertImportable,
+  diffRows,
+  insertBatches,
+  withTransaction,
+  writeDataset
+} = require("./import.service");
+const { issuedAfterApplication, repeatedPermitNumbers, buildReport } = require("./dataQuality.service");
+const { AUDIT_ACTIONS, recordAudit } = require("./audit.service");
+const { MIN_YEAR, MAX_YEAR } = require("../utils/queryParams");
+
+const PERMIT_RECORDS_NAME = "permits";
+
+// Aggregates are keyed by application year, so it must be a plausible year
+const applicationYearInRange = rows => ({
+  errors: rows
+    .map((row, index) => {
+      const year = Number(row.application_date.slice(0, 4));
+      return year < MIN_YEAR || year > MAX_YEAR
+        ? `Row ${index + 1}: application_date ${row.application_date} is outside ${MIN_YEAR}-${MAX_YEAR}`
+        : null;
+    })
+    .filter(Boolean),
+  warnings: []
+});
+
+/*
+ * Individual permit records, e.g. a CSV export from the permitting system.
+ * Uses the same field definitions as DATASETS, so uploads are mapped and
+ * validated the same way, but rows are appended rather than upserted: a permit
+ * number may appear on several rows and is deduplicated by the aggregates.
+ */
+const PERMIT_RECORDS = {
+  label: "Permit Records",
+  table: "permits",
+  conflictColumns: [],
+  fields: [
+    { column: "permit_number", type: "text", aliases: ["permit_number", "PermitNumber", "permit_no", "permit", "record_id"], maxLength: 50 },
+    { column: "application_date", type: "date", aliases: ["application_date", "ApplicationDate", "applied_date", "applied", "open_date"] },
+    { column: "issue_date", type: "date", aliases: ["issue_date", "IssueDate", "issued_date", "issued"], required: false },
+    { column: "valuation", type: "number", aliases: ["valuation", "Valuation", "job_value", "value"], required: false, min: 0 },
+    { column: "permit_type", type: "text", aliases: ["permit_type", "PermitType", "type", "work_class"], required: false, maxLength: 100 },
+    { column: "department", type: "text", aliases: ["department", "dept"], required: false, maxLength: 50 }
+  ],
+  checks: [
+    applicationYearInRange,
+    issuedAfterApplication,
+    repeatedPermitNumbers
+  ]
+};
+
+// Materialized views computed from permits, refreshed in dependency order
+const AGGREGATE_VIEWS = [
+  "unique_permits",
+  "permit_aggregates_yearly",
+  "permit_aggregates_quarterly",
+  "permit_aggregates_monthly",
+  "permit_aggregates_yearly_bins",
+  "permit_aggregates_yearly_valuation"
+];
+
+// Which aggregate view feeds each pre-aggregated dataset
+const AGGREGATE_DATASETS = {
+  yearly: "permit_aggregates_yearly",
+  quarterly: "permit_aggregates_quarterly",
+  monthly: "permit_aggregates_monthly",
+  "yearly-bins": "permit_aggregates_yearly_bins",
+  "yearly-valuation": "permit_aggregates_yearly_valuation"
+};
+
+// Map and validate uploaded permit records; see mapRecords in import.service.js
+const mapPermitRecords = records => mapRecords(PERMIT_RECORDS_NAME, records, PERMIT_RECORDS);
+
+/**
+ * Refresh the aggregate views and compare each with its curated unique_permits_*
+ * table: the dataset's own data-quality checks (e.g. complete months per year)
+ * run over the computed rows, and a diff shows which stored counts they would
+ * change. A partial export gives partial counts, so the curated tables are only
+ * overwritten with `replaceAggregates`, and not at all when a check fails; each
+ * written table gets a new data version. Periods with no permit records keep
+ * their existing counts. Call inside withTransaction.
+ * Returns [{ dataset, table, rowCount, report, diff, written, version }], with
+ * version null when nothing was written.
+ */
+const syncAggregates = async (client, { source, audit, replaceAggregates = false } = {}) => {
+  for (const view of AGGREGATE_VIEWS) {
+    await client.query(`REFRESH MATERIALIZED VIEW ${view}`);
+  }
+
+  const computed = [];
+  for (const [datasetName, view] of Object.entries(AGGREGATE_DATASETS)) {
+    const dataset = DATASETS[datasetName];
+    // Read numbers as the curated tables are read, so the diff compares like with like
+    const selectList = dataset.fields
+      .map(field => (field.type === "number" ? `${field.column}::float8 AS ${field.column}` : field.column))
+      .join(", ");
+    const { rows } = await client.query(`SELECT ${selectList} FROM ${view}`);
+    if (rows.length === 0) continue;
+
+    computed.push({
+      dataset: datasetName,
+      table: dataset.table,
+      rows,
+      report: buildReport(datasetName, dataset, rows),
+      diff: await diffRows(client, datasetName, rows)
+    });
+  }
+
+  if (replaceAggregates) {
+    computed.forEach(({ report }) => assertImportable(report));
+  }
+
+  const results = [];
+  for (const { dataset, table, rows, report, diff } of computed) {
+    let version = null;
+    if (replaceAggregates) {
+      ({ version } = await writeDataset(client, dataset, rows, {
+        source,
+        audit: audit && { ...audit, newValues: { ...audit.newValues, computedFrom: "permits" } }
+      }));
+    }
+    results.push({ dataset, table, rowCount: rows.length, report, diff, written: replaceAggregates, version });
+  }
+  return results;
+};
+
+/**
+ * Replace the permit records that came from `sourceFile` with `rows` (already
+ * mapped and valid) and recompute the aggregates, all in one transaction. The
+ * curated tables are only updated with `replaceAggregates`; see syncAggregates.
+ * Returns { table, rowCount, replaced, aggregates }.
+ */
+const ingestPermits = async (client, rows, { sourceFile, audit, replaceAggregates = false } = {}) => withTransaction(client, async () => {
+  const removed = await client.query("DELETE FROM permits WHERE source_file = $1", [sourceFile]);
+
+  const withSource = {
+    ...PERMIT_RECORDS,
+    fields: [...PERMIT_RECORDS.fields, { column: "source_file" }]
+  };
+  await insertBatches(client, withSource, rows.map(row => ({ ...row, source_file: sourceFile })), { upsert: false });
+
+  if (audit) {
+    await recordAudit({
+      ...audit,
+      action: AUDIT_ACTIONS.DATA_IMPORT,
+      tableName: PERMIT_RECORDS.table,
+      newValues: { dataset: PERMIT_RECORDS_NAME, rowCount: rows.length, replaced: removed.rowCount, ...audit.newValues }
+    }, client);
+  }
+
+  const aggregates = await syncAggregates(client, { source: `permits (${sourceFile})`, audit, replaceAggregates });
+  return { table: PERMIT_RECORDS.table, rowCount: rows.length, replaced: removed.rowCount, aggregates };
+});
+
+// Recompute the aggregates from the permits already stored, in one transaction;
+// options as for syncAggregates
+const refreshPermitAggregates = (client, options = {}) =>
+  withTransaction(client, () => syncAggregates(client, { source: "permits (refresh)", ...options }));
+
+module.exports = {
+  PERMIT_RECORDS_NAME,
+  PERMIT_RECORDS,
+  mapPermitRecords,
+  ingestPermits,
+  refreshPermitAggregates
+};
@@ -0,0 +1,73 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { MODELS, backtest } = require("../utils/forecastModels");
+
+const PERIOD = 12;
+const SEASON = [5, 3, 8, 12, 20, 26, 30, 28, 22, 15, 9, 6];
+
+// Four years of a seasonal pattern on a steady upward trend
+const trendingSeries = Array.from({ length: 4 * PERIOD }, (_, t) => SEASON[t % PERIOD] * 10 + 2 * t);
+
+describe("seasonal naive", () => {
+  const model = MODELS["seasonal-naive"];
+
+  it("repeats the last season", () => {
+    const { points } = model.forecast(trendingSeries, PERIOD, PERIOD + 2);
+    const lastSeason = trendingSeries.slice(-PERIOD);
+    assert.deepEqual(points.map(point => point.value), [...lastSeason, ...lastSeason.slice(0, 2)]);
+  });
+
+  it("widens its intervals with each further season and keeps them around the point", () => {
+    const { points } = model.forecast(trendingSeries, PERIOD, 2 * PERIOD);
+    const [first, nextSeason] = [points[0], points[PERIOD]];
+    assert.ok(nextSeason.upper95 - nextSeason.lower95 > first.upper95 - first.lower95);
+    points.forEach(point => {
+      assert.ok(point.lower95 <= point.lower80 && point.lower80 <= point.value);
+      assert.ok(point.value <= point.upper80 && point.upper80 <= point.upper95);
+    });
+  });
+
+  it("scores a MASE of 1 on a steady trend, where it is the naive scale itself", () => {
+    assert.equal(backtest(model, trendingSeries, PERIOD).mase, 1);
+  });
+});
+
+describe("Holt-Winters", () => {
+  const model = MODELS["holt-winters"];
+
+  it("follows the trend and the season", () => {
+    const { points, parameters } = model.forecast(trendingSeries, PERIOD, PERIOD);
+    const expected = Array.from({ length: PERIOD }, (_, h) => SEASON[h] * 10 + 2 * (trendingSeries.length + h));
+    points.forEach((point, h) => assert.ok(Math.abs(point.value - expected[h]) < 5, `period ${h + 1}`));
+    ["alpha", "beta", "gamma"].forEach(name => assert.ok(parameters[name] > 0 && parameters[name] < 1));
+  });
+
+  it("beats seasonal naive in the backtest on a trending series", () => {
+    const result = backtest(model, trendingSeries, PERIOD);
+    assert.equal(result.holdout, PERIOD);
+    assert.ok(result.mase < 0.5, `MASE ${result.mase}`);
+    assert.ok(result.mae < backtest(MODELS["seasonal-naive"], trendingSeries, PERIOD).mae);
+  });
+
+  it("never forecasts below zero", () => {
+    const falling = Array.from({ length: 3 * PERIOD }, (_, t) => Math.max(0, 300 - 10 * t) + SEASON[t % PERIOD]);
+    const { points } = model.forecast(falling, PERIOD, PERIOD);
+    points.forEach(point => assert.ok(point.value >= 0 && point.lower95 >= 0));
+  });
+});
+
+describe("backtest", () => {
+  it("needs a full training set before the held-out season", () => {
+    const short = trendingSeries.slice(0, 3 * PERIOD);
+    assert.equal(backtest(MODELS["holt-winters"], short, PERIOD), null);
+    assert.notEqual(backtest(MODELS["seasonal-naive"], short, PERIOD), null);
+  });
+
+  it("leaves MAPE out when every held-out value is zero, and MASE when there is no naive error", () => {
+    const flat = [...Array(2 * PERIOD).fill(4), ...Array(PERIOD).fill(0)];
+    const result = backtest(MODELS["seasonal-naive"], flat, PERIOD);
+    assert.equal(result.mape, null);
+    assert.equal(result.mase, null);
+    assert.equal(result.mae, 4);
+  });
+});
@@ -0,0 +1,28 @@
+const { describe, it, after } = require("node:test");
+const assert = require("node:assert/strict");
+const repository = require("../repositories");
+const { getReadiness } = require("../services/health.service");
+const { spec } = require("../openapi/spec");
+const { validateSchema } = require("../utils/schemaValidator");
+
+describe("readiness", () => {
+  after(() => repository.close());
+
+  it("skips empty datasets that have no bundled file and stays ready", async () => {
+    const readiness = await getReadiness();
+    const datasets = readiness.checks.dataFreshness.datasets;
+
+    const valuation = datasets.find(dataset => dataset.dataset === "yearly-valuation");
+    assert.equal(valuation.rowCount, 0);
+    assert.equal(valuation.status, "skip");
+    datasets.filter(dataset => dataset !== valuation).forEach(dataset => assert.equal(dataset.status, "pass", dataset.dataset));
+
+    assert.equal(readiness.checks.dataFreshness.status, "pass");
+    assert.equal(readiness.status, "ready");
+  });
+
+  it("answers as the API contract describes", async () => {
+    const body = { ...(await getReadiness()), timestamp: new Date().toISOString() };
+    assert.deepEqual(validateSchema(spec, spec.components.schemas.Readiness, body, "response"), []);
+  });
+});
@@ -0,0 +1,57 @@
+const { describe, it, after } = require("node:test");
+const assert = require("node:assert/strict");
+const repository = require("../repositories");
+
+// conditionalGet with the fiscal calendar settings in `env`; the config is read once, when loaded
+const loadConditionalGet = env => {
+  const saved = { FISCAL_YEAR_START_MONTH: process.env.FISCAL_YEAR_START_MONTH, FISCAL_YEAR_LABEL: process.env.FISCAL_YEAR_LABEL };
+  Object.assign(process.env, env);
+  delete require.cache[require.resolve("../config/fiscalCalendar")];
+  delete require.cache[require.resolve("../middleware/httpCache")];
+  try {
+    return require("../middleware/httpCache").conditionalGet;
+  } finally {
+    Object.entries(saved).forEach(([name, value]) => {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    });
+  }
+};
+
+// Run the middleware for one request and resolve to its status and headers
+const run = (conditionalGet, headers = {}) => new Promise(resolve => {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    set(name, value) { this.headers[name] = value; },
+    status(code) { this.statusCode = code; return this; },
+    end() { resolve(this); }
+  };
+  const req = { originalUrl: "/api/permits/yearly?calendar=fiscal", headers };
+  Object.defineProperty(req, "fresh", { get: () => req.headers["if-none-match"] === res.headers.ETag });
+  conditionalGet(["unique_permits_monthly"])(req, res, () => resolve(res));
+});
+
+describe("conditionalGet", () => {
+  after(() => repository.close());
+
+  it("answers 304 while the data and the fiscal calendar are unchanged", async () => {
+    const conditionalGet = loadConditionalGet({ FISCAL_YEAR_START_MONTH: "7", FISCAL_YEAR_LABEL: "end" });
+    const first = await run(conditionalGet);
+    const again = await run(conditionalGet, { "if-none-match": first.headers.ETag });
+    assert.equal(first.statusCode, 200);
+    assert.equal(again.statusCode, 304);
+  });
+
+  it("changes the ETag when the fiscal calendar changes", async () => {
+    const july = await run(loadConditionalGet({ FISCAL_YEAR_START_MONTH: "7", FISCAL_YEAR_LABEL: "end" }));
+    const october = await run(loadConditionalGet({ FISCAL_YEAR_START_MONTH: "10", FISCAL_YEAR_LABEL: "end" }));
+    const startLabel = await run(loadConditionalGet({ FISCAL_YEAR_START_MONTH: "7", FISCAL_YEAR_LABEL: "start" }));
+
+    assert.notEqual(october.headers.ETag, july.headers.ETag);
+    assert.notEqual(startLabel.headers.ETag, july.headers.ETag);
+
+    const afterChange = await run(loadConditionalGet({ FISCAL_YEAR_START_MONTH: "10" }), { "if-none-match": july.headers.ETag });
+    assert.equal(afterChange.statusCode, 200);
+  });
+});
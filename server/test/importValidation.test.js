@@ -0,0 +1,88 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { DATASETS, ImportError, mapRecords, assertImportable } = require("../services/import.service");
+const { buildReport } = require("../services/dataQuality.service");
+const { MONTHS } = require("../utils/queryParams");
+
+const monthsOf = (year, months = MONTHS, permitCount = 10) =>
+  months.map(month => ({ FiscalYear: year, FiscalMonth: month, PermitCount: permitCount }));
+
+describe("mapRecords", () => {
+  it("maps source columns by alias and converts their types", () => {
+    const { rows, columnMapping, report } = mapRecords("yearly", [{ year: "2023", count: " 1204 " }]);
+
+    assert.deepEqual(columnMapping, { fiscal_year: "year", permit_count: "count" });
+    assert.deepEqual(rows, [{ fiscal_year: 2023, permit_count: 1204 }]);
+    assert.equal(report.valid, true);
+  });
+
+  it("reports field rules and type errors by row", () => {
+    const { report } = mapRecords("monthly", [
+      { FiscalMonth: "Jan", PermitCount: 12, FiscalYear: 2023 },
+      { FiscalMonth: "Foo", PermitCount: -1, FiscalYear: 2023 },
+      { FiscalMonth: "Feb", PermitCount: "x", FiscalYear: 2023 }
+    ]);
+
+    assert.equal(report.valid, false);
+    assert.deepEqual(report.errors, [
+      `Row 2: month must be one of ${MONTHS.join(", ")}, got "Foo"`,
+      "Row 2: permit_count must be at least 0, got -1",
+      'Row 3: permit_count must be a number, got "x"'
+    ]);
+  });
+
+  it("rejects uploads it cannot map at all", () => {
+    assert.throws(() => mapRecords("monthly", []), ImportError);
+    assert.throws(() => mapRecords("unknown", [{ year: 2023 }]), /Unknown dataset "unknown"/);
+    assert.throws(
+      () => mapRecords("monthly", [{ FiscalYear: 2023, PermitCount: 1 }]),
+      error => error instanceof ImportError && /No column found for "month"/.test(error.details[0])
+    );
+  });
+});
+
+describe("buildReport", () => {
+  it("blocks rows that share the dataset's key", () => {
+    const { report } = mapRecords("yearly", [
+      { year: 2023, count: 1 },
+      { year: 2023, count: 2 }
+    ]);
+    assert.equal(report.valid, false);
+    assert.equal(report.errorCount, 1);
+  });
+
+  it("warns about years with missing months, except the newest", () => {
+    const { rows } = mapRecords("monthly", [
+      ...monthsOf(2022, MONTHS.slice(0, 11)),
+      ...monthsOf(2023),
+      ...monthsOf(2024, MONTHS.slice(0, 3))
+    ]);
+    const report = buildReport("monthly", DATASETS.monthly, rows);
+
+    assert.equal(report.valid, true);
+    assert.deepEqual(report.warnings, ["2022 has no rows for month Dec"]);
+  });
+
+  it("warns about weekday shares that do not sum to one", () => {
+    const { report } = mapRecords("department-activity-weekday", [
+      { year: 2023, department: "BLD", mon: 0.2, tue: 0.2, wed: 0.2, thu: 0.2, fri: 0.1 }
+    ]);
+    assert.equal(report.valid, true);
+    assert.deepEqual(report.warnings, ["Row 1: weekday shares for BLD 2023 add up to 0.9000, expected 1"]);
+  });
+});
+
+describe("assertImportable", () => {
+  it("passes valid reports and throws an ImportError carrying the report otherwise", () => {
+    const valid = mapRecords("yearly", [{ year: 2023, count: 5 }]).report;
+    assert.doesNotThrow(() => assertImportable(valid));
+
+    const invalid = mapRecords("yearly", [{ year: 2023, count: -5 }]).report;
+    assert.throws(() => assertImportable(invalid), error => {
+      assert.ok(error instanceof ImportError);
+      assert.equal(error.report, invalid);
+      assert.deepEqual(error.details, invalid.errors);
+      return true;
+    });
+  });
+});
@@ -0,0 +1,58 @@
+const { describe, it, after } = require("node:test");
+const assert = require("node:assert/strict");
+const repository = require("../repositories");
+const { validateOperation } = require("../middleware/openapi");
+const { runQuery } = require("../controllers/query.controller");
+
+// Run GET /api/query's contract check and controller for a query object; resolves to status and body
+const query = params => new Promise(resolve => {
+  const res = {
+    statusCode: 200,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { resolve({ status: this.statusCode, body }); return this; }
+  };
+  validateOperation("aggregate")({ query: params, params: {} }, res, () => runQuery({ query: params }, res));
+});
+
+describe("GET /api/query", () => {
+  after(() => repository.close());
+
+  it("answers grouped, filtered and fiscal aggregates as the API contract describes", async () => {
+    const requests = [
+      { dataset: "permits" },
+      { dataset: "permits", "groupBy[]": ["year", "quarter"], fromYear: "2020" },
+      { dataset: "permits", calendar: "fiscal", groupBy: "year,month", "years[]": ["2024", "2025"] },
+      { dataset: "department-activity", measure: "avg", "groupBy[]": "department" },
+      { dataset: "bins", measure: "count", "groupBy[]": ["year", "bin"], "bins[]": "0-10K" },
+      // No matching rows: a single row with a null sum
+      { dataset: "permits", "years[]": "1901" }
+    ];
+    for (const params of requests) {
+      const { status, body } = await query(params);
+      assert.equal(status, 200, `${JSON.stringify(params)}: ${JSON.stringify(body)}`);
+      assert.ok(body.rows.length > 0, JSON.stringify(params));
+    }
+  });
+
+  it("rejects parameters outside the API contract before running the query", async () => {
+    const requests = [
+      [{}, /dataset is required/],
+      [{ dataset: "permit" }, /dataset must be one of/],
+      [{ dataset: "permits", measure: "median" }, /measure must be one of/],
+      [{ dataset: "permits", "groupBy[]": "week" }, /groupBy\[0\] must be one of/],
+      [{ dataset: "permits", "quarters[]": "5" }, /quarters\[0\] must be one of/],
+      [{ dataset: "permits", sort: "year" }, /Unsupported query parameter "sort"/]
+    ];
+    for (const [params, message] of requests) {
+      const { status, body } = await query(params);
+      assert.equal(status, 400, JSON.stringify(params));
+      assert.ok(body.details.some(detail => message.test(detail)), JSON.stringify(body.details));
+    }
+  });
+
+  it("still reports combinations the dataset cannot answer", async () => {
+    const { status, body } = await query({ dataset: "bins", calendar: "fiscal" });
+    assert.equal(status, 400);
+    assert.deepEqual(body.details, ['Dataset "bins" has no fiscal calendar view']);
+  });
+});
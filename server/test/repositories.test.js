@@ -0,0 +1,139 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { createSqliteRepository } = require("../repositories/sqlite.repository");
+const { createJsonRepository, readBundledData } = require("../repositories/json.repository");
+const { DATASETS } = require("../services/import.service");
+const { readFilters, MONTHS } = require("../utils/queryParams");
+const { permitDatasetFor } = require("../utils/permitDatasets");
+const { parseAggregateRequest } = require("../utils/aggregateQuery");
+const { localAdmin } = require("../config/dataSource");
+
+const sum = rows => rows.reduce((total, row) => total + row.permit_count, 0);
+
+// The rows GET /api/permits/:name would return for a query string
+const listPermits = (repository, name, query = {}) => {
+  const view = query.calendar || "calendar";
+  return repository.permits.list(name, view, readFilters(query, permitDatasetFor(name, view)));
+};
+
+describe("sqlite repository", () => {
+  let repository;
+  let bundled;
+
+  before(async () => {
+    repository = createSqliteRepository(":memory:");
+    bundled = await readBundledData();
+  });
+
+  after(() => repository.close());
+
+  it("fills a new database from the bundled JSON", async () => {
+    const tables = Object.values(DATASETS).map(dataset => dataset.table);
+    const stats = await repository.tableStats(tables);
+
+    stats.forEach(({ table, rowCount, lastModified }) => {
+      assert.equal(rowCount, bundled.tables[table].length, table);
+      assert.equal(lastModified === null, rowCount === 0, table);
+    });
+    assert.equal(stats.find(({ table }) => table === DATASETS["yearly-valuation"].table).rowCount, 0);
+  });
+
+  it("filters and sorts permit rows", async () => {
+    const rows = await listPermits(repository, "monthly", {
+      years: ["2023", "2024"],
+      months: ["Jan", "Feb"],
+      sort: "permit_count",
+      order: "desc"
+    });
+
+    assert.equal(rows.length, 4);
+    rows.forEach(row => {
+      assert.ok([2023, 2024].includes(row.fiscal_year));
+      assert.ok(["Jan", "Feb"].includes(row.month));
+    });
+    assert.deepEqual(rows.map(row => row.permit_count), [...rows.map(row => row.permit_count)].sort((a, b) => b - a));
+  });
+
+  it("orders months by the calendar by default", async () => {
+    const rows = await listPermits(repository, "monthly", { years: ["2023"] });
+    assert.deepEqual(rows.map(row => row.month), MONTHS);
+  });
+
+  it("sums the same permits into fiscal years as into calendar years", async () => {
+    const monthly = await listPermits(repository, "monthly");
+    const fiscalYearly = await listPermits(repository, "yearly", { calendar: "fiscal" });
+    assert.equal(sum(fiscalYearly), sum(monthly));
+  });
+
+  it("aggregates with /api/query requests", async () => {
+    const request = parseAggregateRequest({ dataset: "permits", groupBy: ["year"], years: ["2023"] });
+    const [row] = await repository.permits.aggregate(request);
+    const [yearly] = await listPermits(repository, "yearly", { years: ["2023"] });
+    assert.deepEqual(row, { year: 2023, value: yearly.permit_count });
+  });
+
+  it("creates the local admin and stores new users", async () => {
+    const admin = await repository.accounts.findUserByLogin(localAdmin.username);
+    assert.equal(admin.role, "admin");
+    assert.equal(admin.is_active, true);
+
+    const id = await repository.accounts.saveUser({
+      username: "analyst",
+      email: "analyst@example.com",
+      passwordHash: "hash",
+      role: "analyst"
+    });
+    const user = await repository.accounts.findUserByLogin("analyst@example.com");
+    assert.equal(user.id, id);
+    assert.equal(user.role, "analyst");
+  });
+
+  it("accepts a refresh token only once", async () => {
+    const admin = await repository.accounts.findUserByLogin(localAdmin.username);
+    await repository.accounts.saveRefreshToken(admin.id, "token-hash", 1);
+
+    assert.equal(await repository.accounts.consumeRefreshToken("token-hash"), admin.id);
+    assert.equal(await repository.accounts.consumeRefreshToken("token-hash"), null);
+  });
+
+  it("merges preference changes and removes keys set to null", async () => {
+    const admin = await repository.accounts.findUserByLogin(localAdmin.username);
+    await repository.preferences.update(admin.id, { theme: "dark", tabs: "[]" });
+    const preferences = await repository.preferences.update(admin.id, { theme: "light", tabs: null });
+    assert.deepEqual(preferences, { theme: "light" });
+    assert.deepEqual(await repository.preferences.get(admin.id), { theme: "light" });
+  });
+});
+
+describe("sqlite and json repositories", () => {
+  let sqlite;
+  let json;
+
+  before(() => {
+    sqlite = createSqliteRepository(":memory:");
+    json = createJsonRepository();
+  });
+
+  after(async () => {
+    await sqlite.close();
+    await json.close();
+  });
+
+  const READS = {
+    "calendar yearly permits": repository => listPermits(repository, "yearly"),
+    "fiscal monthly permits": repository => listPermits(repository, "monthly", { calendar: "fiscal" }),
+    "fiscal quarterly permits": repository => listPermits(repository, "quarterly", { calendar: "fiscal" }),
+    "yearly bins": repository => listPermits(repository, "yearlyBins"),
+    "monthly series": repository => repository.permits.series("monthly", "fiscal"),
+    "dashboard KPIs": repository => repository.dashboard.kpis(),
+    "dashboard trends": repository => repository.dashboard.trends(5),
+    departments: repository => repository.departments.list(),
+    "department activity": repository => repository.departments.activity()
+  };
+
+  Object.entries(READS).forEach(([name, read]) => {
+    it(`answer ${name} alike`, async () => {
+      assert.deepEqual(await read(sqlite), await read(json));
+    });
+  });
+});
@@ -0,0 +1,8 @@
+// Loaded before every test file (see the test script in package.json): a test
+// environment, a known local admin password and SQLite rather than Postgres
+process.env.NODE_ENV = "test";
+process.env.DATA_SOURCE = process.env.DATA_SOURCE || "sqlite";
+process.env.SQLITE_PATH = ":memory:";
+process.env.LOCAL_ADMIN_PASSWORD = "test-admin-password";
+process.env.DOTENV_CONFIG_QUIET = "true";
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || "error";
@@ -0,0 +1,304 @@
+// Validates requests to the generic /api/query endpoint and builds their SQL
+const {
+  MONTHS,
+  QUARTERS,
+  QueryValidationError,
+  readList,
+  readSingle,
+  parseYear,
+  monthOrderExpression
+} = require("./queryParams");
+const {
+  fiscalYearExpression,
+  fiscalQuarterExpression,
+  fiscalMonthExpression,
+  readCalendarView
+} = require("./fiscalCalendar");
+
+// Aggregates are cast to float8/int so node-postgres returns JSON numbers, not strings
+const MEASURES = {
+  sum: value => `SUM(${value})::float8`,
+  avg: value => `ROUND(AVG(${value})::numeric, 2)::float8`,
+  min: value => `MIN(${value})::float8`,
+  max: value => `MAX(${value})::float8`,
+  count: () => "COUNT(*)::int"
+};
+
+// Calendar quarter (1-4) derived from a "Jan".."Dec" month label
+const quarterFromMonth = column => `((${monthOrderExpression(column)} - 1) / 3 + 1)`;
+
+/*
+ * Whitelisted datasets. Each lists one or more source tables, ordered from the
+ * coarsest to the finest grain; the first source that provides every requested
+ * dimension and filter is used, so yearly totals come from the yearly table
+ * rather than from summing months of unique-permit counts. `fiscalSources` are
+ * used instead for calendar=fiscal; datasets without them only have calendar years.
+ */
+const DATASETS = {
+  permits: {
+    sources: [
+      {
+        table: "unique_permits_yearly",
+        value: "permit_count",
+        dimensions: { year: "fiscal_year" }
+      },
+      {
+        table: "unique_permits_quarterly",
+        value: "permit_count",
+        dimensions: { year: "year", quarter: "quarter::int" }
+      },
+      {
+        table: "unique_permits_monthly",
+        value: "permit_count",
+        dimensions: { year: "year", quarter: quarterFromMonth("month"), month: "month" }
+      }
+    ],
+    // The yearly and quarterly tables hold calendar periods, so fiscal ones are summed from months
+    fiscalSources: [
+      {
+        table: "unique_permits_monthly",
+        value: "permit_count",
+        dimensions: {
+          year: fiscalYearExpression("year", "month"),
+          quarter: fiscalQuarterExpression("month"),
+          month: "month"
+        }
+      }
+    ]
+  },
+  "department-activity": {
+    sources: [
+      {
+        table: "department_activity",
+        value: "activity_count",
+        dimensions: { year: "year", department: "department" }
+      }
+    ]
+  },
+  bins: {
+    sources: [
+      {
+        table: "unique_permits_yearly_bins",
+        value: "permit_count",
+        dimensions: { year: "year", bin: "bin_range" }
+      }
+    ]
+  }
+};
+
+// Filter parameter -> dimension it constrains
+const FILTER_DIMENSIONS = {
+  fromYear: "year",
+  toYear: "year",
+  years: "year",
+  quarters: "quarter",
+  months: "month",
+  departments: "department",
+  bins: "bin"
+};
+
+// How a dimension is ordered in each calendar view; other dimensions order by value
+const DIMENSION_ORDER = {
+  calendar: { month: monthOrderExpression },
+  fiscal: { month: fiscalMonthExpression }
+};
+
+// Every dimension a dataset source can have, for groupBy
+const DIMENSIONS = ["year", "quarter", "month", "department", "bin"];
+
+const MAX_TEXT_FILTER_LENGTH = 50;
+
+// Tables a dataset can read from, or undefined for an unknown dataset
+const tablesForDataset = name =>
+  DATASETS[name]
+    ? [...new Set([...DATASETS[name].sources, ...(DATASETS[name].fiscalSources || [])].map(source => source.table))]
+    : undefined;
+
+// Read and validate the text list filters (departments, bins)
+const readTextList = (query, name, errors) => {
+  const values = readList(query, name);
+  if (values === undefined) {
+    return undefined;
+  }
+  if (values.length === 0) {
+    errors.push(`${name} must contain at least one value`);
+    return undefined;
+  }
+  if (values.some(value => value.length > MAX_TEXT_FILTER_LENGTH)) {
+    errors.push(`${name} values must be at most ${MAX_TEXT_FILTER_LENGTH} characters`);
+    return undefined;
+  }
+  return values;
+};
+
+/**
+ * Validate an aggregation request.
+ *
+ * Query parameters:
+ *   dataset  - permits | department-activity | bins
+ *   measure  - sum | avg | min | max | count (defaults to sum)
+ *   groupBy  - comma separated dimensions: year, quarter, month, department, bin
+ *   calendar - calendar (default) or fiscal periods for year, quarter and month
+ *   fromYear, toYear, years[], quarters[], months[], departments[], bins[] - filters
+ *
+ * Returns { dataset, measure, groupBy, calendar, source, filters } or throws a
+ * QueryValidationError. `source` is the DATASETS source to read, the coarsest
+ * one with every requested dimension; `filters` holds the parsed filter values,
+ * with quarters as numbers.
+ */
+const parseAggregateRequest = query => {
+  const errors = [];
+
+  Object.keys(query).forEach(key => {
+    const name = key.endsWith("[]") ? key.slice(0, -2) : key;
+    if (!["dataset", "measure", "groupBy", "calendar"].includes(name) && !FILTER_DIMENSIONS[name]) {
+      errors.push(`Unsupported query parameter "${name}"`);
+    }
+  });
+
+  const datasetName = readSingle(query, "dataset");
+  const dataset = DATASETS[datasetName];
+  if (!dataset) {
+    errors.push(`dataset must be one of ${Object.keys(DATASETS).join(", ")}`);
+  }
+
+  const calendar = readCalendarView(query, errors);
+  const sources = dataset && (calendar === "fiscal" ? dataset.fiscalSources : dataset.sources);
+  if (dataset && calendar === "fiscal" && !sources) {
+    errors.push(`Dataset "${datasetName}" has no fiscal calendar view`);
+  }
+
+  const measure = readSingle(query, "measure") || "sum";
+  if (!MEASURES[measure]) {
+    errors.push(`measure must be one of ${Object.keys(MEASURES).join(", ")}, got "${measure}"`);
+  }
+
+  const groupBy = readList(query, "groupBy") || [];
+  const duplicates = groupBy.filter((dimension, index) => groupBy.indexOf(dimension) !== index);
+  if (duplicates.length > 0) {
+    errors.push(`groupBy contains duplicate dimensions: ${duplicates.join(", ")}`);
+  }
+
+  // Every dimension referenced by groupBy or a filter must exist on the chosen source
+  const filterNames = Object.keys(FILTER_DIMENSIONS).filter(name => readList(query, name) !== undefined);
+  const required = new Set([...groupBy, ...filterNames.map(name => FILTER_DIMENSIONS[name])]);
+
+  let source;
+  if (sources) {
+    source = sources.find(candidate =>
+      [...required].every(dimension => candidate.dimensions[dimension])
+    );
+    if (!source) {
+      const available = new Set(sources.flatMap(candidate => Object.keys(candidate.dimensions)));
+      const missing = [...required].filter(dimension => !available.has(dimension));
+      errors.push(missing.length > 0
+        ? `Dataset "${datasetName}" does not support: ${missing.join(", ")}`
+        : `Dataset "${datasetName}" cannot combine: ${[...required].join(", ")}`);
+    }
+  }
+
+  const filters = {};
+
+  const fromYearRaw = readSingle(query, "fromYear");
+  const toYearRaw = readSingle(query, "toYear");
+  filters.fromYear = fromYearRaw !== undefined ? parseYear(fromYearRaw, "fromYear", errors) : undefined;
+  filters.toYear = toYearRaw !== undefined ? parseYear(toYearRaw, "toYear", errors) : undefined;
+  if (filters.fromYear !== undefined && filters.toYear !== undefined && filters.fromYear > filters.toYear) {
+    errors.push("fromYear must not be greater than toYear");
+  }
+
+  const years = readList(query, "years");
+  if (years !== undefined) {
+    const parsed = years.map(year => parseYear(year, "years", errors));
+    if (years.length === 0) {
+      errors.push("years must contain at least one year");
+    } else if (parsed.every(year => year !== undefined)) {
+      filters.years = parsed;
+    }
+  }
+
+  const quarters = readList(query, "quarters");
+  if (quarters !== undefined) {
+    const invalid = quarters.filter(quarter => !QUARTERS.includes(quarter));
+    if (quarters.length === 0 || invalid.length > 0) {
+      errors.push(`quarters must be within ${QUARTERS.join(", ")}`);
+    } else {
+      filters.quarters = quarters.map(Number);
+    }
+  }
+
+  const months = readList(query, "months");
+  if (months !== undefined) {
+    const invalid = months.filter(month => !MONTHS.includes(month));
+    if (months.length === 0 || invalid.length > 0) {
+      errors.push(`months must be within ${MONTHS.join(", ")}`);
+    } else {
+      filters.months = months;
+    }
+  }
+
+  filters.departments = readTextList(query, "departments", errors);
+  filters.bins = readTextList(query, "bins", errors);
+
+  if (errors.length > 0) {
+    throw new QueryValidationError(errors);
+  }
+
+  return { dataset: datasetName, measure, groupBy, calendar, source, filters };
+};
+
+// SQL condition for each filter, given the source column it applies to
+const FILTER_CONDITIONS = {
+  fromYear: { dimension: "year", build: (column, param) => `${column} >= ${param}` },
+  toYear: { dimension: "year", build: (column, param) => `${column} <= ${param}` },
+  years: { dimension: "year", build: (column, param) => `${column} = ANY(${param}::int[])` },
+  quarters: { dimension: "quarter", build: (column, param) => `${column} = ANY(${param}::int[])` },
+  months: { dimension: "month", build: (column, param) => `${column} = ANY(${param}::varchar[])` },
+  departments: { dimension: "department", build: (column, param) => `${column} = ANY(${param}::varchar[])` },
+  bins: { dimension: "bin", build: (column, param) => `${column} = ANY(${param}::varchar[])` }
+};
+
+/**
+ * Build the SQL of a request from parseAggregateRequest.
+ * Returns { text, params }.
+ */
+const buildAggregateQuery = ({ measure, groupBy, calendar, source, filters }) => {
+  const conditions = [];
+  const params = [];
+  Object.entries(FILTER_CONDITIONS).forEach(([name, { dimension, build }]) => {
+    if (filters[name] === undefined) return;
+    params.push(filters[name]);
+    conditions.push(build(source.dimensions[dimension], `$${params.length}`));
+  });
+
+  // Identifiers below all come from the whitelists above, never from the request
+  const selectColumns = groupBy.map(dimension => `${source.dimensions[dimension]} AS ${dimension}`);
+  selectColumns.push(`${MEASURES[measure](source.value)} AS value`);
+
+  const where = conditions.length > 0 ? ` WHERE ${conditions.join(" AND ")}` : "";
+  const groupClause = groupBy.length > 0
+    ? ` GROUP BY ${groupBy.map((_, index) => index + 1).join(", ")}`
+    : "";
+  const orderClause = groupBy.length > 0
+    ? ` ORDER BY ${groupBy.map(dimension => {
+        const column = source.dimensions[dimension];
+        const order = DIMENSION_ORDER[calendar][dimension];
+        return order ? order(column) : column;
+      }).join(", ")}`
+    : "";
+
+  return {
+    text: `SELECT ${selectColumns.join(", ")} FROM ${source.table}${where}${groupClause}${orderClause}`,
+    params
+  };
+};
+
+module.exports = {
+  DATASETS,
+  DIMENSIONS,
+  MEASURES,
+  MAX_TEXT_FILTER_LENGTH,
+  parseAggregateRequest,
+  buildAggregateQuery,
+  tablesForDataset
+};
@@ -0,0 +1,121 @@
+// Seasonal-residual anomaly detection for the permit and department activity
+// series. Each observation is compared with the value expected from its
+// neighbours (trend) and from the same period in other years (seasonal), and
+// residuals are scored against a robust estimate of their spread.
+
+const MAD_SCALE = 1.4826; // MAD of a normal sample times this estimates its standard deviation
+const MEAN_ABSOLUTE_SCALE = 1.2533; // Same for the mean absolute deviation, used when the MAD is 0
+const ROBUST_PASSES = 2;
+const DEFAULT_THRESHOLD = 3;
+
+const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+const median = values => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+const round = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+
+// Half-width of the trend window: one season centred on the point, or five years for yearly series
+const trendHalfWidth = period => (period > 1 ? Math.floor(period / 2) : 2);
+
+// Observations needed to separate trend from seasonality (two seasons), or to have a trend at all
+const minObservations = period => (period > 1 ? 2 * period : 5);
+
+/*
+ * Expected value of each observation: a centred moving average of the
+ * seasonally adjusted series that leaves the observation itself out (a 2 x m
+ * average for an even season length m, shortened at the ends), plus the median
+ * detrended value of its period across years. Trend and seasonal estimates
+ * are refined against each other twice.
+ */
+const expectedValues = (observations, values, period) => {
+  const halfWidth = trendHalfWidth(period);
+  let seasonal = new Array(period).fill(0);
+  let trend = [];
+
+  for (let iteration = 0; iteration < 2; iteration++) {
+    const adjusted = values.map((value, k) => value - seasonal[observations[k].season]);
+    trend = observations.map((observation, k) => {
+      let weightedSum = 0;
+      let totalWeight = 0;
+      observations.forEach((other, j) => {
+        const distance = Math.abs(other.t - observation.t);
+        if (j === k || distance > halfWidth) return;
+        const weight = period > 1 && period % 2 === 0 && distance === halfWidth ? 0.5 : 1;
+        weightedSum += weight * adjusted[j];
+        totalWeight += weight;
+      });
+      return totalWeight > 0 ? weightedSum / totalWeight : adjusted[k];
+    });
+
+    if (period > 1) {
+      const bySeason = Array.from({ length: period }, () => []);
+      values.forEach((value, k) => bySeason[observations[k].season].push(value - trend[k]));
+      const raw = bySeason.map(detrended => (detrended.length > 0 ? median(detrended) : 0));
+      const centre = mean(raw);
+      seasonal = raw.map(index => index - centre);
+    }
+  }
+
+  return observations.map((observation, k) => trend[k] + seasonal[observation.season]);
+};
+
+// Robust standard deviation of the residuals; 0 when they do not vary
+const robustScale = residuals => {
+  const centre = median(residuals);
+  const deviations = residuals.map(residual => Math.abs(residual - centre));
+  const mad = median(deviations) * MAD_SCALE;
+  return mad > 0 ? mad : mean(deviations) * MEAN_ABSOLUTE_SCALE;
+};
+
+const severityOf = (absoluteZ, threshold) => {
+  if (absoluteZ >= threshold + 2) return "high";
+  if (absoluteZ >= threshold + 1) return "medium";
+  return "low";
+};
+
+/**
+ * Score every observation of one series.
+ * `observations` are { t, season, value } sorted by t, where t counts periods
+ * (gaps allowed) and season is the 0-based period within the year.
+ * Returns, in the same order, { expected, lower, upper, z_score, anomaly,
+ * severity, direction }; lower/upper bound the values that are not anomalies.
+ * Points flagged in the first pass are replaced by their expected value before
+ * the second, so one spike does not distort the expectation of its neighbours.
+ */
+const detectAnomalies = (observations, { period, threshold = DEFAULT_THRESHOLD }) => {
+  const values = observations.map(observation => observation.value);
+  let cleaned = values;
+  let expected = [];
+  let scale = 0;
+  let scores = [];
+
+  for (let pass = 0; pass < ROBUST_PASSES; pass++) {
+    expected = expectedValues(observations, cleaned, period);
+    const residuals = values.map((value, k) => value - expected[k]);
+    scale = robustScale(residuals);
+    scores = residuals.map(residual => (scale > 0 ? residual / scale : 0));
+    cleaned = values.map((value, k) => (Math.abs(scores[k]) >= threshold ? expected[k] : value));
+  }
+
+  return observations.map((observation, k) => {
+    const z = scores[k];
+    const anomaly = Math.abs(z) >= threshold;
+    return {
+      expected: round(Math.max(0, expected[k]), 1),
+      lower: round(Math.max(0, expected[k] - threshold * scale), 1),
+      upper: round(Math.max(0, expected[k] + threshold * scale), 1),
+      z_score: round(z, 2),
+      anomaly,
+      severity: anomaly ? severityOf(Math.abs(z), threshold) : null,
+      direction: anomaly ? (z > 0 ? "spike" : "drop") : null
+    };
+  });
+};
+
+module.exports = {
+  DEFAULT_THRESHOLD,
+  minObservations,
+  detectAnomalies
+};
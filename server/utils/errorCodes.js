@@ -0,0 +1,43 @@
+// Machine-readable codes sent as `code` with every error response, next to the
+// human-readable `error` message (see middleware/requestTracing.js)
+const ERROR_CODES = {
+  BAD_REQUEST: "BAD_REQUEST",
+  VALIDATION_FAILED: "VALIDATION_FAILED",
+  INVALID_JSON: "INVALID_JSON",
+  UNAUTHENTICATED: "UNAUTHENTICATED",
+  FORBIDDEN: "FORBIDDEN",
+  CORS_NOT_ALLOWED: "CORS_NOT_ALLOWED",
+  NOT_FOUND: "NOT_FOUND",
+  CONFLICT: "CONFLICT",
+  PAYLOAD_TOO_LARGE: "PAYLOAD_TOO_LARGE",
+  RATE_LIMITED: "RATE_LIMITED",
+  INTERNAL_ERROR: "INTERNAL_ERROR",
+  NOT_IMPLEMENTED: "NOT_IMPLEMENTED",
+  SERVICE_UNAVAILABLE: "SERVICE_UNAVAILABLE"
+};
+
+const STATUS_CODES = {
+  400: ERROR_CODES.BAD_REQUEST,
+  401: ERROR_CODES.UNAUTHENTICATED,
+  403: ERROR_CODES.FORBIDDEN,
+  404: ERROR_CODES.NOT_FOUND,
+  409: ERROR_CODES.CONFLICT,
+  413: ERROR_CODES.PAYLOAD_TOO_LARGE,
+  429: ERROR_CODES.RATE_LIMITED,
+  501: ERROR_CODES.NOT_IMPLEMENTED,
+  503: ERROR_CODES.SERVICE_UNAVAILABLE
+};
+
+/**
+ * Code for an error body that does not set its own: 400s with `details` are
+ * VALIDATION_FAILED, other statuses map through STATUS_CODES.
+ */
+const codeForResponse = (status, body) => {
+  if (status === 400 && Array.isArray(body.details)) return ERROR_CODES.VALIDATION_FAILED;
+  return STATUS_CODES[status] || (status >= 500 ? ERROR_CODES.INTERNAL_ERROR : ERROR_CODES.BAD_REQUEST);
+};
+
+module.exports = {
+  ERROR_CODES,
+  codeForResponse
+};
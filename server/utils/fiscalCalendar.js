@@ -0,0 +1,82 @@
+// SQL fragments that place stored calendar periods in the configured fiscal calendar
+const { startMonth, yearLabel } = require("../config/fiscalCalendar");
+const { MONTHS, readSingle, monthOrderExpression } = require("./queryParams");
+
+// Values of the `calendar` query parameter; stored tables hold calendar periods
+const CALENDAR_VIEWS = ["calendar", "fiscal"];
+
+// Months in fiscal order, e.g. Jul..Jun for a July start
+const FISCAL_MONTHS = [...MONTHS.slice(startMonth - 1), ...MONTHS.slice(0, startMonth - 1)];
+
+// Position (1-12) of a "Jan".."Dec" month column within the fiscal year
+const fiscalMonthExpression = column =>
+  `((${monthOrderExpression(column)} - ${startMonth} + 12) % 12 + 1)`;
+
+// Fiscal quarter (1-4) of a "Jan".."Dec" month column
+const fiscalQuarterExpression = column => `((${fiscalMonthExpression(column)} - 1) / 3 + 1)`;
+
+// Fiscal year of a calendar year and month number (1-12), both SQL expressions
+const fiscalYearOf = (yearExpression, monthNumberExpression) => {
+  if (startMonth === 1) {
+    return yearExpression;
+  }
+  // Months from the start month on belong to the fiscal year that ends next calendar year
+  const offset = yearLabel === "end" ? 1 : 0;
+  return `(${yearExpression} + CASE WHEN ${monthNumberExpression} >= ${startMonth} THEN ${offset} ELSE ${offset - 1} END)`;
+};
+
+// Fiscal year of a calendar year and "Jan".."Dec" month column pair
+const fiscalYearExpression = (yearColumn, monthColumn) =>
+  fiscalYearOf(yearColumn, monthOrderExpression(monthColumn));
+
+// Fiscal year of a DATE column
+const fiscalYearOfDateExpression = column =>
+  fiscalYearOf(`EXTRACT(YEAR FROM ${column})::int`, `EXTRACT(MONTH FROM ${column})::int`);
+
+/**
+ * The same placement in JavaScript, for data held in memory (see
+ * repositories/memory.repository.js): the fiscal year, month (1-12) and quarter
+ * (1-4) of a calendar year and month number (1-12).
+ */
+const fiscalPeriodOf = (year, monthNumber) => {
+  const fiscalMonth = (monthNumber - startMonth + 12) % 12 + 1;
+  let fiscalYear = year;
+  if (startMonth !== 1) {
+    const offset = yearLabel === "end" ? 1 : 0;
+    fiscalYear = year + (monthNumber >= startMonth ? offset : offset - 1);
+  }
+  return { fiscalYear, fiscalMonth, fiscalQuarter: Math.floor((fiscalMonth - 1) / 3) + 1 };
+};
+
+// Read the `calendar` parameter, defaulting to calendar periods
+const readCalendarView = (query, errors) => {
+  const view = readSingle(query, "calendar");
+  if (view === undefined) {
+    return "calendar";
+  }
+  if (!CALENDAR_VIEWS.includes(view)) {
+    errors.push(`calendar must be one of ${CALENDAR_VIEWS.join(", ")}, got "${view}"`);
+    return undefined;
+  }
+  return view;
+};
+
+// The configured calendar as served to the frontend
+const describeFiscalCalendar = () => ({
+  startMonth,
+  yearLabel,
+  months: FISCAL_MONTHS,
+  views: CALENDAR_VIEWS
+});
+
+module.exports = {
+  CALENDAR_VIEWS,
+  FISCAL_MONTHS,
+  fiscalMonthExpression,
+  fiscalQuarterExpression,
+  fiscalYearExpression,
+  fiscalYearOfDateExpression,
+  fiscalPeriodOf,
+  readCalendarView,
+  describeFiscalCalendar
+};
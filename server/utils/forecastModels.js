@@ -0,0 +1,144 @@
+// Seasonal forecasting models for the permit count series, fitted in-process.
+// Each model takes the observed values (oldest first), the season length and a
+// horizon, and returns point forecasts with 80% and 95% prediction intervals.
+
+const Z_80 = 1.2816;
+const Z_95 = 1.96;
+
+// Smoothing parameters tried when fitting Holt-Winters
+const GRID = Array.from({ length: 19 }, (_, i) => Number(((i + 1) * 0.05).toFixed(2)));
+
+const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+const round = value => Math.round(value * 10) / 10;
+
+// Counts cannot go below zero, so neither can the forecasts or their lower bounds
+const withIntervals = (points, standardErrors) => points.map((point, index) => {
+  const se = standardErrors[index];
+  return {
+    value: round(Math.max(0, point)),
+    lower80: round(Math.max(0, point - Z_80 * se)),
+    upper80: round(Math.max(0, point + Z_80 * se)),
+    lower95: round(Math.max(0, point - Z_95 * se)),
+    upper95: round(Math.max(0, point + Z_95 * se))
+  };
+});
+
+/*
+ * Seasonal naive: every period repeats the same period of the last season.
+ * The spread comes from the season-over-season changes in the history and
+ * widens with each further season ahead.
+ */
+const seasonalNaive = {
+  name: "seasonal-naive",
+  minLength: period => period + 1,
+  forecast(values, period, horizon) {
+    const changes = values.slice(period).map((value, index) => value - values[index]);
+    const sigma = Math.sqrt(mean(changes.map(change => change * change)));
+    const last = values.slice(-period);
+
+    const points = Array.from({ length: horizon }, (_, h) => last[h % period]);
+    const standardErrors = points.map((_, h) => sigma * Math.sqrt(Math.floor(h / period) + 1));
+    return { parameters: {}, points: withIntervals(points, standardErrors) };
+  }
+};
+
+// Run additive Holt-Winters over the series; returns the final state and the
+// one-step-ahead errors after the first season (used to fit and to size intervals)
+const runHoltWinters = (values, period, { alpha, beta, gamma }) => {
+  const firstSeason = values.slice(0, period);
+  let level = mean(firstSeason);
+  let trend = (mean(values.slice(period, 2 * period)) - level) / period;
+  const seasonals = firstSeason.map(value => value - level);
+  const errors = [];
+
+  values.forEach((value, t) => {
+    const seasonal = seasonals[t % period];
+    const error = value - (level + trend + seasonal);
+    if (t >= period) errors.push(error);
+
+    const previousLevel = level;
+    level = alpha * (value - seasonal) + (1 - alpha) * (level + trend);
+    trend = beta * (level - previousLevel) + (1 - beta) * trend;
+    seasonals[t % period] = gamma * (value - level) + (1 - gamma) * seasonal;
+  });
+
+  return { level, trend, seasonals, errors };
+};
+
+/*
+ * Additive Holt-Winters (level, trend and seasonal smoothing), with the three
+ * smoothing parameters chosen by grid search on the one-step-ahead squared
+ * error. Intervals use the variance of the equivalent ETS(A,A,A) model.
+ */
+const holtWinters = {
+  name: "holt-winters",
+  minLength: period => 2 * period + 1,
+  forecast(values, period, horizon) {
+    let best = null;
+    GRID.forEach(alpha => GRID.forEach(beta => GRID.forEach(gamma => {
+      const run = runHoltWinters(values, period, { alpha, beta, gamma });
+      const sse = run.errors.reduce((sum, error) => sum + error * error, 0);
+      if (!best || sse < best.sse) {
+        best = { sse, run, parameters: { alpha, beta, gamma } };
+      }
+    })));
+
+    const { run, parameters: { alpha, beta, gamma } } = best;
+    const n = values.length;
+    const sigma2 = best.sse / Math.max(1, run.errors.length - 3);
+
+    const points = Array.from({ length: horizon }, (_, h) =>
+      run.level + (h + 1) * run.trend + run.seasonals[(n + h) % period]);
+
+    // Var(h) = sigma^2 * (1 + sum_{j<h} c_j^2), c_j = alpha(1 + j*beta) + (1 - alpha)gamma [j is a whole season]
+    let sumOfSquares = 0;
+    const standardErrors = points.map((_, h) => {
+      if (h > 0) {
+        const c = alpha * (1 + h * beta) + (h % period === 0 ? (1 - alpha) * gamma : 0);
+        sumOfSquares += c * c;
+      }
+      return Math.sqrt(sigma2 * (1 + sumOfSquares));
+    });
+
+    return { parameters: best.parameters, points: withIntervals(points, standardErrors) };
+  }
+};
+
+const MODELS = {
+  [holtWinters.name]: holtWinters,
+  [seasonalNaive.name]: seasonalNaive
+};
+
+/*
+ * Hold out the last season, fit on the rest and compare the forecasts with
+ * what happened. MASE scales the error by the in-sample seasonal naive error,
+ * so below 1 beats repeating last season. Returns null when the series is too
+ * short to leave a full training set.
+ */
+const backtest = (model, values, period) => {
+  const holdout = period;
+  const training = values.slice(0, -holdout);
+  if (training.length < model.minLength(period)) {
+    return null;
+  }
+
+  const actual = values.slice(-holdout);
+  const { points } = model.forecast(training, period, holdout);
+  const errors = actual.map((value, index) => value - points[index].value);
+
+  const nonZero = actual.map((value, index) => [value, errors[index]]).filter(([value]) => value !== 0);
+  const naiveScale = mean(training.slice(period).map((value, index) => Math.abs(value - training[index])));
+
+  return {
+    holdout,
+    mae: round(mean(errors.map(Math.abs))),
+    rmse: round(Math.sqrt(mean(errors.map(error => error * error)))),
+    mape: nonZero.length > 0 ? round(100 * mean(nonZero.map(([value, error]) => Math.abs(error / value)))) : null,
+    mase: naiveScale > 0 ? Math.round((mean(errors.map(Math.abs)) / naiveScale) * 1000) / 1000 : null
+  };
+};
+
+module.exports = {
+  MODELS,
+  backtest
+};
@@ -0,0 +1,75 @@
+const { AsyncLocalStorage } = require("async_hooks");
+
+/*
+ * Structured logging: one JSON object per line with time, level, msg, the
+ * current request's id (see middleware/requestTracing.js) and any fields
+ * passed. Error values are expanded to name, message, code and stack.
+ * LOG_LEVEL sets the lowest level written (debug, info, warn, error; default info).
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const MIN_LEVEL = LEVELS[(process.env.LOG_LEVEL || "info").toLowerCase()] || LEVELS.info;
+
+// Errors kept in memory for /api/diagnostics, newest last
+const RECENT_ERROR_LIMIT = 50;
+const recentErrors = [];
+
+const context = new AsyncLocalStorage();
+
+const serializeError = error => ({
+  name: error.name,
+  message: error.message,
+  ...(error.code !== undefined ? { code: error.code } : {}),
+  stack: error.stack
+});
+
+const serializeFields = fields => Object.fromEntries(
+  Object.entries(fields).map(([key, value]) => [key, value instanceof Error ? serializeError(value) : value])
+);
+
+const write = (level, msg, fields = {}) => {
+  if (LEVELS[level] < MIN_LEVEL) return;
+
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg,
+    ...context.getStore(),
+    ...serializeFields(fields)
+  };
+
+  if (level === "error") {
+    recentErrors.push(entry);
+    if (recentErrors.length > RECENT_ERROR_LIMIT) recentErrors.shift();
+  }
+
+  let line;
+  try {
+    line = JSON.stringify(entry);
+  } catch {
+    line = JSON.stringify({ time: entry.time, level, msg, requestId: entry.requestId, note: "fields could not be serialized" });
+  }
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+};
+
+/**
+ * Run `fn` with `fields` (e.g. { requestId }) added to every entry logged
+ * inside it, including from asynchronous work it starts.
+ */
+const runWithContext = (fields, fn) => context.run({ ...context.getStore(), ...fields }, fn);
+
+// Fields of the current context, e.g. the request id
+const getContext = () => context.getStore() || {};
+
+// Latest error entries, newest first
+const getRecentErrors = () => [...recentErrors].reverse();
+
+module.exports = {
+  debug: (msg, fields) => write("debug", msg, fields),
+  info: (msg, fields) => write("info", msg, fields),
+  warn: (msg, fields) => write("warn", msg, fields),
+  error: (msg, fields) => write("error", msg, fields),
+  runWithContext,
+  getContext,
+  getRecentErrors
+};
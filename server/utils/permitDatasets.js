@@ -0,0 +1,119 @@
+const { monthOrderExpression } = require("./queryParams");
+const {
+  fiscalYearExpression,
+  fiscalQuarterExpression,
+  fiscalMonthExpression
+} = require("./fiscalCalendar");
+
+// Calendar quarter (1-4) of a "Jan".."Dec" month column
+const calendarQuarterExpression = column => `((${monthOrderExpression(column)} - 1) / 3 + 1)`;
+
+/*
+ * Column mappings for each permit dataset, used to validate filters and sorting
+ * and by the Postgres repository to query them. The stored tables hold calendar
+ * periods; datasets with `calendarViews` also accept calendar=fiscal, which reads
+ * FISCAL_PERMIT_DATASETS instead. The OpenAPI document lists their sort fields.
+ */
+const PERMIT_DATASETS = {
+  yearly: {
+    table: "unique_permits_yearly",
+    columns: "fiscal_year, permit_count",
+    yearColumn: "fiscal_year",
+    calendarViews: true,
+    sortColumns: { fiscal_year: "fiscal_year", permit_count: "permit_count" },
+    defaultOrder: "fiscal_year DESC"
+  },
+  monthly: {
+    table: "unique_permits_monthly",
+    columns: `year as fiscal_year, month, ${calendarQuarterExpression("month")}::text AS quarter, permit_count`,
+    yearColumn: "year",
+    monthColumn: "month",
+    calendarViews: true,
+    sortColumns: { fiscal_year: "year", month: monthOrderExpression("month"), permit_count: "permit_count" },
+    defaultOrder: `year DESC, ${monthOrderExpression("month")}`
+  },
+  quarterly: {
+    table: "unique_permits_quarterly",
+    columns: "year as fiscal_year, quarter, permit_count",
+    yearColumn: "year",
+    quarterColumn: "quarter",
+    calendarViews: true,
+    sortColumns: { fiscal_year: "year", quarter: "quarter", permit_count: "permit_count" },
+    defaultOrder: "year DESC, quarter"
+  },
+  yearlyBins: {
+    table: "unique_permits_yearly_bins",
+    columns: "year, bin_range, permit_count",
+    yearColumn: "year",
+    sortColumns: { year: "year", bin_range: "bin_range", permit_count: "permit_count" },
+    defaultOrder: "year DESC, bin_range"
+  },
+  // The mean is derived from the total, so it stays right when only totals are imported
+  yearlyValuation: {
+    table: "unique_permits_yearly_valuation",
+    columns: `year, permit_count, total_valuation::float8 AS total_valuation,
+              ROUND(total_valuation / NULLIF(permit_count, 0), 2)::float8 AS mean_valuation,
+              median_valuation::float8 AS median_valuation`,
+    yearColumn: "year",
+    sortColumns: {
+      year: "year",
+      permit_count: "permit_count",
+      total_valuation: "total_valuation",
+      mean_valuation: "total_valuation / NULLIF(permit_count, 0)",
+      median_valuation: "median_valuation"
+    },
+    defaultOrder: "year DESC"
+  }
+};
+
+const FISCAL_YEAR = fiscalYearExpression("year", "month");
+
+/*
+ * The same datasets in the configured fiscal calendar (config/fiscalCalendar.js).
+ * Every fiscal period is summed from the monthly counts, since the yearly and
+ * quarterly tables cannot be regrouped; a permit is counted in exactly one month,
+ * so the sums are still unique-permit counts.
+ */
+const FISCAL_PERMIT_DATASETS = {
+  yearly: {
+    table: `(SELECT ${FISCAL_YEAR} AS fiscal_year, SUM(permit_count)::int AS permit_count
+             FROM unique_permits_monthly GROUP BY 1) AS fiscal_yearly`,
+    columns: "fiscal_year, permit_count",
+    yearColumn: "fiscal_year",
+    calendarViews: true,
+    sortColumns: { fiscal_year: "fiscal_year", permit_count: "permit_count" },
+    defaultOrder: "fiscal_year DESC"
+  },
+  monthly: {
+    table: `(SELECT ${FISCAL_YEAR} AS fiscal_year, month, ${fiscalQuarterExpression("month")}::text AS quarter,
+                    ${fiscalMonthExpression("month")} AS fiscal_month, permit_count
+             FROM unique_permits_monthly) AS fiscal_monthly`,
+    columns: "fiscal_year, month, quarter, permit_count",
+    yearColumn: "fiscal_year",
+    monthColumn: "month",
+    calendarViews: true,
+    sortColumns: { fiscal_year: "fiscal_year", month: "fiscal_month", permit_count: "permit_count" },
+    defaultOrder: "fiscal_year DESC, fiscal_month"
+  },
+  quarterly: {
+    table: `(SELECT ${FISCAL_YEAR} AS fiscal_year, ${fiscalQuarterExpression("month")}::text AS quarter,
+                    SUM(permit_count)::int AS permit_count
+             FROM unique_permits_monthly GROUP BY 1, 2) AS fiscal_quarterly`,
+    columns: "fiscal_year, quarter, permit_count",
+    yearColumn: "fiscal_year",
+    quarterColumn: "quarter",
+    calendarViews: true,
+    sortColumns: { fiscal_year: "fiscal_year", quarter: "quarter", permit_count: "permit_count" },
+    defaultOrder: "fiscal_year DESC, quarter"
+  }
+};
+
+// The calendar or fiscal definition of a dataset; datasets without calendarViews only have one
+const permitDatasetFor = (name, view) =>
+  (view === "fiscal" && PERMIT_DATASETS[name].calendarViews ? FISCAL_PERMIT_DATASETS[name] : PERMIT_DATASETS[name]);
+
+module.exports = {
+  PERMIT_DATASETS,
+  FISCAL_PERMIT_DATASETS,
+  permitDatasetFor
+};
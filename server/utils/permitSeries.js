@@ -0,0 +1,42 @@
+const { MONTHS, monthOrderExpression } = require("./queryParams");
+const {
+  FISCAL_MONTHS,
+  fiscalYearExpression,
+  fiscalMonthExpression,
+  fiscalQuarterExpression
+} = require("./fiscalCalendar");
+
+/*
+ * Seasonal unique permit series, as (fiscal_year, period, permit_count) rows in
+ * each calendar view. Fiscal quarters are summed from the monthly table, as for
+ * /permits/quarterly?calendar=fiscal. Used by the forecast and anomaly endpoints.
+ */
+const PERMIT_SERIES = {
+  monthly: {
+    period: 12,
+    tables: ["unique_permits_monthly"],
+    label: (period, calendar) => (calendar === "fiscal" ? FISCAL_MONTHS : MONTHS)[period - 1],
+    query: {
+      calendar: `SELECT year AS fiscal_year, ${monthOrderExpression("month")} AS period, permit_count
+                 FROM unique_permits_monthly`,
+      fiscal: `SELECT ${fiscalYearExpression("year", "month")} AS fiscal_year, ${fiscalMonthExpression("month")} AS period, permit_count
+               FROM unique_permits_monthly`
+    }
+  },
+  quarterly: {
+    period: 4,
+    tables: ["unique_permits_quarterly", "unique_permits_monthly"],
+    label: period => `Q${period}`,
+    query: {
+      calendar: `SELECT year AS fiscal_year, quarter::int AS period, permit_count
+                 FROM unique_permits_quarterly`,
+      fiscal: `SELECT ${fiscalYearExpression("year", "month")} AS fiscal_year, ${fiscalQuarterExpression("month")} AS period,
+                      SUM(permit_count)::int AS permit_count
+               FROM unique_permits_monthly GROUP BY 1, 2`
+    }
+  }
+};
+
+module.exports = {
+  PERMIT_SERIES
+};
@@ -0,0 +1,199 @@
+// Helpers for turning request query strings into parameterized SQL fragments
+
+const MONTHS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+const QUARTERS = ["1", "2", "3", "4"];
+const MIN_YEAR = 1900;
+const MAX_YEAR = 2100;
+
+// Raised when query parameters fail validation; controllers answer with a 400
+class QueryValidationError extends Error {
+  constructor(details) {
+    super("Invalid query parameters");
+    this.name = "QueryValidationError";
+    this.status = 400;
+    this.details = details;
+  }
+}
+
+// Read a list parameter given as `name=a,b`, `name=a&name=b` or `name[]=a&name[]=b`
+const readList = (query, name) => {
+  const raw = query[name] !== undefined ? query[name] : query[`${name}[]`];
+  if (raw === undefined) {
+    return undefined;
+  }
+
+  return (Array.isArray(raw) ? raw : [raw])
+    .flatMap(value => String(value).split(","))
+    .map(value => value.trim())
+    .filter(Boolean);
+};
+
+const readSingle = (query, name) => {
+  const raw = query[name];
+  return Array.isArray(raw) ? raw[raw.length - 1] : raw;
+};
+
+const parseYear = (value, name, errors) => {
+  if (!/^\d{4}$/.test(String(value))) {
+    errors.push(`${name} must be a four-digit year, got "${value}"`);
+    return undefined;
+  }
+
+  const year = parseInt(value, 10);
+  if (year < MIN_YEAR || year > MAX_YEAR) {
+    errors.push(`${name} must be between ${MIN_YEAR} and ${MAX_YEAR}`);
+    return undefined;
+  }
+
+  return year;
+};
+
+/**
+ * Validate the filter/sort parameters of a request against a dataset definition.
+ *
+ * A dataset definition describes which columns back each parameter:
+ *   { yearColumn, quarterColumn?, monthColumn?, calendarViews?, sortColumns: { field: sqlExpression }, defaultOrder }
+ * Only which of them are present, and the sortColumns field names, matter here.
+ *
+ * Returns { fromYear, toYear, years, quarters, months, sort, direction } with
+ * undefined for parameters that were not given, or throws a QueryValidationError
+ * listing every problem found.
+ */
+const readFilters = (query, dataset) => {
+  const errors = [];
+  const filters = {};
+
+  const supported = ["fromYear", "toYear", "years", "sort", "order"];
+  if (dataset.quarterColumn) supported.push("quarters");
+  if (dataset.monthColumn) supported.push("months");
+  // The view itself is chosen by the caller; see utils/fiscalCalendar.js
+  if (dataset.calendarViews) supported.push("calendar");
+
+  Object.keys(query).forEach(key => {
+    const name = key.endsWith("[]") ? key.slice(0, -2) : key;
+    if (!supported.includes(name)) {
+      errors.push(`Unsupported query parameter "${name}"`);
+    }
+  });
+
+  const fromYearRaw = readSingle(query, "fromYear");
+  const toYearRaw = readSingle(query, "toYear");
+  filters.fromYear = fromYearRaw !== undefined ? parseYear(fromYearRaw, "fromYear", errors) : undefined;
+  filters.toYear = toYearRaw !== undefined ? parseYear(toYearRaw, "toYear", errors) : undefined;
+
+  if (filters.fromYear !== undefined && filters.toYear !== undefined && filters.fromYear > filters.toYear) {
+    errors.push("fromYear must not be greater than toYear");
+  }
+
+  const years = readList(query, "years");
+  if (years !== undefined) {
+    const parsed = years.map(year => parseYear(year, "years", errors));
+    if (years.length === 0) {
+      errors.push("years must contain at least one year");
+    } else if (parsed.every(year => year !== undefined)) {
+      filters.years = parsed;
+    }
+  }
+
+  const quarters = dataset.quarterColumn ? readList(query, "quarters") : undefined;
+  if (quarters !== undefined) {
+    const invalid = quarters.filter(quarter => !QUARTERS.includes(quarter));
+    if (quarters.length === 0) {
+      errors.push("quarters must contain at least one quarter");
+    } else if (invalid.length > 0) {
+      errors.push(`quarters must be within ${QUARTERS.join(", ")}, got ${invalid.join(", ")}`);
+    } else {
+      filters.quarters = quarters;
+    }
+  }
+
+  const months = dataset.monthColumn ? readList(query, "months") : undefined;
+  if (months !== undefined) {
+    const invalid = months.filter(month => !MONTHS.includes(month));
+    if (months.length === 0) {
+      errors.push("months must contain at least one month");
+    } else if (invalid.length > 0) {
+      errors.push(`months must be within ${MONTHS.join(", ")}, got ${invalid.join(", ")}`);
+    } else {
+      filters.months = months;
+    }
+  }
+
+  const sort = readSingle(query, "sort");
+  const order = readSingle(query, "order");
+  const direction = order === undefined ? "ASC" : String(order).toUpperCase();
+
+  if (order !== undefined && !["ASC", "DESC"].includes(direction)) {
+    errors.push(`order must be "asc" or "desc", got "${order}"`);
+  }
+  if (sort !== undefined) {
+    if (!dataset.sortColumns[sort]) {
+      errors.push(`sort must be one of ${Object.keys(dataset.sortColumns).join(", ")}, got "${sort}"`);
+    } else {
+      filters.sort = sort;
+      filters.direction = direction;
+    }
+  } else if (order !== undefined) {
+    errors.push("order requires a sort field");
+  }
+
+  if (errors.length > 0) {
+    throw new QueryValidationError(errors);
+  }
+
+  return filters;
+};
+
+/**
+ * Turn filters from readFilters into { conditions, params, orderBy } for the
+ * dataset's SQL columns, ready to be spliced into a query.
+ */
+const filtersToSql = (filters, dataset) => {
+  const conditions = [];
+  const params = [];
+
+  if (filters.fromYear !== undefined) {
+    params.push(filters.fromYear);
+    conditions.push(`${dataset.yearColumn} >= $${params.length}`);
+  }
+  if (filters.toYear !== undefined) {
+    params.push(filters.toYear);
+    conditions.push(`${dataset.yearColumn} <= $${params.length}`);
+  }
+  if (filters.years !== undefined) {
+    params.push(filters.years);
+    conditions.push(`${dataset.yearColumn} = ANY($${params.length}::int[])`);
+  }
+  if (filters.quarters !== undefined) {
+    params.push(filters.quarters);
+    conditions.push(`${dataset.quarterColumn} = ANY($${params.length}::varchar[])`);
+  }
+  if (filters.months !== undefined) {
+    params.push(filters.months);
+    conditions.push(`${dataset.monthColumn} = ANY($${params.length}::varchar[])`);
+  }
+
+  const orderBy = filters.sort !== undefined
+    ? `${dataset.sortColumns[filters.sort]} ${filters.direction}`
+    : dataset.defaultOrder;
+
+  return { conditions, params, orderBy };
+};
+
+// SQL expression that orders "Jan".."Dec" month labels chronologically
+const monthOrderExpression = column =>
+  `array_position(ARRAY[${MONTHS.map(month => `'${month}'`).join(", ")}]::varchar[], ${column})`;
+
+module.exports = {
+  MONTHS,
+  QUARTERS,
+  MIN_YEAR,
+  MAX_YEAR,
+  QueryValidationError,
+  readList,
+  readSingle,
+  parseYear,
+  readFilters,
+  filtersToSql,
+  monthOrderExpression
+};
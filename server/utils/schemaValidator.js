@@ -0,0 +1,126 @@
+// Minimal JSON Schema validator for the subset used by openapi/spec.js:
+// type (incl. arrays of types), enum, anyOf, $ref to #/components/schemas,
+// properties/required/additionalProperties, items/minItems, string length,
+// pattern, numeric bounds and format "date-time".
+
+const MAX_ERRORS = 20;
+
+const typeOf = value => {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (value instanceof Date) return "date";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+};
+
+const matchesType = (value, type, schema) => {
+  const actual = typeOf(value);
+  if (type === "number") return actual === "number" || actual === "integer";
+  // pg returns timestamps as Date objects, which res.json serializes as ISO strings
+  if (type === "string" && actual === "date") return schema.format === "date-time";
+  return actual === type;
+};
+
+const resolveRef = (root, $ref) => {
+  const name = $ref.replace("#/components/schemas/", "");
+  const schema = root.components && root.components.schemas[name];
+  if (!schema) {
+    throw new Error(`Unknown schema reference ${$ref}`);
+  }
+  return schema;
+};
+
+const validateNode = (root, schema, value, path, errors) => {
+  if (errors.length >= MAX_ERRORS) return;
+  if (schema.$ref) {
+    validateNode(root, resolveRef(root, schema.$ref), value, path, errors);
+    return;
+  }
+
+  if (schema.anyOf) {
+    const matches = schema.anyOf.some(option => {
+      const optionErrors = [];
+      validateNode(root, option, value, path, optionErrors);
+      return optionErrors.length === 0;
+    });
+    if (!matches) {
+      errors.push(`${path} does not match any allowed schema`);
+    }
+    return;
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type, schema))) {
+      errors.push(`${path} must be ${types.join(" or ")}, got ${typeOf(value)}`);
+      return;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of ${schema.enum.join(", ")}, got "${value}"`);
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${path} must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${path} must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${path} must match ${schema.pattern}`);
+    }
+    if (schema.format === "date-time" && Number.isNaN(Date.parse(value))) {
+      errors.push(`${path} must be a date-time`);
+    }
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path} must be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path} must be at most ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path} must contain at least ${schema.minItems} item(s)`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => validateNode(root, schema.items, item, `${path}[${index}]`, errors));
+    }
+  }
+
+  if (typeOf(value) === "object") {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach(name => {
+      if (value[name] === undefined) {
+        errors.push(`${path}.${name} is required`);
+      }
+    });
+    Object.entries(value).forEach(([name, propertyValue]) => {
+      if (properties[name]) {
+        validateNode(root, properties[name], propertyValue, `${path}.${name}`, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${name} is not allowed`);
+      }
+    });
+  }
+};
+
+/**
+ * Validate a value against a schema from `root` (the OpenAPI document, used to
+ * resolve $refs). Returns a list of error messages; empty when valid.
+ */
+const validateSchema = (root, schema, value, path = "value") => {
+  const errors = [];
+  validateNode(root, schema, value, path, errors);
+  return errors;
+};
+
+module.exports = {
+  validateSchema
+};
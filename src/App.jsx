@@ -5,20 +5,35 @@ import Layout from './components/Layout.jsx';
 import PageSkeleton from './components/common/PageSkeleton';
 import ErrorBoundary from './components/common/ErrorBoundary';
 import { FilterProvider } from './contexts/FilterContext';
+import { AuthProvider, PERMISSIONS } from './contexts/AuthContext';
+import RequireAuth from './components/common/RequireAuth';
 
 // Lazy load heavy components
 const Home = lazy(() => import('./pages/Home.jsx'));
 const UniquePermits = lazy(() => import('./pages/UniquePermits.jsx'));
 const DeptActivity = lazy(() => import('./pages/DeptActivity.jsx'));
+const AdminImport = lazy(() => import('./pages/AdminImport.jsx'));
+const AdminUsers = lazy(() => import('./pages/AdminUsers.jsx'));
+const AdminActivityLog = lazy(() => import('./pages/AdminActivityLog.jsx'));
+const Login = lazy(() => import('./pages/Login.jsx'));
 
 export default function App() {
   return (
     <Router future={{ v7_startTransition: true, v7_relativeSplatPath: true }}>
       <ErrorBoundary>
         <Suspense fallback={<PageSkeleton />}>
+          <AuthProvider>
           <FilterProvider>
             <Routes>
-              <Route path="/" element={<Layout />}>
+              <Route path="/login" element={<Login />} />
+              <Route 
+                path="/" 
+                element={
+                  <RequireAuth>
+                    <Layout />
+                  </RequireAuth>
+                }
+              >
               <Route 
                 index 
                 element={
@@ -73,9 +88,48 @@ export default function App() {
                 </ErrorBoundary>
               }
             />
+
+              {/* Admin Routes */}
+              <Route 
+                path="admin/import" 
+                element={
+                  <RequireAuth permission={PERMISSIONS.DATA_IMPORT}>
+                    <ErrorBoundary>
+                      <Suspense fallback={<PageSkeleton />}>
+                        <AdminImport />
+                      </Suspense>
+                    </ErrorBoundary>
+                  </RequireAuth>
+                }
+              />
+              <Route 
+                path="admin/users" 
+                element={
+                  <RequireAuth permission={PERMISSIONS.USERS_MANAGE}>
+                    <ErrorBoundary>
+                      <Suspense fallback={<PageSkeleton />}>
+                        <AdminUsers />
+                      </Suspense>
+                    </ErrorBoundary>
+                  </RequireAuth>
+                }
+              />
+              <Route 
+                path="admin/activity" 
+                element={
+                  <RequireAuth permission={PERMISSIONS.AUDIT_READ}>
+                    <ErrorBoundary>
+                      <Suspense fallback={<PageSkeleton />}>
+                        <AdminActivityLog />
+                      </Suspense>
+                    </ErrorBoundary>
+                  </RequireAuth>
+                }
+              />
               </Route>
             </Routes>
           </FilterProvider>
+          </AuthProvider>
         </Suspense>
       </ErrorBoundary>
     </Router>
@@ -9,6 +9,7 @@ import Plotly from 'plotly.js-dist-min';
 import Chart from './ChartTableComponent/Chart';
 import Table from './ChartTableComponent/Table';
 import IndeterminateCheckbox from './common/IndeterminateCheckbox.jsx';
+import { auditAPI } from '../services/api';
 
 /**
  * @file ChartTableComponent.jsx
@@ -453,6 +454,7 @@ const ChartTableComponent = forwardRef((props, ref) => {
         
         const fileName = `${chartTitle || 'chart_data'}_export_${new Date().toISOString().slice(0,10)}.xlsx`;
         XLSX.writeFile(wb, fileName);
+        auditAPI.recordExport({ source: 'ChartTableComponent', title: chartTitle, fileName, rowCount: dataToExport.length });
     }, [data, tableData, chartTitle]);
     
     /**
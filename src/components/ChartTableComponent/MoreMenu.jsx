@@ -6,6 +6,7 @@ import { RiLineChartLine } from 'react-icons/ri';
 import { TbTableDown, TbTableOff } from 'react-icons/tb';
 import { GoDownload } from 'react-icons/go';
 import { GrTable } from 'react-icons/gr';
+import { useAuth, PERMISSIONS } from '../../contexts/AuthContext';
 
 export default function MoreMenu({ 
   id = 'more-menu',
@@ -18,6 +19,10 @@ export default function MoreMenu({
   onToggleTable, 
   showTableToggle = true 
 }) {
+  // Export items are only offered to roles allowed to export data
+  const { hasPermission } = useAuth();
+  const canExport = hasPermission(PERMISSIONS.DATA_EXPORT);
+
   // State for managing menu visibility
   const [isOpen, setIsOpen] = useState(false);
   const menuRef = useRef(null);
@@ -171,27 +176,31 @@ export default function MoreMenu({
                     </>
                   )}
                 </button>
-                <hr className="my-1 border-gray-200 dark:border-gray-600" />
+                {canExport && <hr className="my-1 border-gray-200 dark:border-gray-600" />}
               </>
             )}
             
-            {/* Export Options */}
-            <button
-              className="flex items-center px-4 py-2 text-sm w-full text-left text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700"
-              role="menuitem"
-              onClick={() => { onExportCsv(); setIsOpen(false); }}
-            >
-              <TbTableDown className="mr-3 text-lg" aria-hidden="true" />
-              Export XLSX
-            </button>
-            <button
-              className="flex items-center px-4 py-2 text-sm w-full text-left text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700"
-              role="menuitem"
-              onClick={() => { onExportPng(); setIsOpen(false); }}
-            >
-              <GoDownload className="mr-3 text-lg" aria-hidden="true" />
-              Export PNG
-            </button>
+            {/* Export Options - only shown to users with the export permission */}
+            {canExport && (
+              <>
+                <button
+                  className="flex items-center px-4 py-2 text-sm w-full text-left text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700"
+                  role="menuitem"
+                  onClick={() => { onExportCsv(); setIsOpen(false); }}
+                >
+                  <TbTableDown className="mr-3 text-lg" aria-hidden="true" />
+                  Export XLSX
+                </button>
+                <button
+                  className="flex items-center px-4 py-2 text-sm w-full text-left text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700"
+                  role="menuitem"
+                  onClick={() => { onExportPng(); setIsOpen(false); }}
+                >
+                  <GoDownload className="mr-3 text-lg" aria-hidden="true" />
+                  Export PNG
+                </button>
+              </>
+            )}
           </div>
         </div>
       )}
@@ -13,6 +13,9 @@ import Plotly from 'plotly.js-dist-min';
  * @param {string} props.xField - Field name for x-axis values
  * @param {string} props.barField - Field name for bar values
  * @param {string} props.lineField - Field name for line values
+ * @param {string} [props.secondaryLineField] - Field name for a second, dashed line on the same axis as the line
+ * @param {string} [props.secondaryLineTitle] - Legend name for the second line
+ * @param {string} [props.emptyMessage] - Shown instead of the chart when there is no data
  */
 const CombinationChart = ({
   data = [],
@@ -23,33 +26,26 @@ const CombinationChart = ({
   xField = '',
   barField = '',
   lineField = '',
+  secondaryLineField = '',
+  secondaryLineTitle = '',
+  emptyMessage = 'No data available',
   barColor = 'rgb(54, 162, 235)',
   lineColor = 'rgb(255, 99, 132)'
 }) => {
   const chartRef = useRef(null);
 
   useEffect(() => {
-    // Default data if none is provided
-    const defaultData = [
-      { year: '2019', permitCount: 950, avgValuation: 1800000 },
-      { year: '2020', permitCount: 850, avgValuation: 1950000 },
-      { year: '2021', permitCount: 1050, avgValuation: 2100000 },
-      { year: '2022', permitCount: 1150, avgValuation: 2300000 },
-      { year: '2023', permitCount: 1245, avgValuation: 2450000 }
-    ];
-    
     // Default field names if none provided
     const defaultXField = 'year';
     const defaultBarField = 'permitCount';
     const defaultLineField = 'avgValuation';
     
-    // Use provided data or fallback to default
-    const chartData = data.length > 0 ? data : defaultData;
+    const chartData = data;
     const chartXField = xField || defaultXField;
     const chartBarField = barField || defaultBarField;
     const chartLineField = lineField || defaultLineField;
     
-    if (chartRef.current) {
+    if (chartRef.current && chartData.length > 0) {
       // Extract data for plotting
       const xValues = chartData.map(item => item[chartXField]);
       const barValues = chartData.map(item => item[chartBarField]);
@@ -92,6 +88,27 @@ const CombinationChart = ({
         }
       ];
 
+      if (secondaryLineField) {
+        traces.push({
+          x: xValues,
+          y: chartData.map(item => item[secondaryLineField]),
+          type: 'scatter',
+          mode: 'lines+markers',
+          name: secondaryLineTitle || secondaryLineField,
+          marker: {
+            color: lineColor,
+            size: 6
+          },
+          line: {
+            color: lineColor,
+            width: 2,
+            dash: 'dash'
+          },
+          yaxis: 'y2',
+          hovertemplate: `${secondaryLineTitle || secondaryLineField}: %{y}<extra></extra>`
+        });
+      }
+
       // Layout configuration with increased margins to prevent overlap
       const layout = {
         title: {
@@ -181,11 +198,19 @@ const CombinationChart = ({
 
     // Cleanup function
     return () => {
-      if (chartRef.current) {
+      if (chartRef.current && chartData.length > 0) {
         Plotly.purge(chartRef.current);
       }
     };
-  }, [data, title, xAxisTitle, yAxisTitle, y2AxisTitle, xField, barField, lineField, barColor, lineColor]);
+  }, [data, title, xAxisTitle, yAxisTitle, y2AxisTitle, xField, barField, lineField, secondaryLineField, secondaryLineTitle, barColor, lineColor]);
+
+  if (data.length === 0) {
+    return (
+      <div className="w-full h-full flex items-center justify-center text-sm text-gray-500 dark:text-gray-400">
+        {emptyMessage}
+      </div>
+    );
+  }
 
   return (
     <div className="w-full h-full">
@@ -83,19 +83,22 @@ const DashboardMainContent = ({
           <CombinationChart
             data={permitVolumeData}
             title=""
-            xAxisTitle="Fiscal Year"
+            xAxisTitle="Year"
             yAxisTitle="Permit Count"
             y2AxisTitle="Average Valuation ($)"
             xField="year"
             barField="permitCount"
             lineField="avgValuation"
+            secondaryLineField="medianValuation"
+            secondaryLineTitle="Median Valuation ($)"
+            emptyMessage="No permit data available"
             barColor="rgb(54, 162, 235)"
             lineColor="rgb(255, 99, 132)"
             ariaLabelledBy="permit-volume-valuation-title"
           />
         </div>
         <p className="text-sm text-gray-500 dark:text-gray-400 mt-2">
-          Combination chart showing permit volume (bars) and average valuation (line) over time.
+          Combination chart showing permit volume (bars) and the mean (solid line) and median (dashed line) valuation over time.
         </p>
       </div>
       
@@ -4,6 +4,13 @@ import PermitTypePieChart from './PermitTypePieChart';
 import DataMetricsCard from './DataMetricsCard';
 import { Skeleton, SkeletonText, SkeletonCard } from '../common/Skeleton';
 
+// Valuations are null until valuation data has been loaded
+const formatValuation = value => (value === null ? 'No data' : `$${value.toLocaleString()}`);
+
+// Counts are null when the KPI could not be computed
+const formatCount = value => (value === null ? 'No data' : value.toLocaleString());
+const formatCompactCount = value => (value === null ? 'n/a' : value > 999 ? `${Math.round(value / 1000)}k` : value);
+
 /**
  * Dashboard Sidebar component containing KPI cards and summary information
  * @param {Object} props - Component props
@@ -113,9 +120,9 @@ const DashboardSidebar = ({
               title="Total Permits (2024)"
             >
               <span className="text-2xl" role="img" aria-hidden="true">📊</span>
-              <span className="sr-only">Total Permits: {totalPermits.value.toLocaleString()}</span>
+              <span className="sr-only">Total Permits: {formatCount(totalPermits.value)}</span>
               <span className="text-xs mt-1 text-center truncate w-full" aria-hidden="true">
-                {totalPermits.value > 999 ? `${Math.round(totalPermits.value / 1000)}k` : totalPermits.value}
+                {formatCompactCount(totalPermits.value)}
               </span>
             </div>
             
@@ -125,9 +132,11 @@ const DashboardSidebar = ({
               title="Average Valuation"
             >
               <span className="text-2xl" role="img" aria-hidden="true">💰</span>
-              <span className="sr-only">Average Valuation: ${avgValuation.value.toLocaleString()}</span>
+              <span className="sr-only">Average Valuation: {formatValuation(avgValuation.value)}</span>
               <span className="text-xs mt-1 text-center truncate w-full" aria-hidden="true">
-                ${avgValuation.value > 999 ? `${Math.round(avgValuation.value / 1000)}k` : avgValuation.value}
+                {avgValuation.value === null
+                  ? 'n/a'
+                  : `$${avgValuation.value > 999 ? `${Math.round(avgValuation.value / 1000)}k` : avgValuation.value}`}
               </span>
             </div>
         
@@ -137,9 +146,9 @@ const DashboardSidebar = ({
               title="Department Activity"
             >
               <span className="text-2xl" role="img" aria-hidden="true">🗂️</span>
-              <span className="sr-only">Department Activity: {deptActivity.value.toLocaleString()}</span>
+              <span className="sr-only">Department Activity: {formatCount(deptActivity.value)}</span>
               <span className="text-xs mt-1 text-center truncate w-full" aria-hidden="true">
-                {deptActivity.value > 999 ? `${Math.round(deptActivity.value / 1000)}k` : deptActivity.value}
+                {formatCompactCount(deptActivity.value)}
               </span>
             </div>
             
@@ -149,7 +158,7 @@ const DashboardSidebar = ({
               title="Monthly Trend"
             >
               <span className="text-2xl" role="img" aria-hidden="true">📈</span>
-              <span className="sr-only">Monthly Trend: {monthlyTrend.value}</span>
+              <span className="sr-only">Monthly Trend: {monthlyTrend.value ?? 'No data'}</span>
               <span className="text-xs mt-1 text-center truncate w-full" aria-hidden="true">
                 {monthlyTrend.trend === 'up' ? '↑' : monthlyTrend.trend === 'down' ? '↓' : '→'} {monthlyTrend.trendValue}
               </span>
@@ -162,7 +171,7 @@ const DashboardSidebar = ({
             <KPICard
               id={`${sectionIds.totalPermitsCard}-card`}
               title="Total Permits (2024)"
-              value={totalPermits.value.toLocaleString()}
+              value={formatCount(totalPermits.value)}
               icon="📊"
               sparklineData={totalPermits.sparklineData}
               trend={totalPermits.trend}
@@ -179,7 +188,7 @@ const DashboardSidebar = ({
             <KPICard
               id={`${sectionIds.avgValuationCard}-card`}
               title="Avg. Valuation"
-              value={`$${avgValuation.value.toLocaleString()}`}
+              value={formatValuation(avgValuation.value)}
               icon="💰"
               sparklineData={avgValuation.sparklineData}
               trend={avgValuation.trend}
@@ -188,7 +197,9 @@ const DashboardSidebar = ({
               aria-describedby={`${sectionIds.avgValuationCard}-desc`}
             />
             <p id={`${sectionIds.avgValuationCard}-desc`} className="sr-only">
-              Average valuation of all permits
+              {avgValuation.year
+                ? `Mean valuation of permits applied for in ${avgValuation.year}`
+                : 'No valuation data has been loaded'}
             </p>
           </div>
           
@@ -196,7 +207,7 @@ const DashboardSidebar = ({
             <KPICard
               id={`${sectionIds.deptActivityCard}-card`}
               title="Dept. Activity"
-              value={deptActivity.value.toLocaleString()}
+              value={formatCount(deptActivity.value)}
               icon="🗂️"
               sparklineData={deptActivity.sparklineData}
               trend={deptActivity.trend}
@@ -213,7 +224,7 @@ const DashboardSidebar = ({
             <KPICard
               id={`${sectionIds.monthlyTrendCard}-card`}
               title="Monthly Trend"
-              value={monthlyTrend.value}
+              value={monthlyTrend.value ?? 'No data'}
               icon="📈"
               sparklineData={monthlyTrend.sparklineData}
               trend={monthlyTrend.trend}
@@ -1,270 +1,279 @@
-import React, { useId } from 'react';
+import React, { useId, useMemo, useState } from 'react';
+import { useFilter } from '../../contexts/FilterContext';
+
+// Tiles in display order. `lowerIsBetter` decides whether a drop is shown as an improvement.
+const METRIC_TILES = [
+  {
+    key: 'processing',
+    field: 'avg_processing_days',
+    title: 'Avg. Processing',
+    unit: ' days',
+    deltaUnit: ' days',
+    ariaLabel: value => `${value} days average processing time`,
+    lowerIsBetter: true,
+    classes: {
+      tile: 'bg-blue-50 dark:bg-blue-900/20',
+      title: 'text-blue-700 dark:text-blue-300',
+      value: 'text-blue-800 dark:text-blue-200',
+      icon: 'bg-blue-100 dark:bg-blue-800',
+      svg: 'text-blue-600 dark:text-blue-300'
+    },
+    iconTitle: 'Processing Time',
+    iconPath: 'M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z'
+  },
+  {
+    key: 'completion',
+    field: 'completion_rate',
+    title: 'Completion Rate',
+    unit: '%',
+    deltaUnit: ' pts',
+    ariaLabel: value => `${value} percent completion rate`,
+    lowerIsBetter: false,
+    classes: {
+      tile: 'bg-green-50 dark:bg-green-900/20',
+      title: 'text-green-700 dark:text-green-300',
+      value: 'text-green-800 dark:text-green-200',
+      icon: 'bg-green-100 dark:bg-green-800',
+      svg: 'text-green-600 dark:text-green-300'
+    },
+    iconTitle: 'Completion Rate',
+    iconPath: 'M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z'
+  },
+  {
+    key: 'approval',
+    field: 'approval_rate',
+    title: 'Approval Rate',
+    unit: '%',
+    deltaUnit: ' pts',
+    ariaLabel: value => `${value} percent approval rate`,
+    lowerIsBetter: false,
+    classes: {
+      tile: 'bg-purple-50 dark:bg-purple-900/20',
+      title: 'text-purple-700 dark:text-purple-300',
+      value: 'text-purple-800 dark:text-purple-200',
+      icon: 'bg-purple-100 dark:bg-purple-800',
+      svg: 'text-purple-600 dark:text-purple-300'
+    },
+    iconTitle: 'Approval Rate',
+    iconPath: 'M5 13l4 4L19 7'
+  },
+  {
+    key: 'revision',
+    field: 'revision_rate',
+    title: 'Revision Rate',
+    unit: '%',
+    deltaUnit: ' pts',
+    ariaLabel: value => `${value} percent revision rate`,
+    lowerIsBetter: true,
+    classes: {
+      tile: 'bg-amber-50 dark:bg-amber-900/20',
+      title: 'text-amber-700 dark:text-amber-300',
+      value: 'text-amber-800 dark:text-amber-200',
+      icon: 'bg-amber-100 dark:bg-amber-800',
+      svg: 'text-amber-600 dark:text-amber-300'
+    },
+    iconTitle: 'Revision Rate',
+    iconPath: 'M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15'
+  }
+];
+
+// Rows for all departments together have no department
+const ALL_DEPARTMENTS = '';
+
+const formatDelta = (delta, unit) => `${delta > 0 ? '+' : ''}${delta.toFixed(1)}${unit}`;
+
+const deltaClass = (delta, lowerIsBetter) => {
+  if (delta === 0) return 'text-gray-500 dark:text-gray-400';
+  return (delta < 0) === lowerIsBetter
+    ? 'text-green-700 dark:text-green-400'
+    : 'text-red-700 dark:text-red-400';
+};
 
 /**
  * Data Metrics Card component
+ * Shows the permit processing metrics of the latest fiscal year from
+ * `GET /api/dashboard/metrics`, with the change from the year before.
  * @param {Object} props - Component props
- * @param {Object} props.metrics - Metrics data
+ * @param {Array} props.metrics - Metric rows: fiscal_year, department (null for all), avg_processing_days,
+ *   completion_rate, approval_rate, revision_rate
  * @param {string} props.componentId - Component ID for generating unique IDs
  */
-const DataMetricsCard = ({ metrics = {}, componentId = '' }) => {
+const DataMetricsCard = ({ metrics = [], componentId = '' }) => {
   const generatedId = useId();
   const cardId = componentId || `data-metrics-${generatedId}`;
-  
+  const { departments } = useFilter();
+  const [department, setDepartment] = useState(ALL_DEPARTMENTS);
+
   // Generate unique IDs for each metric
   const metricIds = {
     container: `${cardId}-container`,
     title: `${cardId}-title`,
-    processing: `${cardId}-processing`,
-    completion: `${cardId}-completion`,
-    approval: `${cardId}-approval`,
-    revision: `${cardId}-revision`,
+    department: `${cardId}-department`,
+    ...Object.fromEntries(METRIC_TILES.map(tile => [tile.key, `${cardId}-${tile.key}`])),
     info: `${cardId}-info`
   };
-  const {
-    avgProcessingDays = 21,
-    completionRate = 87,
-    approvalRate = 92,
-    revisionRate = 15
-  } = metrics;
+
+  // Departments with metrics, labelled from the department registry where possible
+  const departmentOptions = useMemo(() => {
+    const codes = [...new Set(metrics.map(row => row.department).filter(Boolean))];
+    return codes.map(code => ({
+      code,
+      label: departments.find(d => d.code === code)?.display_name || code
+    }));
+  }, [metrics, departments]);
+
+  const { current, previous } = useMemo(() => {
+    const rows = metrics.filter(row => (row.department || ALL_DEPARTMENTS) === department);
+    if (rows.length === 0) return {};
+    const latestYear = Math.max(...rows.map(row => row.fiscal_year));
+    return {
+      current: rows.find(row => row.fiscal_year === latestYear),
+      previous: rows.find(row => row.fiscal_year === latestYear - 1)
+    };
+  }, [metrics, department]);
 
   return (
-    <div 
+    <div
       className="h-full"
       id={metricIds.container}
       role="region"
       aria-labelledby={metricIds.title}
     >
-      <h3 
-        id={metricIds.title}
-        className="text-lg font-semibold text-gray-900 dark:text-white mb-3"
-      >
-        Key Metrics
-      </h3>
-      
-      <div 
-        className="grid grid-cols-2 gap-3"
-        role="grid"
-        aria-label="Performance metrics"
-      >
-        {/* Processing Time Metric */}
-        <div 
-          id={metricIds.processing}
-          className="bg-blue-50 dark:bg-blue-900/20 rounded-lg p-3"
-          role="gridcell"
-          aria-labelledby={`${metricIds.processing}-title ${metricIds.processing}-value`}
-        >
-          <div className="flex items-center justify-between">
-            <div>
-              <p 
-                id={`${metricIds.processing}-title`}
-                className="text-xs text-blue-700 dark:text-blue-300 font-medium"
-              >
-                Avg. Processing
-              </p>
-              <p 
-                id={`${metricIds.processing}-value`}
-                className="text-xl font-bold text-blue-800 dark:text-blue-200"
-                aria-label={`${avgProcessingDays} days average processing time`}
-              >
-                {avgProcessingDays} days
-              </p>
-            </div>
-            <div 
-              className="bg-blue-100 dark:bg-blue-800 p-2 rounded-full"
-              aria-hidden="true"
-            >
-              <svg 
-                xmlns="http://www.w3.org/2000/svg" 
-                className="h-5 w-5 text-blue-600 dark:text-blue-300" 
-                fill="none" 
-                viewBox="0 0 24 24" 
-                stroke="currentColor"
-                aria-hidden="true"
-              >
-                <title>Processing Time</title>
-                <path 
-                  strokeLinecap="round" 
-                  strokeLinejoin="round" 
-                  strokeWidth={2} 
-                  d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" 
-                />
-              </svg>
-            </div>
-          </div>
-        </div>
-        
-        {/* Completion Rate Metric */}
-        <div 
-          id={metricIds.completion}
-          className="bg-green-50 dark:bg-green-900/20 rounded-lg p-3"
-          role="gridcell"
-          aria-labelledby={`${metricIds.completion}-title ${metricIds.completion}-value`}
-        >
-          <div className="flex items-center justify-between">
-            <div>
-              <p 
-                id={`${metricIds.completion}-title`}
-                className="text-xs text-green-700 dark:text-green-300 font-medium"
-              >
-                Completion Rate
-              </p>
-              <p 
-                id={`${metricIds.completion}-value`}
-                className="text-xl font-bold text-green-800 dark:text-green-200"
-                aria-label={`${completionRate} percent completion rate`}
-              >
-                {completionRate}%
-              </p>
-            </div>
-            <div 
-              className="bg-green-100 dark:bg-green-800 p-2 rounded-full"
-              aria-hidden="true"
-            >
-              <svg 
-                xmlns="http://www.w3.org/2000/svg" 
-                className="h-5 w-5 text-green-600 dark:text-green-300" 
-                fill="none" 
-                viewBox="0 0 24 24" 
-                stroke="currentColor"
-                aria-hidden="true"
-              >
-                <title>Completion Rate</title>
-                <path 
-                  strokeLinecap="round" 
-                  strokeLinejoin="round" 
-                  strokeWidth={2} 
-                  d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z" 
-                />
-              </svg>
-            </div>
-          </div>
-        </div>
-        
-        {/* Approval Rate Metric */}
-        <div 
-          id={metricIds.approval}
-          className="bg-purple-50 dark:bg-purple-900/20 rounded-lg p-3"
-          role="gridcell"
-          aria-labelledby={`${metricIds.approval}-title ${metricIds.approval}-value`}
+      <div className="flex items-center justify-between mb-3 gap-2">
+        <h3
+          id={metricIds.title}
+          className="text-lg font-semibold text-gray-900 dark:text-white"
         >
-          <div className="flex items-center justify-between">
-            <div>
-              <p 
-                id={`${metricIds.approval}-title`}
-                className="text-xs text-purple-700 dark:text-purple-300 font-medium"
-              >
-                Approval Rate
-              </p>
-              <p 
-                id={`${metricIds.approval}-value`}
-                className="text-xl font-bold text-purple-800 dark:text-purple-200"
-                aria-label={`${approvalRate} percent approval rate`}
-              >
-                {approvalRate}%
-              </p>
-            </div>
-            <div 
-              className="bg-purple-100 dark:bg-purple-800 p-2 rounded-full"
-              aria-hidden="true"
-            >
-              <svg 
-                xmlns="http://www.w3.org/2000/svg" 
-                className="h-5 w-5 text-purple-600 dark:text-purple-300" 
-                fill="none" 
-                viewBox="0 0 24 24" 
-                stroke="currentColor"
-                aria-hidden="true"
-              >
-                <title>Approval Rate</title>
-                <path 
-                  strokeLinecap="round" 
-                  strokeLinejoin="round" 
-                  strokeWidth={2} 
-                  d="M5 13l4 4L19 7" 
-                />
-              </svg>
-            </div>
-          </div>
-        </div>
-        
-        {/* Revision Rate Metric */}
-        <div 
-          id={metricIds.revision}
-          className="bg-amber-50 dark:bg-amber-900/20 rounded-lg p-3"
-          role="gridcell"
-          aria-labelledby={`${metricIds.revision}-title ${metricIds.revision}-value`}
+          Key Metrics{current && ` - FY${current.fiscal_year}`}
+        </h3>
+        {departmentOptions.length > 0 && (
+          <select
+            id={metricIds.department}
+            value={department}
+            onChange={e => setDepartment(e.target.value)}
+            className="text-xs rounded-md border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-700 dark:text-gray-200 px-2 py-1"
+            aria-label="Department"
+          >
+            <option value={ALL_DEPARTMENTS}>All departments</option>
+            {departmentOptions.map(option => (
+              <option key={option.code} value={option.code}>{option.label}</option>
+            ))}
+          </select>
+        )}
+      </div>
+
+      {current ? (
+        <div
+          className="grid grid-cols-2 gap-3"
+          role="grid"
+          aria-label="Performance metrics"
         >
-          <div className="flex items-center justify-between">
-            <div>
-              <p 
-                id={`${metricIds.revision}-title`}
-                className="text-xs text-amber-700 dark:text-amber-300 font-medium"
-              >
-                Revision Rate
-              </p>
-              <p 
-                id={`${metricIds.revision}-value`}
-                className="text-xl font-bold text-amber-800 dark:text-amber-200"
-                aria-label={`${revisionRate} percent revision rate`}
-              >
-                {revisionRate}%
-              </p>
-            </div>
-            <div 
-              className="bg-amber-100 dark:bg-amber-800 p-2 rounded-full"
-              aria-hidden="true"
-            >
-              <svg 
-                xmlns="http://www.w3.org/2000/svg" 
-                className="h-5 w-5 text-amber-600 dark:text-amber-300" 
-                fill="none" 
-                viewBox="0 0 24 24" 
-                stroke="currentColor"
-                aria-hidden="true"
+          {METRIC_TILES.map(tile => {
+            const id = metricIds[tile.key];
+            const value = current[tile.field];
+            const previousValue = previous?.[tile.field];
+            const delta = value !== null && previousValue !== null && previousValue !== undefined
+              ? value - previousValue
+              : null;
+
+            return (
+              <div
+                key={tile.key}
+                id={id}
+                className={`${tile.classes.tile} rounded-lg p-3`}
+                role="gridcell"
+                aria-labelledby={`${id}-title ${id}-value`}
               >
-                <title>Revision Rate</title>
-                <path 
-                  strokeLinecap="round" 
-                  strokeLinejoin="round" 
-                  strokeWidth={2} 
-                  d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" 
-                />
-              </svg>
-            </div>
-          </div>
+                <div className="flex items-center justify-between">
+                  <div>
+                    <p
+                      id={`${id}-title`}
+                      className={`text-xs ${tile.classes.title} font-medium`}
+                    >
+                      {tile.title}
+                    </p>
+                    <p
+                      id={`${id}-value`}
+                      className={`text-xl font-bold ${tile.classes.value}`}
+                      aria-label={value === null ? `${tile.title} not available` : tile.ariaLabel(value)}
+                    >
+                      {value === null ? '—' : `${value}${tile.unit}`}
+                    </p>
+                    {delta !== null && (
+                      <p
+                        id={`${id}-delta`}
+                        className={`text-xs ${deltaClass(delta, tile.lowerIsBetter)}`}
+                        aria-label={`${formatDelta(delta, tile.deltaUnit)} compared with FY${previous.fiscal_year}`}
+                      >
+                        {formatDelta(delta, tile.deltaUnit)} vs FY{previous.fiscal_year}
+                      </p>
+                    )}
+                  </div>
+                  <div
+                    className={`${tile.classes.icon} p-2 rounded-full`}
+                    aria-hidden="true"
+                  >
+                    <svg
+                      xmlns="http://www.w3.org/2000/svg"
+                      className={`h-5 w-5 ${tile.classes.svg}`}
+                      fill="none"
+                      viewBox="0 0 24 24"
+                      stroke="currentColor"
+                      aria-hidden="true"
+                    >
+                      <title>{tile.iconTitle}</title>
+                      <path
+                        strokeLinecap="round"
+                        strokeLinejoin="round"
+                        strokeWidth={2}
+                        d={tile.iconPath}
+                      />
+                    </svg>
+                  </div>
+                </div>
+              </div>
+            );
+          })}
         </div>
-      </div>
-      
-      <div 
+      ) : (
+        <p className="text-sm text-gray-600 dark:text-gray-400">
+          {metrics.length > 0
+            ? 'No processing metrics for this department.'
+            : 'No permit lifecycle data has been loaded yet. Import permit lifecycle events under Admin → Data Import.'}
+        </p>
+      )}
+
+      <div
         id={metricIds.info}
         className="mt-3 bg-gray-50 dark:bg-gray-800/50 rounded-lg p-3"
         role="note"
         aria-label="Metrics information"
       >
         <div className="flex items-center">
-          <div 
+          <div
             className="bg-gray-200 dark:bg-gray-700 p-2 rounded-full mr-3"
             aria-hidden="true"
           >
-            <svg 
-              xmlns="http://www.w3.org/2000/svg" 
-              className="h-5 w-5 text-gray-600 dark:text-gray-300" 
-              fill="none" 
-              viewBox="0 0 24 24" 
+            <svg
+              xmlns="http://www.w3.org/2000/svg"
+              className="h-5 w-5 text-gray-600 dark:text-gray-300"
+              fill="none"
+              viewBox="0 0 24 24"
               stroke="currentColor"
               aria-hidden="true"
             >
               <title>Information</title>
-              <path 
-                strokeLinecap="round" 
-                strokeLinejoin="round" 
-                strokeWidth={2} 
-                d="M13 16h-1v-4h-1m1-4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" 
+              <path
+                strokeLinecap="round"
+                strokeLinejoin="round"
+                strokeWidth={2}
+                d="M13 16h-1v-4h-1m1-4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z"
               />
             </svg>
           </div>
           <p className="text-xs text-gray-600 dark:text-gray-300">
-            Metrics based on permits processed in the current fiscal year. Updated monthly.
+            Permits submitted in the fiscal year: days from submission to issue, and the share issued, approved
+            and sent back for revisions. Changes are against the previous fiscal year.
           </p>
         </div>
       </div>
@@ -0,0 +1,208 @@
+import React, { useMemo, useEffect } from 'react';
+import { createColumnHelper } from '@tanstack/react-table';
+import { useLayout } from '../../contexts/LayoutContext';
+import { useFilter } from '../../contexts/FilterContext';
+import BarChartTableComponent from '../charts/BarChartTableComponent';
+import GroupedBarChartTableComponent from '../charts/GroupedBarChartTableComponent';
+import DashboardCardComponent from '../common/DashboardCardComponent';
+import { useAnomalies } from '../../hooks/useAnomalies';
+
+/**
+ * @file DepartmentActivityReport.jsx
+ * @description Activity report for one department from the department registry
+ * (`GET /api/departments`): yearly activity counts and the weekday share of
+ * activity, grouped by year and by day, drawn in the department's palette.
+ */
+
+const columnHelper = createColumnHelper();
+
+// Used when a department has no palette of its own
+const DEFAULT_PALETTE = [
+    'rgb(54, 84, 134)', 'rgb(75, 123, 236)', 'rgb(102, 51, 153)',
+    'rgb(153, 102, 255)', 'rgb(201, 203, 207)', 'rgb(54, 162, 235)',
+    'rgb(0, 200, 83)', 'rgb(210, 105, 30)', 'rgb(128, 0, 128)',
+    'rgb(63, 81, 181)', 'rgb(240, 228, 66)', 'rgb(255, 99, 132)'
+];
+
+const WEEKDAY_FIELDS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday'];
+const WEEKDAY_LABELS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'];
+
+const weekdayChartConfig = {
+    yaxis: {
+        tickformat: '.0%',
+        range: [0, 0.3] // Set y-axis range from 0% to 30%
+    },
+    legend: {
+        orientation: 'h',
+        y: -0.2,
+        yanchor: 'top',
+        xanchor: 'center',
+        x: 0.5
+    }
+};
+
+// Ids and file names are derived from the code, which may contain spaces (e.g. "PLN Check")
+const slugify = code => code.replace(/[^A-Za-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+/**
+ * Renders the activity report for a department.
+ * @param {object} props - The component props
+ * @param {object} props.department - Registry entry: `code`, `display_name`, `description`, `colors`
+ * @param {boolean} [props.isLoading=false] - Whether the activity data is loading
+ * @returns {React.Component} The department activity report
+ */
+export default function DepartmentActivityReport({ department, isLoading = false }) {
+    const { setTitle } = useLayout();
+    const { getFilteredDeptData, getFilteredDeptWeekdayData } = useFilter();
+
+    const { code, display_name: displayName, description } = department;
+    const slug = slugify(code);
+    const palette = department.colors && department.colors.length > 0 ? department.colors : DEFAULT_PALETTE;
+
+    const data = useMemo(() => getFilteredDeptData(code), [getFilteredDeptData, code]);
+    const weekdayData = useMemo(() => getFilteredDeptWeekdayData(code), [getFilteredDeptWeekdayData, code]);
+
+    // Years with unusual activity for this department, keyed like the chart data
+    const departmentAnomalies = useAnomalies({ series: 'department-activity', departments: [code] });
+    const activityAnomalies = useMemo(
+        () => departmentAnomalies.map(anomaly => ({ ...anomaly, year: anomaly.fiscal_year })),
+        [departmentAnomalies]
+    );
+
+    // Set the page title for the department being shown
+    useEffect(() => {
+        setTitle(`${displayName} Activity Analysis`);
+        return () => setTitle('My Dashboard');
+    }, [setTitle, displayName]);
+
+    const activityColumns = useMemo(() => [
+        columnHelper.accessor('year', {
+            header: 'Year',
+            cell: info => info.getValue()
+        }),
+        columnHelper.accessor('activity_count', {
+            header: 'Activity Count',
+            cell: info => info.getValue().toLocaleString()
+        })
+    ], []);
+
+    const weekdayColumns = useMemo(() => [
+        columnHelper.accessor('year', {
+            header: 'Fiscal Year',
+            cell: info => info.getValue()
+        }),
+        ...WEEKDAY_FIELDS.map((field, index) => columnHelper.accessor(field, {
+            header: WEEKDAY_LABELS[index],
+            cell: info => `${(info.getValue() * 100).toFixed(1)}%`
+        }))
+    ], []);
+
+    return (
+        <div id={`${slug}-activity-report`} className="department-activity-report space-y-8">
+            {description && (
+                <p className="text-sm text-gray-600 dark:text-gray-400">{description}</p>
+            )}
+
+            <DashboardCardComponent
+                id={`${slug}-activity-card`}
+                title={`${displayName} Activity by Year`}
+                isLoading={isLoading}
+                exportOptions={{
+                    excel: `${slug}-Activity-Report`,
+                    image: `${slug}-Activity-Report`
+                }}
+            >
+                <BarChartTableComponent
+                    id={`chart${slug}Activity`}
+                    data={data}
+                    xField="year"
+                    yField="activity_count"
+                    title={`${displayName} Activity by Year`}
+                    xAxisLabel="Year"
+                    yAxisLabel="Activity Count"
+                    color={palette[0]}
+                    showLabels={true}
+                    labelFormat={(value) => value.toLocaleString()}
+                    columns={activityColumns}
+                    anomalies={activityAnomalies}
+                    defaultRowsPerPage={10}
+                    defaultSorting={[{ id: 'year', desc: true }]}
+                    chartConfig={{
+                        legend: {
+                            orientation: 'h',
+                            y: -0.2
+                        }
+                    }}
+                    initialState={{
+                        columnSizing: {
+                            year: 60,
+                            activity_count: 100
+                        }
+                    }}
+                />
+            </DashboardCardComponent>
+
+            {/* Weekday Activity Chart - Grouped by Year */}
+            <DashboardCardComponent
+                id={`${slug}-weekday-activity-card`}
+                title={`${displayName} Data - Per Action (Weekdays) - Grouped by Year`}
+                isLoading={isLoading}
+                exportOptions={{
+                    excel: `${slug}-Weekday-Activity-Report`,
+                    image: `${slug}-Weekday-Activity-Report`
+                }}
+            >
+                <GroupedBarChartTableComponent
+                    id={`chart${slug}WeekdayActivity`}
+                    data={weekdayData}
+                    xField="year"
+                    yFields={WEEKDAY_FIELDS}
+                    yLabels={WEEKDAY_LABELS}
+                    columns={weekdayColumns}
+                    title={`${displayName} Data - Per Action (Weekdays) - Grouped by Year`}
+                    xAxisLabel="Fiscal Year"
+                    yAxisLabel="Percentage"
+                    colors={palette}
+                    barMode="group"
+                    height={400}
+                    tablePosition="bottom"
+                    showTable={true}
+                    enableSelection={false}
+                    defaultRowsPerPage={10}
+                    defaultSorting={[{ id: 'year', desc: true }]}
+                    chartConfig={weekdayChartConfig}
+                />
+            </DashboardCardComponent>
+
+            {/* Weekday Activity Chart - Grouped by Day */}
+            <DashboardCardComponent
+                id={`${slug}-weekday-by-day-activity-card`}
+                title={`${displayName} Data - Per Action (Weekdays) - Grouped by Day`}
+                isLoading={isLoading}
+                exportOptions={{
+                    excel: `${slug}-Weekday-By-Day-Activity-Report`,
+                    image: `${slug}-Weekday-By-Day-Activity-Report`
+                }}
+            >
+                <GroupedBarChartTableComponent
+                    id={`chart${slug}WeekdayByDayActivity`}
+                    data={weekdayData}
+                    xField="year"
+                    yFields={WEEKDAY_FIELDS}
+                    yLabels={WEEKDAY_LABELS}
+                    columns={weekdayColumns}
+                    title={`${displayName} Data - Per Action (Weekdays) - Grouped by Day`}
+                    xAxisLabel="Weekday"
+                    yAxisLabel="Percentage"
+                    colors={palette}
+                    barMode="group"
+                    height={400}
+                    tablePosition="bottom"
+                    showTable={true}
+                    enableSelection={false}
+                    chartConfig={weekdayChartConfig}
+                />
+            </DashboardCardComponent>
+        </div>
+    );
+}
@@ -2,6 +2,12 @@ import React from 'react';
 import { useLocation } from 'react-router-dom';
 import { useFilter } from '../../contexts/FilterContext';
 import MultiSelectDropdown from '../common/MultiSelectDropdown';
+import { formatQuarter, formatYear, yearAxisLabel } from '../../utils/fiscalCalendar';
+
+const CALENDAR_VIEW_OPTIONS = [
+  { value: 'fiscal', label: 'Fiscal' },
+  { value: 'calendar', label: 'Calendar' }
+];
 
 export default function FilterPanel() {
   const location = useLocation();
@@ -18,6 +24,8 @@ export default function FilterPanel() {
     selectedMonths,
     allQuarters,
     allMonths,
+    calendarView,
+    handleCalendarViewChange,
     handlePermitYearChange,
     handleQuarterChange,
     handleMonthChange,
@@ -71,10 +79,33 @@ export default function FilterPanel() {
           ) : (
             <div className="space-y-4">
               <div>
-                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Fiscal Year</label>
+                <span className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Periods</span>
+                <div id="unique-permits-calendar-toggle" className="inline-flex rounded-md shadow-sm" role="group">
+                  {CALENDAR_VIEW_OPTIONS.map(({ value, label }, index) => (
+                    <button
+                      key={value}
+                      type="button"
+                      aria-pressed={calendarView === value}
+                      onClick={() => handleCalendarViewChange(value)}
+                      className={`px-3 py-1.5 text-sm font-medium border border-gray-300 dark:border-gray-600 ${
+                        index === 0 ? 'rounded-l-md' : 'rounded-r-md -ml-px'
+                      } ${
+                        calendarView === value
+                          ? 'bg-blue-600 text-white border-blue-600'
+                          : 'bg-white text-gray-700 hover:bg-gray-50 dark:bg-gray-800 dark:text-gray-300 dark:hover:bg-gray-700'
+                      }`}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">{yearAxisLabel(calendarView)}</label>
                 <MultiSelectDropdown 
                   id="unique-permits-year-filter"
-                  options={(permitYears || []).filter(Boolean).map(year => ({ value: year, label: String(year) }))}
+                  options={(permitYears || []).filter(Boolean).map(year => ({ value: year, label: formatYear(year, calendarView) }))}
                   selectedValues={selectedPermitYears}
                   onChange={handlePermitYearChange}
                 />
@@ -84,7 +115,7 @@ export default function FilterPanel() {
                 <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Quarter</label>
                 <MultiSelectDropdown 
                   id="unique-permits-quarter-filter"
-                  options={(allQuarters || []).filter(Boolean).map(quarter => ({ value: quarter, label: `Q${quarter}` }))}
+                  options={(allQuarters || []).filter(Boolean).map(quarter => ({ value: quarter, label: formatQuarter(allMonths, quarter) }))}
                   selectedValues={selectedQuarters}
                   onChange={handleQuarterChange}
                 />
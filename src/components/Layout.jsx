@@ -3,15 +3,16 @@ import { Outlet, NavLink, useLocation } from 'react-router-dom';
 import { useLayout } from '../contexts/LayoutContext';
 import { useTheme, useIsDark } from '../contexts/ThemeContext';
 import { useFilter } from '../contexts/FilterContext';
+import { useAuth, PERMISSIONS } from '../contexts/AuthContext';
 import { useId } from 'react';
 import LayoutSkeleton from './common/LayoutSkeleton';
-import { FiSun, FiMoon, FiMenu, FiPieChart, FiFilter } from 'react-icons/fi';
+import RateLimitNotice from './common/RateLimitNotice';
+import DataSourceNotice from './common/DataSourceNotice';
+import { FiSun, FiMoon, FiMenu, FiPieChart, FiFilter, FiUpload, FiLogOut, FiUsers, FiActivity, FiBriefcase } from 'react-icons/fi';
 import FilterPanel from './Filters/FilterPanel';
 import { FaChevronDown } from 'react-icons/fa';
-import { FaListCheck } from 'react-icons/fa6';
 import { ImCalendar } from 'react-icons/im';
-import { TbCalendarMonthFilled, TbLicense } from 'react-icons/tb';
-import { MdOutlinePolicy } from 'react-icons/md';
+import { TbCalendarMonthFilled } from 'react-icons/tb';
 
 /**
  * @file Layout.jsx
@@ -36,7 +37,8 @@ export default function Layout() {
   const navId = useId(); // Generates unique IDs for accessible navigation elements.
   const { theme, setTheme } = useTheme(); // For getting and setting the current theme (dark/light).
   const isDark = useIsDark(); // A boolean hook to easily check if the dark theme is active.
-  const { isFilterVisible, setIsFilterVisible } = useFilter(); // Manages the visibility of the filter panel.
+  const { isFilterVisible, setIsFilterVisible, departments } = useFilter(); // Filter panel visibility and the department registry.
+  const { user, logout, hasPermission } = useAuth(); // The logged-in user, their permissions and a logout action.
 
   // SECTION: State Management
   // ---------------------------
@@ -54,7 +56,8 @@ export default function Layout() {
   // ---------------------------------
   // Defines the structure of the navigation menu, including items and submenus.
   // Using a configuration object like this makes the navigation easy to manage and update.
-  const navItems = [
+  // Department entries come from the department registry, so a new department only needs a database row.
+  const allNavItems = [
     { to: '/', label: 'Home', id: `${navId}-home` },
     { 
       label: 'Permits Analysis', 
@@ -73,14 +76,33 @@ export default function Layout() {
       id: `${navId}-dept-activity`,
       title: 'Department Activity Analysis',
       hasSubmenu: true,
+      submenuItems: departments.map(department => ({
+        to: `/deptactivity/${encodeURIComponent(department.code)}`,
+        label: `${department.display_name} Activity`,
+        id: `${navId}-dept-${department.code.replace(/[^A-Za-z0-9]+/g, '-').toLowerCase()}`,
+        icon: FiBriefcase
+      }))
+    },
+    {
+      label: 'Admin',
+      id: `${navId}-admin`,
+      title: 'Administration',
+      hasSubmenu: true,
       submenuItems: [
-        { to: '/deptactivity/PSC', label: 'PSC Activity', id: `${navId}-dept-psc`, icon: TbLicense },
-        { to: '/deptactivity/LU', label: 'LU Activity', id: `${navId}-dept-lu`, icon: MdOutlinePolicy },
-        { to: '/deptactivity/PLN Check', label: 'PLN Check Activity', id: `${navId}-dept-pln`, icon: FaListCheck }
+        { to: '/admin/import', label: 'Data Import', id: `${navId}-admin-import`, icon: FiUpload, permission: PERMISSIONS.DATA_IMPORT },
+        { to: '/admin/users', label: 'Users', id: `${navId}-admin-users`, icon: FiUsers, permission: PERMISSIONS.USERS_MANAGE },
+        { to: '/admin/activity', label: 'Activity Log', id: `${navId}-admin-activity`, icon: FiActivity, permission: PERMISSIONS.AUDIT_READ }
       ]
     }
   ];
 
+  // Hide items the user's role cannot use, and any submenu left without items.
+  const navItems = allNavItems
+    .map(item => item.hasSubmenu
+      ? { ...item, submenuItems: item.submenuItems.filter(sub => !sub.permission || hasPermission(sub.permission)) }
+      : item)
+    .filter(item => !item.hasSubmenu || item.submenuItems.length > 0);
+
     // SECTION: Event Handlers
   // -------------------------
 
@@ -262,6 +284,18 @@ export default function Layout() {
                 )}
               </button>
 
+              {user && (
+                <button
+                  id="logout-button"
+                  onClick={logout}
+                  aria-label={`Log out ${user.username}`}
+                  title={`Signed in as ${user.username}`}
+                  className="p-2 rounded-full text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-800 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 dark:focus:ring-offset-gray-900 transition-colors"
+                >
+                  <FiLogOut className="w-5 h-5" />
+                </button>
+              )}
+
               <button
                 id="mobile-menu-button"
                 type="button"
@@ -363,6 +397,11 @@ export default function Layout() {
       )}
       
             {/* Main Content Area: This is where the content for each page is rendered via the `<Outlet />` component from React Router. */}
+      {/* Shown while pages read the bundled demo data instead of the API */}
+      <DataSourceNotice />
+      {/* Shown while the API is rate-limiting this user */}
+      <RateLimitNotice />
+
       <main 
         id="main-content" 
         className="flex-1 px-2 py-6 sm:px-4 lg:px-6 max-w-screen-2xl mx-auto w-full"
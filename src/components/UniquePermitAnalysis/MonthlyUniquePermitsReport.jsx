@@ -1,12 +1,15 @@
 // src/components/UniquePermitAnalysis/MonthlyUniquePermitsReport.jsx
 
-import React, { useMemo, useCallback } from 'react';
+import React, { useMemo, useCallback, useEffect, useState } from 'react';
 import MoreMenu from '../ChartTableComponent/MoreMenu';
 import { createColumnHelper } from '@tanstack/react-table';
 import DashboardCardComponent from '../common/DashboardCardComponent';
 import LineChartTableComponent from '../charts/LineChartTableComponent';
 import LineChartComponent from '../charts/LineChartComponent';
 import GroupedBarChartTableComponent from '../charts/GroupedBarChartTableComponent';
+import { CALENDAR_MONTHS, MONTH_NAMES, formatYear, yearAxisLabel } from '../../utils/fiscalCalendar';
+import { permitAPI } from '../../services/api';
+import { useAnomalies } from '../../hooks/useAnomalies';
 
 const columnHelper = createColumnHelper();
 
@@ -26,13 +29,53 @@ const customPalette = [
     'rgb(255, 99, 132)'   // RGB(255, 99, 132)
 ];
 
-// Month names for conversion
-const monthNames = [
-  'January', 'February', 'March', 'April', 'May', 'June',
-  'July', 'August', 'September', 'October', 'November', 'December'
-];
+const MODEL_LABELS = {
+  'holt-winters': 'Holt-Winters',
+  'seasonal-naive': 'Seasonal naive'
+};
+
+// `months` lists the month labels in the order of the selected view (fiscal or calendar)
+export default function MonthlyUniquePermitsReport({ data, isLoading, months: monthOrder = CALENDAR_MONTHS, calendarView = 'calendar' }) {
+  const [showForecast, setShowForecast] = useState(false);
+  const [forecastResult, setForecastResult] = useState(null);
+  const [forecastError, setForecastError] = useState(null);
+  const [selectedModel, setSelectedModel] = useState(null);
 
-export default function MonthlyUniquePermitsReport({ data, isLoading }) {
+  // Fetch the monthly forecast for the selected calendar view while the overlay is on
+  useEffect(() => {
+    if (!showForecast) return undefined;
+    let cancelled = false;
+    setForecastError(null);
+    permitAPI.getForecast({ series: 'monthly', calendar: calendarView })
+      .then(result => {
+        if (cancelled) return;
+        setForecastResult(result);
+        setSelectedModel(result.recommended);
+      })
+      .catch(error => {
+        if (cancelled) return;
+        console.error('Error loading permit forecast:', error);
+        setForecastResult(null);
+        setForecastError('The forecast could not be loaded.');
+      });
+    return () => { cancelled = true; };
+  }, [showForecast, calendarView]);
+
+  // Anomalous months, keyed like the chart data
+  const monthlyAnomalies = useAnomalies({ series: 'monthly', calendar: calendarView });
+  const trendAnomalies = useMemo(
+    () => monthlyAnomalies.map(anomaly => ({ ...anomaly, month: anomaly.label })),
+    [monthlyAnomalies]
+  );
+  const getYearAnomalies = useCallback(
+    row => trendAnomalies.filter(anomaly => anomaly.fiscal_year === row.fYear),
+    [trendAnomalies]
+  );
+
+  const activeForecast = useMemo(() => {
+    if (!showForecast || !forecastResult) return null;
+    return forecastResult.models.find(model => model.model === selectedModel) || null;
+  }, [showForecast, forecastResult, selectedModel]);
   
   // Pivot data for chart0_Monthly_Trend
   const { pivotedData, pivotedColumns } = useMemo(() => {
@@ -40,8 +83,6 @@ export default function MonthlyUniquePermitsReport({ data, isLoading }) {
       return { pivotedData: [], pivotedColumns: [] };
     }
 
-    const monthOrder = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-
     const pivoted = data.reduce((acc, { fiscal_year, month, permit_count }) => {
       if (!acc[fiscal_year]) {
         acc[fiscal_year] = { 'fYear': fiscal_year };
@@ -54,14 +95,14 @@ export default function MonthlyUniquePermitsReport({ data, isLoading }) {
     const pivotedData = Object.values(pivoted).sort((a, b) => a['fYear'] - b['fYear']);
 
     const pivotedColumns = [
-      columnHelper.accessor('fYear', { header: 'F.Year', cell: info => info.getValue() }),
+      columnHelper.accessor('fYear', { header: calendarView === 'fiscal' ? 'F.Year' : 'Year', cell: info => formatYear(info.getValue(), calendarView) }),
       ...monthOrder.map(month => 
         columnHelper.accessor(month, { header: month, cell: info => info.getValue().toLocaleString() })
       )
     ];
 
     return { pivotedData, pivotedColumns };
-  }, [data]);
+  }, [data, monthOrder, calendarView]);
 
   // Filter data for the last three years for the trend chart
   const lastThreeYearsData = useMemo(() => {
@@ -72,18 +113,33 @@ export default function MonthlyUniquePermitsReport({ data, isLoading }) {
     return data.filter(d => recentYears.includes(d.fiscal_year));
   }, [data]);
 
+  // Forecast points in the trend chart's shape. The forecast continues the full
+  // history, so it is only drawn when the chart ends at the last observed month.
+  const forecastPoints = useMemo(() => {
+    if (!activeForecast || lastThreeYearsData.length === 0) return null;
+    const lastObserved = forecastResult.history[forecastResult.history.length - 1];
+    const lastShown = lastThreeYearsData.reduce((latest, item) => {
+      if (!latest || item.fiscal_year > latest.fiscal_year) return item;
+      if (item.fiscal_year === latest.fiscal_year && monthOrder.indexOf(item.month) > monthOrder.indexOf(latest.month)) return item;
+      return latest;
+    }, null);
+    if (!lastObserved || lastShown.fiscal_year !== lastObserved.fiscal_year || lastShown.month !== lastObserved.label) {
+      return null;
+    }
+    return activeForecast.forecast.map(point => ({ ...point, month: point.label }));
+  }, [activeForecast, forecastResult, lastThreeYearsData, monthOrder]);
+
   // Extract years for grouped bar chart (chart1_monthly_grouped)
   const years = useMemo(() => {
     if (!data || data.length === 0) return [];
     return [...new Set(data.map(d => d.fiscal_year))].sort((a, b) => a - b);
   }, [data]);
 
-  // Data for each individual month across years (for 2x6 grid)
+  // Data for each individual month across years (for 2x6 grid), numbered in the view's order
   const getSingleMonthData = useCallback((monthNum) => {
-    const monthOrder = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
     const monthAbbr = monthOrder[monthNum - 1];
     return data.filter(d => d.month === monthAbbr);
-  }, [data]);
+  }, [data, monthOrder]);
 
   // Calculate global max permit count for consistent y-axis scaling in grid
   const globalMaxPermitCount = useMemo(() => {
@@ -104,19 +160,71 @@ export default function MonthlyUniquePermitsReport({ data, isLoading }) {
             image: "Monthly-Trend-Report.png"
           }}
         >
+          <div className="flex flex-wrap items-center gap-3 mb-3 text-sm text-gray-700 dark:text-gray-300">
+            <label className="inline-flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={showForecast}
+                onChange={e => setShowForecast(e.target.checked)}
+                className="rounded border-gray-300 dark:border-gray-600"
+              />
+              Show forecast
+            </label>
+            {activeForecast && (
+              <select
+                value={selectedModel}
+                onChange={e => setSelectedModel(e.target.value)}
+                className="text-xs rounded-md border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-700 dark:text-gray-200 px-2 py-1"
+                aria-label="Forecast model"
+              >
+                {forecastResult.models.map(model => (
+                  <option key={model.model} value={model.model}>
+                    {MODEL_LABELS[model.model] || model.model}{model.model === forecastResult.recommended ? ' (recommended)' : ''}
+                  </option>
+                ))}
+              </select>
+            )}
+          </div>
+          {showForecast && (
+            <div className="mb-3 text-xs text-gray-600 dark:text-gray-400" role="note" aria-label="Forecast details">
+              {forecastError && <p className="text-red-700 dark:text-red-400">{forecastError}</p>}
+              {forecastResult && !activeForecast && (
+                <p>Not enough monthly history to forecast. {forecastResult.warnings.join('. ')}</p>
+              )}
+              {activeForecast && (
+                <>
+                  <p>
+                    {activeForecast.totals.map(total => (
+                      `${formatYear(total.fiscal_year, calendarView)}: ${total.total.toLocaleString()} permits expected` +
+                      (total.observed > 0 ? ` (${total.observed.toLocaleString()} so far)` : '')
+                    )).join(' · ')}
+                  </p>
+                  {activeForecast.backtest && (
+                    <p>
+                      Backtest on the last {activeForecast.backtest.holdout} months:
+                      {activeForecast.backtest.mape !== null && ` MAPE ${activeForecast.backtest.mape}%,`}
+                      {` MAE ${activeForecast.backtest.mae.toLocaleString()} permits`}
+                      {activeForecast.backtest.mase !== null && `, MASE ${activeForecast.backtest.mase} (below 1 beats repeating last year)`}
+                    </p>
+                  )}
+                  {!forecastPoints && (
+                    <p>The forecast continues from the latest month; include the most recent year in the filters to see it on the chart.</p>
+                  )}
+                </>
+              )}
+            </div>
+          )}
           <LineChartTableComponent
             key={`monthly-trend-${JSON.stringify(lastThreeYearsData)}`}
             id='chart0_Monthly_Trend'
             data={lastThreeYearsData.sort((a, b) => {
               if (a.fiscal_year === b.fiscal_year) {
-                const monthOrder = {'Jan': 1, 'Feb': 2, 'Mar': 3, 'Apr': 4, 'May': 5, 'Jun': 6, 
-                                  'Jul': 7, 'Aug': 8, 'Sep': 9, 'Oct': 10, 'Nov': 11, 'Dec': 12};
-                return monthOrder[a.month] - monthOrder[b.month];
+                return monthOrder.indexOf(a.month) - monthOrder.indexOf(b.month);
               }
               return a.fiscal_year - b.fiscal_year;
             })}
             tableData={pivotedData}
-            xField={item => `${item.fiscal_year}-${item.month}`}
+            xField={item => `${formatYear(item.fiscal_year, calendarView)}-${item.month}`}
             yField="permit_count"
             chartTitle="Monthly Trend of Unique Permits"
             columns={pivotedColumns}
@@ -130,6 +238,10 @@ export default function MonthlyUniquePermitsReport({ data, isLoading }) {
             lineColor={customPalette[0]}
             markerSize={8}
             lineStyle="solid"
+            forecast={forecastPoints}
+            anomalies={trendAnomalies}
+            getRowAnomalies={getYearAnomalies}
+            forecastLabel={activeForecast ? `Forecast (${MODEL_LABELS[activeForecast.model] || activeForecast.model})` : undefined}
             chartConfig={{
               yaxis: {
                 title: "Unique Permits"
@@ -138,7 +250,7 @@ export default function MonthlyUniquePermitsReport({ data, isLoading }) {
                 title: "",
                 tickangle: -45
               },
-              showlegend: false,
+              showlegend: Boolean(forecastPoints),
               colorway: [customPalette[0]]
             }}
             initialState={{
@@ -163,10 +275,10 @@ export default function MonthlyUniquePermitsReport({ data, isLoading }) {
             id='chart1_monthly_grouped'
             data={pivotedData}
             xField="fYear"
-            yFields={['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec']}
-            yLabels={['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec']}
+            yFields={monthOrder}
+            yLabels={monthOrder}
             title="Permit Volume by Unique Permit Numbers — Monthly Volumes"
-            xAxisLabel="Fiscal Year"
+            xAxisLabel={yearAxisLabel(calendarView)}
             yAxisLabel="Permit Volume"
             colors={customPalette}
             columns={pivotedColumns}
@@ -188,6 +300,7 @@ export default function MonthlyUniquePermitsReport({ data, isLoading }) {
         {Array.from({ length: 12 }, (_, i) => {
           const monthNum = i + 1;
           const monthData = getSingleMonthData(monthNum);
+          const monthName = MONTH_NAMES[monthOrder[i]];
           return (
             <div className="border border-gray-200 dark:border-gray-700 shadow-lg p-2 rounded-lg relative" key={`month-chart-${monthNum}`}>
               <MoreMenu 
@@ -195,8 +308,8 @@ export default function MonthlyUniquePermitsReport({ data, isLoading }) {
                 showChartTypeSwitcher={false}
                 tableVisible={false}
                 exportOptions={{
-                  excel: `Monthly-Breakdown-${monthNames[i]}.xlsx`,
-                  image: `Monthly-Breakdown-${monthNames[i]}.png`
+                  excel: `Monthly-Breakdown-${monthName}.xlsx`,
+                  image: `Monthly-Breakdown-${monthName}.png`
                 }}
               />
               <LineChartComponent
@@ -205,10 +318,11 @@ export default function MonthlyUniquePermitsReport({ data, isLoading }) {
                 data={monthData}
                 xField="fiscal_year"
                 yField="permit_count"
-                title={`${monthNames[i]} Permits`}
+                title={`${monthName} Permits`}
                 height={200}
                 lineColor={customPalette[i % customPalette.length]}
                 markerSize={6}
+                anomalies={trendAnomalies.filter(anomaly => anomaly.month === monthOrder[i])}
                 lineStyle="solid"
                 chartConfig={{
                   yaxis: {
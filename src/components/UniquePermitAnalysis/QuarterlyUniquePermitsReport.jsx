@@ -1,8 +1,10 @@
-import React, { useMemo } from 'react';
+import React, { useMemo, useCallback } from 'react';
 import { createColumnHelper } from '@tanstack/react-table';
 import LineChartTableComponent from '../charts/LineChartTableComponent';
 import LineChartComponent from '../charts/LineChartComponent';
 import DashboardCardComponent from '../common/DashboardCardComponent';
+import { CALENDAR_MONTHS, formatQuarter, formatYear, yearAxisLabel } from '../../utils/fiscalCalendar';
+import { useAnomalies } from '../../hooks/useAnomalies';
 
 const columnHelper = createColumnHelper();
 
@@ -14,7 +16,19 @@ const customPalette = [
     'rgb(75, 192, 192)', 'rgb(0, 114, 178)', 'rgb(86, 180, 233)'
 ];
 
-export default function QuarterlyUniquePermitsReport({ data, isLoading }) {
+// `months` lists the month labels in the order of the selected view, so quarters can be labelled with their months
+export default function QuarterlyUniquePermitsReport({ data, isLoading, months = CALENDAR_MONTHS, calendarView = 'calendar' }) {
+
+    // Anomalous quarters, keyed like the chart data
+    const quarterlyAnomalies = useAnomalies({ series: 'quarterly', calendar: calendarView });
+    const trendAnomalies = useMemo(
+        () => quarterlyAnomalies.map(anomaly => ({ ...anomaly, quarter: anomaly.period })),
+        [quarterlyAnomalies]
+    );
+    const getYearAnomalies = useCallback(
+        row => trendAnomalies.filter(anomaly => anomaly.fiscal_year === row.Year),
+        [trendAnomalies]
+    );
 
     // --- Column Definitions for the table ---
     const singleQuarterTrendColumns = useMemo(() => [
@@ -50,34 +64,34 @@ export default function QuarterlyUniquePermitsReport({ data, isLoading }) {
         // Create columns for the table
         const pivotedColumns = [
             columnHelper.accessor('Year', { 
-                header: 'Year',
-                cell: info => info.getValue(),
+                header: yearAxisLabel(calendarView),
+                cell: info => formatYear(info.getValue(), calendarView),
                 meta: { className: 'text-center' }
             }),
             columnHelper.accessor('Q1 Vol', { 
-                header: 'Q1 Vol',
+                header: `${formatQuarter(months, 1)} Vol`,
                 cell: info => info.getValue().toLocaleString(),
                 meta: { className: 'text-center' }
             }),
             columnHelper.accessor('Q2 Vol', { 
-                header: 'Q2 Vol',
+                header: `${formatQuarter(months, 2)} Vol`,
                 cell: info => info.getValue().toLocaleString(),
                 meta: { className: 'text-center' }
             }),
             columnHelper.accessor('Q3 Vol', { 
-                header: 'Q3 Vol',
+                header: `${formatQuarter(months, 3)} Vol`,
                 cell: info => info.getValue().toLocaleString(),
                 meta: { className: 'text-center' }
             }),
             columnHelper.accessor('Q4 Vol', { 
-                header: 'Q4 Vol',
+                header: `${formatQuarter(months, 4)} Vol`,
                 cell: info => info.getValue().toLocaleString(),
                 meta: { className: 'text-center' }
             })
         ];
 
         return { pivotedData, pivotedColumns };
-    }, [data]);
+    }, [data, months, calendarView]);
 
     return (
         <div id="quarterly-unique-permits-report" className="space-y-8">
@@ -100,7 +114,7 @@ export default function QuarterlyUniquePermitsReport({ data, isLoading }) {
                         return a.fiscal_year - b.fiscal_year;
                     })}
                     tableData={pivotedData}
-                    xField={item => `${item.fiscal_year}-Q${item.quarter}`}
+                    xField={item => `${formatYear(item.fiscal_year, calendarView)}-Q${item.quarter}`}
                     yField="permit_count"
                     chartTitle="Quarterly Trend of Unique Permits"
                     columns={pivotedColumns}
@@ -114,6 +128,8 @@ export default function QuarterlyUniquePermitsReport({ data, isLoading }) {
                     lineColor={customPalette[0]}
                     markerSize={8}
                     lineStyle="solid"
+                    anomalies={trendAnomalies}
+                    getRowAnomalies={getYearAnomalies}
                     chartConfig={{
                         yaxis: {
                             title: "Unique Permits"
@@ -146,7 +162,7 @@ export default function QuarterlyUniquePermitsReport({ data, isLoading }) {
                         <DashboardCardComponent
                             key={`q${quarter}-container`}
                             id={`q${quarter}-report`}
-                            title={`Q${quarter} Permit Volume`}
+                            title={`${formatQuarter(months, quarter)} Permit Volume`}
                             isLoading={isLoading}
                             exportOptions={{
                                 excel: `Q${quarter}-Permit-Volume.xlsx`,
@@ -158,10 +174,11 @@ export default function QuarterlyUniquePermitsReport({ data, isLoading }) {
                                 data={quarterData.sort((a, b) => a.fiscal_year - b.fiscal_year)}
                                 xField="fiscal_year"
                                 yField="permit_count"
-                                title={`Q${quarter} Permit Volume`}
-                                xAxisLabel="Fiscal Year"
+                                title={`${formatQuarter(months, quarter)} Permit Volume`}
+                                xAxisLabel={yearAxisLabel(calendarView)}
                                 yAxisLabel="Permit Count"
                                 lineColor={customPalette[quarter - 1]}
+                                anomalies={trendAnomalies.filter(anomaly => anomaly.quarter === quarter)}
                                 markerSize={6}
                                 lineStyle="solid"
                                 height={300}
@@ -0,0 +1,38 @@
+// src/components/charts/AnomalyBadges.jsx
+
+import React from 'react';
+import { SEVERITY_BADGE_CLASSES, describeAnomaly } from '../../utils/anomalies';
+
+/**
+ * Badges tagging a table row with its anomalies, colored by severity.
+ *
+ * @param {object} props - The component props
+ * @param {Array<object>} props.anomalies - The row's anomalies
+ * @param {boolean} [props.showLabels=false] - Name each anomaly by its `label` (e.g. the month) rather
+ *   than its direction, for rows that cover several periods
+ * @returns {React.Component|null} The badges, or nothing when the row has no anomalies
+ */
+const AnomalyBadges = ({ anomalies, showLabels = false }) => {
+  if (!anomalies || anomalies.length === 0) return null;
+
+  return (
+    <span className="ml-1 inline-flex flex-wrap gap-0.5 align-middle">
+      {anomalies.map(anomaly => {
+        const arrow = anomaly.direction === 'spike' ? '▲' : '▼';
+        const name = showLabels ? anomaly.label : (anomaly.direction === 'spike' ? 'Spike' : 'Drop');
+        return (
+          <span
+            key={`${anomaly.fiscal_year}-${anomaly.period}-${anomaly.department || ''}`}
+            className={`px-1 rounded text-xs font-medium whitespace-nowrap ${SEVERITY_BADGE_CLASSES[anomaly.severity]}`}
+            title={describeAnomaly(anomaly)}
+            aria-label={`Anomaly: ${describeAnomaly(anomaly)}`}
+          >
+            {arrow} {name}
+          </span>
+        );
+      })}
+    </span>
+  );
+};
+
+export default AnomalyBadges;
@@ -4,6 +4,7 @@ import React, { useRef, useEffect, useMemo, useState, forwardRef, useImperativeH
 import Plotly from 'plotly.js-dist-min';
 import { useIsDark } from '../../contexts/ThemeContext';
 import { getPalette, getPlotlyLayout } from '../../utils/chartTheme';
+import { buildAnomalyTrace } from '../../utils/anomalies';
 
 /**
  * A standalone bar chart component that displays data visually without a table.
@@ -21,6 +22,8 @@ import { getPalette, getPlotlyLayout } from '../../utils/chartTheme';
  * @param {Function} [props.labelFormat] - Custom formatting of bar labels
  * @param {number} [props.height=400] - Chart height
  * @param {boolean} [props.showTrendLine=true] - Display a simple trend line if numerical data
+ * @param {Array<object>} [props.anomalies] - Bars flagged by `GET /api/anomalies`, with the xField of the data;
+ *   ringed at their value in their severity color (see utils/anomalies.js)
  * @param {object} [props.otherPlotlyProps] - Any additional Plotly-specific props
  * @returns {React.Component} The BarChartComponent
  */
@@ -37,6 +40,7 @@ const BarChartComponent = forwardRef(({
   labelFormat = (value) => value.toLocaleString(),
   height = 400,
   showTrendLine = true,
+  anomalies,
   ...otherPlotlyProps
 }, ref) => {
   const chartRef = useRef(null);
@@ -158,8 +162,13 @@ const BarChartComponent = forwardRef(({
       }
     }
     
+    const anomalyTrace = buildAnomalyTrace(anomalies, xField, xValues);
+    if (anomalyTrace) {
+      result.push(anomalyTrace);
+    }
+
     return result;
-  }, [data, xField, yField, color, showLabels, labelFormat, showTrendLine, yAxisLabel, highlightedIndex, isDark]);
+  }, [data, xField, yField, color, showLabels, labelFormat, showTrendLine, yAxisLabel, highlightedIndex, isDark, anomalies]);
 
   // Generate the chart layout
   const layout = useMemo(() => {
@@ -229,8 +238,8 @@ const BarChartComponent = forwardRef(({
           if (chartRef.current && typeof chartRef.current.on === 'function') {
             chartRef.current.on('plotly_hover', (eventData) => {
               if (typeof otherPlotlyProps.onHover === 'function' && eventData.points && eventData.points.length > 0) {
-                // Get the index of the hovered point
-                const pointIndex = eventData.points[0].pointIndex;
+                // Get the index of the hovered bar; other traces (trend, anomalies) are indexed differently
+                const pointIndex = (eventData.points.find(point => point.curveNumber === 0) || eventData.points[0]).pointIndex;
                 otherPlotlyProps.onHover(pointIndex);
               }
             });
@@ -277,8 +286,8 @@ const BarChartComponent = forwardRef(({
       if (typeof chartRef.current.on === 'function') {
         chartRef.current.on('plotly_hover', (eventData) => {
           if (eventData.points && eventData.points.length > 0) {
-            // Get the index of the hovered point
-            const pointIndex = eventData.points[0].pointIndex;
+            // Get the index of the hovered bar; other traces (trend, anomalies) are indexed differently
+            const pointIndex = (eventData.points.find(point => point.curveNumber === 0) || eventData.points[0]).pointIndex;
             otherPlotlyProps.onHover(pointIndex);
           }
         });
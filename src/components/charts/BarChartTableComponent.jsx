@@ -6,6 +6,8 @@ import * as XLSX from 'xlsx';
 import Plotly from 'plotly.js-dist-min';
 
 import BarChartComponent from './BarChartComponent';
+import AnomalyBadges from './AnomalyBadges';
+import { SEVERITY_COLORS, highestSeverity, rowAnomalyMatcher } from '../../utils/anomalies';
 import { useIsDark } from '../../contexts/ThemeContext';
 
 /**
@@ -31,6 +33,10 @@ import { useIsDark } from '../../contexts/ThemeContext';
  * @param {number} [props.height=380] - Chart height
  * @param {boolean} [props.showTrendLine=true] - Display a simple trend line if numerical data
  * @param {Array<object>} [props.defaultSorting=[]] - Default sorting configuration for the table
+ * @param {Array<object>} [props.anomalies] - Points flagged by `GET /api/anomalies`, with the fields xField
+ *   reads; marked on the chart and tagged in the table rows at the same x value
+ * @param {function} [props.getRowAnomalies] - row => anomalies, for tables whose rows are shaped differently from
+ *   the chart data (e.g. one row per year); the badges then name each anomaly by its label
  * @returns {React.Component} The BarChartTableComponent
  */
 const BarChartTableComponent = forwardRef(({
@@ -45,6 +51,8 @@ const BarChartTableComponent = forwardRef(({
   enableSelection = false,
   defaultRowsPerPage = 10,
   showTable = true,
+  anomalies,
+  getRowAnomalies,
   xAxisLabel,
   yAxisLabel,
   color = 'rgb(189, 135, 143)',
@@ -114,6 +122,12 @@ const BarChartTableComponent = forwardRef(({
     return [...selectionColumn, ...columns];
   }, [columns, enableSelection]);
 
+  // Anomalies of each table row
+  const anomaliesOfRow = useMemo(
+    () => rowAnomalyMatcher(anomalies, xField, getRowAnomalies),
+    [anomalies, xField, getRowAnomalies]
+  );
+
   const table = useReactTable({
     data,
     columns: tableColumns,
@@ -366,6 +380,9 @@ const BarChartTableComponent = forwardRef(({
               {table.getRowModel().rows.map((row, i) => {
                 const isHighlighted = highlightedIndex === i;
                 const isSelected = selectedIndices.has(i);
+                const rowAnomalies = anomaliesOfRow(row.original);
+                const anomalySeverity = highestSeverity(rowAnomalies);
+                const firstDataCell = row.getVisibleCells().find(cell => cell.column.id !== 'selection');
                 
                 return (
                   <tr
@@ -379,7 +396,10 @@ const BarChartTableComponent = forwardRef(({
                       ${enableSelection ? 'cursor-pointer' : ''}
                       ${!isHighlighted && !isSelected ? (isDark ? 'dark:hover:bg-gray-700' : 'hover:bg-gray-100') : ''}
                     `}
-                    style={{ height: '36px' }}
+                    style={{
+                      height: '36px',
+                      boxShadow: anomalySeverity ? `inset 3px 0 0 ${SEVERITY_COLORS[anomalySeverity]}` : undefined
+                    }}
                     onMouseEnter={() => handleRowHover(i)}
                     onMouseLeave={handleLeave}
                     onClick={enableSelection ? (e) => handleRowSelect(i, e) : undefined}
@@ -391,6 +411,9 @@ const BarChartTableComponent = forwardRef(({
                       >
                         <div className="truncate">
                           {flexRender(cell.column.columnDef.cell, cell.getContext())}
+                          {cell.id === firstDataCell?.id && (
+                            <AnomalyBadges anomalies={rowAnomalies} showLabels={Boolean(getRowAnomalies)} />
+                          )}
                         </div>
                       </td>
                     ))}
@@ -579,6 +602,7 @@ const BarChartTableComponent = forwardRef(({
           labelFormat={labelFormat}
           height={height}
           showTrendLine={showTrendLine}
+          anomalies={anomalies}
           highlightedIndex={highlightedIndex}
           onHover={handleChartHover}
           onLeave={handleLeave}
@@ -4,6 +4,16 @@ import React, { useRef, useEffect, useMemo, forwardRef, useImperativeHandle } fr
 import Plotly from 'plotly.js-dist-min';
 import { useIsDark } from '../../contexts/ThemeContext';
 import { getPalette, getPlotlyLayout } from '../../utils/chartTheme';
+import { buildAnomalyTrace } from '../../utils/anomalies';
+
+// Translucent version of an rgb() or #rrggbb color, for confidence bands
+const withOpacity = (color, opacity) => {
+  if (color.startsWith('#') && color.length === 7) {
+    const [r, g, b] = [1, 3, 5].map(i => parseInt(color.slice(i, i + 2), 16));
+    return `rgba(${r}, ${g}, ${b}, ${opacity})`;
+  }
+  return color.replace('rgb(', 'rgba(').replace(')', `, ${opacity})`);
+};
 
 /**
  * A standalone line chart component that displays time series or continuous data visually without a table.
@@ -22,6 +32,12 @@ import { getPalette, getPlotlyLayout } from '../../utils/chartTheme';
  * @param {boolean} [props.showArea=false] - Toggle area fill below the line
  * @param {boolean|number} [props.smoothing] - Apply line smoothing
  * @param {number} [props.height=400] - Chart height
+ * @param {Array<object>} [props.forecast] - Forecast points drawn after the data as a dashed line with
+ *   80% and 95% bands. Each point has the fields xField reads plus `value`, `lower80`, `upper80`,
+ *   `lower95` and `upper95` (see `GET /api/forecast`)
+ * @param {string} [props.forecastLabel='Forecast'] - Legend name of the forecast line
+ * @param {Array<object>} [props.anomalies] - Points flagged by `GET /api/anomalies`, with the fields xField
+ *   reads; ringed on the chart in their severity color (see utils/anomalies.js)
  * @returns {React.Component} The LineChartComponent
  */
 const LineChartComponent = forwardRef(({
@@ -38,6 +54,9 @@ const LineChartComponent = forwardRef(({
   showArea = false,
   smoothing,
   height = 400,
+  forecast,
+  forecastLabel = 'Forecast',
+  anomalies,
   ...otherPlotlyProps
 }, ref) => {
   const chartRef = useRef(null);
@@ -102,8 +121,55 @@ const LineChartComponent = forwardRef(({
       lineTrace.fillcolor = `${defaultColor.replace('rgb', 'rgba').replace(')', ', 0.2)')}`;
     }
     
-    return [lineTrace];
-  }, [data, xField, yField, lineColor, lineStyle, markerSize, showArea, smoothing, yAxisLabel, isDark]);
+    const anomalyTrace = buildAnomalyTrace(anomalies, xField, xValues, markerSize);
+    const withAnomalies = traces => (anomalyTrace ? [...traces, anomalyTrace] : traces);
+
+    if (!forecast || forecast.length === 0) return withAnomalies([lineTrace]);
+
+    // Forecast traces start at the last observation so the band and line join the data
+    const lastX = xValues[xValues.length - 1];
+    const lastY = yValues[yValues.length - 1];
+    const forecastX = [lastX, ...forecast.map(point => (typeof xField === 'function' ? xField(point) : point[xField]))];
+    const forecastSeries = field => [lastY, ...forecast.map(point => point[field])];
+
+    // Each band is a lower bound line with the upper bound filled down to it
+    const band = (level, opacity) => [
+      {
+        x: forecastX,
+        y: forecastSeries(`lower${level}`),
+        type: 'scatter',
+        mode: 'lines',
+        line: { width: 0, color: defaultColor },
+        showlegend: false,
+        name: `${level}% lower`,
+        hoverinfo: 'x+y',
+      },
+      {
+        x: forecastX,
+        y: forecastSeries(`upper${level}`),
+        type: 'scatter',
+        mode: 'lines',
+        fill: 'tonexty',
+        fillcolor: withOpacity(defaultColor, opacity),
+        line: { width: 0, color: defaultColor },
+        name: `${level}% interval`,
+        hoverinfo: 'x+y',
+      },
+    ];
+
+    const forecastTrace = {
+      x: forecastX,
+      y: forecastSeries('value'),
+      type: 'scatter',
+      mode: 'lines+markers',
+      name: forecastLabel,
+      line: { color: defaultColor, dash: 'dash', width: 2 },
+      marker: { size: Math.max(markerSize - 2, 3), color: defaultColor },
+      hoverinfo: 'x+y',
+    };
+
+    return withAnomalies([lineTrace, ...band(95, 0.12), ...band(80, 0.25), forecastTrace]);
+  }, [data, xField, yField, lineColor, lineStyle, markerSize, showArea, smoothing, yAxisLabel, isDark, forecast, forecastLabel, anomalies]);
 
   // Generate the chart layout
   const layout = useMemo(() => {
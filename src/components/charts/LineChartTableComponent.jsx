@@ -7,6 +7,8 @@ import * as XLSX from 'xlsx';
 import Plotly from 'plotly.js-dist-min';
 
 import LineChartComponent from './LineChartComponent';
+import AnomalyBadges from './AnomalyBadges';
+import { SEVERITY_COLORS, highestSeverity, rowAnomalyMatcher } from '../../utils/anomalies';
 import { useIsDark } from '../../contexts/ThemeContext';
 
 /**
@@ -25,6 +27,12 @@ import { useIsDark } from '../../contexts/ThemeContext';
  * @param {boolean} [props.enableSelection=false] - Enable row selection in the table
  * @param {number} [props.defaultRowsPerPage=10] - Default rows per page for table pagination
  * @param {boolean} [props.showTable=true] - Toggle table visibility
+ * @param {Array<object>} [props.forecast] - Forecast points with intervals, drawn on the chart only
+ *   (see LineChartComponent)
+ * @param {Array<object>} [props.anomalies] - Points flagged by `GET /api/anomalies`, with the fields xField
+ *   reads; marked on the chart and tagged in the table rows at the same x value
+ * @param {function} [props.getRowAnomalies] - row => anomalies, for tables whose rows are shaped differently from
+ *   the chart data (e.g. one row per year); the badges then name each anomaly by its label
  * @returns {React.Component} The LineChartTableComponent
  */
 const LineChartTableComponent = forwardRef(({
@@ -40,6 +48,8 @@ const LineChartTableComponent = forwardRef(({
   enableSelection = false,
   defaultRowsPerPage = 10,
   showTable = true,
+  anomalies,
+  getRowAnomalies,
   ...otherProps
 }, ref) => {
   // Refs
@@ -104,6 +114,12 @@ const LineChartTableComponent = forwardRef(({
     return [...selectionColumn, ...columns];
   }, [columns, enableSelection]);
 
+  // Anomalies of each table row
+  const anomaliesOfRow = useMemo(
+    () => rowAnomalyMatcher(anomalies, xField, getRowAnomalies),
+    [anomalies, xField, getRowAnomalies]
+  );
+
   const table = useReactTable({
     data: tableDataToUse,
     columns: tableColumns,
@@ -275,6 +291,9 @@ const LineChartTableComponent = forwardRef(({
               {table.getRowModel().rows.map((row, i) => {
                 const isHighlighted = highlightedIndex === i;
                 const isSelected = enableSelection && selectedIndices.has(i);
+                const rowAnomalies = anomaliesOfRow(row.original);
+                const anomalySeverity = highestSeverity(rowAnomalies);
+                const firstDataCell = row.getVisibleCells().find(cell => cell.column.id !== 'selection');
                 
                 return (
                   <tr 
@@ -288,7 +307,10 @@ const LineChartTableComponent = forwardRef(({
                       ${enableSelection ? 'cursor-pointer' : ''}
                       ${!isHighlighted && !isSelected ? (isDark ? 'dark:hover:bg-gray-700' : 'hover:bg-gray-100') : ''}
                     `}
-                    style={{ height: '36px' }}
+                    style={{
+                      height: '36px',
+                      boxShadow: anomalySeverity ? `inset 3px 0 0 ${SEVERITY_COLORS[anomalySeverity]}` : undefined
+                    }}
                     onMouseEnter={() => handleRowHover(i)}
                     onMouseLeave={handleLeave}
                     onClick={enableSelection ? (e) => handleRowSelect(i, e) : undefined}
@@ -299,6 +321,9 @@ const LineChartTableComponent = forwardRef(({
                         className="px-2 py-1 text-xs text-gray-800 dark:text-gray-200 text-center"
                       >
                         {flexRender(cell.column.columnDef.cell, cell.getContext())}
+                        {cell.id === firstDataCell?.id && (
+                          <AnomalyBadges anomalies={rowAnomalies} showLabels={Boolean(getRowAnomalies)} />
+                        )}
                       </td>
                     ))}
                   </tr>
@@ -387,6 +412,7 @@ const LineChartTableComponent = forwardRef(({
           highlightedIndex={highlightedIndex}
           onHover={handleChartHover}
           onLeave={handleLeave}
+          anomalies={anomalies}
           {...otherProps.chartConfig || {}}
           {...otherProps}
         />
@@ -3,6 +3,7 @@
 import React, { useState } from 'react';
 import * as XLSX from 'xlsx';
 import MoreMenu from '../ChartTableComponent/MoreMenu';
+import { auditAPI } from '../../services/api';
 
 /**
  * A container component that provides consistent styling and functionality for dashboard cards.
@@ -37,13 +38,16 @@ export default function DashboardCardComponent({
   const handleExportExcel = () => {
     if (typeof exportOptions.excel === 'function') {
       exportOptions.excel();
+      auditAPI.recordExport({ source: 'DashboardCardComponent', title });
     } else if (exportOptions.excel && typeof children.props.data === 'object') {
       const data = children.props.data;
       if (Array.isArray(data) && data.length > 0) {
         const worksheet = XLSX.utils.json_to_sheet(data);
         const workbook = XLSX.utils.book_new();
         XLSX.utils.book_append_sheet(workbook, worksheet, 'Data');
-        XLSX.writeFile(workbook, `${exportOptions.excel || title || 'data'}.xlsx`);
+        const fileName = `${exportOptions.excel || title || 'data'}.xlsx`;
+        XLSX.writeFile(workbook, fileName);
+        auditAPI.recordExport({ source: 'DashboardCardComponent', title, fileName, rowCount: data.length });
       }
     }
   };
@@ -0,0 +1,43 @@
+import React, { useEffect, useState } from 'react';
+import { FiDatabase } from 'react-icons/fi';
+import { getUsingBundledData, isStaticDataSource, subscribeBundledData } from '../../services/api';
+
+/**
+ * @file DataSourceNotice.jsx
+ * @description Banner shown while the dashboards read the sample data bundled in
+ * public/data instead of the API, either because the build has no API
+ * (VITE_DATA_SOURCE=static) or because the API cannot be reached. It stays until
+ * every request that fell back has been answered by the API again, and cannot be
+ * dismissed, so the sample figures are never mistaken for live ones.
+ */
+
+/**
+ * Renders the demo / offline data banner while bundled data is in use.
+ * @returns {React.Component|null} The banner, or nothing.
+ */
+export default function DataSourceNotice() {
+  const [isUsingBundledData, setIsUsingBundledData] = useState(getUsingBundledData);
+
+  useEffect(() => {
+    // Catch a change made between the first render and subscribing
+    setIsUsingBundledData(getUsingBundledData());
+    return subscribeBundledData(setIsUsingBundledData);
+  }, []);
+
+  if (!isUsingBundledData) return null;
+
+  return (
+    <div role="status" className="max-w-screen-2xl mx-auto w-full px-2 sm:px-4 lg:px-6 pt-4">
+      <div className="flex items-center rounded-md border border-orange-300 bg-orange-50 dark:bg-orange-900/30 p-3 text-sm text-orange-800 dark:text-orange-200">
+        <FiDatabase aria-hidden="true" className="mr-3 flex-shrink-0" />
+        <span>
+          <strong className="font-semibold">Demo / offline data.</strong>{' '}
+          {isStaticDataSource
+            ? 'This dashboard shows the sample data bundled with it, not live figures.'
+            : 'The server cannot be reached, so the figures shown are the sample data bundled with the dashboard and may be out of date.'}
+          {' '}Forecasts, anomalies and processing metrics are unavailable.
+        </span>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,51 @@
+import React, { useEffect, useState } from 'react';
+import { FiX } from 'react-icons/fi';
+import { setRateLimitHandler } from '../../services/api';
+
+/**
+ * @file RateLimitNotice.jsx
+ * @description Banner shown when the API answers 429 Too Many Requests.
+ * It disappears once the rate limit window has passed or when dismissed.
+ */
+
+const DEFAULT_NOTICE_SECONDS = 30;
+
+/**
+ * Renders the rate limit banner while a limit is in effect.
+ * @returns {React.Component|null} The banner, or nothing.
+ */
+export default function RateLimitNotice() {
+  const [notice, setNotice] = useState(null);
+
+  useEffect(() => {
+    setRateLimitHandler((message, retryAfter) => {
+      setNotice({ message, until: Date.now() + (retryAfter ?? DEFAULT_NOTICE_SECONDS) * 1000 });
+    });
+    return () => setRateLimitHandler(null);
+  }, []);
+
+  // Hide the banner when the limit resets
+  useEffect(() => {
+    if (!notice) return undefined;
+    const timer = setTimeout(() => setNotice(null), Math.max(0, notice.until - Date.now()));
+    return () => clearTimeout(timer);
+  }, [notice]);
+
+  if (!notice) return null;
+
+  return (
+    <div role="status" className="max-w-screen-2xl mx-auto w-full px-2 sm:px-4 lg:px-6 pt-4">
+      <div className="flex items-center justify-between rounded-md border border-yellow-300 bg-yellow-50 dark:bg-yellow-900/30 p-3 text-sm text-yellow-800 dark:text-yellow-200">
+        <span>{notice.message}</span>
+        <button
+          type="button"
+          onClick={() => setNotice(null)}
+          className="ml-4 p-1 rounded hover:bg-yellow-100 dark:hover:bg-yellow-800/50"
+          aria-label="Dismiss"
+        >
+          <FiX aria-hidden="true" />
+        </button>
+      </div>
+    </div>
+  );
+}
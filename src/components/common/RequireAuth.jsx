@@ -0,0 +1,39 @@
+// src/components/common/RequireAuth.jsx
+
+import React from 'react';
+import { Navigate, useLocation } from 'react-router-dom';
+import { useAuth } from '../../contexts/AuthContext';
+import LayoutSkeleton from './LayoutSkeleton';
+
+/**
+ * Route guard that only renders its children for a logged-in user.
+ * Anonymous visitors are redirected to the login page, which sends them back afterwards;
+ * users lacking the optional permission see an access-denied message instead.
+ *
+ * @param {object} props - The component props
+ * @param {React.ReactNode} props.children - The protected content
+ * @param {string} [props.permission] - Permission required to see the content
+ * @returns {React.Component} The children, a loading skeleton, a message or a redirect
+ */
+export default function RequireAuth({ children, permission }) {
+  const { isAuthenticated, isLoadingUser, hasPermission } = useAuth();
+  const location = useLocation();
+
+  if (isLoadingUser) {
+    return <LayoutSkeleton />;
+  }
+
+  if (!isAuthenticated) {
+    return <Navigate to="/login" replace state={{ from: location }} />;
+  }
+
+  if (permission && !hasPermission(permission)) {
+    return (
+      <div role="alert" className="flex justify-center items-center h-64 text-gray-600 dark:text-gray-400">
+        You do not have permission to view this page.
+      </div>
+    );
+  }
+
+  return children;
+}
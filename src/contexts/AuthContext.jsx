@@ -0,0 +1,115 @@
+import React, { createContext, useContext, useState, useEffect, useCallback, useMemo } from "react";
+import { useNavigate, useLocation } from "react-router-dom";
+import { authAPI, authTokens, setUnauthorizedHandler, isStaticDataSource } from "../services/api";
+import { startPreferenceSync, stopPreferenceSync } from "../services/preferences";
+
+// Permission names granted by the server's role model (see server/config/roles.js)
+export const PERMISSIONS = {
+  DASHBOARDS_READ: "dashboards:read",
+  DATA_EXPORT: "data:export",
+  VIEWS_SAVE: "views:save",
+  DATA_IMPORT: "data:import",
+  USERS_MANAGE: "users:manage",
+  AUDIT_READ: "audit:read",
+};
+
+// Read-only session for browsing the bundled demo data when there is no API to log in to
+const DEMO_USER = {
+  id: null,
+  username: "demo",
+  email: null,
+  role: "viewer",
+  permissions: [PERMISSIONS.DASHBOARDS_READ],
+};
+
+// Create context
+const AuthContext = createContext();
+
+// Custom hook to use the auth context
+export const useAuth = () => {
+  const context = useContext(AuthContext);
+  if (!context) {
+    throw new Error("useAuth must be used within an AuthProvider");
+  }
+  return context;
+};
+
+export const AuthProvider = ({ children }) => {
+  const navigate = useNavigate();
+  const location = useLocation();
+  // Static deployments have no API to log in to, so they start in the demo session
+  const [user, setUser] = useState(() => (isStaticDataSource ? DEMO_USER : null));
+  const [isLoadingUser, setIsLoadingUser] = useState(() => !isStaticDataSource && !!authTokens.getAccessToken());
+
+  // Restore the session from a stored token on first load
+  useEffect(() => {
+    if (isStaticDataSource || !authTokens.getAccessToken()) {
+      return;
+    }
+
+    authAPI.me()
+      .then(setUser)
+      .catch(e => {
+        console.warn("Stored session is no longer valid:", e);
+        setUser(null);
+      })
+      .finally(() => setIsLoadingUser(false));
+  }, []);
+
+  // Sync preferences (theme, persisted UI state) with the server while logged in
+  const userId = user?.id;
+  useEffect(() => {
+    if (!userId) {
+      return undefined;
+    }
+    startPreferenceSync();
+    return () => stopPreferenceSync();
+  }, [userId]);
+
+  // Send the user to the login page whenever the API rejects the session
+  useEffect(() => {
+    setUnauthorizedHandler(() => {
+      setUser(null);
+      if (location.pathname !== "/login") {
+        navigate("/login", { replace: true, state: { from: location } });
+      }
+    });
+    return () => setUnauthorizedHandler(null);
+  }, [navigate, location]);
+
+  const login = useCallback(async (username, password) => {
+    const loggedInUser = await authAPI.login(username, password);
+    setUser(loggedInUser);
+    return loggedInUser;
+  }, []);
+
+  const startDemoSession = useCallback(() => {
+    setUser(DEMO_USER);
+  }, []);
+
+  const logout = useCallback(async () => {
+    await authAPI.logout();
+    setUser(null);
+    navigate("/login", { replace: true });
+  }, [navigate]);
+
+  // Permissions come from the server with the user, so the UI mirrors what the API enforces
+  const hasPermission = useCallback(
+    (permission) => !!user?.permissions?.includes(permission),
+    [user]
+  );
+
+  // Context value
+  const value = useMemo(() => ({
+    user,
+    isAuthenticated: !!user,
+    isLoadingUser,
+    isDemoSession: user === DEMO_USER,
+    hasPermission,
+    login,
+    startDemoSession,
+    logout,
+  }), [user, isLoadingUser, hasPermission, login, startDemoSession, logout]);
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+};
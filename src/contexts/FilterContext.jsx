@@ -1,6 +1,9 @@
-import React, { createContext, useContext, useState, useEffect, useMemo } from "react";
+import React, { createContext, useContext, useState, useEffect, useMemo, useCallback } from "react";
 import { useLocation } from "react-router-dom";
-import { departmentAPI, permitAPI } from "../services/api";
+import { dashboardAPI, departmentAPI, permitAPI } from "../services/api";
+import { usePersistedState } from "../hooks/usePersistedState";
+import { useAuth } from "./AuthContext";
+import { CALENDAR_MONTHS, monthsForView } from "../utils/fiscalCalendar";
 
 // Create context
 const FilterContext = createContext();
@@ -16,7 +19,12 @@ export const useFilter = () => {
 
 export const FilterProvider = ({ children }) => {
   const location = useLocation();
+  const { isAuthenticated } = useAuth();
   const [isFilterVisible, setIsFilterVisible] = useState(false);
+
+  // Department registry; drives the department activity navigation and reports
+  const [departments, setDepartments] = useState([]);
+  const [isLoadingDepartments, setIsLoadingDepartments] = useState(false);
   
   // DeptActivity filters
   const [selectedYears, setSelectedYears] = useState([]);
@@ -33,9 +41,13 @@ export const FilterProvider = ({ children }) => {
   const [quarterlyData, setQuarterlyData] = useState([]);
   const [monthlyData, setMonthlyData] = useState([]);
   const [isLoadingPermitData, setIsLoadingPermitData] = useState(false);
+
+  // Fiscal or calendar periods for the unique permit reports; the fiscal calendar comes from the server
+  const [calendarView, setCalendarView] = usePersistedState("permitCalendarView", "fiscal");
+  const [fiscalCalendar, setFiscalCalendar] = useState(null);
   
   const allQuarters = useMemo(() => [1, 2, 3, 4], []);
-  const allMonths = useMemo(() => ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"], []);
+  const allMonths = useMemo(() => monthsForView(calendarView, fiscalCalendar), [calendarView, fiscalCalendar]);
   
   // Reset selected filters when route changes
   useEffect(() => {
@@ -49,6 +61,19 @@ export const FilterProvider = ({ children }) => {
     }
   }, [location.pathname]);
 
+  // Fetch the department registry once logged in
+  useEffect(() => {
+    if (!isAuthenticated) {
+      setDepartments([]);
+      return;
+    }
+    setIsLoadingDepartments(true);
+    departmentAPI.getDepartments()
+      .then(setDepartments)
+      .catch(e => console.error("Failed to fetch departments:", e))
+      .finally(() => setIsLoadingDepartments(false));
+  }, [isAuthenticated]);
+
   // Fetch department activity data from PostgreSQL
   useEffect(() => {
     const fetchDeptActivityData = async () => {
@@ -82,17 +107,28 @@ export const FilterProvider = ({ children }) => {
     fetchDeptActivityData();
   }, [location.pathname]);
   
+  // Fetch the fiscal calendar once the unique permits reports are opened
+  useEffect(() => {
+    if (!location.pathname.includes("/uniquepermits") || fiscalCalendar) {
+      return;
+    }
+    dashboardAPI.getCalendar()
+      .then(setFiscalCalendar)
+      .catch(e => console.error("Failed to fetch fiscal calendar:", e));
+  }, [location.pathname, fiscalCalendar]);
+
   // Fetch unique permits data from PostgreSQL
   useEffect(() => {
     const fetchUniquePermitsData = async () => {
       if (location.pathname.includes("/uniquepermits")) {
         setIsLoadingPermitData(true);
         try {
-          // Fetch from PostgreSQL API
+          // Fetch from PostgreSQL API, in the selected calendar view
+          const options = { calendar: calendarView };
           const [yearlyDataResult, quarterlyDataResult, monthlyDataResult] = await Promise.all([
-            permitAPI.getYearlyPermits(),
-            permitAPI.getQuarterlyPermits(),
-            permitAPI.getMonthlyPermits()
+            permitAPI.getYearlyPermits(options),
+            permitAPI.getQuarterlyPermits(options),
+            permitAPI.getMonthlyPermits(options)
           ]);
           
           // Keep the original field names from the database
@@ -122,7 +158,7 @@ export const FilterProvider = ({ children }) => {
           // Select all years, quarters, and months by default
           setSelectedPermitYears(sortedYears);
           setSelectedQuarters([1, 2, 3, 4]);
-          setSelectedMonths(["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"]);
+          setSelectedMonths(CALENDAR_MONTHS);
           
         } catch (e) {
           console.error("Failed to fetch unique permits data:", e);
@@ -133,7 +169,7 @@ export const FilterProvider = ({ children }) => {
     };
     
     fetchUniquePermitsData();
-  }, [location.pathname]);
+  }, [location.pathname, calendarView]);
 
   // Handle year selection for DeptActivity
   const handleYearChange = (value, isChecked) => {
@@ -153,8 +189,13 @@ export const FilterProvider = ({ children }) => {
     setSelectedMonths(prev => isChecked ? [...prev, value] : prev.filter(v => v !== value));
   };
 
-  // Filter department data based on selected years and department
-  const getFilteredDeptData = (department) => {
+  // Switching views refetches the permit data, which reselects every year, quarter and month
+  const handleCalendarViewChange = (view) => {
+    setCalendarView(view);
+  };
+
+  // Filter department data based on selected years and department code
+  const getFilteredDeptData = useCallback((department) => {
     if (!Array.isArray(deptActivityData) || deptActivityData.length === 0) {
       return [];
     }
@@ -170,10 +211,10 @@ export const FilterProvider = ({ children }) => {
     }
     
     return currentData;
-  };
+  }, [deptActivityData, selectedYears]);
 
-  // Filter department weekday data based on selected years and department
-  const getFilteredDeptWeekdayData = (department) => {
+  // Filter department weekday data based on selected years and department code
+  const getFilteredDeptWeekdayData = useCallback((department) => {
     if (!Array.isArray(deptWeekdayData) || deptWeekdayData.length === 0) {
       return [];
     }
@@ -189,7 +230,7 @@ export const FilterProvider = ({ children }) => {
     }
 
     return currentData;
-  };
+  }, [deptWeekdayData, selectedYears]);
 
   // Filter unique permits data based on selected filters
   const getFilteredPermitData = (data, analysisType) => {
@@ -216,32 +257,6 @@ export const FilterProvider = ({ children }) => {
     return currentData;
   };
 
-  // Memoize filtered data for each department
-  const filteredPSCData = useMemo(() => {
-    return getFilteredDeptData("PSC");
-  }, [deptActivityData, selectedYears]);
-  
-  const filteredLUData = useMemo(() => {
-    return getFilteredDeptData("LU");
-  }, [deptActivityData, selectedYears]);
-  
-  const filteredPLNCheckData = useMemo(() => {
-    return getFilteredDeptData("PLN Check");
-  }, [deptActivityData, selectedYears]);
-
-  // Memoize filtered weekday data for each department
-  const filteredPSCWeekdayData = useMemo(() => {
-    return getFilteredDeptWeekdayData("PSC");
-  }, [deptWeekdayData, selectedYears]);
-
-  const filteredLUWeekdayData = useMemo(() => {
-    return getFilteredDeptWeekdayData("LU");
-  }, [deptWeekdayData, selectedYears]);
-
-  const filteredPLNCheckWeekdayData = useMemo(() => {
-    return getFilteredDeptWeekdayData("PLN Check");
-  }, [deptWeekdayData, selectedYears]);
-  
   // Memoize filtered data for unique permits
   const filteredYearlyData = useMemo(() => {
     return getFilteredPermitData(yearlyData, "annual");
@@ -261,17 +276,17 @@ export const FilterProvider = ({ children }) => {
     isFilterVisible,
     setIsFilterVisible,
     
+    // Department registry
+    departments,
+    isLoadingDepartments,
+
     // DeptActivity filters
     allYears,
     selectedYears,
     handleYearChange,
     isLoadingDeptData,
-    filteredPSCData,
-    filteredLUData,
-    filteredPLNCheckData,
-    filteredPSCWeekdayData,
-    filteredLUWeekdayData,
-    filteredPLNCheckWeekdayData,
+    getFilteredDeptData,
+    getFilteredDeptWeekdayData,
     
     // UniquePermits filters
     selectedPermitYears,
@@ -279,6 +294,9 @@ export const FilterProvider = ({ children }) => {
     selectedMonths,
     allQuarters,
     allMonths,
+    calendarView,
+    fiscalCalendar,
+    handleCalendarViewChange,
     handlePermitYearChange,
     handleQuarterChange,
     handleMonthChange,
@@ -1,9 +1,12 @@
-import { createContext, useContext, useState, useEffect, useMemo } from 'react';
+import { createContext, useContext, useState, useEffect, useMemo, useCallback } from 'react';
+import { readPreference, writePreference, subscribePreference } from '../services/preferences';
+
+const THEME_KEY = 'theme';
 
 // Function to safely get the initial theme
 const getInitialTheme = () => {
   if (typeof window !== 'undefined' && window.localStorage) {
-    const storedPrefs = window.localStorage.getItem('theme');
+    const storedPrefs = readPreference(THEME_KEY);
     if (typeof storedPrefs === 'string') {
       return storedPrefs;
     }
@@ -20,7 +23,7 @@ const getInitialTheme = () => {
 const ThemeContext = createContext();
 
 export function ThemeProvider({ children }) {
-  const [theme, setTheme] = useState(getInitialTheme);
+  const [theme, setThemeState] = useState(getInitialTheme);
 
   const rawSetTheme = (newTheme) => {
     const root = window.document.documentElement;
@@ -28,15 +31,26 @@ export function ThemeProvider({ children }) {
 
     root.classList.remove(isDark ? 'light' : 'dark');
     root.classList.add(newTheme);
-
-    localStorage.setItem('theme', newTheme);
   };
 
   useEffect(() => {
     rawSetTheme(theme);
   }, [theme]);
+
+  // A theme chosen on another machine arrives once the user's preferences load
+  useEffect(() => subscribePreference(THEME_KEY, storedTheme => {
+    if (storedTheme === 'dark' || storedTheme === 'light') {
+      setThemeState(storedTheme);
+    }
+  }), []);
+
+  // Save explicit choices locally and, when logged in, to the user's preferences
+  const setTheme = useCallback((newTheme) => {
+    setThemeState(newTheme);
+    writePreference(THEME_KEY, newTheme);
+  }, []);
   
-  const value = useMemo(() => ({ theme, setTheme }), [theme]);
+  const value = useMemo(() => ({ theme, setTheme }), [theme, setTheme]);
 
   return (
     <ThemeContext.Provider value={value}>
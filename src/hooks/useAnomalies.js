@@ -0,0 +1,25 @@
+import { useEffect, useState } from 'react';
+import { permitAPI } from '../services/api';
+
+// Anomalies flagged by GET /api/anomalies for the given query (series,
+// calendar, departments). Empty while loading or when the request fails, so
+// charts simply show no markers.
+export function useAnomalies(options) {
+  const [anomalies, setAnomalies] = useState([]);
+  const key = JSON.stringify(options);
+
+  useEffect(() => {
+    let cancelled = false;
+    permitAPI.getAnomalies(JSON.parse(key))
+      .then(result => {
+        if (!cancelled) setAnomalies(result.anomalies);
+      })
+      .catch(error => {
+        console.error('Error loading anomalies:', error);
+        if (!cancelled) setAnomalies([]);
+      });
+    return () => { cancelled = true; };
+  }, [key]);
+
+  return anomalies;
+}
@@ -1,23 +1,39 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { readPreference, writePreference, subscribePreference } from '../services/preferences';
 
+const parseStored = (key, stored, defaultVal) => {
+  try {
+    return stored !== null ? JSON.parse(stored) : defaultVal;
+  } catch (e) {
+    console.warn(`Error reading preference "${key}":`, e);
+    return defaultVal;
+  }
+};
+
+// useState that survives reloads: kept in localStorage and, when logged in,
+// synced with the user's server-side preferences so it follows them across machines.
 export function usePersistedState(key, defaultVal) {
-  const [val, setVal] = useState(() => {
-    try {
-      const stored = localStorage.getItem(key);
-      return stored !== null ? JSON.parse(stored) : defaultVal;
-    } catch (e) {
-      console.warn(`Error reading localStorage key "${key}":`, e);
-      return defaultVal;
-    }
-  });
+  const [val, setVal] = useState(() => parseStored(key, readPreference(key), defaultVal));
+  const defaultRef = useRef(defaultVal);
+  const changedLocally = useRef(false);
+
+  // Pick up the value saved on the server once the user's preferences load
+  useEffect(() => subscribePreference(key, stored => {
+    setVal(parseStored(key, stored, defaultRef.current));
+  }), [key]);
+
+  // Only values set through the returned setter are written back, so mounting
+  // with the default never overwrites what another machine saved
+  const setPersistedVal = useCallback((update) => {
+    changedLocally.current = true;
+    setVal(update);
+  }, []);
 
   useEffect(() => {
-    try {
-      localStorage.setItem(key, JSON.stringify(val));
-    } catch (e) {
-      console.warn(`Error writing to localStorage key "${key}":`, e);
-    }
+    if (!changedLocally.current) return;
+    changedLocally.current = false;
+    writePreference(key, JSON.stringify(val));
   }, [key, val]);
 
-  return [val, setVal];
+  return [val, setPersistedVal];
 }
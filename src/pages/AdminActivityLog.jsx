@@ -0,0 +1,252 @@
+import React, { useCallback, useEffect, useMemo, useState, useId } from 'react';
+import { RiLoader5Fill } from 'react-icons/ri';
+import { useLayout } from '../contexts/LayoutContext';
+import { useAuth, PERMISSIONS } from '../contexts/AuthContext';
+import { adminAPI } from '../services/api';
+import { ReadOnlyTable } from '../components/Table';
+
+/**
+ * @file AdminActivityLog.jsx
+ * @description Admin screen listing audit log entries (imports, user changes and
+ * data exports), filterable by user, action, table and date range.
+ */
+
+const PAGE_SIZE = 50;
+
+const EMPTY_FILTERS = { userId: '', action: '', table: '', from: '', to: '' };
+
+const inputClassName = 'w-full rounded-md border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 px-3 py-2 text-sm';
+
+/**
+ * Summarizes an entry's old/new values as "field: old → new" pairs.
+ * @param {object} entry - An audit log entry.
+ * @returns {string} A one-line description of the change.
+ */
+const describeChanges = ({ oldValues, newValues }) => {
+  if (!newValues) return '';
+  return Object.entries(newValues)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => {
+      const format = v => (typeof v === 'object' ? JSON.stringify(v) : String(v));
+      if (oldValues && key in oldValues && format(oldValues[key]) !== format(value)) {
+        return `${key}: ${format(oldValues[key])} → ${format(value)}`;
+      }
+      return oldValues ? null : `${key}: ${format(value)}`;
+    })
+    .filter(Boolean)
+    .join(', ');
+};
+
+/**
+ * Renders the activity log screen.
+ * @returns {React.Component} The admin activity log page.
+ */
+export default function AdminActivityLog() {
+  const componentId = useId();
+  const ids = {
+    mainContainer: `admin-activity-container-${componentId}`,
+    logTable: `admin-activity-table-${componentId}`,
+    user: `admin-activity-user-${componentId}`,
+    action: `admin-activity-action-${componentId}`,
+    table: `admin-activity-table-name-${componentId}`,
+    from: `admin-activity-from-${componentId}`,
+    to: `admin-activity-to-${componentId}`,
+  };
+  const { setTitle } = useLayout();
+  const { hasPermission } = useAuth();
+
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [offset, setOffset] = useState(0);
+  const [log, setLog] = useState({ entries: [], total: 0 });
+  const [users, setUsers] = useState([]);
+  const [actions, setActions] = useState([]);
+  const [error, setError] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+
+  useEffect(() => {
+    setTitle('Activity Log');
+    return () => setTitle('My Dashboard');
+  }, [setTitle]);
+
+  // Load the filter choices; the user list needs the user management permission
+  useEffect(() => {
+    adminAPI.getAuditActions()
+      .then(setActions)
+      .catch(e => console.error('Failed to load audit actions:', e));
+    if (hasPermission(PERMISSIONS.USERS_MANAGE)) {
+      adminAPI.getUsers()
+        .then(setUsers)
+        .catch(e => console.error('Failed to load users:', e));
+    }
+  }, [hasPermission]);
+
+  const loadEntries = useCallback(async () => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      const activeFilters = Object.fromEntries(Object.entries(filters).filter(([, value]) => value));
+      setLog(await adminAPI.getAuditLogs({ ...activeFilters, limit: PAGE_SIZE, offset }));
+    } catch (e) {
+      console.error('Failed to load audit log:', e);
+      setError({
+        message: e.body?.error || 'Failed to load the activity log.',
+        details: e.body?.details || [],
+      });
+    } finally {
+      setIsLoading(false);
+    }
+  }, [filters, offset]);
+
+  useEffect(() => {
+    loadEntries();
+  }, [loadEntries]);
+
+  const updateFilter = (name, value) => {
+    setFilters(prev => ({ ...prev, [name]: value }));
+    setOffset(0);
+  };
+
+  const columns = useMemo(() => [
+    {
+      accessorKey: 'createdAt',
+      header: 'When',
+      cell: ({ getValue }) => new Date(getValue()).toLocaleString(),
+    },
+    {
+      accessorKey: 'username',
+      header: 'User',
+      cell: ({ row }) => row.original.username || (row.original.userId ? row.original.userId : 'system'),
+    },
+    { accessorKey: 'action', header: 'Action' },
+    { accessorKey: 'tableName', header: 'Table' },
+    { accessorKey: 'recordId', header: 'Record' },
+    {
+      id: 'changes',
+      header: 'Details',
+      cell: ({ row }) => describeChanges(row.original),
+    },
+    { accessorKey: 'ipAddress', header: 'IP Address' },
+  ], []);
+
+  const lastShown = Math.min(offset + log.entries.length, log.total);
+
+  return (
+    <div id={ids.mainContainer} className="max-w-6xl mx-auto space-y-6">
+      <div className="bg-gray-50 dark:bg-gray-800/50 rounded-lg shadow-lg p-6 border border-gray-200 dark:border-gray-700 space-y-4">
+        <h2 className="text-xl font-semibold text-gray-800 dark:text-gray-200">Filters</h2>
+
+        <div className="grid grid-cols-1 md:grid-cols-5 gap-4">
+          <div>
+            <label htmlFor={ids.user} className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">User</label>
+            <select
+              id={ids.user}
+              value={filters.userId}
+              onChange={e => updateFilter('userId', e.target.value)}
+              className={inputClassName}
+            >
+              <option value="">All users</option>
+              {users.map(u => (
+                <option key={u.id} value={u.id}>{u.username}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label htmlFor={ids.action} className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Action</label>
+            <select
+              id={ids.action}
+              value={filters.action}
+              onChange={e => updateFilter('action', e.target.value)}
+              className={inputClassName}
+            >
+              <option value="">All actions</option>
+              {actions.map(action => (
+                <option key={action} value={action}>{action}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label htmlFor={ids.table} className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Table</label>
+            <input
+              id={ids.table}
+              type="text"
+              placeholder="e.g. unique_permits_monthly"
+              value={filters.table}
+              onChange={e => updateFilter('table', e.target.value.trim())}
+              className={inputClassName}
+            />
+          </div>
+          <div>
+            <label htmlFor={ids.from} className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">From</label>
+            <input
+              id={ids.from}
+              type="date"
+              value={filters.from}
+              onChange={e => updateFilter('from', e.target.value)}
+              className={inputClassName}
+            />
+          </div>
+          <div>
+            <label htmlFor={ids.to} className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">To</label>
+            <input
+              id={ids.to}
+              type="date"
+              value={filters.to}
+              onChange={e => updateFilter('to', e.target.value)}
+              className={inputClassName}
+            />
+          </div>
+        </div>
+
+        <button
+          type="button"
+          onClick={() => { setFilters(EMPTY_FILTERS); setOffset(0); }}
+          className="px-4 py-2 rounded-md text-sm font-medium bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-gray-200 hover:bg-gray-300 dark:hover:bg-gray-600"
+        >
+          Clear Filters
+        </button>
+
+        {error && (
+          <div role="alert" className="rounded-md border border-red-300 bg-red-50 dark:bg-red-900/30 p-3 text-sm text-red-700 dark:text-red-300">
+            <p className="font-medium">{error.message}</p>
+            {error.details?.length > 0 && (
+              <ul className="list-disc pl-5 mt-1">
+                {error.details.map(detail => <li key={detail}>{detail}</li>)}
+              </ul>
+            )}
+          </div>
+        )}
+      </div>
+
+      <div className="bg-gray-50 dark:bg-gray-800/50 rounded-lg shadow-lg p-6 border border-gray-200 dark:border-gray-700 space-y-3">
+        <div className="flex items-center justify-between">
+          <h2 className="text-xl font-semibold text-gray-800 dark:text-gray-200">Activity</h2>
+          {isLoading && <RiLoader5Fill className="animate-spin text-blue-500 w-6 h-6" />}
+        </div>
+        <ReadOnlyTable id={ids.logTable} data={log.entries} columns={columns} isLoading={isLoading} />
+        <div className="flex items-center justify-between text-sm text-gray-600 dark:text-gray-400">
+          <span>
+            {log.total > 0 ? `Showing ${offset + 1}-${lastShown} of ${log.total.toLocaleString()}` : 'No matching entries'}
+          </span>
+          <div className="flex gap-2">
+            <button
+              type="button"
+              onClick={() => setOffset(Math.max(0, offset - PAGE_SIZE))}
+              disabled={isLoading || offset === 0}
+              className="px-3 py-1 rounded-md bg-gray-200 dark:bg-gray-700 disabled:opacity-50"
+            >
+              Previous
+            </button>
+            <button
+              type="button"
+              onClick={() => setOffset(offset + PAGE_SIZE)}
+              disabled={isLoading || lastShown >= log.total}
+              className="px-3 py-1 rounded-md bg-gray-200 dark:bg-gray-700 disabled:opacity-50"
+            >
+              Next
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,427 @@
+import React, { useCallback, useEffect, useMemo, useState, useId } from 'react';
+import { RiLoader5Fill } from 'react-icons/ri';
+import { useLayout } from '../contexts/LayoutContext';
+import { adminAPI } from '../services/api';
+import { ReadOnlyTable } from '../components/Table';
+
+/**
+ * @file AdminImport.jsx
+ * @description Admin screen for refreshing dashboard data from an uploaded file.
+ * The user picks a dataset and a JSON, CSV or XLSX file, previews how its columns
+ * map onto the database table along with a data-quality report and a diff against
+ * the rows already stored (a dry run), then imports it in a single transaction.
+ * Uploads with blocking errors cannot be imported. Every import is recorded as a
+ * numbered data version, and the dataset can be restored to any earlier version.
+ */
+
+const CHANGE_LABELS = { insert: 'New', update: 'Changed', missing: 'Not in file (kept)' };
+
+const describeFields = fields => Object.entries(fields).map(([column, value]) => `${column}: ${value}`).join(', ');
+
+/**
+ * Flattens a dry-run diff into one table row per inserted, updated or missing record.
+ * @param {object} diff - The `diff` of a preview response.
+ * @returns {object[]} Rows with `change`, `key` and `details` strings.
+ */
+const flattenDiff = diff => [
+  ...diff.updates.map(({ key, changes }) => ({
+    change: 'update',
+    key: describeFields(key),
+    details: Object.entries(changes).map(([column, { old, new: value }]) => `${column}: ${old} → ${value}`).join(', '),
+  })),
+  ...diff.inserts.map(({ key, values }) => ({ change: 'insert', key: describeFields(key), details: describeFields(values) })),
+  ...diff.missing.map(({ key, values }) => ({ change: 'missing', key: describeFields(key), details: describeFields(values) })),
+];
+
+/**
+ * Lists a data-quality report's errors or warnings.
+ * @param {object} props - The component props.
+ * @param {string} props.title - The heading, e.g. "Errors".
+ * @param {string[]} props.issues - The messages to list.
+ * @param {number} props.count - The total number of issues, which may exceed the listed ones.
+ * @param {string} props.className - Color classes for the box.
+ * @returns {React.Component|null} The issue list, or nothing when there are no issues.
+ */
+const QualityIssues = ({ title, issues, count, className }) => {
+  if (!count) return null;
+  return (
+    <div className={`rounded-md border p-3 text-sm ${className}`}>
+      <p className="font-medium">{title} ({count.toLocaleString()})</p>
+      <ul className="list-disc pl-5 mt-1">
+        {issues.map(issue => <li key={issue}>{issue}</li>)}
+      </ul>
+    </div>
+  );
+};
+
+/**
+ * Renders the data upload screen.
+ * @returns {React.Component} The admin import page.
+ */
+export default function AdminImport() {
+  const componentId = useId();
+  const ids = {
+    mainContainer: `admin-import-container-${componentId}`,
+    datasetSelect: `admin-import-dataset-${componentId}`,
+    fileInput: `admin-import-file-${componentId}`,
+    replaceAggregatesInput: `admin-import-replace-aggregates-${componentId}`,
+    previewTable: `admin-import-preview-${componentId}`,
+    diffTable: `admin-import-diff-${componentId}`,
+    versionsTable: `admin-import-versions-${componentId}`,
+  };
+  const { setTitle } = useLayout();
+
+  const [datasets, setDatasets] = useState([]);
+  const [selectedDataset, setSelectedDataset] = useState('');
+  const [file, setFile] = useState(null);
+  const [replaceAggregates, setReplaceAggregates] = useState(false);
+  const [preview, setPreview] = useState(null);
+  const [result, setResult] = useState(null);
+  const [versions, setVersions] = useState([]);
+  const [rollbackResult, setRollbackResult] = useState(null);
+  const [error, setError] = useState(null);
+  const [isWorking, setIsWorking] = useState(false);
+
+  useEffect(() => {
+    setTitle('Data Import');
+    return () => setTitle('My Dashboard');
+  }, [setTitle]);
+
+  // Load the list of importable datasets
+  useEffect(() => {
+    adminAPI.getImportDatasets()
+      .then(list => {
+        setDatasets(list);
+        if (list.length > 0) {
+          setSelectedDataset(list[0].name);
+        }
+      })
+      .catch(e => {
+        console.error('Failed to load import datasets:', e);
+        setError({ message: 'Failed to load the list of datasets.' });
+      });
+  }, []);
+
+  // Any change to the inputs invalidates the previous preview
+  useEffect(() => {
+    setPreview(null);
+    setResult(null);
+    setRollbackResult(null);
+    setError(null);
+    setReplaceAggregates(false);
+  }, [selectedDataset, file]);
+
+  const datasetInfo = datasets.find(d => d.name === selectedDataset);
+  const isVersioned = datasetInfo?.versioned !== false;
+
+  const loadVersions = useCallback(async () => {
+    if (!selectedDataset || !isVersioned) {
+      setVersions([]);
+      return;
+    }
+    try {
+      setVersions(await adminAPI.getDataVersions(selectedDataset));
+    } catch (e) {
+      console.error('Failed to load data versions:', e);
+      setVersions([]);
+    }
+  }, [selectedDataset, isVersioned]);
+
+  useEffect(() => {
+    loadVersions();
+  }, [loadVersions]);
+
+  const previewColumns = useMemo(() => {
+    if (!datasetInfo) return [];
+    return datasetInfo.columns.map(({ column }) => ({ accessorKey: column, header: column }));
+  }, [datasetInfo]);
+
+  const diffColumns = useMemo(() => [
+    { accessorKey: 'change', header: 'Change', cell: ({ getValue }) => CHANGE_LABELS[getValue()] },
+    { accessorKey: 'key', header: 'Record' },
+    { accessorKey: 'details', header: 'Values' },
+  ], []);
+
+  const diffRows = useMemo(() => (preview?.diff ? flattenDiff(preview.diff) : []), [preview]);
+
+  /**
+   * Sends the file to the import endpoint, either as a preview or for real.
+   * @param {boolean} isPreview - Whether to only preview the mapped rows.
+   */
+  const submit = async (isPreview) => {
+    if (!selectedDataset || !file) return;
+    if (!isPreview && replaceAggregates
+      && !window.confirm('Replace the curated unique-permit counts with the ones recomputed from all stored permit records? Periods the records do not cover keep their counts.')) {
+      return;
+    }
+
+    setIsWorking(true);
+    setError(null);
+    try {
+      const response = await adminAPI.importDataset(selectedDataset, file, { preview: isPreview, replaceAggregates });
+      if (isPreview) {
+        setPreview(response);
+      } else {
+        setResult(response);
+        setPreview(null);
+        loadVersions();
+      }
+    } catch (e) {
+      console.error('Import request failed:', e);
+      setError({
+        message: e.body?.error || 'The import request failed.',
+        details: e.body?.details || [],
+      });
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  /**
+   * Restores the selected dataset to an earlier version after confirmation.
+   * @param {number} version - The version to restore.
+   */
+  const rollback = useCallback(async (version) => {
+    const label = datasetInfo?.label || selectedDataset;
+    if (!window.confirm(`Replace all ${label} rows with the rows from version ${version}? This is recorded as a new version and can itself be rolled back.`)) {
+      return;
+    }
+
+    setIsWorking(true);
+    setError(null);
+    setResult(null);
+    try {
+      setRollbackResult(await adminAPI.rollbackDataVersion(selectedDataset, version));
+      loadVersions();
+    } catch (e) {
+      console.error('Rollback request failed:', e);
+      setError({
+        message: e.body?.error || 'The rollback request failed.',
+        details: e.body?.details || [],
+      });
+    } finally {
+      setIsWorking(false);
+    }
+  }, [datasetInfo, selectedDataset, loadVersions]);
+
+  const versionColumns = useMemo(() => [
+    { accessorKey: 'version', header: 'Version' },
+    {
+      accessorKey: 'action',
+      header: 'Change',
+      cell: ({ row }) => (row.original.restoredVersion
+        ? `rollback to v${row.original.restoredVersion}`
+        : row.original.action),
+    },
+    { accessorKey: 'snapshotRows', header: 'Rows' },
+    { accessorKey: 'source', header: 'Source' },
+    { accessorKey: 'username', header: 'By', cell: ({ getValue }) => getValue() || 'system' },
+    { accessorKey: 'createdAt', header: 'When', cell: ({ getValue }) => new Date(getValue()).toLocaleString() },
+    {
+      id: 'restore',
+      header: '',
+      cell: ({ row }) => (
+        <button
+          type="button"
+          onClick={() => rollback(row.original.version)}
+          disabled={isWorking || row.index === 0}
+          className="px-2 py-1 rounded-md text-xs font-medium bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-gray-200 hover:bg-gray-300 dark:hover:bg-gray-600 disabled:opacity-50"
+        >
+          Restore
+        </button>
+      ),
+    },
+  ], [isWorking, rollback]);
+
+  return (
+    <div id={ids.mainContainer} className="max-w-5xl mx-auto space-y-6">
+      <div className="bg-gray-50 dark:bg-gray-800/50 rounded-lg shadow-lg p-6 border border-gray-200 dark:border-gray-700 space-y-4">
+        <h2 className="text-xl font-semibold text-gray-800 dark:text-gray-200">Upload Data</h2>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <label htmlFor={ids.datasetSelect} className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+              Dataset
+            </label>
+            <select
+              id={ids.datasetSelect}
+              value={selectedDataset}
+              onChange={e => setSelectedDataset(e.target.value)}
+              className="w-full rounded-md border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 px-3 py-2 text-sm"
+            >
+              {datasets.map(d => (
+                <option key={d.name} value={d.name}>{d.label}</option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label htmlFor={ids.fileInput} className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+              File (JSON, CSV or XLSX)
+            </label>
+            <input
+              id={ids.fileInput}
+              type="file"
+              accept=".json,.csv,.xlsx,.xls"
+              onChange={e => setFile(e.target.files?.[0] || null)}
+              className="w-full text-sm text-gray-700 dark:text-gray-300"
+            />
+          </div>
+        </div>
+
+        {datasetInfo && (
+          <p className="text-sm text-gray-500 dark:text-gray-400">
+            Expected columns:{' '}
+            {datasetInfo.columns.map(c => `${c.column} (${c.aliases.join(' / ')})${c.required ? '' : ' optional'}`).join(', ')}
+            {datasetInfo.columns.filter(c => c.allowedValues).map(c => (
+              <span key={c.column} className="block">Allowed {c.column} values: {c.allowedValues.join(', ')}</span>
+            ))}
+          </p>
+        )}
+
+        {selectedDataset === 'permits' && (
+          <div className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+            <input
+              id={ids.replaceAggregatesInput}
+              type="checkbox"
+              checked={replaceAggregates}
+              onChange={e => setReplaceAggregates(e.target.checked)}
+            />
+            <label htmlFor={ids.replaceAggregatesInput}>
+              Replace the curated unique-permit counts with the ones recomputed from the permit records
+            </label>
+          </div>
+        )}
+
+        <div className="flex gap-2">
+          <button
+            type="button"
+            onClick={() => submit(true)}
+            disabled={!file || isWorking}
+            className="px-4 py-2 rounded-md text-sm font-medium bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-gray-200 hover:bg-gray-300 dark:hover:bg-gray-600 disabled:opacity-50"
+          >
+            Preview
+          </button>
+          <button
+            type="button"
+            onClick={() => submit(false)}
+            disabled={!preview || !preview.report.valid || isWorking}
+            className="px-4 py-2 rounded-md text-sm font-medium bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+          >
+            Import
+          </button>
+          {isWorking && <RiLoader5Fill className="animate-spin text-blue-500 w-6 h-6 self-center" />}
+        </div>
+
+        {error && (
+          <div role="alert" className="rounded-md border border-red-300 bg-red-50 dark:bg-red-900/30 p-3 text-sm text-red-700 dark:text-red-300">
+            <p className="font-medium">{error.message}</p>
+            {error.details?.length > 0 && (
+              <ul className="list-disc pl-5 mt-1">
+                {error.details.map(detail => <li key={detail}>{detail}</li>)}
+              </ul>
+            )}
+          </div>
+        )}
+
+        {result && (
+          <div role="status" className="rounded-md border border-green-300 bg-green-50 dark:bg-green-900/30 p-3 text-sm text-green-700 dark:text-green-300">
+            Imported {result.rowCount.toLocaleString()} rows into {result.table}
+            {result.version && ` as version ${result.version}`}
+            {result.report.warningCount > 0 && ` with ${result.report.warningCount.toLocaleString()} warning(s)`}.
+            {result.aggregates && (
+              <ul className="list-disc pl-5 mt-1">
+                {result.aggregates.map(a => (
+                  <li key={a.dataset}>
+                    Recomputed {a.table}: {a.rowCount.toLocaleString()} rows; compared with the stored counts{' '}
+                    {a.diff.counts.inserts.toLocaleString()} new, {a.diff.counts.updates.toLocaleString()} changed
+                    and {a.diff.counts.unchanged.toLocaleString()} unchanged
+                    {a.report.warningCount > 0 && `, ${a.report.warningCount.toLocaleString()} warning(s) (${a.report.warnings.join('; ')})`}.{' '}
+                    {a.written ? `Written as version ${a.version}.` : 'Not written; the curated table is unchanged.'}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+
+        {rollbackResult && (
+          <div role="status" className="rounded-md border border-green-300 bg-green-50 dark:bg-green-900/30 p-3 text-sm text-green-700 dark:text-green-300">
+            Restored {rollbackResult.rowCount.toLocaleString()} rows from version {rollbackResult.restoredVersion} into{' '}
+            {rollbackResult.table} as version {rollbackResult.version}.
+          </div>
+        )}
+      </div>
+
+      {preview && (
+        <div className="bg-gray-50 dark:bg-gray-800/50 rounded-lg shadow-lg p-6 border border-gray-200 dark:border-gray-700 space-y-3">
+          <h2 className="text-xl font-semibold text-gray-800 dark:text-gray-200">Preview</h2>
+          <p className="text-sm text-gray-600 dark:text-gray-400">
+            {preview.rowCount.toLocaleString()} rows will be upserted into {preview.table}
+            {preview.rowCount > preview.preview.length && ` (showing the first ${preview.preview.length})`}.
+          </p>
+          <p className="text-sm text-gray-600 dark:text-gray-400">
+            Column mapping:{' '}
+            {Object.entries(preview.columnMapping).map(([column, source]) => `${source} → ${column}`).join(', ')}
+          </p>
+          <p className={`text-sm font-medium ${preview.report.valid ? 'text-green-700 dark:text-green-300' : 'text-red-700 dark:text-red-300'}`}>
+            {preview.report.valid
+              ? 'Data quality checks passed; the file can be imported.'
+              : 'Data quality checks found blocking errors; fix the file and preview it again.'}
+          </p>
+          <QualityIssues
+            title="Errors"
+            issues={preview.report.errors}
+            count={preview.report.errorCount}
+            className="border-red-300 bg-red-50 dark:bg-red-900/30 text-red-700 dark:text-red-300"
+          />
+          <QualityIssues
+            title="Warnings"
+            issues={preview.report.warnings}
+            count={preview.report.warningCount}
+            className="border-yellow-300 bg-yellow-50 dark:bg-yellow-900/30 text-yellow-800 dark:text-yellow-200"
+          />
+          <ReadOnlyTable id={ids.previewTable} data={preview.preview} columns={previewColumns} />
+        </div>
+      )}
+
+      {preview?.diff && (
+        <div className="bg-gray-50 dark:bg-gray-800/50 rounded-lg shadow-lg p-6 border border-gray-200 dark:border-gray-700 space-y-3">
+          <h2 className="text-xl font-semibold text-gray-800 dark:text-gray-200">Changes</h2>
+          <p className="text-sm text-gray-600 dark:text-gray-400">
+            Compared with the rows currently in {preview.table}: {preview.diff.counts.inserts.toLocaleString()} new,{' '}
+            {preview.diff.counts.updates.toLocaleString()} changed, {preview.diff.counts.unchanged.toLocaleString()} unchanged
+            and {preview.diff.counts.missing.toLocaleString()} not in the file. Rows missing from the file are kept.
+          </p>
+          {diffRows.length > 0
+            ? <ReadOnlyTable id={ids.diffTable} data={diffRows} columns={diffColumns} />
+            : <p className="text-sm text-gray-600 dark:text-gray-400">Importing this file would not change any rows.</p>}
+        </div>
+      )}
+
+      <div className="bg-gray-50 dark:bg-gray-800/50 rounded-lg shadow-lg p-6 border border-gray-200 dark:border-gray-700 space-y-3">
+        <h2 className="text-xl font-semibold text-gray-800 dark:text-gray-200">Data Versions</h2>
+        <p className="text-sm text-gray-600 dark:text-gray-400">
+          Each import and rollback of {datasetInfo?.label || 'this dataset'} is saved with a snapshot of the table.
+          Restore replaces the current rows with an earlier snapshot.
+        </p>
+        {selectedDataset === 'permits' && (
+          <p className="text-sm text-gray-600 dark:text-gray-400">
+            Permit records are not versioned themselves. Each upload recomputes the yearly, quarterly, monthly and bin
+            counts and compares them with the curated datasets, but only writes them when replacing the counts is
+            ticked; each replaced dataset gets a new version that can be restored from that dataset.
+          </p>
+        )}
+        {selectedDataset === 'permit-events' && (
+          <p className="text-sm text-gray-600 dark:text-gray-400">
+            Permit lifecycle events are not versioned; uploading a file with the same name again replaces the events
+            loaded from it.
+          </p>
+        )}
+        {isVersioned && (versions.length > 0
+          ? <ReadOnlyTable id={ids.versionsTable} data={versions} columns={versionColumns} />
+          : <p className="text-sm text-gray-600 dark:text-gray-400">No versions have been recorded for this dataset yet.</p>)}
+      </div>
+    </div>
+  );
+}
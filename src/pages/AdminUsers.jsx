@@ -0,0 +1,229 @@
+import React, { useCallback, useEffect, useMemo, useState, useId } from 'react';
+import { RiLoader5Fill } from 'react-icons/ri';
+import { useLayout } from '../contexts/LayoutContext';
+import { useAuth } from '../contexts/AuthContext';
+import { adminAPI } from '../services/api';
+import { ReadOnlyTable } from '../components/Table';
+
+/**
+ * @file AdminUsers.jsx
+ * @description Admin screen for managing user accounts. Lists every user and lets
+ * an admin create accounts, change roles and activate or deactivate users.
+ * Role changes take effect at the user's next login, since their sessions are revoked.
+ */
+
+const ROLE_OPTIONS = [
+  { value: 'viewer', label: 'Viewer (dashboards only)' },
+  { value: 'analyst', label: 'Analyst (dashboards, exports, saved views)' },
+  { value: 'admin', label: 'Admin (everything, including imports and users)' }
+];
+
+const EMPTY_FORM = { username: '', email: '', password: '', role: 'viewer' };
+
+const inputClassName = 'w-full rounded-md border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 px-3 py-2 text-sm';
+
+/**
+ * Renders the user management screen.
+ * @returns {React.Component} The admin users page.
+ */
+export default function AdminUsers() {
+  const componentId = useId();
+  const ids = {
+    mainContainer: `admin-users-container-${componentId}`,
+    usersTable: `admin-users-table-${componentId}`,
+    username: `admin-users-username-${componentId}`,
+    email: `admin-users-email-${componentId}`,
+    password: `admin-users-password-${componentId}`,
+    role: `admin-users-role-${componentId}`,
+  };
+  const { setTitle } = useLayout();
+  const { user: currentUser } = useAuth();
+
+  const [users, setUsers] = useState([]);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [error, setError] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isWorking, setIsWorking] = useState(false);
+
+  useEffect(() => {
+    setTitle('Users');
+    return () => setTitle('My Dashboard');
+  }, [setTitle]);
+
+  // Load the user list
+  useEffect(() => {
+    adminAPI.getUsers()
+      .then(setUsers)
+      .catch(e => {
+        console.error('Failed to load users:', e);
+        setError({ message: 'Failed to load the list of users.' });
+      })
+      .finally(() => setIsLoading(false));
+  }, []);
+
+  /**
+   * Applies a change to one user and replaces it in the list.
+   * @param {string} id - The user id.
+   * @param {object} changes - `role` and/or `isActive`.
+   */
+  const updateUser = useCallback(async (id, changes) => {
+    setIsWorking(true);
+    setError(null);
+    try {
+      const updated = await adminAPI.updateUser(id, changes);
+      setUsers(prev => prev.map(u => (u.id === id ? updated : u)));
+    } catch (e) {
+      console.error('Failed to update user:', e);
+      setError({
+        message: e.body?.error || 'Failed to update the user.',
+        details: e.body?.details || [],
+      });
+    } finally {
+      setIsWorking(false);
+    }
+  }, []);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setIsWorking(true);
+    setError(null);
+    try {
+      const created = await adminAPI.createUser(form);
+      setUsers(prev => [...prev, created].sort((a, b) => a.username.localeCompare(b.username)));
+      setForm(EMPTY_FORM);
+    } catch (err) {
+      console.error('Failed to create user:', err);
+      setError({
+        message: err.body?.error || 'Failed to create the user.',
+        details: err.body?.details || [],
+      });
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const columns = useMemo(() => [
+    { accessorKey: 'username', header: 'Username' },
+    { accessorKey: 'email', header: 'Email' },
+    {
+      accessorKey: 'role',
+      header: 'Role',
+      cell: ({ row }) => (
+        <select
+          aria-label={`Role for ${row.original.username}`}
+          value={row.original.role}
+          disabled={isWorking || row.original.id === currentUser?.id}
+          onChange={e => updateUser(row.original.id, { role: e.target.value })}
+          className="rounded-md border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 px-2 py-1 text-sm"
+        >
+          {ROLE_OPTIONS.map(option => (
+            <option key={option.value} value={option.value}>{option.value}</option>
+          ))}
+        </select>
+      ),
+    },
+    {
+      accessorKey: 'isActive',
+      header: 'Status',
+      cell: ({ row }) => (
+        <button
+          type="button"
+          disabled={isWorking || row.original.id === currentUser?.id}
+          onClick={() => updateUser(row.original.id, { isActive: !row.original.isActive })}
+          className="px-2 py-1 rounded-md text-xs font-medium bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-gray-200 hover:bg-gray-300 dark:hover:bg-gray-600 disabled:opacity-50"
+        >
+          {row.original.isActive ? 'Active — deactivate' : 'Inactive — activate'}
+        </button>
+      ),
+    },
+  ], [isWorking, currentUser, updateUser]);
+
+  return (
+    <div id={ids.mainContainer} className="max-w-5xl mx-auto space-y-6">
+      <form
+        onSubmit={handleCreate}
+        className="bg-gray-50 dark:bg-gray-800/50 rounded-lg shadow-lg p-6 border border-gray-200 dark:border-gray-700 space-y-4"
+      >
+        <h2 className="text-xl font-semibold text-gray-800 dark:text-gray-200">Add User</h2>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <label htmlFor={ids.username} className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Username</label>
+            <input
+              id={ids.username}
+              type="text"
+              required
+              value={form.username}
+              onChange={e => setForm(prev => ({ ...prev, username: e.target.value }))}
+              className={inputClassName}
+            />
+          </div>
+          <div>
+            <label htmlFor={ids.email} className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Email</label>
+            <input
+              id={ids.email}
+              type="email"
+              required
+              value={form.email}
+              onChange={e => setForm(prev => ({ ...prev, email: e.target.value }))}
+              className={inputClassName}
+            />
+          </div>
+          <div>
+            <label htmlFor={ids.password} className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Password</label>
+            <input
+              id={ids.password}
+              type="password"
+              autoComplete="new-password"
+              required
+              minLength={8}
+              value={form.password}
+              onChange={e => setForm(prev => ({ ...prev, password: e.target.value }))}
+              className={inputClassName}
+            />
+          </div>
+          <div>
+            <label htmlFor={ids.role} className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Role</label>
+            <select
+              id={ids.role}
+              value={form.role}
+              onChange={e => setForm(prev => ({ ...prev, role: e.target.value }))}
+              className={inputClassName}
+            >
+              {ROLE_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        <div className="flex gap-2">
+          <button
+            type="submit"
+            disabled={isWorking}
+            className="px-4 py-2 rounded-md text-sm font-medium bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+          >
+            Add User
+          </button>
+          {isWorking && <RiLoader5Fill className="animate-spin text-blue-500 w-6 h-6 self-center" />}
+        </div>
+
+        {error && (
+          <div role="alert" className="rounded-md border border-red-300 bg-red-50 dark:bg-red-900/30 p-3 text-sm text-red-700 dark:text-red-300">
+            <p className="font-medium">{error.message}</p>
+            {error.details?.length > 0 && (
+              <ul className="list-disc pl-5 mt-1">
+                {error.details.map(detail => <li key={detail}>{detail}</li>)}
+              </ul>
+            )}
+          </div>
+        )}
+      </form>
+
+      <div className="bg-gray-50 dark:bg-gray-800/50 rounded-lg shadow-lg p-6 border border-gray-200 dark:border-gray-700 space-y-3">
+        <h2 className="text-xl font-semibold text-gray-800 dark:text-gray-200">Users</h2>
+        <ReadOnlyTable id={ids.usersTable} data={users} columns={columns} isLoading={isLoading} />
+      </div>
+    </div>
+  );
+}
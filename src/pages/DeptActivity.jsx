@@ -1,12 +1,10 @@
 import React, { useEffect, useState, useId } from 'react';
 import { useLayout } from '../contexts/LayoutContext';
 import { RiLoader5Fill } from 'react-icons/ri';
-import { useParams, useNavigate } from 'react-router-dom';
+import { useParams, useNavigate, useLocation } from 'react-router-dom';
 import { useFilter } from '../contexts/FilterContext';
 
-import PSCActivityReport from '../components/DeptActivity/PSCActivityReport';
-import LUActivityReport from '../components/DeptActivity/LUActivityReport';
-import PLNCheckActivityReport from '../components/DeptActivity/PLNCheckActivityReport';
+import DepartmentActivityReport from '../components/DeptActivity/DepartmentActivityReport';
 
 export default function DeptActivity() {
     const componentId = useId();
@@ -19,31 +17,29 @@ export default function DeptActivity() {
     const { setTitle } = useLayout();
     const { deptType } = useParams();
     const navigate = useNavigate();
+    const location = useLocation();
     const { 
-        isLoadingDeptData: isLoadingData, 
-        filteredPSCData,
-        filteredLUData,
-        filteredPLNCheckData,
-        filteredPSCWeekdayData,
-        filteredLUWeekdayData,
-        filteredPLNCheckWeekdayData
+        isLoadingDeptData,
+        departments,
+        isLoadingDepartments
     } = useFilter();
+    const isLoadingData = isLoadingDeptData || isLoadingDepartments;
     
     const [globalError, setGlobalError] = useState(null);
-    const [activeActivityType, setActiveActivityType] = useState(deptType || 'PSC');
 
-    // Sync state with URL
-    useEffect(() => {
-        const validDeptType = deptType && ['PSC', 'LU', 'PLN Check'].includes(deptType) ? deptType : 'PSC';
+    // The department in the URL, or the first registered one
+    const activeDepartment = departments.find(department => department.code === deptType) || departments[0];
 
-        if (activeActivityType !== validDeptType) {
-            setActiveActivityType(validDeptType);
+    // Sync URL with the department shown
+    useEffect(() => {
+        if (!activeDepartment) {
+            return;
         }
 
-        if (location.pathname !== `/deptactivity/${validDeptType}`) {
-            navigate(`/deptactivity/${validDeptType}`, { replace: true });
+        if (decodeURIComponent(location.pathname) !== `/deptactivity/${activeDepartment.code}`) {
+            navigate(`/deptactivity/${encodeURIComponent(activeDepartment.code)}`, { replace: true });
         }
-    }, [deptType, activeActivityType, navigate, location.pathname]);
+    }, [activeDepartment, navigate, location.pathname]);
     
     useEffect(() => {
         setTitle('Department Activity Analysis Dashboard');
@@ -65,14 +61,10 @@ export default function DeptActivity() {
             <div className="w-full">
                 {/* Main Content */}
                 <div id={ids.mainContent} className="flex-1 min-w-0">
-                    {activeActivityType === 'PSC' && (
-                        <PSCActivityReport isLoading={isLoadingData} />
-                    )}
-                    {activeActivityType === 'LU' && (
-                        <LUActivityReport isLoading={isLoadingData} />
-                    )}
-                    {activeActivityType === 'PLN Check' && (
-                        <PLNCheckActivityReport isLoading={isLoadingData} />
+                    {activeDepartment ? (
+                        <DepartmentActivityReport key={activeDepartment.code} department={activeDepartment} isLoading={isLoadingData} />
+                    ) : (
+                        <p className="text-gray-500 dark:text-gray-400 text-center p-4">No departments are registered yet.</p>
                     )}
                 </div>
             </div>
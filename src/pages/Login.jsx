@@ -0,0 +1,127 @@
+import React, { useState, useId } from 'react';
+import { Navigate, useLocation, useNavigate } from 'react-router-dom';
+import { RiLoader5Fill } from 'react-icons/ri';
+import { useAuth } from '../contexts/AuthContext';
+import { isStaticDataSource, isUnreachableError } from '../services/api';
+
+/**
+ * @file Login.jsx
+ * @description Login form for the dashboard. On success the user is returned
+ * to the page they originally requested (or the home page). When the API cannot be
+ * reached, or the build only has bundled data, the dashboards can be opened read-only
+ * with the demo data instead.
+ */
+
+export default function Login() {
+  const componentId = useId();
+  const ids = {
+    form: `login-form-${componentId}`,
+    username: `login-username-${componentId}`,
+    password: `login-password-${componentId}`,
+    error: `login-error-${componentId}`,
+  };
+  const { login, startDemoSession, isAuthenticated } = useAuth();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const redirectTo = location.state?.from?.pathname || '/';
+
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [canUseDemoData, setCanUseDemoData] = useState(isStaticDataSource);
+
+  if (isAuthenticated) {
+    return <Navigate to={redirectTo} replace />;
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    setError(null);
+    try {
+      await login(username, password);
+      navigate(redirectTo, { replace: true });
+    } catch (err) {
+      console.error('Login failed:', err);
+      const isUnreachable = isUnreachableError(err);
+      setCanUseDemoData(prev => prev || isUnreachable);
+      setError(err.body?.error
+        || (isUnreachable ? 'The server cannot be reached right now.' : 'Unable to log in. Please try again.'));
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  // Read-only session over the data bundled with the dashboard
+  const handleDemoData = () => {
+    startDemoSession();
+    navigate(redirectTo, { replace: true });
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 dark:bg-gray-900 text-gray-900 dark:text-gray-100 px-4">
+      <form
+        id={ids.form}
+        onSubmit={handleSubmit}
+        className="w-full max-w-sm bg-white dark:bg-gray-800 rounded-lg shadow-lg p-6 border border-gray-200 dark:border-gray-700 space-y-4"
+        aria-describedby={error ? ids.error : undefined}
+      >
+        <h1 className="text-2xl font-bold">Sign in</h1>
+
+        <div>
+          <label htmlFor={ids.username} className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+            Username or email
+          </label>
+          <input
+            id={ids.username}
+            type="text"
+            autoComplete="username"
+            required
+            value={username}
+            onChange={e => setUsername(e.target.value)}
+            className="w-full rounded-md border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 px-3 py-2 text-sm"
+          />
+        </div>
+
+        <div>
+          <label htmlFor={ids.password} className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+            Password
+          </label>
+          <input
+            id={ids.password}
+            type="password"
+            autoComplete="current-password"
+            required
+            value={password}
+            onChange={e => setPassword(e.target.value)}
+            className="w-full rounded-md border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 px-3 py-2 text-sm"
+          />
+        </div>
+
+        {error && (
+          <p id={ids.error} role="alert" className="text-sm text-red-600 dark:text-red-400">{error}</p>
+        )}
+
+        <button
+          type="submit"
+          disabled={isSubmitting}
+          className="w-full inline-flex justify-center items-center px-4 py-2 rounded-md text-sm font-medium bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+        >
+          {isSubmitting && <RiLoader5Fill className="animate-spin w-4 h-4 mr-2" />}
+          Sign in
+        </button>
+
+        {canUseDemoData && (
+          <button
+            type="button"
+            onClick={handleDemoData}
+            className="w-full px-4 py-2 rounded-md text-sm font-medium border border-gray-300 dark:border-gray-600 hover:bg-gray-100 dark:hover:bg-gray-700"
+          >
+            Continue with demo data
+          </button>
+        )}
+      </form>
+    </div>
+  );
+}
@@ -30,6 +30,8 @@ export default function UniquePermits() {
     filteredYearlyData,
     filteredQuarterlyData,
     filteredMonthlyData,
+    allMonths,
+    calendarView,
   } = useFilter();
 
   const activeAnalysisType = reportType || 'annual';
@@ -80,12 +82,16 @@ export default function UniquePermits() {
               <QuarterlyUniquePermitsReport
                 data={filteredQuarterlyData}
                 isLoading={isLoadingPermitData}
+                months={allMonths}
+                calendarView={calendarView}
               />
             )}
             {activeAnalysisType === 'monthly' && (
               <MonthlyUniquePermitsReport
                 data={filteredMonthlyData}
                 isLoading={isLoadingPermitData}
+                months={allMonths}
+                calendarView={calendarView}
               />
             )}
           </>
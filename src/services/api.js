@@ -1,3 +1,6 @@
+import { createApiClients } from './generated/apiClient';
+import { staticClients, rememberFiscalCalendar } from './staticData';
+
 // Determine the base URL based on the current environment
 const getBaseUrl = () => {
   // If we have an environment variable, use that
@@ -19,80 +22,407 @@ const getBaseUrl = () => {
 
 const API_BASE_URL = getBaseUrl();
 
+// Access and refresh tokens are kept in localStorage so sessions survive reloads
+const ACCESS_TOKEN_KEY = 'authToken';
+const REFRESH_TOKEN_KEY = 'refreshToken';
+
+export const authTokens = {
+  getAccessToken: () => localStorage.getItem(ACCESS_TOKEN_KEY),
+  getRefreshToken: () => localStorage.getItem(REFRESH_TOKEN_KEY),
+  set: ({ accessToken, refreshToken }) => {
+    localStorage.setItem(ACCESS_TOKEN_KEY, accessToken);
+    localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+  },
+  clear: () => {
+    localStorage.removeItem(ACCESS_TOKEN_KEY);
+    localStorage.removeItem(REFRESH_TOKEN_KEY);
+  }
+};
+
+// Called when a request is rejected with 401 and the session cannot be refreshed
+let unauthorizedHandler = null;
+export const setUnauthorizedHandler = (handler) => {
+  unauthorizedHandler = handler;
+};
+
+// Called with (message, retryAfterSeconds) when the API rate-limits a request
+let rateLimitHandler = null;
+export const setRateLimitHandler = (handler) => {
+  rateLimitHandler = handler;
+};
+
+// 429s with a short Retry-After are retried automatically; longer waits are reported
+const MAX_RATE_LIMIT_RETRIES = 2;
+const MAX_AUTO_RETRY_SECONDS = 5;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Seconds until the rate limit resets, from Retry-After or RateLimit-Reset
+const getRetryAfterSeconds = (response) => {
+  const value = response.headers.get('Retry-After') || response.headers.get('RateLimit-Reset');
+  const seconds = parseInt(value, 10);
+  return Number.isFinite(seconds) && seconds >= 0 ? seconds : null;
+};
+
+const formatWait = (seconds) => {
+  if (seconds === null) return 'a moment';
+  if (seconds < 60) return `${seconds} second${seconds === 1 ? '' : 's'}`;
+  const minutes = Math.ceil(seconds / 60);
+  return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+};
+
+// Concurrent 401s share one refresh request
+let refreshPromise = null;
+const refreshSession = () => {
+  const refreshToken = authTokens.getRefreshToken();
+  if (!refreshToken) {
+    return Promise.resolve(false);
+  }
+
+  if (!refreshPromise) {
+    refreshPromise = fetch(`${API_BASE_URL}/auth/refresh`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refreshToken })
+    })
+      .then(async (response) => {
+        if (!response.ok) return false;
+        authTokens.set(await response.json());
+        return true;
+      })
+      .catch(() => false)
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
+// Fetch an API path with the access token attached, retrying once after a token refresh
+// and backing off (1s, 2s, or the server's Retry-After if short) when rate-limited
+const apiFetch = async (path, options = {}) => {
+  const send = () => {
+    const token = authTokens.getAccessToken();
+    const headers = { ...options.headers };
+    if (token) {
+      headers.Authorization = `Bearer ${token}`;
+    }
+    return fetch(`${API_BASE_URL}${path}`, { ...options, headers });
+  };
+
+  let response = await send();
+  for (let attempt = 0; response.status === 429 && attempt < MAX_RATE_LIMIT_RETRIES; attempt++) {
+    const retryAfter = getRetryAfterSeconds(response);
+    if (retryAfter !== null && retryAfter > MAX_AUTO_RETRY_SECONDS) break;
+    await sleep((retryAfter ?? 2 ** attempt) * 1000);
+    response = await send();
+  }
+  if (response.status === 401 && await refreshSession()) {
+    response = await send();
+  }
+  if (response.status === 401) {
+    authTokens.clear();
+    if (unauthorizedHandler) {
+      unauthorizedHandler();
+    }
+  }
+  return response;
+};
+
 // Helper function to handle API responses
 const handleResponse = async (response) => {
   if (!response.ok) {
     const error = await response.text();
-    throw new Error(error || `HTTP error! status: ${response.status}`);
+    const apiError = new Error(error || `HTTP error! status: ${response.status}`);
+    apiError.status = response.status;
+    // Keep the parsed JSON error body (error, code, details) for callers that display it
+    try {
+      apiError.body = JSON.parse(error);
+    } catch {
+      apiError.body = null;
+    }
+    // The request id matches the server's log lines for this request
+    apiError.code = apiError.body?.code ?? null;
+    apiError.requestId = response.headers.get('X-Request-Id') ?? apiError.body?.requestId ?? null;
+    if (response.status === 429) {
+      apiError.retryAfter = getRetryAfterSeconds(response) ?? apiError.body?.retryAfter ?? null;
+      apiError.message = `Too many requests. Please wait ${formatWait(apiError.retryAfter)} and try again.`;
+      if (rateLimitHandler) {
+        rateLimitHandler(apiError.message, apiError.retryAfter);
+      }
+    }
+    throw apiError;
   }
   return response.json();
 };
 
-// Department Activity API calls
-export const departmentAPI = {
-  // Get all department activity data
-  getActivity: async () => {
-    const response = await fetch(`${API_BASE_URL}/departments/activity`);
+// Build a query string from filter options.
+// Permit options: fromYear, toYear, years, quarters, months, sort, order.
+// Array values are sent as repeated `name[]` parameters; empty values are skipped.
+const buildQueryString = (options = {}) => {
+  const params = new URLSearchParams();
+
+  Object.entries(options).forEach(([key, value]) => {
+    if (value === undefined || value === null || value === '') {
+      return;
+    }
+    if (Array.isArray(value)) {
+      value.forEach(item => params.append(`${key}[]`, item));
+    } else {
+      params.append(key, value);
+    }
+  });
+
+  const query = params.toString();
+  return query ? `?${query}` : '';
+};
+
+// Where dashboard data comes from, set with VITE_DATA_SOURCE:
+//   api    - the API (default), falling back to the JSON bundled in public/data while it cannot be reached
+//   static - always the bundled JSON, for demo deployments without a server
+const DATA_SOURCE = import.meta.env.VITE_DATA_SOURCE === 'static' ? 'static' : 'api';
+export const isStaticDataSource = DATA_SOURCE === 'static';
+
+// API methods whose last answer came from the bundled JSON, e.g. 'permitAPI.getMonthlyPermits'.
+// Charts keep what each method returned, so bundled data is in use until every one of
+// them has answered from the API again; listeners are called with the new state.
+const methodsOnBundledData = new Set();
+const bundledDataListeners = new Set();
+
+export const getUsingBundledData = () => isStaticDataSource || methodsOnBundledData.size > 0;
+
+export const subscribeBundledData = (listener) => {
+  bundledDataListeners.add(listener);
+  return () => bundledDataListeners.delete(listener);
+};
+
+const setMethodOnBundledData = (method, isBundled) => {
+  const wasUsingBundledData = getUsingBundledData();
+  if (isBundled) {
+    methodsOnBundledData.add(method);
+  } else {
+    methodsOnBundledData.delete(method);
+  }
+  const isUsingBundledData = getUsingBundledData();
+  if (isUsingBundledData !== wasUsingBundledData) {
+    bundledDataListeners.forEach(listener => listener(isUsingBundledData));
+  }
+};
+
+// Gateway statuses a proxy returns while the API is down or restarting
+const UNREACHABLE_STATUSES = [502, 503, 504];
+
+// A failed fetch (no status), a gateway error or the API reporting its database as
+// unavailable means the API cannot be reached; any other error, including other 5xx
+// answers, comes from a working API and is passed on
+export const isUnreachableError = (error) => error.status === undefined
+  || UNREACHABLE_STATUSES.includes(error.status)
+  || error.code === 'SERVICE_UNAVAILABLE';
+
+// Wrap each API method so it answers from the bundled JSON in static mode, or when the API is unreachable
+const withBundledData = (clientName, apiClient, bundledClient) => Object.fromEntries(
+  Object.entries(apiClient).map(([name, callApi]) => [name, async (...args) => {
+    if (isStaticDataSource) {
+      return bundledClient[name](...args);
+    }
+    const method = `${clientName}.${name}`;
+    try {
+      const result = await callApi(...args);
+      setMethodOnBundledData(method, false);
+      return result;
+    } catch (error) {
+      if (!isUnreachableError(error) || bundledClient[name].requiresApi) throw error;
+      console.warn(`API unreachable, using bundled data for ${method}:`, error);
+      setMethodOnBundledData(method, true);
+      return bundledClient[name](...args);
+    }
+  }])
+);
+
+const apiClients = createApiClients({
+  apiFetch,
+  handleResponse,
+  buildQueryString
+});
+
+// Data API calls (departmentAPI, permitAPI, dashboardAPI, queryAPI), generated from the server's
+// OpenAPI document so field names and parameters match the API contract.
+// Permit methods accept filter options (see buildQueryString), e.g.
+// permitAPI.getMonthlyPermits({ years: [2023, 2024], months: ['Jan', 'Feb'], sort: 'month' })
+export const departmentAPI = withBundledData('departmentAPI', apiClients.departmentAPI, staticClients.departmentAPI);
+export const permitAPI = withBundledData('permitAPI', apiClients.permitAPI, staticClients.permitAPI);
+// The fiscal calendar the API serves is remembered for the offline fiscal views
+export const dashboardAPI = withBundledData('dashboardAPI', {
+  ...apiClients.dashboardAPI,
+  getCalendar: async (...args) => rememberFiscalCalendar(await apiClients.dashboardAPI.getCalendar(...args))
+}, staticClients.dashboardAPI);
+
+// Generic aggregation API calls, e.g.
+// queryAPI.aggregate({ dataset: 'department-activity', measure: 'sum', groupBy: ['year'], fromYear: 2020 })
+// resolves to { dataset, measure, groupBy, calendar, rows: [{ year: 2020, value: 12345 }, ...] }
+export const queryAPI = withBundledData('queryAPI', apiClients.queryAPI, staticClients.queryAPI);
+
+// Content types the import endpoint understands, keyed by file extension
+const IMPORT_CONTENT_TYPES = {
+  json: 'application/json',
+  csv: 'text/csv',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  xls: 'application/vnd.ms-excel'
+};
+
+// Admin API calls
+export const adminAPI = {
+  // List importable datasets and the columns each one expects
+  getImportDatasets: async () => {
+    const response = await apiFetch(`/admin/import`);
     return handleResponse(response);
   },
 
-  // Get department activity by weekday
-  getActivityWeekday: async () => {
-    const response = await fetch(`${API_BASE_URL}/departments/activity/weekday`);
+  // Upload a JSON, CSV or XLSX file into a dataset; with { preview: true } nothing is written.
+  // The file name is recorded as the source of the new data version.
+  importDataset: async (dataset, file, { preview = false, replaceAggregates = false } = {}) => {
+    const extension = file.name.split('.').pop().toLowerCase();
+    const contentType = IMPORT_CONTENT_TYPES[extension] || 'application/octet-stream';
+    const query = buildQueryString({
+      preview: preview || undefined,
+      fileName: preview ? undefined : file.name,
+      replaceAggregates: replaceAggregates || undefined
+    });
+    const response = await apiFetch(
+      `/admin/import/${encodeURIComponent(dataset)}${query}`,
+      {
+        method: 'POST',
+        headers: { 'Content-Type': contentType },
+        body: file
+      }
+    );
     return handleResponse(response);
   },
 
-  // Get activity by specific department
-  getActivityByDepartment: async (department) => {
-    const response = await fetch(`${API_BASE_URL}/departments/activity/${encodeURIComponent(department)}`);
+  // List every user account
+  getUsers: async () => {
+    const response = await apiFetch(`/admin/users`);
     return handleResponse(response);
-  }
-};
+  },
+
+  // Create a user: { username, email, password, role }
+  createUser: async (user) => {
+    const response = await apiFetch(`/admin/users`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(user)
+    });
+    return handleResponse(response);
+  },
 
-// Permit API calls
-export const permitAPI = {
-  // Get yearly permits
-  getYearlyPermits: async () => {
-    const response = await fetch(`${API_BASE_URL}/permits/yearly`);
+  // Change a user's role, active flag or password
+  updateUser: async (id, changes) => {
+    const response = await apiFetch(`/admin/users/${encodeURIComponent(id)}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(changes)
+    });
     return handleResponse(response);
   },
 
-  // Get monthly permits
-  getMonthlyPermits: async () => {
-    const response = await fetch(`${API_BASE_URL}/permits/monthly`);
+  // Search the audit log: { userId, action, table, from, to, limit, offset }
+  // resolves to { entries, total, limit, offset }
+  getAuditLogs: async (filters = {}) => {
+    const response = await apiFetch(`/admin/audit-logs${buildQueryString(filters)}`);
     return handleResponse(response);
   },
 
-  // Get quarterly permits
-  getQuarterlyPermits: async () => {
-    const response = await fetch(`${API_BASE_URL}/permits/quarterly`);
+  // List recorded data versions, newest first; pass a dataset name to list only that dataset
+  getDataVersions: async (dataset) => {
+    const response = await apiFetch(`/admin/data-versions${buildQueryString({ dataset })}`);
     return handleResponse(response);
   },
 
-  // Get yearly bins
-  getYearlyBins: async () => {
-    const response = await fetch(`${API_BASE_URL}/permits/yearly-bins`);
+  // Restore a dataset to the rows it had at an earlier version; resolves to the new version
+  rollbackDataVersion: async (dataset, version) => {
+    const response = await apiFetch(
+      `/admin/data-versions/${encodeURIComponent(dataset)}/${encodeURIComponent(version)}/rollback`,
+      { method: 'POST' }
+    );
+    return handleResponse(response);
+  },
+
+  // List the action names that can appear in the audit log
+  getAuditActions: async () => {
+    const response = await apiFetch(`/admin/audit-logs/actions`);
     return handleResponse(response);
   }
 };
 
-// Dashboard API calls
-export const dashboardAPI = {
-  // Get dashboard summary
-  getSummary: async () => {
-    const response = await fetch(`${API_BASE_URL}/dashboard/summary`);
+// User preference API calls; values are the strings kept in localStorage
+export const preferencesAPI = {
+  // Resolves to { key: value } for the logged-in user
+  get: async () => {
+    const response = await apiFetch(`/preferences`);
     return handleResponse(response);
   },
 
-  // Get KPIs
-  getKPIs: async () => {
-    const response = await fetch(`${API_BASE_URL}/dashboard/kpis`);
+  // Merge { key: value } into the stored preferences; null removes a key
+  update: async (changes) => {
+    const response = await apiFetch(`/preferences`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(changes)
+    });
     return handleResponse(response);
+  }
+};
+
+// Audit API calls
+export const auditAPI = {
+  // Record a browser-side data export: { source, title, fileName, rowCount }.
+  // Never throws, so a failed audit call cannot break the download itself.
+  recordExport: async (details) => {
+    try {
+      const response = await apiFetch(`/audit/exports`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(details)
+      });
+      if (!response.ok) {
+        console.warn('Failed to record export:', response.status);
+      }
+    } catch (error) {
+      console.warn('Failed to record export:', error);
+    }
+  }
+};
+
+// Authentication API calls
+export const authAPI = {
+  // Log in and store the returned tokens; resolves to the logged-in user
+  login: async (username, password) => {
+    const response = await fetch(`${API_BASE_URL}/auth/login`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username, password })
+    });
+    const session = await handleResponse(response);
+    authTokens.set(session);
+    return session.user;
+  },
+
+  // Revoke the refresh token and forget both tokens
+  logout: async () => {
+    const refreshToken = authTokens.getRefreshToken();
+    authTokens.clear();
+    if (refreshToken) {
+      await fetch(`${API_BASE_URL}/auth/logout`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken })
+      }).catch(() => {});
+    }
   },
 
-  // Get trends
-  getTrends: async (years = 5) => {
-    const response = await fetch(`${API_BASE_URL}/dashboard/trends?years=${years}`);
+  // Get the logged-in user
+  me: async () => {
+    const response = await apiFetch('/auth/me');
     return handleResponse(response);
   }
 };
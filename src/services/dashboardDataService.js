@@ -1,9 +1,10 @@
-import { permitAPI, departmentAPI } from './api';
+import { permitAPI, departmentAPI, dashboardAPI, queryAPI } from './api';
 
 /**
  * Dashboard Data Service
  * Provides methods to fetch and prepare data for the dashboard components
- * Data is loaded from the API endpoints
+ * Data is loaded from the API endpoints; totals are aggregated server-side through queryAPI.
+ * While the API cannot be reached, api.js answers from the bundled data instead
  */
 
 /**
@@ -50,88 +51,126 @@ const getDepartmentWorkloadData = async () => {
  */
 const getPermitDistributionData = async () => {
   try {
-    // Use the yearly bins data to create permit categories
-    const rawData = await permitAPI.getYearlyBins();
+    // Use the yearly bin totals to create permit categories
+    const { rows } = await queryAPI.aggregate({ dataset: 'bins', measure: 'sum', groupBy: ['year', 'bin'] });
     
-    if (!rawData || rawData.length === 0) {
+    if (!rows || rows.length === 0) {
       throw new Error('No permit distribution data available');
     }
     
     // Get the most recent year's data
-    const years = [...new Set(rawData.map(item => item.year))];
-    const latestYear = Math.max(...years);
-    const latestYearData = rawData.filter(item => item.year === latestYear);
-    
-    // Create categories based on permit ranges
-    const categories = {};
-    latestYearData.forEach(item => {
-      if (!categories[item.bin_range]) {
-        categories[item.bin_range] = 0;
-      }
-      categories[item.bin_range] += item.permit_count;
-    });
+    const latestYear = Math.max(...rows.map(item => item.year));
     
     // Convert to array format for horizontal bar chart
-    return Object.entries(categories).map(([category, value]) => ({
-      category,
-      value
-    })).sort((a, b) => b.value - a.value); // Sort by value descending
+    return rows
+      .filter(item => item.year === latestYear)
+      .map(item => ({ category: item.bin, value: item.value }))
+      .sort((a, b) => b.value - a.value); // Sort by value descending
   } catch (error) {
     console.error('Error processing permit distribution data:', error);
     return [];
   }
 };
 
+/**
+ * Build the Avg. Valuation KPI from yearly valuation rows
+ * @param {Array} valuationData - Rows from permitAPI.getYearlyValuation ({ year, mean_valuation, ... })
+ * @returns {Object|null} KPI for the latest year with a mean valuation, or null when there is none
+ */
+const buildAvgValuationKPI = (valuationData) => {
+  const years = valuationData
+    .filter(row => row.mean_valuation !== null)
+    .sort((a, b) => a.year - b.year)
+    .slice(-5);
+  if (years.length === 0) {
+    return null;
+  }
+
+  const current = years[years.length - 1];
+  const previous = years.length > 1 && years[years.length - 2].year === current.year - 1
+    ? years[years.length - 2]
+    : null;
+  const trend = previous && previous.mean_valuation !== 0
+    ? ((current.mean_valuation - previous.mean_valuation) / previous.mean_valuation) * 100
+    : null;
+
+  return {
+    value: Math.round(current.mean_valuation),
+    year: current.year,
+    trend: trend === null ? 'neutral' : (trend >= 0 ? 'up' : 'down'),
+    trendValue: trend === null ? 'n/a' : `${trend >= 0 ? '+' : ''}${trend.toFixed(1)}%`,
+    sparklineData: years.map(row => Math.round(row.mean_valuation))
+  };
+};
+
+/**
+ * Compare a fiscal year with the same fiscal months of the year before. The latest
+ * fiscal year is usually still in progress, and comparing its first months with a
+ * whole year would read as a steep drop. Months after the last one with permits
+ * count as not yet reported.
+ * @param {Array} monthlyRows - Fiscal rows ({ year, month, value }) for both years, in fiscal month order
+ * @param {number} year - The fiscal year to compare
+ * @returns {{ current: number, previous: number, months: number }} Totals over the first `months` fiscal months
+ */
+const compareYearToDate = (monthlyRows, year) => {
+  const currentRows = monthlyRows.filter(row => row.year === year);
+  const reportedMonths = currentRows.map(row => row.month)
+    .slice(0, currentRows.findLastIndex(row => row.value > 0) + 1);
+  const totalFor = (rows) => rows
+    .filter(row => reportedMonths.includes(row.month))
+    .reduce((total, row) => total + row.value, 0);
+  return {
+    current: totalFor(currentRows),
+    previous: totalFor(monthlyRows.filter(row => row.year === year - 1)),
+    months: reportedMonths.length
+  };
+};
+
+// A KPI that could not be computed; shown as "No data" rather than with made-up figures
+const NO_DATA_KPI = {
+  value: null,
+  trend: 'neutral',
+  trendValue: 'No data',
+  sparklineData: []
+};
+
+const noDataKpis = {
+  totalPermits: NO_DATA_KPI,
+  avgValuation: NO_DATA_KPI,
+  deptActivity: NO_DATA_KPI,
+  monthlyTrend: NO_DATA_KPI,
+  metrics: []
+};
+
 /**
  * Fetch KPI data for the dashboard
- * @returns {Promise<Object>} KPI data for the dashboard
+ * @returns {Promise<Object>} KPI data for the dashboard; KPIs without data have a null value
  */
 export const fetchKPIData = async () => {
   try {
-    // Default fallback data in case of errors
-    const defaultKpiData = {
-      totalPermits: {
-        value: 1250,
-        trend: 'up',
-        trendValue: '+8.5%',
-        sparklineData: [980, 1050, 1100, 1150, 1250]
-      },
-      avgValuation: {
-        value: 425000,
-        trend: 'up',
-        trendValue: '+12.5%',
-        sparklineData: [340000, 360000, 385000, 400000, 425000]
-      },
-      deptActivity: {
-        value: 3850,
-        trend: 'up',
-        trendValue: '+5.2%',
-        sparklineData: [3500, 3600, 3700, 3800, 3850]
-      },
-      monthlyTrend: {
-        value: 'Increasing',
-        trend: 'up',
-        trendValue: '+6.8%',
-        sparklineData: [210, 225, 230, 235, 240, 255]
-      },
-      metrics: {
-        avgProcessingDays: 21,
-        completionRate: 87,
-        approvalRate: 92,
-        revisionRate: 15
-      }
-    };
-    
-    // Fetch data from API
-    const [yearlyData, deptActivityData, monthlyData] = await Promise.all([
-      permitAPI.getYearlyPermits(),
-      departmentAPI.getActivity(),
-      permitAPI.getMonthlyPermits()
+    // Fetch data from API; permit KPIs follow the fiscal calendar configured on the server
+    const [yearlyData, deptActivityTotals] = await Promise.all([
+      permitAPI.getYearlyPermits({ calendar: 'fiscal' }),
+      queryAPI.aggregate({ dataset: 'department-activity', measure: 'sum', groupBy: ['year'] })
+    ]);
+    const deptActivityData = deptActivityTotals.rows;
+
+    // Processing metrics and valuations come from permit-level data, which may not be loaded yet
+    const [metrics, valuationData] = await Promise.all([
+      dashboardAPI.getMetrics().catch(error => {
+        console.error('Error fetching processing metrics:', error);
+        return [];
+      }),
+      permitAPI.getYearlyValuation().catch(error => {
+        console.error('Error fetching valuation data:', error);
+        return [];
+      })
     ]);
+    const avgValuation = buildAvgValuationKPI(valuationData) || NO_DATA_KPI;
     
-    if (!yearlyData.length || !deptActivityData.length || !monthlyData.length) {
-      console.warn('Missing data from API, using default KPI data');
-      return defaultKpiData;
+    if (!yearlyData.length || !deptActivityData.length) {
+      console.warn('Missing permit or department activity data for the KPIs');
+      return { ...noDataKpis, avgValuation, metrics };
     }
     
     // Sort data by year to get trends
@@ -143,36 +182,39 @@ export const fetchKPIData = async () => {
       throw new Error('Not enough yearly data for trend calculation');
     }
     
-    // Calculate total permits trend
+    // Fiscal months of the latest two years (rows come back by year, in fiscal month order)
     const currentYear = recentYears[recentYears.length - 1];
     const previousYear = recentYears[recentYears.length - 2];
-    const totalPermitsTrend = previousYear.permit_count !== 0 ? 
-      ((currentYear.permit_count - previousYear.permit_count) / previousYear.permit_count) * 100 : 0;
-    const totalPermitsTrendValue = `${totalPermitsTrend >= 0 ? '+' : ''}${totalPermitsTrend.toFixed(1)}%`;
+    const { rows: monthlyData } = await queryAPI.aggregate({
+      dataset: 'permits',
+      measure: 'sum',
+      calendar: 'fiscal',
+      groupBy: ['year', 'month'],
+      years: [previousYear.fiscal_year, currentYear.fiscal_year]
+    });
+
+    // Calculate total permits trend: a complete year against the year before, a year
+    // in progress against the same months of the year before
+    const toDate = compareYearToDate(monthlyData, currentYear.fiscal_year);
+    const isYearToDate = toDate.months > 0 && toDate.months < 12;
+    const [current, previous] = isYearToDate
+      ? [toDate.current, toDate.previous]
+      : [currentYear.permit_count, previousYear.permit_count];
+    const totalPermitsTrend = previous !== 0 ? ((current - previous) / previous) * 100 : 0;
+    const totalPermitsTrendValue = `${totalPermitsTrend >= 0 ? '+' : ''}${totalPermitsTrend.toFixed(1)}%${isYearToDate ? ' YTD' : ''}`;
     
-    // Get department activity data for the most recent year
+    // Get department activity totals (summed across departments) for the most recent years
     const latestActivityYear = Math.max(...deptActivityData.map(item => item.year));
-    const currentYearDeptActivity = deptActivityData
-      .filter(item => item.year === latestActivityYear)
-      .reduce((sum, item) => sum + item.activity_count, 0);
-    
-    const previousYearDeptActivity = deptActivityData
-      .filter(item => item.year === latestActivityYear - 1)
-      .reduce((sum, item) => sum + item.activity_count, 0);
+    const activityTotalForYear = (year) => deptActivityData.find(item => item.year === year)?.value || 0;
+    const currentYearDeptActivity = activityTotalForYear(latestActivityYear);
+    const previousYearDeptActivity = activityTotalForYear(latestActivityYear - 1);
     
     const deptActivityTrend = previousYearDeptActivity !== 0 ?
       ((currentYearDeptActivity - previousYearDeptActivity) / previousYearDeptActivity) * 100 : 0;
     const deptActivityTrendValue = `${deptActivityTrend >= 0 ? '+' : ''}${deptActivityTrend.toFixed(1)}%`;
     
-    // Get monthly trend for current year
-    const latestMonthlyData = monthlyData
-      .filter(item => item.year === currentYear.fiscal_year)
-      .sort((a, b) => {
-        const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-        return months.indexOf(a.month) - months.indexOf(b.month);
-      });
-    
-    const recentMonths = latestMonthlyData.slice(-6); // Last 6 months
+    // Monthly trend for the current fiscal year
+    const recentMonths = monthlyData.filter(row => row.year === currentYear.fiscal_year).slice(-6); // Last 6 months
     
     // Return updated KPI data
     return {
@@ -182,26 +224,26 @@ export const fetchKPIData = async () => {
         trendValue: totalPermitsTrendValue,
         sparklineData: recentYears.map(y => y.permit_count)
       },
-      avgValuation: defaultKpiData.avgValuation, // Keep default for now
+      avgValuation,
       deptActivity: {
         value: currentYearDeptActivity,
         trend: deptActivityTrend >= 0 ? 'up' : 'down',
         trendValue: deptActivityTrendValue,
         sparklineData: deptActivityData
           .filter(d => d.year >= latestActivityYear - 4)
-          .map(d => d.activity_count)
+          .map(d => d.value)
       },
       monthlyTrend: {
         value: totalPermitsTrend >= 0 ? 'Increasing' : 'Decreasing',
         trend: totalPermitsTrend >= 0 ? 'up' : 'down',
         trendValue: totalPermitsTrendValue,
-        sparklineData: recentMonths.map(m => m.permit_count)
+        sparklineData: recentMonths.map(m => m.value)
       },
-      metrics: defaultKpiData.metrics // Keep default for now
+      metrics
     };
   } catch (error) {
     console.error('Error fetching KPI data:', error);
-    return defaultKpiData;
+    return noDataKpis;
   }
 };
 
@@ -211,18 +253,21 @@ export const fetchKPIData = async () => {
  */
 export const fetchChartData = async () => {
   try {
-    const [yearlyData, yearlyBinsData, deptActivityData] = await Promise.all([
+    const [yearlyData, yearlyBinsResult, deptActivityResult, valuationData] = await Promise.all([
       permitAPI.getYearlyPermits(),
-      permitAPI.getYearlyBins(),
-      departmentAPI.getActivity()
+      queryAPI.aggregate({ dataset: 'bins', measure: 'sum', groupBy: ['year', 'bin'] }),
+      queryAPI.aggregate({ dataset: 'department-activity', measure: 'sum', groupBy: ['department', 'year'] }),
+      permitAPI.getYearlyValuation()
     ]);
+    const yearlyBinsData = yearlyBinsResult.rows;
+    const deptActivityData = deptActivityResult.rows;
 
     if (!yearlyData.length || !yearlyBinsData.length || !deptActivityData.length) {
       throw new Error('Failed to fetch chart data from API');
     }
 
     const [permitVolumeData, valuationRangeData] = await Promise.all([
-      processPermitVolumeData(yearlyData, yearlyBinsData),
+      processPermitVolumeData(yearlyData, valuationData),
       processValuationRangeData(yearlyBinsData)
     ]);
 
@@ -246,12 +291,12 @@ export const fetchChartData = async () => {
 /**
  * Process yearly data for the Combination Chart
  * @param {Array} yearlyData - Yearly permit data
- * @param {Array} yearlyBinsData - Yearly permit data with valuation bins
- * @returns {Array} Processed data for the combination chart
+ * @param {Array} valuationData - Valuation per year ({ year, total_valuation, mean_valuation, median_valuation })
+ * @returns {Array} Processed data for the combination chart; valuations are null for years without valuation data
  */
-async function processPermitVolumeData(yearlyData, yearlyBinsData) {
+async function processPermitVolumeData(yearlyData, valuationData) {
   try {
-    if (!yearlyData.length || !yearlyBinsData.length) {
+    if (!yearlyData.length) {
       throw new Error('Missing data for permit volume processing');
     }
     
@@ -259,39 +304,18 @@ async function processPermitVolumeData(yearlyData, yearlyBinsData) {
     const sortedYearlyData = [...yearlyData].sort((a, b) => a.fiscal_year - b.fiscal_year);
     const recentYears = sortedYearlyData.slice(-5); // Get last 5 years
     
-    // Calculate average valuation for each year
-    const valuationRanges = {
-      '0-10K': 5000,
-      '10K-100K': 55000,
-      '100K-1M': 550000,
-      '1M-10M': 5500000,
-      '10M+': 15000000
-    };
-    
-    const yearlyValuations = {};
-    
-    yearlyBinsData.forEach(item => {
-      const year = item.year;
-      if (!yearlyValuations[year]) {
-        yearlyValuations[year] = { totalValue: 0, totalCount: 0 };
-      }
-      
-      const midpoint = valuationRanges[item.bin_range] || 0;
-      yearlyValuations[year].totalValue += midpoint * item.permit_count;
-      yearlyValuations[year].totalCount += item.permit_count;
-    });
+    const valuationByYear = new Map(valuationData.map(row => [row.year, row]));
     
     // Create the combined data
     return recentYears.map(yearData => {
-      const year = yearData.fiscal_year;
-      const valuation = yearlyValuations[year] || { totalValue: 0, totalCount: 0 };
-      const avgValuation = valuation.totalCount > 0 ? 
-        Math.round(valuation.totalValue / valuation.totalCount) : 0;
+      const valuation = valuationByYear.get(yearData.fiscal_year);
       
       return {
-        year: year.toString(),
+        year: yearData.fiscal_year.toString(),
         permitCount: yearData.permit_count,
-        avgValuation: avgValuation
+        avgValuation: valuation ? valuation.mean_valuation : null,
+        medianValuation: valuation ? valuation.median_valuation : null,
+        totalValuation: valuation ? valuation.total_valuation : null
       };
     });
   } catch (error) {
@@ -302,7 +326,7 @@ async function processPermitVolumeData(yearlyData, yearlyBinsData) {
 
 /**
  * Process department activity data for box plots or other visualizations
- * @param {Array} deptActivityData - Department activity data
+ * @param {Array} deptActivityData - Activity totals grouped by department and year ({ department, year, value })
  * @returns {Array} Processed data for department activity visualization
  */
 async function processDeptActivityData(deptActivityData) {
@@ -317,7 +341,7 @@ async function processDeptActivityData(deptActivityData) {
     // Process data for each department
     return departments.map((dept, index) => {
       const deptData = deptActivityData.filter(item => item.department === dept);
-      const values = deptData.map(item => item.activity_count);
+      const values = deptData.map(item => item.value);
       
       // Assign colors based on index
       const colors = [
@@ -343,7 +367,7 @@ async function processDeptActivityData(deptActivityData) {
 
 /**
  * Process valuation range data for stacked bar chart
- * @param {Array} yearlyBinsData - Yearly permit data with valuation bins
+ * @param {Array} yearlyBinsData - Permit totals grouped by year and valuation bin ({ year, bin, value })
  * @returns {Array} Processed data for valuation range chart
  */
 async function processValuationRangeData(yearlyBinsData) {
@@ -366,7 +390,7 @@ async function processValuationRangeData(yearlyBinsData) {
       // Add each range as a property
       yearData.forEach(item => {
         // Convert range names to match expected format
-        let rangeName = item.bin_range;
+        let rangeName = item.bin;
         if (rangeName === '0-10K') rangeName = '<$100K';
         else if (rangeName === '10K-100K') rangeName = '<$100K'; // Combine with the first category
         else if (rangeName === '100K-1M') rangeName = '$100K-$1M';
@@ -375,9 +399,9 @@ async function processValuationRangeData(yearlyBinsData) {
         
         // Add or update the range count
         if (!yearObj[rangeName]) {
-          yearObj[rangeName] = item.permit_count;
+          yearObj[rangeName] = item.value;
         } else {
-          yearObj[rangeName] += item.permit_count;
+          yearObj[rangeName] += item.value;
         }
       });
       
@@ -0,0 +1,133 @@
+// Generated by server/scripts/generate-api-client.js from server/openapi/spec.js.
+// Do not edit by hand: change the OpenAPI document and run `npm run api:generate`.
+
+/**
+ * Builds the data API clients on top of the app's fetch helpers.
+ * @param {object} helpers - `apiFetch`, `handleResponse` and `buildQueryString` from services/api.js
+ * @returns {object} dashboardAPI, permitAPI, departmentAPI, queryAPI
+ */
+export const createApiClients = ({ apiFetch, handleResponse, buildQueryString }) => ({
+  // Summary figures for the home page
+  dashboardAPI: {
+    // GET /dashboard/summary - Total permits, the latest year and activity per department
+    getSummary: async () => {
+      const response = await apiFetch(`/dashboard/summary`);
+      return handleResponse(response);
+    },
+
+    // GET /dashboard/kpis - Year-over-year growth, average monthly permits and the most active department
+    getKPIs: async () => {
+      const response = await apiFetch(`/dashboard/kpis`);
+      return handleResponse(response);
+    },
+
+    // GET /dashboard/metrics - Permit processing metrics per fiscal year of submission, per department and for all departments
+    // options: fromYear, toYear, years, sort, order
+    getMetrics: async (options = {}) => {
+      const response = await apiFetch(`/dashboard/metrics${buildQueryString(options)}`);
+      return handleResponse(response);
+    },
+
+    // GET /dashboard/calendar - The fiscal calendar used for calendar=fiscal
+    getCalendar: async () => {
+      const response = await apiFetch(`/dashboard/calendar`);
+      return handleResponse(response);
+    },
+
+    // GET /dashboard/trends - Yearly permits and department activity for the last N years
+    // options: years
+    getTrends: async (options = {}) => {
+      const response = await apiFetch(`/dashboard/trends${buildQueryString(options)}`);
+      return handleResponse(response);
+    }
+  },
+
+  // Unique permit counts
+  permitAPI: {
+    // GET /permits/yearly - Unique permits per year
+    // options: fromYear, toYear, years, calendar, sort, order
+    getYearlyPermits: async (options = {}) => {
+      const response = await apiFetch(`/permits/yearly${buildQueryString(options)}`);
+      return handleResponse(response);
+    },
+
+    // GET /permits/monthly - Unique permits per month
+    // options: fromYear, toYear, years, calendar, months, sort, order
+    getMonthlyPermits: async (options = {}) => {
+      const response = await apiFetch(`/permits/monthly${buildQueryString(options)}`);
+      return handleResponse(response);
+    },
+
+    // GET /permits/quarterly - Unique permits per quarter
+    // options: fromYear, toYear, years, calendar, quarters, sort, order
+    getQuarterlyPermits: async (options = {}) => {
+      const response = await apiFetch(`/permits/quarterly${buildQueryString(options)}`);
+      return handleResponse(response);
+    },
+
+    // GET /permits/yearly-bins - Unique permits per year and valuation bin
+    // options: fromYear, toYear, years, sort, order
+    getYearlyBins: async (options = {}) => {
+      const response = await apiFetch(`/permits/yearly-bins${buildQueryString(options)}`);
+      return handleResponse(response);
+    },
+
+    // GET /permits/yearly-valuation - Total, mean and median valuation of unique permits per year
+    // options: fromYear, toYear, years, sort, order
+    getYearlyValuation: async (options = {}) => {
+      const response = await apiFetch(`/permits/yearly-valuation${buildQueryString(options)}`);
+      return handleResponse(response);
+    },
+
+    // GET /forecast - Forecast monthly or quarterly unique permits with prediction intervals and backtest errors
+    // options: series, calendar, models, horizon
+    getForecast: async (options = {}) => {
+      const response = await apiFetch(`/forecast${buildQueryString(options)}`);
+      return handleResponse(response);
+    },
+
+    // GET /anomalies - Months, quarters or department years that are far from their expected value
+    // options: series, calendar, departments, threshold
+    getAnomalies: async (options = {}) => {
+      const response = await apiFetch(`/anomalies${buildQueryString(options)}`);
+      return handleResponse(response);
+    }
+  },
+
+  // Department registry and activity
+  departmentAPI: {
+    // GET /departments - Departments with activity reports, in navigation order
+    getDepartments: async () => {
+      const response = await apiFetch(`/departments`);
+      return handleResponse(response);
+    },
+
+    // GET /departments/activity - Activity count per year and department
+    getActivity: async () => {
+      const response = await apiFetch(`/departments/activity`);
+      return handleResponse(response);
+    },
+
+    // GET /departments/activity/weekday - Share of each department's activity per weekday, per year
+    getActivityWeekday: async () => {
+      const response = await apiFetch(`/departments/activity/weekday`);
+      return handleResponse(response);
+    },
+
+    // GET /departments/activity/{department} - Activity per year for one department
+    getActivityByDepartment: async (department) => {
+      const response = await apiFetch(`/departments/activity/${encodeURIComponent(department)}`);
+      return handleResponse(response);
+    }
+  },
+
+  // Ad-hoc aggregation of whitelisted datasets
+  queryAPI: {
+    // GET /query - Aggregate a dataset into tidy rows, grouped by any of its dimensions
+    // options: dataset, measure, groupBy, calendar, fromYear, toYear, years, quarters, months, departments, bins
+    aggregate: async (options = {}) => {
+      const response = await apiFetch(`/query${buildQueryString(options)}`);
+      return handleResponse(response);
+    }
+  }
+});
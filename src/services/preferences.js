@@ -0,0 +1,126 @@
+import { preferencesAPI } from './api';
+
+/**
+ * @file preferences.js
+ * @description Small preference store behind `usePersistedState` and `ThemeContext`.
+ * localStorage always holds the current values, so anonymous and offline use keep
+ * working. Once a user is logged in, values saved on the server are pulled into
+ * localStorage and local changes are pushed back (batched, retried when the
+ * browser comes back online).
+ */
+
+const SYNC_DELAY_MS = 500;
+
+const listeners = new Map();
+let pendingChanges = {};
+let flushTimer = null;
+let isSyncEnabled = false;
+
+const readLocal = (key) => {
+  try {
+    return localStorage.getItem(key);
+  } catch (e) {
+    console.warn(`Error reading localStorage key "${key}":`, e);
+    return null;
+  }
+};
+
+const writeLocal = (key, value) => {
+  try {
+    if (value === null) {
+      localStorage.removeItem(key);
+    } else {
+      localStorage.setItem(key, value);
+    }
+  } catch (e) {
+    console.warn(`Error writing to localStorage key "${key}":`, e);
+  }
+};
+
+const notify = (key, value) => {
+  listeners.get(key)?.forEach(listener => listener(value));
+};
+
+// Send the pending changes; on failure they are kept for the next attempt
+const flush = async () => {
+  clearTimeout(flushTimer);
+  flushTimer = null;
+  const changes = pendingChanges;
+  if (!isSyncEnabled || Object.keys(changes).length === 0) return;
+
+  pendingChanges = {};
+  try {
+    await preferencesAPI.update(changes);
+  } catch (e) {
+    console.warn('Failed to save preferences to the server, keeping them locally:', e);
+    pendingChanges = { ...changes, ...pendingChanges };
+  }
+};
+
+/**
+ * Reads a stored preference string.
+ * @param {string} key - The preference key.
+ * @returns {string|null} The stored value, or null if unset.
+ */
+export const readPreference = (key) => readLocal(key);
+
+/**
+ * Stores a preference string locally and, when logged in, on the server.
+ * @param {string} key - The preference key.
+ * @param {string|null} value - The value to store; null removes it.
+ */
+export const writePreference = (key, value) => {
+  writeLocal(key, value);
+  if (!isSyncEnabled) return;
+
+  pendingChanges[key] = value;
+  clearTimeout(flushTimer);
+  flushTimer = setTimeout(flush, SYNC_DELAY_MS);
+};
+
+/**
+ * Listens for a preference being replaced by the value saved on the server.
+ * @param {string} key - The preference key.
+ * @param {Function} listener - Called with the new value string.
+ * @returns {Function} Unsubscribe function.
+ */
+export const subscribePreference = (key, listener) => {
+  if (!listeners.has(key)) {
+    listeners.set(key, new Set());
+  }
+  listeners.get(key).add(listener);
+  return () => listeners.get(key).delete(listener);
+};
+
+/**
+ * Starts syncing for the logged-in user: server values replace local ones
+ * (except keys changed since sync started), then local changes are pushed.
+ */
+export const startPreferenceSync = async () => {
+  isSyncEnabled = true;
+  try {
+    const serverPreferences = await preferencesAPI.get();
+    Object.entries(serverPreferences).forEach(([key, value]) => {
+      if (key in pendingChanges || readLocal(key) === value) return;
+      writeLocal(key, value);
+      notify(key, value);
+    });
+  } catch (e) {
+    console.warn('Failed to load preferences from the server, using local values:', e);
+  }
+  await flush();
+};
+
+/**
+ * Stops syncing, e.g. on logout; values stay in localStorage.
+ */
+export const stopPreferenceSync = () => {
+  isSyncEnabled = false;
+  pendingChanges = {};
+  clearTimeout(flushTimer);
+  flushTimer = null;
+};
+
+if (typeof window !== 'undefined') {
+  window.addEventListener('online', () => flush());
+}
@@ -0,0 +1,394 @@
+import { CALENDAR_MONTHS } from '../utils/fiscalCalendar';
+
+/**
+ * @file staticData.js
+ * @description Read-only stand-ins for the data API, answering from the JSON exports
+ * bundled in public/data. Used by the data source switch in api.js for demo
+ * deployments and while the API cannot be reached. Rows have the same fields and
+ * order as the API's; endpoints that need the server (forecasts, anomalies,
+ * processing metrics) reject with an error marked `offline`.
+ */
+
+const DATA_URL = `${import.meta.env.BASE_URL}data`;
+
+// The fiscal calendar last served by the API (see rememberFiscalCalendar), kept in
+// localStorage so offline fiscal views use the server's setting after a reload.
+// The server's default (FISCAL_YEAR_START_MONTH=7, FISCAL_YEAR_LABEL=end) until then.
+const FISCAL_CALENDAR_KEY = 'fiscalCalendar';
+
+const describeFiscalCalendar = (startMonth, yearLabel) => ({
+  startMonth,
+  yearLabel,
+  months: [...CALENDAR_MONTHS.slice(startMonth - 1), ...CALENDAR_MONTHS.slice(0, startMonth - 1)],
+  views: ['calendar', 'fiscal']
+});
+
+const isFiscalCalendar = calendar => Number.isInteger(calendar?.startMonth)
+  && calendar.startMonth >= 1 && calendar.startMonth <= 12
+  && ['end', 'start'].includes(calendar.yearLabel);
+
+const loadSavedFiscalCalendar = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(FISCAL_CALENDAR_KEY));
+    if (isFiscalCalendar(saved)) {
+      return describeFiscalCalendar(saved.startMonth, saved.yearLabel);
+    }
+  } catch (error) {
+    console.warn('Failed to load the saved fiscal calendar:', error);
+  }
+  return describeFiscalCalendar(7, 'end');
+};
+
+let fiscalCalendar = loadSavedFiscalCalendar();
+
+// Keep the calendar an API answer described, for the offline fiscal views; returns it unchanged
+export const rememberFiscalCalendar = (calendar) => {
+  if (isFiscalCalendar(calendar)) {
+    fiscalCalendar = describeFiscalCalendar(calendar.startMonth, calendar.yearLabel);
+    try {
+      localStorage.setItem(FISCAL_CALENDAR_KEY, JSON.stringify({ startMonth: calendar.startMonth, yearLabel: calendar.yearLabel }));
+    } catch (error) {
+      console.warn('Failed to save the fiscal calendar:', error);
+    }
+  }
+  return calendar;
+};
+
+const monthNumber = month => CALENDAR_MONTHS.indexOf(month) + 1;
+const calendarQuarter = month => Math.floor((monthNumber(month) - 1) / 3) + 1;
+
+// Fiscal year, month (1-12) and quarter (1-4) of a calendar year and "Jan".."Dec" month,
+// as fiscalPeriodOf in the server's utils/fiscalCalendar.js
+const fiscalPeriodOf = (year, month) => {
+  const { startMonth, yearLabel } = fiscalCalendar;
+  const fiscalMonth = (monthNumber(month) - startMonth + 12) % 12 + 1;
+  let fiscalYear = year;
+  if (startMonth !== 1) {
+    const offset = yearLabel === 'end' ? 1 : 0;
+    fiscalYear = year + (monthNumber(month) >= startMonth ? offset : offset - 1);
+  }
+  return { fiscalYear, fiscalMonth, fiscalQuarter: Math.floor((fiscalMonth - 1) / 3) + 1 };
+};
+
+// Bundled files and the table columns their records map to, as in the server's import definitions
+const TABLES = {
+  yearly: {
+    file: 'UniquePermitsAnalysisData/UniquePermitYearlyJson.json',
+    toRow: record => ({ fiscal_year: record.FiscalYear, permit_count: record.PermitCount })
+  },
+  monthly: {
+    file: 'UniquePermitsAnalysisData/UniquePermitMonthlyJson.json',
+    toRow: record => ({ year: record.FiscalYear, month: record.FiscalMonth, permit_count: record.PermitCount })
+  },
+  quarterly: {
+    file: 'UniquePermitsAnalysisData/UniquePermitQuarterlyJson.json',
+    toRow: record => ({ year: record.FiscalYear, quarter: String(record.FiscalQuarter), permit_count: record.PermitCount })
+  },
+  bins: {
+    file: 'UniquePermitsAnalysisData/UniquePermitYearlyBinsJson.json',
+    toRow: record => ({ year: record.year, bin_range: record.permit_range, permit_count: record.count })
+  },
+  departmentActivity: {
+    file: 'UniquePermitsAnalysisData/DeptAnnualActivityJson.json',
+    toRow: record => ({ year: record.year, department: record.department, activity_count: record.activity_count })
+  },
+  departmentActivityWeekday: {
+    file: 'UniquePermitsAnalysisData/DeptAnnualActivityWeekdayJson.json',
+    toRow: ({ year, department, monday, tuesday, wednesday, thursday, friday }) =>
+      ({ year, department, monday, tuesday, wednesday, thursday, friday })
+  },
+  departments: {
+    file: 'Departments.json',
+    toRow: ({ code, display_name, description, colors, sort_order }) =>
+      ({ code, display_name, description, colors, sort_order })
+  }
+};
+
+// Each file is fetched once; a failed fetch is retried on the next call
+const loadedTables = new Map();
+const loadTable = (name) => {
+  if (!loadedTables.has(name)) {
+    const { file, toRow } = TABLES[name];
+    const rows = fetch(`${DATA_URL}/${file}`)
+      .then(response => {
+        if (!response.ok) {
+          throw new Error(`Failed to load bundled data ${file}: HTTP ${response.status}`);
+        }
+        return response.json();
+      })
+      .then(records => records.map(toRow))
+      .catch(error => {
+        loadedTables.delete(name);
+        throw error;
+      });
+    loadedTables.set(name, rows);
+  }
+  return loadedTables.get(name);
+};
+
+// Stand-in for endpoints the bundled files cannot answer; api.js passes the API's own error on instead
+const unavailable = (what) => {
+  const reject = async () => {
+    const error = new Error(`${what} needs the API and is not available with offline data`);
+    error.offline = true;
+    throw error;
+  };
+  reject.requiresApi = true;
+  return reject;
+};
+
+const sum = values => values.reduce((total, value) => total + value, 0);
+
+// Group rows by a key function; returns [[key, rows], ...] in first-seen order
+const groupRows = (rows, keyOf) => {
+  const groups = new Map();
+  rows.forEach(row => {
+    const key = keyOf(row);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  });
+  return [...groups.entries()];
+};
+
+// Comparator for [[valueOf, 'asc' | 'desc'], ...], like an ORDER BY list
+const orderBy = keys => (a, b) => {
+  for (const [valueOf, direction] of keys) {
+    const x = valueOf(a);
+    const y = valueOf(b);
+    const result = typeof x === 'number' && typeof y === 'number' ? x - y : String(x).localeCompare(String(y));
+    if (result !== 0) return direction === 'desc' ? -result : result;
+  }
+  return 0;
+};
+
+const field = name => row => row[name];
+const asList = value => (value === undefined || value === null ? undefined : [].concat(value));
+
+/*
+ * Permit datasets by calendar view: the rows each one returns, the fields its
+ * filters apply to and its default order. Fiscal periods are summed from the
+ * monthly counts, as the server does.
+ */
+const fiscalMonthOrder = row => fiscalPeriodOf(0, row.month).fiscalMonth;
+
+const fiscalMonthly = monthly => monthly.map(row => {
+  const { fiscalYear, fiscalQuarter } = fiscalPeriodOf(row.year, row.month);
+  return { fiscal_year: fiscalYear, month: row.month, quarter: String(fiscalQuarter), permit_count: row.permit_count };
+});
+
+const PERMIT_DATASETS = {
+  calendar: {
+    yearly: {
+      table: 'yearly',
+      rows: yearly => yearly.map(row => ({ ...row })),
+      defaultOrder: [[field('fiscal_year'), 'desc']]
+    },
+    monthly: {
+      table: 'monthly',
+      rows: monthly => monthly.map(row => ({
+        fiscal_year: row.year,
+        month: row.month,
+        quarter: String(calendarQuarter(row.month)),
+        permit_count: row.permit_count
+      })),
+      monthOrder: row => monthNumber(row.month),
+      defaultOrder: [[field('fiscal_year'), 'desc'], [row => monthNumber(row.month), 'asc']]
+    },
+    quarterly: {
+      table: 'quarterly',
+      rows: quarterly => quarterly.map(row => ({ fiscal_year: row.year, quarter: row.quarter, permit_count: row.permit_count })),
+      defaultOrder: [[field('fiscal_year'), 'desc'], [field('quarter'), 'asc']]
+    },
+    yearlyBins: {
+      table: 'bins',
+      yearField: 'year',
+      rows: bins => bins.map(row => ({ ...row })),
+      defaultOrder: [[field('year'), 'desc'], [field('bin_range'), 'asc']]
+    }
+  },
+  fiscal: {
+    yearly: {
+      table: 'monthly',
+      rows: monthly => groupRows(fiscalMonthly(monthly), field('fiscal_year'))
+        .map(([fiscalYear, rows]) => ({ fiscal_year: fiscalYear, permit_count: sum(rows.map(field('permit_count'))) })),
+      defaultOrder: [[field('fiscal_year'), 'desc']]
+    },
+    monthly: {
+      table: 'monthly',
+      rows: fiscalMonthly,
+      monthOrder: fiscalMonthOrder,
+      defaultOrder: [[field('fiscal_year'), 'desc'], [fiscalMonthOrder, 'asc']]
+    },
+    quarterly: {
+      table: 'monthly',
+      rows: monthly => groupRows(fiscalMonthly(monthly), row => `${row.fiscal_year}|${row.quarter}`)
+        .map(([, rows]) => ({
+          fiscal_year: rows[0].fiscal_year,
+          quarter: rows[0].quarter,
+          permit_count: sum(rows.map(field('permit_count')))
+        })),
+      defaultOrder: [[field('fiscal_year'), 'desc'], [field('quarter'), 'asc']]
+    }
+  }
+};
+
+// The filter and sort options of the permit endpoints (see buildQueryString in api.js)
+const filterAndSort = (rows, dataset, options) => {
+  const yearField = dataset.yearField || 'fiscal_year';
+  const years = asList(options.years)?.map(Number);
+  const quarters = asList(options.quarters)?.map(String);
+  const months = asList(options.months);
+  const matches = row =>
+    (options.fromYear === undefined || row[yearField] >= Number(options.fromYear)) &&
+    (options.toYear === undefined || row[yearField] <= Number(options.toYear)) &&
+    (years === undefined || years.includes(row[yearField])) &&
+    (quarters === undefined || quarters.includes(row.quarter)) &&
+    (months === undefined || months.includes(row.month));
+
+  const order = options.sort
+    ? [[options.sort === 'month' ? dataset.monthOrder : field(options.sort), String(options.order || 'asc').toLowerCase()]]
+    : dataset.defaultOrder;
+  return rows.filter(matches).sort(orderBy(order));
+};
+
+const listPermits = name => async (options = {}) => {
+  const view = options.calendar === 'fiscal' && PERMIT_DATASETS.fiscal[name] ? 'fiscal' : 'calendar';
+  const dataset = PERMIT_DATASETS[view][name];
+  return filterAndSort(dataset.rows(await loadTable(dataset.table)), dataset, options);
+};
+
+/*
+ * Sources of queryAPI.aggregate by dataset and calendar view, from the coarsest
+ * to the finest grain; the first one with every requested dimension is used.
+ */
+const AGGREGATE_SOURCES = {
+  permits: {
+    calendar: [
+      { table: 'yearly', toDimensions: row => ({ year: row.fiscal_year, value: row.permit_count }) },
+      { table: 'quarterly', toDimensions: row => ({ year: row.year, quarter: Number(row.quarter), value: row.permit_count }) },
+      {
+        table: 'monthly',
+        toDimensions: row => ({ year: row.year, quarter: calendarQuarter(row.month), month: row.month, value: row.permit_count })
+      }
+    ],
+    fiscal: [
+      {
+        table: 'monthly',
+        toDimensions: row => {
+          const { fiscalYear, fiscalQuarter } = fiscalPeriodOf(row.year, row.month);
+          return { year: fiscalYear, quarter: fiscalQuarter, month: row.month, value: row.permit_count };
+        }
+      }
+    ]
+  },
+  'department-activity': {
+    calendar: [
+      { table: 'departmentActivity', toDimensions: row => ({ year: row.year, department: row.department, value: row.activity_count }) }
+    ]
+  },
+  bins: {
+    calendar: [
+      { table: 'bins', toDimensions: row => ({ year: row.year, bin: row.bin_range, value: row.permit_count }) }
+    ]
+  }
+};
+
+const SOURCE_DIMENSIONS = {
+  yearly: ['year'],
+  quarterly: ['year', 'quarter'],
+  monthly: ['year', 'quarter', 'month'],
+  departmentActivity: ['year', 'department'],
+  bins: ['year', 'bin']
+};
+
+const FILTER_DIMENSIONS = {
+  fromYear: 'year',
+  toYear: 'year',
+  years: 'year',
+  quarters: 'quarter',
+  months: 'month',
+  departments: 'department',
+  bins: 'bin'
+};
+
+const MEASURES = {
+  sum: values => (values.length > 0 ? sum(values) : null),
+  avg: values => (values.length > 0 ? Math.round((sum(values) / values.length) * 100) / 100 : null),
+  min: values => (values.length > 0 ? Math.min(...values) : null),
+  max: values => (values.length > 0 ? Math.max(...values) : null),
+  count: values => values.length
+};
+
+const aggregate = async (options = {}) => {
+  const { dataset, measure = 'sum', calendar = 'calendar' } = options;
+  const groupBy = asList(options.groupBy) || [];
+  const filterNames = Object.keys(FILTER_DIMENSIONS).filter(name => options[name] !== undefined);
+  const required = [...groupBy, ...filterNames.map(name => FILTER_DIMENSIONS[name])];
+  const source = AGGREGATE_SOURCES[dataset]?.[calendar]
+    ?.find(candidate => required.every(dimension => SOURCE_DIMENSIONS[candidate.table].includes(dimension)));
+  if (!source || !MEASURES[measure]) {
+    throw new Error(`Offline data cannot answer this aggregate query: ${JSON.stringify(options)}`);
+  }
+
+  const years = asList(options.years)?.map(Number);
+  const quarters = asList(options.quarters)?.map(Number);
+  const months = asList(options.months);
+  const departments = asList(options.departments);
+  const bins = asList(options.bins);
+  const matches = row =>
+    (options.fromYear === undefined || row.year >= Number(options.fromYear)) &&
+    (options.toYear === undefined || row.year <= Number(options.toYear)) &&
+    (years === undefined || years.includes(row.year)) &&
+    (quarters === undefined || quarters.includes(row.quarter)) &&
+    (months === undefined || months.includes(row.month)) &&
+    (departments === undefined || departments.includes(row.department)) &&
+    (bins === undefined || bins.includes(row.bin));
+  const rows = (await loadTable(source.table)).map(source.toDimensions).filter(matches);
+
+  const monthOrder = calendar === 'fiscal' ? fiscalMonthOrder : row => monthNumber(row.month);
+  const result = groupBy.length === 0
+    ? [{ value: MEASURES[measure](rows.map(field('value'))) }]
+    : groupRows(rows, row => JSON.stringify(groupBy.map(dimension => row[dimension])))
+      .map(([, group]) => ({
+        ...Object.fromEntries(groupBy.map(dimension => [dimension, group[0][dimension]])),
+        value: MEASURES[measure](group.map(field('value')))
+      }))
+      .sort(orderBy(groupBy.map(dimension => [dimension === 'month' ? monthOrder : field(dimension), 'asc'])));
+
+  return { dataset, measure, groupBy, calendar, rows: result };
+};
+
+const activityOrder = orderBy([[field('year'), 'desc'], [field('department'), 'asc']]);
+
+// Same methods as the generated clients in generated/apiClient.js, plus queryAPI.aggregate
+export const staticClients = {
+  dashboardAPI: {
+    getSummary: unavailable('The dashboard summary'),
+    getKPIs: unavailable('The dashboard KPIs'),
+    getMetrics: unavailable('Processing metrics'),
+    getCalendar: async () => fiscalCalendar,
+    getTrends: unavailable('The dashboard trends')
+  },
+  permitAPI: {
+    getYearlyPermits: listPermits('yearly'),
+    getMonthlyPermits: listPermits('monthly'),
+    getQuarterlyPermits: listPermits('quarterly'),
+    getYearlyBins: listPermits('yearlyBins'),
+    // No valuation export is bundled
+    getYearlyValuation: async () => [],
+    getForecast: unavailable('The permit forecast'),
+    getAnomalies: unavailable('Anomaly detection')
+  },
+  departmentAPI: {
+    getDepartments: async () => [...await loadTable('departments')]
+      .sort(orderBy([[field('sort_order'), 'asc'], [field('display_name'), 'asc']])),
+    getActivity: async () => [...await loadTable('departmentActivity')].sort(activityOrder),
+    getActivityWeekday: async () => [...await loadTable('departmentActivityWeekday')].sort(activityOrder),
+    getActivityByDepartment: async (department) => (await loadTable('departmentActivity'))
+      .filter(row => row.department === department)
+      .sort(activityOrder)
+  },
+  queryAPI: {
+    aggregate
+  }
+};
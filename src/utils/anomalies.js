@@ -0,0 +1,104 @@
+// src/utils/anomalies.js
+
+/**
+ * Helpers for drawing the points flagged by `GET /api/anomalies` on charts and
+ * tables. Anomalies passed to the chart components carry the fields the chart's
+ * xField reads, plus `value`, `expected`, `lower`, `upper`, `severity` and `direction`.
+ */
+
+// Marker colors by severity
+export const SEVERITY_COLORS = {
+  low: 'rgb(234, 179, 8)',
+  medium: 'rgb(249, 115, 22)',
+  high: 'rgb(220, 38, 38)'
+};
+
+// Table badge classes by severity
+export const SEVERITY_BADGE_CLASSES = {
+  low: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/40 dark:text-yellow-200',
+  medium: 'bg-orange-100 text-orange-800 dark:bg-orange-900/40 dark:text-orange-200',
+  high: 'bg-red-100 text-red-800 dark:bg-red-900/40 dark:text-red-200'
+};
+
+const SEVERITY_RANK = { low: 1, medium: 2, high: 3 };
+
+const formatCount = value => Math.round(value).toLocaleString();
+
+/**
+ * The x value of a data point or anomaly
+ * @param {object} item - Data point or anomaly
+ * @param {string|function} xField - Key or accessor used by the chart
+ * @returns {*} The x value
+ */
+export const xValueOf = (item, xField) => (typeof xField === 'function' ? xField(item) : item[xField]);
+
+/**
+ * One-line description, e.g. "Drop (high): 150, expected 601–704"
+ * @param {object} anomaly - Anomaly from the API
+ * @returns {string} Description for hover text and tooltips
+ */
+export const describeAnomaly = anomaly =>
+  `${anomaly.direction === 'spike' ? 'Spike' : 'Drop'} (${anomaly.severity}): ${formatCount(anomaly.value)}, expected ${formatCount(anomaly.lower)}–${formatCount(anomaly.upper)}`;
+
+/**
+ * The most severe of several anomalies
+ * @param {Array<object>} anomalies - Anomalies, possibly empty
+ * @returns {string|null} Severity, or null when there are none
+ */
+export const highestSeverity = anomalies => anomalies.reduce(
+  (highest, anomaly) => (!highest || SEVERITY_RANK[anomaly.severity] > SEVERITY_RANK[highest] ? anomaly.severity : highest),
+  null
+);
+
+/**
+ * Plotly trace that rings the anomalous points of a chart. Anomalies whose x
+ * value is not on the chart (e.g. a year filtered out) are left out, so they
+ * do not add categories to the axis.
+ * @param {Array<object>} anomalies - Anomalies in the chart's data shape
+ * @param {string|function} xField - Key or accessor used by the chart
+ * @param {Array} xValues - The x values drawn by the chart
+ * @param {number} [markerSize=6] - Marker size of the chart's own points
+ * @returns {object|null} Scatter trace, or null when nothing is on the chart
+ */
+export const buildAnomalyTrace = (anomalies, xField, xValues, markerSize = 6) => {
+  const shown = new Set(xValues);
+  const visible = (anomalies || []).filter(anomaly => shown.has(xValueOf(anomaly, xField)));
+  if (visible.length === 0) return null;
+
+  return {
+    x: visible.map(anomaly => xValueOf(anomaly, xField)),
+    y: visible.map(anomaly => anomaly.value),
+    type: 'scatter',
+    mode: 'markers',
+    name: 'Anomaly',
+    marker: {
+      symbol: 'circle-open',
+      size: markerSize + 10,
+      color: visible.map(anomaly => SEVERITY_COLORS[anomaly.severity]),
+      line: { width: 3 },
+    },
+    text: visible.map(describeAnomaly),
+    hovertemplate: '<b>%{x}</b><br>%{text}<extra></extra>',
+  };
+};
+
+/**
+ * Function returning the anomalies of a table row: by default those at the
+ * row's x value, or `getRowAnomalies(row)` when the table rows are shaped
+ * differently from the chart data (e.g. one row per year with month columns).
+ * @param {Array<object>} anomalies - Anomalies in the chart's data shape
+ * @param {string|function} xField - Key or accessor used by the chart
+ * @param {function} [getRowAnomalies] - Custom matcher
+ * @returns {function} row => Array<object>
+ */
+export const rowAnomalyMatcher = (anomalies, xField, getRowAnomalies) => {
+  if (!anomalies || anomalies.length === 0) return () => [];
+  if (getRowAnomalies) return getRowAnomalies;
+
+  const byX = new Map();
+  anomalies.forEach(anomaly => {
+    const x = xValueOf(anomaly, xField);
+    byX.set(x, [...(byX.get(x) || []), anomaly]);
+  });
+  return row => byX.get(xValueOf(row, xField)) || [];
+};
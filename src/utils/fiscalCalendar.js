@@ -0,0 +1,30 @@
+// src/utils/fiscalCalendar.js
+
+// Period helpers for the fiscal/calendar toggle. The fiscal calendar itself is
+// configured on the server and served by dashboardAPI.getCalendar(); with offline
+// data it is the one the API last served (see services/staticData.js).
+
+export const CALENDAR_MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+export const MONTH_NAMES = {
+    Jan: 'January', Feb: 'February', Mar: 'March', Apr: 'April', May: 'May', Jun: 'June',
+    Jul: 'July', Aug: 'August', Sep: 'September', Oct: 'October', Nov: 'November', Dec: 'December'
+};
+
+// Month labels in the order of the chosen view; falls back to calendar order until the calendar loads
+export const monthsForView = (calendarView, fiscalCalendar) =>
+    calendarView === 'fiscal' && fiscalCalendar ? fiscalCalendar.months : CALENDAR_MONTHS;
+
+// The three months of a quarter, given the months in the view's order
+export const quarterMonths = (months, quarter) => months.slice((quarter - 1) * 3, quarter * 3);
+
+// "Q1 (Jul-Sep)"
+export const formatQuarter = (months, quarter) => {
+    const [first, , last] = quarterMonths(months, quarter);
+    return `Q${quarter} (${first}-${last})`;
+};
+
+// "FY2025" in the fiscal view, "2025" in the calendar view
+export const formatYear = (year, calendarView) => (calendarView === 'fiscal' ? `FY${year}` : String(year));
+
+export const yearAxisLabel = calendarView => (calendarView === 'fiscal' ? 'Fiscal Year' : 'Year');
@@ -9,11 +9,6 @@ export const PAGE_TITLES = {
   MonthlyUniquePermitsReport: 'Monthly Unique Permits Analysis',
   QuarterlyUniquePermitsReport: 'Quarterly Unique Permits Analysis',
   
-  // Department Activity
-  LUActivityReport: 'Land Use Activity Analysis',
-  PLNCheckActivityReport: 'Plan Check Activity Analysis',
-  PSCActivityReport: 'PSC Activity Analysis',
-  
   // Default
   default: 'Dashboard'
 };